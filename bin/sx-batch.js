@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// =================================================================
+// BATCH CLI
+// Runs the headless engine over a JSON or CSV file of plant cases.
+//
+//   node bin/sx-batch.js cases.csv -o results.csv
+//   node bin/sx-batch.js cases.json --format json > results.json
+//
+// Every case is merged over the Table 17 defaults, so a file only needs
+// the columns that differ. A case with a `vPercent` field is evaluated
+// at that V% instead of being optimized. `id` / `name` are passed through.
+// `--reagent` takes a JSON reagent definition (see src/engine/reagents.js);
+// without it every case uses the built-in Lix984N coefficients. `--locale en`
+// reports engine errors in English instead of Persian.
+// =================================================================
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS, optimize, evaluate, summarize, parseCsv, toCsv, isStageEfficiencyKey, validateReagent, assertValidInputs, setLocale } from '../src/engine/index.js';
+
+const USAGE = `Usage: sx-batch <cases.json|cases.csv> [-o <output>] [--format json|csv] [--reagent <reagent.json>] [--locale fa|en]
+
+  -o, --out <file>     write results to a file instead of stdout
+  -f, --format <fmt>   output format (default: from --out extension, else input format)
+  -r, --reagent <file> extractant coefficient set to use (default: Lix984N)
+  -l, --locale <code>  language of error messages: fa or en (default: fa)
+  -h, --help           show this message`;
+
+const parseArgs = (argv) => {
+    const args = { input: null, out: null, format: null, reagent: null, locale: null };
+    for (let k = 0; k < argv.length; k++) {
+        const arg = argv[k];
+        if (arg === '-h' || arg === '--help') args.help = true;
+        else if (arg === '-o' || arg === '--out') args.out = argv[++k];
+        else if (arg === '-f' || arg === '--format') args.format = argv[++k];
+        else if (arg === '-r' || arg === '--reagent') args.reagent = argv[++k];
+        else if (arg === '-l' || arg === '--locale') args.locale = argv[++k];
+        else if (!args.input) args.input = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    return args;
+};
+
+const formatOf = (file) => (file && extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+
+// Read cases from a JSON array, a single JSON object, `{ cases: [...] }` or CSV rows
+const readCases = (file) => {
+    const text = readFileSync(file, 'utf8');
+    const raw = formatOf(file) === 'csv' ? parseCsv(text) : JSON.parse(text);
+    const list = Array.isArray(raw) ? raw : (Array.isArray(raw.cases) ? raw.cases : [raw]);
+
+    return list.map((entry, idx) => {
+        const { id, name, vPercent, ...fields } = entry;
+        const inputs = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            if (!(key in DEFAULT_INPUTS) && !isStageEfficiencyKey(key)) throw new Error(`Case ${idx + 1}: unknown input "${key}"`);
+            if (value === '' || value === null) return;
+            if (typeof DEFAULT_INPUTS[key] === 'string') {
+                inputs[key] = String(value);
+                return;
+            }
+            const num = Number(value);
+            if (!isFinite(num)) throw new Error(`Case ${idx + 1}: "${key}" is not a number (${value})`);
+            inputs[key] = num;
+        });
+        return {
+            id: id ?? name ?? String(idx + 1),
+            vPercent: vPercent === undefined || vPercent === '' ? null : Number(vPercent),
+            inputs: { ...DEFAULT_INPUTS, ...inputs },
+        };
+    });
+};
+
+const runCase = ({ id, vPercent, inputs }, settings) => {
+    try {
+        assertValidInputs(inputs);
+        const results = vPercent === null ? optimize(inputs, settings) : evaluate(inputs, vPercent, settings);
+        if (!results) throw new Error('Model evaluation failed at the requested V%.');
+        return { id, status: 'ok', error: '', inputs, summary: summarize(results) };
+    } catch (e) {
+        return { id, status: 'failed', error: e.message, inputs, summary: null };
+    }
+};
+
+const main = () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.input) {
+        console.log(USAGE);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    if (args.locale) setLocale(args.locale);
+    const format = args.format || (args.out ? formatOf(args.out) : formatOf(args.input));
+    if (format !== 'json' && format !== 'csv') throw new Error(`Unsupported format: ${format}`);
+
+    const settings = args.reagent
+        ? { ...DEFAULT_SETTINGS, reagent: validateReagent(JSON.parse(readFileSync(args.reagent, 'utf8'))) }
+        : DEFAULT_SETTINGS;
+    const cases = readCases(args.input);
+    const rows = cases.map(c => runCase(c, settings));
+
+    const output = format === 'csv'
+        ? toCsv(rows.map(({ id, status, error, inputs, summary }) => ({ id, status, ...inputs, ...summary, error })))
+        : JSON.stringify(rows, null, 2) + '\n';
+
+    if (args.out) writeFileSync(args.out, output);
+    else process.stdout.write(output);
+
+    const failed = rows.filter(r => r.status !== 'ok').length;
+    console.error(`${rows.length} case(s) processed, ${failed} failed.`);
+    process.exitCode = failed > 0 ? 2 : 0;
+};
+
+try {
+    main();
+} catch (e) {
+    console.error(`sx-batch: ${e.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// =================================================================
+// MODEL VALIDATION CLI
+// Runs the benchmark suite of the headless engine: the built-in
+// reference cases (src/engine/benchmarks.js) plus any JSON files of
+// further cases, e.g. audited plant surveys. Every expected output is
+// compared with the model within its tolerance.
+//
+//   npm test
+//   node bin/sx-validate.js plant-cases.json --locale en
+//
+// Exits with 1 when a case fails or does not solve, so a model change
+// that moves a reference result breaks the test run.
+// =================================================================
+import { readFileSync } from 'node:fs';
+import { REFERENCE_CASES, runBenchmarks, parseReferenceCases, setLocale } from '../src/engine/index.js';
+
+const USAGE = `Usage: sx-validate [cases.json ...] [--no-builtin] [--json] [--locale fa|en]
+
+  cases.json           further reference cases (array, { cases: [...] } or one case)
+  --no-builtin         run only the cases of the given files
+  --json               print the full report as JSON
+  -l, --locale <code>  language of error messages: fa or en (default: fa)
+  -h, --help           show this message`;
+
+const parseArgs = (argv) => {
+    const args = { files: [], builtin: true, json: false, locale: null };
+    for (let k = 0; k < argv.length; k++) {
+        const arg = argv[k];
+        if (arg === '-h' || arg === '--help') args.help = true;
+        else if (arg === '--no-builtin') args.builtin = false;
+        else if (arg === '--json') args.json = true;
+        else if (arg === '-l' || arg === '--locale') args.locale = argv[++k];
+        else if (arg.startsWith('-')) throw new Error(`Unexpected argument: ${arg}`);
+        else args.files.push(arg);
+    }
+    return args;
+};
+
+const format = (value) => (value === null ? '—' : Number(value.toPrecision(6)).toString());
+
+const printReport = (report) => {
+    report.cases.forEach(c => {
+        console.log(`${c.status.toUpperCase().padEnd(5)} ${c.id} [${c.source}] ${c.name}`);
+        if (c.error) console.log(`      ${c.error}`);
+        c.checks.forEach(check => {
+            const deviation = check.deviation === null ? 'missing' : `${check.deviation >= 0 ? '+' : ''}${check.deviation.toExponential(2)}`;
+            console.log(`  ${check.pass ? ' ' : '✗'}   ${check.quantity.padEnd(18)} expected ${format(check.expected).padEnd(10)} actual ${format(check.actual).padEnd(10)} deviation ${deviation} (±${format(check.tolerance)})`);
+        });
+    });
+};
+
+const main = () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (args.locale) setLocale(args.locale);
+
+    const cases = [
+        ...(args.builtin ? REFERENCE_CASES : []),
+        ...args.files.flatMap(file => parseReferenceCases(readFileSync(file, 'utf8'))),
+    ];
+    if (cases.length === 0) throw new Error('No reference cases to run.');
+
+    const report = runBenchmarks(cases);
+    if (args.json) process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    else printReport(report);
+
+    console.error(`${report.cases.length} reference case(s), ${report.passed} passed, ${report.failed} failed.`);
+    process.exitCode = report.failed > 0 ? 1 : 0;
+};
+
+try {
+    main();
+} catch (e) {
+    console.error(`sx-validate: ${e.message}`);
+    process.exit(1);
+}
@@ -1,111 +1,314 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Scatter, Label } from 'recharts';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { utils, writeFile } from 'xlsx';
-import { ArrowDownToLine, Settings, FileDown, RefreshCw, HelpCircle, X } from 'lucide-react';
+import { ArrowDownToLine, Settings, Factory, FileDown, Printer, RefreshCw, HelpCircle, Map as MapIcon, ShieldCheck, Target, X, XCircle } from 'lucide-react';
+import { DEFAULT_INPUTS, V_PERCENT_RANGE, MAX_STAGES, BUILTIN_REAGENTS, LIX984N, REAGENT_FIELDS, extractionStages, strippingStages, stageEfficiency, createProject, parseProject, encodeShareToken, decodeShareToken, IMPURITIES, hasTankhouse, validateInputs, describeIssue, ECONOMICS_FIELDS, evaluateEconomics } from './engine/index.js';
+import { loadUserReagents, saveUserReagents, loadScenarios, saveScenarios, loadPreferences, savePreferences, loadEconomics, saveEconomics } from './storage.js';
+import { t, setLocale, textDirection, LOCALES, LOCALE_NAMES } from './i18n.js';
+import { UNIT_OPTIONS, FIELD_QUANTITIES, toDisplay, fromDisplay, convertLimit } from './units.js';
+import { InputRow, SelectRow } from './components/FormRows.jsx';
+import ReagentManager from './components/ReagentManager.jsx';
+import IsothermFit from './components/IsothermFit.jsx';
+import OperatingPointOptimizer from './components/OperatingPointOptimizer.jsx';
+import SensitivityPanel from './components/SensitivityPanel.jsx';
+import MonteCarloPanel from './components/MonteCarloPanel.jsx';
+import DynamicPanel from './components/DynamicPanel.jsx';
+import EconomicsPanel from './components/EconomicsPanel.jsx';
+import SweepMap from './components/SweepMap.jsx';
+import McCabeChart from './components/McCabeChart.jsx';
+import PlantReconciliation from './components/PlantReconciliation.jsx';
+import ModelValidation from './components/ModelValidation.jsx';
+import ScenarioManager from './components/ScenarioManager.jsx';
+import ScenarioCompare from './components/ScenarioCompare.jsx';
+import ProjectMenu from './components/ProjectMenu.jsx';
+import { fieldLabel, SENSITIVITY_OUTPUT_LABELS, MONTE_CARLO_OUTPUT_LABELS, DISTRIBUTION_LABELS, DYNAMIC_OUTPUT_LABELS, CHANGE_TYPE_LABELS, HOLDUP_LABELS, ECONOMICS_LABELS, COST_LABELS } from './components/fieldLabels.js';
+import { runEngineTask } from './workers/engineClient.js';
+import { downloadBlob, chartSvgMarkup } from './chartExport.js';
+import { reportHtml, openReport } from './report.js';
+import DiagnosticsPanel from './components/DiagnosticsPanel.jsx';
+import { ResultsSummary, PlantBalanceSummary, IronBalanceSummary, EntrainmentSummary, TankhouseSummary } from './components/ResultCards.jsx';
+
+// Names of the quantities whose display unit can be chosen
+const UNIT_QUANTITY_LABELS = { flow: 'واحد جریان', concentration: 'واحد غلظت' };
+
+const preferenceClass = "bg-gray-700 text-white p-1 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500";
 
 // Main App Component
 const App = () => {
-    // Initial state based on Table 17 from the PDF
-    const [inputs, setInputs] = useState({
-        plsFlow: 400,
-        plsCu: 7.0,
-        plsAcid: 1.96,
-        percentageML: 80,
-        o_a_ex: 1.25,
-        effE1: 95,
-        effE2: 95,
-        spCu: 35,
-        spAcid: 190,
-        adCu: 50,
-        effS1: 98,
-        effS2: 98,
-    });
+    const [inputs, setInputs] = useState(DEFAULT_INPUTS);
 
     const [results, setResults] = useState(null);
+    // Inputs and reagent of the last run, so follow-up analyses match the results shown
+    const [solvedCase, setSolvedCase] = useState(null);
+    const [sensitivity, setSensitivity] = useState(null);
+    const [monteCarlo, setMonteCarlo] = useState(null);
+    const [dynamic, setDynamic] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const taskRef = useRef(null);
     const [error, setError] = useState(null);
+    const [errorDiagnostics, setErrorDiagnostics] = useState(null);
     const [isHelpVisible, setIsHelpVisible] = useState(false);
+    const [isFitVisible, setIsFitVisible] = useState(false);
+    const [isOperatingVisible, setIsOperatingVisible] = useState(false);
+    const [isSweepVisible, setIsSweepVisible] = useState(false);
+    const [isValidationVisible, setIsValidationVisible] = useState(false);
+    const [isReconcileVisible, setIsReconcileVisible] = useState(false);
     const [initialRun, setInitialRun] = useState(false);
+    const [userReagents, setUserReagents] = useState(loadUserReagents);
+    const [reagentId, setReagentId] = useState(LIX984N.id);
+    const [scenarios, setScenarios] = useState(loadScenarios);
+    const [compareScenarios, setCompareScenarios] = useState(null);
+    // Language and display units; the locale is applied before the first render
+    const [preferences, setPreferences] = useState(() => {
+        const stored = loadPreferences();
+        setLocale(stored.locale);
+        return stored;
+    });
+    const { locale, units } = preferences;
+    // Prices and cost assumptions of the economics panel
+    const [economics, setEconomics] = useState(loadEconomics);
+
+    const reagents = useMemo(() => [...BUILTIN_REAGENTS, ...userReagents], [userReagents]);
+    const reagent = reagents.find(r => r.id === reagentId) ?? LIX984N;
+    // Validation messages word their limits in the chosen display units
+    const validationOptions = useMemo(() => ({ convertLimit: (value, unit) => convertLimit(value, unit, units) }), [units]);
+    // Field-level errors and warnings of the current inputs; errors block a run
+    const validation = validateInputs(inputs, validationOptions);
+
+    const updatePreferences = (changes) => {
+        const next = { ...preferences, ...changes, units: { ...units, ...changes.units } };
+        setLocale(next.locale);
+        setPreferences(next);
+        savePreferences(next);
+    };
+
+    // Label of an input in the chosen display units
+    const inputLabel = useCallback((key) => fieldLabel(key, units), [units]);
+
+    // Persist user reagents whenever the library changes
+    const updateUserReagents = useCallback((next) => {
+        setUserReagents(next);
+        saveUserReagents(next);
+    }, []);
+
+    const handleSaveReagent = useCallback((saved) => {
+        const exists = userReagents.some(r => r.id === saved.id);
+        updateUserReagents(exists ? userReagents.map(r => (r.id === saved.id ? saved : r)) : [...userReagents, saved]);
+        setReagentId(saved.id);
+    }, [userReagents, updateUserReagents]);
+
+    const handleDeleteReagent = (id) => {
+        updateUserReagents(userReagents.filter(r => r.id !== id));
+        setReagentId(LIX984N.id);
+    };
+
+    const updateScenarios = (next) => {
+        setScenarios(next);
+        saveScenarios(next);
+    };
+
+    const updateEconomics = (next) => {
+        setEconomics(next);
+        saveEconomics(next);
+    };
+
+    // The shown result if it still belongs to the current inputs and reagent, else null
+    const currentResults = () => (
+        results && solvedCase && JSON.stringify({ inputs: solvedCase.inputs, reagent: solvedCase.reagent }) === JSON.stringify({ inputs, reagent })
+            ? results
+            : null
+    );
 
+    // Save the current case under a name (same name overwrites)
+    const handleSaveScenario = (name) => {
+        const existing = scenarios.find(sc => sc.name === name);
+        const scenario = {
+            id: existing ? existing.id : `scenario-${Date.now()}`,
+            name,
+            savedAt: new Date().toISOString(),
+            inputs,
+            settings: { reagent },
+            results: currentResults(),
+        };
+        updateScenarios(existing ? scenarios.map(sc => (sc.id === existing.id ? scenario : sc)) : [...scenarios, scenario]);
+    };
+
+    // Restore a saved case (scenario, project file or share link): inputs, reagent and result.
+    // A reagent that is missing from the library, or was edited since, is added as a user
+    // reagent so the result stays reproducible. Returns the reagent now selected.
+    const restoreCase = useCallback((scenario) => {
+        if (taskRef.current) {
+            taskRef.current.cancel();
+            taskRef.current = null;
+            setIsLoading(false);
+        }
+        let scenarioReagent = scenario.settings.reagent;
+        const known = reagents.find(r => r.id === scenarioReagent.id);
+        if (!known) {
+            scenarioReagent = { ...scenarioReagent, builtIn: false };
+            handleSaveReagent(scenarioReagent);
+        } else if (JSON.stringify(known) === JSON.stringify(scenarioReagent) || known.builtIn) {
+            scenarioReagent = known;
+            setReagentId(known.id);
+        } else {
+            scenarioReagent = { ...scenarioReagent, id: `user-${Date.now()}`, name: `${scenarioReagent.name} (${scenario.name})`, builtIn: false };
+            handleSaveReagent(scenarioReagent);
+        }
+        const scenarioInputs = { ...DEFAULT_INPUTS, ...scenario.inputs };
+        setInputs(scenarioInputs);
+        setResults(scenario.results);
+        setSolvedCase(scenario.results ? { inputs: scenarioInputs, reagent: scenarioReagent } : null);
+        setSensitivity(null);
+        setMonteCarlo(null);
+        setDynamic(null);
+        setError(null);
+        setErrorDiagnostics(null);
+        setInitialRun(Boolean(scenario.results));
+        return scenarioReagent;
+    }, [reagents, handleSaveReagent]);
+
+    const handleDeleteScenario = (id) => updateScenarios(scenarios.filter(sc => sc.id !== id));
 
-    // Function to handle input changes
+    // Function to handle input changes; an empty or unparsable entry stays NaN so validation can flag it.
+    // Flows and concentrations are entered in the display units and stored in SI.
     const handleInputChange = (e) => {
         const { name, value } = e.target;
-        setInputs(prev => ({ ...prev, [name]: parseFloat(value) || 0 }));
+        const quantity = FIELD_QUANTITIES[name];
+        const number = parseFloat(value);
+        setInputs(prev => ({ ...prev, [name]: quantity ? fromDisplay(number, quantity, units) : number }));
     };
 
-    // Core calculation logic from the PDF
-    const runSolver = useCallback(() => {
+    // Value of an input in the display units
+    const displayValue = (name) => (FIELD_QUANTITIES[name] ? toDisplay(inputs[name], FIELD_QUANTITIES[name], units) : inputs[name]);
+
+    // Select fields keep their string value
+    const handleSelectChange = (e) => {
+        const { name, value } = e.target;
+        setInputs(prev => ({ ...prev, [name]: value }));
+    };
+
+    // Core calculation logic from the PDF, run in a dedicated Web Worker.
+    // `caseInputs`/`caseReagent` let a caller run a case it has just set, before the state update lands.
+    const runSolver = useCallback((caseInputs = inputs, caseReagent = reagent) => {
+        if (taskRef.current) taskRef.current.cancel();
+        const caseValidation = validateInputs(caseInputs, validationOptions);
+        if (!caseValidation.valid) {
+            taskRef.current = null;
+            setIsLoading(false);
+            setResults(null);
+            setInitialRun(true);
+            setError(t('محاسبه انجام نشد؛ ورودی‌های زیر نامعتبرند: {errors}', { errors: caseValidation.errors.map(e => describeIssue(e, inputLabel)).join(' ') }));
+            setErrorDiagnostics(null);
+            return;
+        }
         setIsLoading(true);
         setError(null);
+        setErrorDiagnostics(null);
         setResults(null);
+        setSensitivity(null);
+        setMonteCarlo(null);
+        setDynamic(null);
+        setProgress(null);
         setInitialRun(true);
+        setSolvedCase({ inputs: caseInputs, reagent: caseReagent });
+
+        const task = runEngineTask('optimize', { inputs: caseInputs, settings: { reagent: caseReagent } }, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((finalResults) => {
+                if (taskRef.current !== task) return;
+                setResults(finalResults);
+            })
+            .catch((e) => {
+                if (taskRef.current !== task) return;
+                setError(e.message);
+                setErrorDiagnostics(e.diagnostics ?? null);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setIsLoading(false);
+            });
+    }, [inputs, reagent, inputLabel, validationOptions]);
+
+    // Take the decision variables of a chosen operating point and recalculate with them
+    const applyOperatingPoint = (point) => {
+        const decisions = Object.entries(point.inputs).filter(([key]) => key !== 'vPercent');
+        const next = { ...inputs, ...Object.fromEntries(decisions) };
+        setInputs(next);
+        setIsOperatingVisible(false);
+        runSolver(next);
+    };
 
-        // This is a web-worker compatible function to avoid freezing the UI
-        const calculationTask = () => {
-            try {
-                // Numerical solver to find the root of the objective function
-                const solve = (objectiveFunc, initialGuess, tolerance = 1e-7, maxIterations = 100) => {
-                    let x0 = initialGuess - 0.1;
-                    let x1 = initialGuess + 0.1;
-                    if (x0 <= 0) x0 = 0.1; // Ensure guess is positive
-
-                    let f0 = objectiveFunc(x0);
-                    let f1 = objectiveFunc(x1);
-
-                    for (let i = 0; i < maxIterations; i++) {
-                        if (Math.abs(f1) < tolerance) return x1;
-                        let x2 = x1 - f1 * (x1 - x0) / (f1 - f0);
-                        if (isNaN(x2) || !isFinite(x2) || x2 <= 0) {
-                           throw new Error("محاسبات واگرا شد یا به یک نتیجه نامعتبر رسید. لطفاً ورودی‌ها را بررسی کنید.");
-                        }
-                        x0 = x1;
-                        f0 = f1;
-                        x1 = x2;
-                        f1 = objectiveFunc(x1);
-                    }
-                    throw new Error(`بهینه‌سازی پس از ${maxIterations} تکرار به همگرایی نرسید.`);
-                };
-
-                // Objective function to be minimized (SO_ex - SO_st = 0)
-                const objectiveFunction = (V_percent_guess) => {
-                    const res = calculateAll(inputs, V_percent_guess, solve);
-                    if (!res) return 1e9; // Return a large number if calculation fails
-                    return res.constraints.so_consistency;
-                };
-
-                // Find the optimal V%
-                const optimalVPercent = solve(objectiveFunction, 17.1); // Initial guess from PDF
-                if (optimalVPercent <= 0 || optimalVPercent > 50) {
-                     throw new Error("درصد بهینه استخراج‌کننده خارج از محدوده قابل قبول است (0-50%). ورودی‌ها را بررسی کنید.");
-                }
-                
-                // Final calculation with optimal V%
-                const finalResults = calculateAll(inputs, optimalVPercent, solve);
-                
-                // Post results back to the main thread
-                setTimeout(() => {
-                    setResults(finalResults);
-                    setIsLoading(false);
-                }, 0);
-
-            } catch (e) {
-                 setTimeout(() => {
-                    setError(e.message);
-                    setIsLoading(false);
-                }, 0);
-            }
-        };
-        
-        // Run calculation in a timeout to simulate async operation
-        setTimeout(calculationTask, 50);
+    // Fitted plant efficiencies replace the assumed ones; the case is re-solved with them
+    const applyReconciledEfficiencies = (efficiencies) => {
+        const next = { ...inputs, ...efficiencies };
+        setInputs(next);
+        setIsReconcileVisible(false);
+        runSolver(next);
+    };
+
+    const cancelSolver = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    // Project file of the current case, with the result (and its stage details) when it is current
+    const exportProject = () => {
+        const project = createProject({ name: t('پروژه SX'), inputs, settings: { reagent }, results: currentResults() });
+        const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `SX_Project_${new Date().toISOString().slice(0, 10)}.json`);
+    };
+
+    // Printable report of the solved case, with the McCabe-Thiele charts as they are on screen
+    const printReport = () => {
+        const charts = ['extraction', 'stripping']
+            .map(section => document.querySelector(`[data-chart="mccabe-${section}"]`))
+            .filter(Boolean)
+            .map(card => chartSvgMarkup(card, {
+                title: card.querySelector('h3')?.textContent,
+                subtitle: card.querySelector('h3 + p')?.textContent,
+            }));
+        try {
+            openReport(reportHtml({ results, inputs: solvedCase?.inputs ?? inputs, units, charts }));
+        } catch (e) {
+            alert(e.message);
+        }
+    };
+
+    // Throws the validation error so the project menu can show it
+    const importProject = (text) => {
+        restoreCase(parseProject(text));
+    };
+
+    const shareUrl = () => `${window.location.origin}${window.location.pathname}#case=${encodeShareToken({ inputs, reagent })}`;
+
+    // Opening a share link restores its inputs and runs the case once on load. The token is read
+    // when the app mounts and cleared once used, so later renders leave the case alone.
+    const shareTokenRef = useRef(undefined);
+    if (shareTokenRef.current === undefined) shareTokenRef.current = window.location.hash.match(/^#case=([\w-]+)$/)?.[1] ?? null;
+    useEffect(() => {
+        const token = shareTokenRef.current;
+        if (!token) return;
+        shareTokenRef.current = null;
+        try {
+            const shared = decodeShareToken(token);
+            const sharedReagent = restoreCase({ name: t('لینک'), inputs: shared.inputs, settings: { reagent: shared.reagent }, results: null });
+            runSolver(shared.inputs, sharedReagent);
+        } catch (e) {
+            setInitialRun(true);
+            setError(e.message);
+        }
+    }, [restoreCase, runSolver]);
 
-    }, [inputs]);
+    // Stop a running worker when the app unmounts
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
     
     // Export to Excel function with full details
     const exportToExcel = () => {
         if (!results) {
-            alert("ابتدا باید محاسبات انجام شود.");
+            alert(t("ابتدا باید محاسبات انجام شود."));
             return;
         }
         
@@ -113,130 +316,490 @@ const App = () => {
 
         // --- Summary Sheet ---
         const summaryData = [
-            { 'پارامتر': 'درصد بهینه استخراج‌کننده (V%)', 'مقدار': results.v_percent.toFixed(2) },
-            { 'پارامتر': 'انتقال خالص مس ((g/L)/V%)', 'مقدار': results.stripping.netCu.toFixed(3) },
-            { 'پارامتر': 'بازیابی استخراج (%)', 'مقدار': results.extraction.recovery.toFixed(2) },
-            { 'پارامتر': 'بازیابی استریپینگ (%)', 'مقدار': results.stripping.recovery.toFixed(2) },
-            { 'پارامتر': 'بارگذاری ماکزیمم (ML g/L)', 'مقدار': results.extraction.ml.toFixed(3) },
-            { 'پارامتر': 'بارگذاری شده (LO g/L)', 'مقدار': results.extraction.lo.toFixed(3) },
-            { 'پارامتر': 'رافینت (Raff g/L)', 'مقدار': results.extraction.raff.toFixed(3) },
-            { 'پارامتر': 'اسید در رافینت (g/L)', 'مقدار': results.extraction.details.raffAcid.toFixed(3) },
-            { 'پارامتر': 'O/A استریپینگ', 'مقدار': results.stripping.details.o_a_st.toFixed(3) },
+            [t('پارامتر'), t('مقدار')],
+            [t('آرایش مدار'), results.circuit],
+            [t('استخراج‌کننده'), results.reagent.name],
+            [t('درصد بهینه استخراج‌کننده (V%)'), results.v_percent.toFixed(2)],
+            [t('انتقال خالص مس ((g/L)/V%)'), results.stripping.netCu.toFixed(3)],
+            [t('بازیابی استخراج (%)'), results.extraction.recovery.toFixed(2)],
+            [t('بازیابی استریپینگ (%)'), results.stripping.recovery.toFixed(2)],
+            [t('بارگذاری ماکزیمم (ML g/L)'), results.extraction.ml.toFixed(3)],
+            [t('بارگذاری شده (LO g/L)'), results.extraction.lo.toFixed(3)],
+            [t('رافینت (Raff g/L)'), results.extraction.raff.toFixed(3)],
+            [t('اسید در رافینت (g/L)'), results.extraction.details.raffAcid.toFixed(3)],
+            [t('O/A استریپینگ'), results.stripping.details.o_a_st.toFixed(3)],
         ];
-        const wsSummary = utils.json_to_sheet(summaryData);
-        utils.book_append_sheet(wb, wsSummary, 'خلاصه نتایج');
+        const wsSummary = utils.aoa_to_sheet(summaryData);
+        utils.book_append_sheet(wb, wsSummary, t('خلاصه نتایج'));
+
+        // --- Mass Balance Sheet ---
+        const balanceData = [
+            [t('پارامتر'), t('مقدار')],
+            [t('جریان PLS (m³/h)'), results.plant.plsFlow.toFixed(2)],
+            [t('جریان فاز آلی (m³/h)'), results.plant.organicFlow.toFixed(2)],
+            [t('جریان الکترولیت پیشرفته/مصرفی (m³/h)'), results.plant.electrolyteFlow.toFixed(2)],
+            [t('مس استخراج‌شده (kg/h)'), results.plant.cuExtracted.toFixed(2)],
+            [t('مس استریپ‌شده (kg/h)'), results.plant.cuStripped.toFixed(2)],
+            [t('تولید مس (t/d)'), results.plant.cuPerDay.toFixed(3)],
+            [t('اسید تولیدی در استخراج (kg/h)'), results.plant.acidGenerated.toFixed(2)],
+            [t('اسید تولیدی در استخراج (t/d)'), results.plant.acidGeneratedPerDay.toFixed(3)],
+            [t('اسید مصرفی در استریپینگ (kg/h)'), results.plant.acidConsumed.toFixed(2)],
+            [t('اسید مصرفی در استریپینگ (t/d)'), results.plant.acidConsumedPerDay.toFixed(3)],
+            [t('اسید در الکترولیت پیشرفته (g/L)'), results.plant.adAcid.toFixed(2)],
+            [t('خطای موازنه مس (%)'), results.plant.balanceError.toFixed(4)],
+        ];
+        if (results.iron) {
+            balanceData.push(
+                [t('آهن در PLS (g/L)'), results.iron.plsFe.toFixed(2)],
+                [t('آهن رافینت (g/L)'), results.iron.raffFe.toFixed(4)],
+                [t('آهن روی LO (g/L)'), results.iron.feLo.toFixed(5)],
+                [t('انتقال آهن به الکترولیت (kg/h)'), results.iron.feTransfer.toFixed(3)],
+                [t('انتقال آهن به الکترولیت (kg/d)'), results.iron.feTransferPerDay.toFixed(2)],
+                [t('نسبت انتقال Cu:Fe'), results.iron.cuFeRatio.toFixed(0)],
+                [t('حد آهن الکترولیت (g/L)'), results.iron.electrolyteFe.toFixed(2)],
+                [t('جریان بلید الکترولیت (m³/h)'), results.iron.bleedFlow.toFixed(3)],
+                [t('سهم بلید از الکترولیت پیشرفته (%)'), results.iron.bleedShare.toFixed(3)],
+                [t('مس همراه بلید (t/d)'), results.iron.cuInBleedPerDay.toFixed(4)],
+            );
+        }
+        if (results.tankhouse) {
+            balanceData.push(
+                [t('تعداد سلول‌های الکترووینینگ'), results.tankhouse.cells],
+                [t('سطح کل کاتد (m²)'), results.tankhouse.cathodeArea.toFixed(1)],
+                [t('دانسیته جریان (A/m²)'), results.tankhouse.currentDensity],
+                [t('جریان هر سلول (A)'), results.tankhouse.cellCurrent.toFixed(0)],
+                [t('مس رسوب‌داده‌شده (t/d)'), results.tankhouse.cuPlatedPerDay.toFixed(3)],
+                [t('توان یکسوساز (kW)'), results.tankhouse.power.toFixed(0)],
+                [t('انرژی ویژه (kWh/t)'), results.tankhouse.specificEnergy.toFixed(0)],
+                [t('مس الکترولیت مصرفی از تانک‌هاوس (g/L)'), results.tankhouse.spCu.toFixed(3)],
+                [t('درصد بارگذاری LO (%)'), results.tankhouse.percentageML.toFixed(2)],
+            );
+        }
+        const wsBalance = utils.aoa_to_sheet(balanceData);
+        utils.book_append_sheet(wb, wsBalance, t('موازنه جرم'));
+
+        // --- Entrainment Sheet (only with entrainment) ---
+        if (results.entrainment) {
+            const { entrainment } = results;
+            const entrainmentData = [
+                [t('ماند آبی در LO (ppm)'), entrainment.entrainment],
+                [t('PLS همراه فاز آلی (m³/h)'), entrainment.entrainedFlow.toFixed(5)],
+                [t('مرحله شستشو'), entrainment.washStage ? t('دارد') : t('ندارد')],
+                [t('نسبت O/A شستشو'), entrainment.wash.o_a],
+                [t('بازدهی شستشو (%)'), entrainment.wash.efficiency],
+                [t('ماند آبی پس از شستشو (ppm)'), entrainment.wash.entrainment],
+                [t('جریان آب شستشو (m³/h)'), entrainment.wash.waterFlow.toFixed(3)],
+                [],
+                [t('ناخالصی'), t('در PLS (g/L)'), t('بدون شستشو (kg/d)'), t('با شستشو (kg/d)'), t('محلول شستشو (g/L)'), t('در الکترولیت (g/L)')],
+                ...entrainment.impurities.map(x => [
+                    fieldLabel(IMPURITIES[x.key]),
+                    x.pls,
+                    x.withoutWashPerDay.toFixed(4),
+                    x.withWashPerDay.toFixed(4),
+                    x.liquor.toFixed(5),
+                    x.electrolyte === null ? '' : x.electrolyte.toFixed(5),
+                ]),
+            ];
+            const wsEntrainment = utils.aoa_to_sheet(entrainmentData);
+            utils.book_append_sheet(wb, wsEntrainment, t('ماند و شستشو'));
+        }
+
+        // --- Economics Sheet (only with usable economics inputs) ---
+        try {
+            const evaluation = evaluateEconomics(results, economics);
+            const economicsData = [
+                [t('پارامتر'), t('مقدار')],
+                ...ECONOMICS_FIELDS.map(key => [t(ECONOMICS_LABELS[key]), economics[key]]),
+                [],
+                [t('تعداد ستلرها'), evaluation.inventory.settlers],
+                [t('موجودی فاز آلی (m³)'), evaluation.inventory.organicVolume.toFixed(1)],
+                [t('استخراج‌کننده در موجودی (m³)'), evaluation.inventory.extractantVolume.toFixed(2)],
+                [t('ارزش موجودی فاز آلی ($)'), evaluation.inventory.value.toFixed(0)],
+                [t('تلفات فاز آلی (m³/سال)'), evaluation.losses.organic.toFixed(2)],
+                [t('توان همزن‌ها (kW)'), evaluation.power.toFixed(0)],
+                [t('مس تولیدی (t/سال)'), evaluation.copper.toFixed(0)],
+                [],
+                [t('اقلام هزینه'), t('$/سال'), '$/t Cu'],
+                ...Object.entries(evaluation.costs).map(([key, cost]) => [t(COST_LABELS[key]), cost.toFixed(0), (cost / evaluation.copper).toFixed(2)]),
+                [t('هزینه سالانه'), evaluation.annualCost.toFixed(0), evaluation.costPerTonne.toFixed(2)],
+            ];
+            const wsEconomics = utils.aoa_to_sheet(economicsData);
+            utils.book_append_sheet(wb, wsEconomics, t('ارزیابی اقتصادی'));
+        } catch {
+            // Invalid economics inputs are reported in the panel; the sheet is left out
+        }
+
+        // --- Sensitivity Sheet (only after a sensitivity run) ---
+        if (sensitivity) {
+            const outputs = Object.entries(SENSITIVITY_OUTPUT_LABELS);
+            const side = (entry, key) => (entry.outputs ? entry.outputs[key].toFixed(4) : t('ناموفق'));
+            const sensitivityData = [
+                [t('تغییر ورودی‌ها (± %)'), sensitivity.percent],
+                ...outputs.map(([key, label]) => [t('{label} در حالت پایه', { label: t(label) }), sensitivity.base[key].toFixed(4)]),
+                [],
+                [t('پارامتر'), t('مقدار پایه'), t('مقدار پایین'), t('مقدار بالا'), ...outputs.flatMap(([, label]) => [t('{label} (پایین)', { label: t(label) }), t('{label} (بالا)', { label: t(label) })]), t('خطا')],
+                ...sensitivity.fields.map(f => [
+                    fieldLabel(f.field),
+                    f.base,
+                    f.low.value.toFixed(4),
+                    f.high.value.toFixed(4),
+                    ...outputs.flatMap(([key]) => [side(f.low, key), side(f.high, key)]),
+                    f.low.error || f.high.error || '',
+                ]),
+            ];
+            const wsSensitivity = utils.aoa_to_sheet(sensitivityData);
+            utils.book_append_sheet(wb, wsSensitivity, t('حساسیت'));
+        }
+
+        // --- Monte Carlo Sheet (only after a Monte Carlo run): settings, distributions, percentiles, every sample ---
+        if (monteCarlo) {
+            const outputs = Object.entries(MONTE_CARLO_OUTPUT_LABELS);
+            const distributionParams = (d) => Object.entries(d)
+                .filter(([key, value]) => key !== 'field' && key !== 'type' && value !== null)
+                .map(([key, value]) => `${key}=${value}`)
+                .join(', ');
+            const monteCarloData = [
+                [t('تعداد نمونه‌ها'), monteCarlo.samples],
+                [t('بذر (seed)'), monteCarlo.seed],
+                [t('سهم نمونه‌های حل‌نشده (%)'), (monteCarlo.failureShare * 100).toFixed(2)],
+                [],
+                [t('پارامتر'), t('مقدار پایه'), t('توزیع'), t('پارامترهای توزیع')],
+                ...monteCarlo.distributions.map(d => [fieldLabel(d.field), monteCarlo.base[d.field], t(DISTRIBUTION_LABELS[d.type]), distributionParams(d)]),
+                [],
+                [t('خروجی'), 'P10', 'P50', 'P90', t('میانگین'), t('انحراف معیار'), t('کمینه'), t('بیشینه')],
+                ...outputs.map(([key, label]) => {
+                    const st = monteCarlo.stats[key];
+                    return st ? [t(label), st.p10, st.p50, st.p90, st.mean, st.sd, st.min, st.max] : [t(label), t('بدون نمونه حل‌شده')];
+                }),
+                [],
+                [t('نمونه'), ...monteCarlo.distributions.map(d => fieldLabel(d.field)), ...outputs.map(([, label]) => t(label)), t('خطا')],
+                ...monteCarlo.draws.map((draw, k) => [
+                    k + 1,
+                    ...monteCarlo.distributions.map(d => draw.values[d.field]),
+                    ...outputs.map(([key]) => (draw.outputs ? draw.outputs[key] : '')),
+                    draw.error ?? '',
+                ]),
+            ];
+            const wsMonteCarlo = utils.aoa_to_sheet(monteCarloData);
+            utils.book_append_sheet(wb, wsMonteCarlo, t('مونت کارلو'));
+        }
+
+        // --- Dynamic Simulation Sheet (only after a dynamic run): settings, PLS changes, every trend point ---
+        if (dynamic) {
+            const dynamicData = [
+                [t('V% (ثابت)'), dynamic.v_percent],
+                [t('مدت شبیه‌سازی (h)'), dynamic.hours],
+                ...Object.entries(HOLDUP_LABELS).map(([key, label]) => [t(label), dynamic.holdups[key]]),
+                [],
+                [t('پارامتر'), t('نوع تغییر'), t('زمان شروع (h)'), t('مقدار جدید'), t('مدت شیب (h)')],
+                ...dynamic.changes.map(c => [fieldLabel(c.field), t(CHANGE_TYPE_LABELS[c.type]), c.time, c.value, c.duration ?? '']),
+                [],
+                [t('زمان (h)'), fieldLabel('plsCu'), fieldLabel('plsAcid'), fieldLabel('plsFlow'), ...Object.values(DYNAMIC_OUTPUT_LABELS).map(label => t(label)), t('مس الکترولیت مصرفی (g/L)'), t('بازیابی استخراج (%)')],
+                ...dynamic.trend.map(p => [p.t, p.plsCu, p.plsAcid, p.plsFlow, ...Object.keys(DYNAMIC_OUTPUT_LABELS).map(key => p[key]), p.spCu, p.recovery]),
+            ];
+            const wsDynamic = utils.aoa_to_sheet(dynamicData);
+            utils.book_append_sheet(wb, wsDynamic, t('شبیه‌سازی دینامیک'));
+        }
 
         // --- Extraction Details Sheet ---
         const exDetails = [
-            ["مرحله استخراج"],
-            ["نقطه", "Cu آبی (g/L)", "Cu آلی (g/L)"],
-            ["A1 (ورودی)", results.extraction.details.stage1.A.x.toFixed(3), results.extraction.details.stage1.A.y.toFixed(3)],
-            ["B1 (خروجی واقعی)", results.extraction.details.stage1.B.x.toFixed(3), results.extraction.details.stage1.B.y.toFixed(3)],
-            ["C1 (ورودی آلی)", results.extraction.details.stage1.C.x.toFixed(3), results.extraction.details.stage1.C.y.toFixed(3)],
-            ["D1 (تعادل)", results.extraction.details.stage1.D.x.toFixed(3), results.extraction.details.stage1.D.y.toFixed(3)],
-            ["بازدهی مرحله ۱ (%)", results.extraction.details.stage1.efficiency.toFixed(2), ""],
-            [],
-            ["A2 (ورودی)", results.extraction.details.stage2.A.x.toFixed(3), results.extraction.details.stage2.A.y.toFixed(3)],
-            ["B2 (خروجی واقعی)", results.extraction.details.stage2.B.x.toFixed(3), results.extraction.details.stage2.B.y.toFixed(3)],
-            ["C2 (ورودی آلی)", results.extraction.details.stage2.C.x.toFixed(3), results.extraction.details.stage2.C.y.toFixed(3)],
-            ["D2 (تعادل)", results.extraction.details.stage2.D.x.toFixed(3), results.extraction.details.stage2.D.y.toFixed(3)],
-            ["بازدهی مرحله ۲ (%)", results.extraction.details.stage2.efficiency.toFixed(2), ""],
+            [t('مرحله استخراج')],
+            [t('نقطه'), t('Cu آبی (g/L)'), t('Cu آلی (g/L)')],
+            ...stageDetailRows(results.extraction.details.stages),
         ];
         const wsEx = utils.aoa_to_sheet(exDetails);
-        utils.book_append_sheet(wb, wsEx, 'جزئیات استخراج');
+        utils.book_append_sheet(wb, wsEx, t('جزئیات استخراج'));
         
         // --- Stripping Details Sheet ---
         const stDetails = [
-            ["مرحله استریپینگ"],
-            ["نقطه", "Cu آبی (g/L)", "Cu آلی (g/L)"],
-            ["A1 (ورودی)", results.stripping.details.stage1.A.x.toFixed(3), results.stripping.details.stage1.A.y.toFixed(3)],
-            ["B1 (خروجی واقعی)", results.stripping.details.stage1.B.x.toFixed(3), results.stripping.details.stage1.B.y.toFixed(3)],
-            ["C1 (ورودی آلی)", results.stripping.details.stage1.C.x.toFixed(3), results.stripping.details.stage1.C.y.toFixed(3)],
-            ["D1 (تعادل)", results.stripping.details.stage1.D.x.toFixed(3), results.stripping.details.stage1.D.y.toFixed(3)],
-            ["بازدهی مرحله ۱ (%)", results.stripping.details.stage1.efficiency.toFixed(2), ""],
-            [],
-            ["A2 (ورودی)", results.stripping.details.stage2.A.x.toFixed(3), results.stripping.details.stage2.A.y.toFixed(3)],
-            ["B2 (خروجی واقعی)", results.stripping.details.stage2.B.x.toFixed(3), results.stripping.details.stage2.B.y.toFixed(3)],
-            ["C2 (ورودی آلی)", results.stripping.details.stage2.C.x.toFixed(3), results.stripping.details.stage2.C.y.toFixed(3)],
-            ["D2 (تعادل)", results.stripping.details.stage2.D.x.toFixed(3), results.stripping.details.stage2.D.y.toFixed(3)],
-            ["بازدهی مرحله ۲ (%)", results.stripping.details.stage2.efficiency.toFixed(2), ""],
+            [t('مرحله استریپینگ')],
+            [t('نقطه'), t('Cu آبی (g/L)'), t('Cu آلی (g/L)')],
+            ...stageDetailRows(results.stripping.details.stages),
         ];
         const wsSt = utils.aoa_to_sheet(stDetails);
-        utils.book_append_sheet(wb, wsSt, 'جزئیات استریپینگ');
+        utils.book_append_sheet(wb, wsSt, t('جزئیات استریپینگ'));
+
+        // --- Reagent Sheet ---
+        const reagentRows = [
+            [t('استخراج‌کننده'), results.reagent.name],
+            [],
+            [t('بخش'), t('ضریب'), t('مقدار')],
+            ...Object.entries(REAGENT_FIELDS).flatMap(([section, fields]) => (
+                fields.map(field => [section, field, results.reagent[section][field]])
+            )),
+        ];
+        const wsReagent = utils.aoa_to_sheet(reagentRows);
+        utils.book_append_sheet(wb, wsReagent, t('استخراج‌کننده'));
         
         writeFile(wb, "Copper_SX_Optimization_Full_Details.xlsx");
     };
 
     return (
-        <div className="bg-gray-900 text-gray-200 min-h-screen font-sans p-4 md:p-8">
+        <div dir={textDirection(locale)} lang={locale} className="bg-gray-900 text-gray-200 min-h-screen font-sans p-4 md:p-8">
             {isHelpVisible && <HelpModal onClose={() => setIsHelpVisible(false)} />}
+            {isFitVisible && (
+                <IsothermFit
+                    baseReagent={reagent}
+                    onClose={() => setIsFitVisible(false)}
+                    onApply={(calibrated) => {
+                        handleSaveReagent(calibrated);
+                        setIsFitVisible(false);
+                    }}
+                />
+            )}
+            {isOperatingVisible && (
+                <OperatingPointOptimizer
+                    inputs={inputs}
+                    reagent={reagent}
+                    onApply={applyOperatingPoint}
+                    onClose={() => setIsOperatingVisible(false)}
+                />
+            )}
+            {compareScenarios && <ScenarioCompare scenarios={compareScenarios} onClose={() => setCompareScenarios(null)} />}
+            {isValidationVisible && <ModelValidation onClose={() => setIsValidationVisible(false)} />}
+            {isSweepVisible && (
+                <SweepMap
+                    inputs={inputs}
+                    reagent={reagent}
+                    vPercent={results ? results.v_percent : V_PERCENT_RANGE.guess}
+                    onClose={() => setIsSweepVisible(false)}
+                />
+            )}
+            {isReconcileVisible && (
+                <PlantReconciliation
+                    inputs={inputs}
+                    reagent={reagent}
+                    onApply={applyReconciledEfficiencies}
+                    onClose={() => setIsReconcileVisible(false)}
+                />
+            )}
             <div className="max-w-7xl mx-auto">
                 <header className="flex flex-col md:flex-row justify-between items-center mb-8 pb-4 border-b border-gray-700">
                     <div>
-                        <h1 className="text-3xl font-bold text-cyan-400">بهینه‌ساز فرآیند استخراج حلالی مس</h1>
-                        <p className="text-gray-400 mt-1">ابزار شبیه‌سازی و بهینه‌سازی بر اساس مدل نیمه‌تجربی</p>
-                        <p className="text-gray-500 mt-2 text-sm">طراح: میلاد جهانی</p>
+                        <h1 className="text-3xl font-bold text-cyan-400">{t('بهینه‌ساز فرآیند استخراج حلالی مس')}</h1>
+                        <p className="text-gray-400 mt-1">{t('ابزار شبیه‌سازی و بهینه‌سازی بر اساس مدل نیمه‌تجربی')}</p>
+                        <p className="text-gray-500 mt-2 text-sm">{t('طراح: میلاد جهانی')}</p>
+                        <div className="flex flex-wrap items-center gap-3 mt-3 text-sm text-gray-400">
+                            <label className="flex items-center gap-1">
+                                {t('زبان')}
+                                <select value={locale} onChange={(e) => updatePreferences({ locale: e.target.value })} className={preferenceClass}>
+                                    {LOCALES.map(code => <option key={code} value={code}>{LOCALE_NAMES[code]}</option>)}
+                                </select>
+                            </label>
+                            {Object.entries(UNIT_OPTIONS).map(([quantity, options]) => (
+                                <label key={quantity} className="flex items-center gap-1">
+                                    {t(UNIT_QUANTITY_LABELS[quantity])}
+                                    <select value={units[quantity]} onChange={(e) => updatePreferences({ units: { [quantity]: e.target.value } })} className={preferenceClass}>
+                                        {options.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
                     </div>
-                    <div className="flex items-center space-x-2 mt-4 md:mt-0">
+                    <div className="flex flex-wrap items-center gap-2 mt-4 md:mt-0">
                          <button onClick={() => setIsHelpVisible(true)} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
-                            <HelpCircle size={18} className="ml-2" />
-                            راهنمای برنامه
+                            <HelpCircle size={18} className="me-2" />
+                            {t('راهنمای برنامه')}
+                        </button>
+                        <button onClick={() => setIsSweepVisible(true)} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            <MapIcon size={18} className="me-2" />
+                            {t('نقشه عملکرد')}
+                        </button>
+                        <button onClick={() => setIsReconcileVisible(true)} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            <Factory size={18} className="me-2" />
+                            {t('تطبیق با داده‌های واحد')}
+                        </button>
+                        <button onClick={() => setIsOperatingVisible(true)} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            <Target size={18} className="me-2" />
+                            {t('بهینه‌سازی چندهدفه')}
+                        </button>
+                        <button onClick={() => setIsValidationVisible(true)} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            <ShieldCheck size={18} className="me-2" />
+                            {t('اعتبارسنجی مدل')}
                         </button>
                         <button 
                             onClick={exportToExcel} 
                             disabled={!results} 
                             className="flex items-center bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg transition-colors"
                         >
-                            <FileDown size={18} className="ml-2" />
-                            خروجی اکسل
+                            <FileDown size={18} className="me-2" />
+                            {t('خروجی اکسل')}
                         </button>
-                         <button onClick={runSolver} className="flex items-center bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
-                            {isLoading ? <RefreshCw size={18} className="ml-2 animate-spin" /> : <Settings size={18} className="ml-2" />}
-                            {isLoading ? 'در حال محاسبه...' : 'محاسبه'}
+                        <button
+                            onClick={printReport}
+                            disabled={!results || isLoading}
+                            className="flex items-center bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg transition-colors"
+                        >
+                            <Printer size={18} className="me-2" />
+                            {t('گزارش چاپی')}
                         </button>
+                        {isLoading ? (
+                            <button onClick={cancelSolver} className="flex items-center bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                                <XCircle size={18} className="me-2" />
+                                {t('لغو محاسبه')}
+                            </button>
+                        ) : (
+                            <button
+                                onClick={() => runSolver()}
+                                disabled={!validation.valid}
+                                title={validation.valid ? undefined : t('ابتدا خطاهای ورودی را برطرف کنید.')}
+                                className="flex items-center bg-cyan-600 hover:bg-cyan-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg transition-colors"
+                            >
+                                <Settings size={18} className="me-2" />
+                                {t('محاسبه')}
+                            </button>
+                        )}
                     </div>
                 </header>
 
                 <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                     {/* Input Panel */}
                     <div className="lg:col-span-1 bg-gray-800 p-6 rounded-xl shadow-lg">
-                        <h2 className="text-xl font-semibold mb-4 text-cyan-400 flex items-center"><Settings size={20} className="ml-2"/> پارامترهای ورودی</h2>
+                        <h2 className="text-xl font-semibold mb-4 text-cyan-400 flex items-center"><Settings size={20} className="me-2"/> {t('پارامترهای ورودی')}</h2>
                         <div className="space-y-4">
+                            {!validation.valid && (
+                                <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm">
+                                    <p className="font-bold mb-1">{t('تا رفع این خطاها محاسبه انجام نمی‌شود:')}</p>
+                                    <ul className="list-disc list-inside space-y-0.5">
+                                        {validation.errors.map(issue => <li key={describeIssue(issue)}>{describeIssue(issue, inputLabel)}</li>)}
+                                    </ul>
+                                </div>
+                            )}
+                            <ProjectMenu onExport={exportProject} onImport={importProject} shareUrl={shareUrl} />
+                            <ScenarioManager
+                                scenarios={scenarios}
+                                onSave={handleSaveScenario}
+                                onLoad={restoreCase}
+                                onDelete={handleDeleteScenario}
+                                onCompare={setCompareScenarios}
+                            />
+                            <ReagentManager
+                                reagents={reagents}
+                                selectedId={reagent.id}
+                                onSelect={setReagentId}
+                                onSave={handleSaveReagent}
+                                onDelete={handleDeleteReagent}
+                                onCalibrate={() => setIsFitVisible(true)}
+                            />
                             {/* Extraction Inputs */}
                             <div>
-                                <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2">مرحله استخراج (Extraction)</h3>
-                                <InputRow label="جریان PLS (m³/h)" name="plsFlow" value={inputs.plsFlow} onChange={handleInputChange} />
-                                <InputRow label="مس در PLS (g/L)" name="plsCu" value={inputs.plsCu} onChange={handleInputChange} />
-                                <InputRow label="اسید در PLS (g/L)" name="plsAcid" value={inputs.plsAcid} onChange={handleInputChange} />
-                                <InputRow label="درصد بارگذاری ماکزیمم (%)" name="percentageML" value={inputs.percentageML} onChange={handleInputChange} />
-                                <InputRow label="نسبت O/A" name="o_a_ex" value={inputs.o_a_ex} onChange={handleInputChange} />
-                                <InputRow label="بازدهی مرحله E1 (%)" name="effE1" value={inputs.effE1} onChange={handleInputChange} />
-                                <InputRow label="بازدهی مرحله E2 (%)" name="effE2" value={inputs.effE2} onChange={handleInputChange} />
+                                <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2">{t('مرحله استخراج (Extraction)')}</h3>
+                                <InputRow label={inputLabel('plsFlow')} name="plsFlow" value={displayValue('plsFlow')} onChange={handleInputChange} issue={validation.fields.plsFlow} />
+                                <InputRow label={inputLabel('plsCu')} name="plsCu" value={displayValue('plsCu')} onChange={handleInputChange} issue={validation.fields.plsCu} />
+                                <InputRow label={inputLabel('plsAcid')} name="plsAcid" value={displayValue('plsAcid')} onChange={handleInputChange} issue={validation.fields.plsAcid} />
+                                <InputRow label={t('{label}، اختیاری', { label: inputLabel('plsFe') })} name="plsFe" value={displayValue('plsFe')} onChange={handleInputChange} issue={validation.fields.plsFe} />
+                                {!hasTankhouse(inputs) && <InputRow label={t('درصد بارگذاری ماکزیمم (%)')} name="percentageML" value={inputs.percentageML} onChange={handleInputChange} issue={validation.fields.percentageML} />}
+                                <InputRow label={t('نسبت O/A')} name="o_a_ex" value={inputs.o_a_ex} onChange={handleInputChange} issue={validation.fields.o_a_ex} />
+                                <InputRow label={t('تعداد مراحل سری')} name="stagesE" value={inputs.stagesE} onChange={handleInputChange} step="1" min="1" max={MAX_STAGES} issue={validation.fields.stagesE} />
+                                <SelectRow label={t('آرایش مدار')} name="layoutE" value={inputs.layoutE} onChange={handleSelectChange} options={[
+                                    { value: 'series', label: t('سری') },
+                                    { value: 'series-parallel', label: t('سری-موازی (+E1P)') },
+                                ]} />
+                                {inputs.layoutE === 'series-parallel' && <InputRow label={t('سهم PLS به E1P (%)')} name="parallelSplit" value={inputs.parallelSplit} onChange={handleInputChange} issue={validation.fields.parallelSplit} />}
+                                {extractionStages(inputs).map(stage => (
+                                    <InputRow key={stage.effKey} label={inputLabel(stage.effKey)} name={stage.effKey} value={stageEfficiency(inputs, stage)} onChange={handleInputChange} issue={validation.fields[stage.effKey]} />
+                                ))}
                             </div>
                             {/* Stripping Inputs */}
                             <div>
-                                <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2">مرحله استریپینگ (Stripping)</h3>
-                                <InputRow label="مس در الکترولیت مصرفی (g/L)" name="spCu" value={inputs.spCu} onChange={handleInputChange} />
-                                <InputRow label="اسید در الکترولیت مصرفی (g/L)" name="spAcid" value={inputs.spAcid} onChange={handleInputChange} />
-                                <InputRow label="مس در الکترولیت پیشرفته (g/L)" name="adCu" value={inputs.adCu} onChange={handleInputChange} />
-                                <InputRow label="بازدهی مرحله S1 (%)" name="effS1" value={inputs.effS1} onChange={handleInputChange} />
-                                <InputRow label="بازدهی مرحله S2 (%)" name="effS2" value={inputs.effS2} onChange={handleInputChange} />
+                                <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2">{t('مرحله استریپینگ (Stripping)')}</h3>
+                                {!hasTankhouse(inputs) && <InputRow label={inputLabel('spCu')} name="spCu" value={displayValue('spCu')} onChange={handleInputChange} issue={validation.fields.spCu} />}
+                                <InputRow label={inputLabel('spAcid')} name="spAcid" value={displayValue('spAcid')} onChange={handleInputChange} issue={validation.fields.spAcid} />
+                                <InputRow label={inputLabel('adCu')} name="adCu" value={displayValue('adCu')} onChange={handleInputChange} issue={validation.fields.adCu} />
+                                {inputs.plsFe > 0 && <InputRow label={inputLabel('electrolyteFe')} name="electrolyteFe" value={displayValue('electrolyteFe')} onChange={handleInputChange} issue={validation.fields.electrolyteFe} />}
+                                <InputRow label={t('تعداد مراحل')} name="stagesS" value={inputs.stagesS} onChange={handleInputChange} step="1" min="1" max={MAX_STAGES} issue={validation.fields.stagesS} />
+                                {strippingStages(inputs).map(stage => (
+                                    <InputRow key={stage.effKey} label={inputLabel(stage.effKey)} name={stage.effKey} value={stageEfficiency(inputs, stage)} onChange={handleInputChange} issue={validation.fields[stage.effKey]} />
+                                ))}
+                            </div>
+                            {/* Electrowinning tankhouse */}
+                            <div>
+                                <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2">{t('تانک‌هاوس الکترووینینگ (اختیاری)')}</h3>
+                                <InputRow label={t('تعداد سلول‌ها')} name="ewCells" value={inputs.ewCells} onChange={handleInputChange} step="1" min="0" issue={validation.fields.ewCells} />
+                                {hasTankhouse(inputs) && (
+                                    <>
+                                        <InputRow label={t('کاتد در هر سلول')} name="ewCathodesPerCell" value={inputs.ewCathodesPerCell} onChange={handleInputChange} step="1" min="1" issue={validation.fields.ewCathodesPerCell} />
+                                        <InputRow label={t('سطح رسوب هر کاتد (m²)')} name="ewCathodeArea" value={inputs.ewCathodeArea} onChange={handleInputChange} issue={validation.fields.ewCathodeArea} />
+                                        <InputRow label={t('دانسیته جریان (A/m²)')} name="ewCurrentDensity" value={inputs.ewCurrentDensity} onChange={handleInputChange} step="1" issue={validation.fields.ewCurrentDensity} />
+                                        <InputRow label={t('راندمان جریان (%)')} name="ewCurrentEfficiency" value={inputs.ewCurrentEfficiency} onChange={handleInputChange} issue={validation.fields.ewCurrentEfficiency} />
+                                        <InputRow label={t('ولتاژ سلول (V)')} name="ewCellVoltage" value={inputs.ewCellVoltage} onChange={handleInputChange} issue={validation.fields.ewCellVoltage} />
+                                        <InputRow label={inputLabel('ewFlow')} name="ewFlow" value={displayValue('ewFlow')} onChange={handleInputChange} issue={validation.fields.ewFlow} />
+                                        <p className="text-xs text-gray-400 mt-1">{t('مس الکترولیت مصرفی و درصد بارگذاری LO از موازنه تانک‌هاوس محاسبه می‌شوند.')}</p>
+                                    </>
+                                )}
+                            </div>
+                            {/* Entrainment and wash stage */}
+                            <div>
+                                <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2">{t('ماند محلول و شستشو (اختیاری)')}</h3>
+                                <InputRow label={t('ماند آبی در LO (ppm)')} name="entrainmentE" value={inputs.entrainmentE} onChange={handleInputChange} issue={validation.fields.entrainmentE} />
+                                {inputs.entrainmentE > 0 && (
+                                    <>
+                                        <InputRow label={inputLabel('plsMn')} name="plsMn" value={displayValue('plsMn')} onChange={handleInputChange} issue={validation.fields.plsMn} />
+                                        <InputRow label={inputLabel('plsCl')} name="plsCl" value={displayValue('plsCl')} onChange={handleInputChange} issue={validation.fields.plsCl} />
+                                        <SelectRow label={t('مرحله شستشو')} name="washStage" value={inputs.washStage} onChange={handleSelectChange} options={[
+                                            { value: 'none', label: t('ندارد') },
+                                            { value: 'wash', label: t('دارد (W)') },
+                                        ]} />
+                                        {inputs.washStage === 'wash' && (
+                                            <>
+                                                <InputRow label={t('نسبت O/A شستشو')} name="o_a_w" value={inputs.o_a_w} onChange={handleInputChange} issue={validation.fields.o_a_w} />
+                                                <InputRow label={t('بازدهی شستشو (%)')} name="effW" value={inputs.effW} onChange={handleInputChange} issue={validation.fields.effW} />
+                                                <InputRow label={t('ماند آبی پس از شستشو (ppm)')} name="entrainmentW" value={inputs.entrainmentW} onChange={handleInputChange} issue={validation.fields.entrainmentW} />
+                                            </>
+                                        )}
+                                    </>
+                                )}
                             </div>
                         </div>
                     </div>
 
                     {/* Results and Charts */}
                     <div className="lg:col-span-2">
-                         {!initialRun && <div className="flex flex-col justify-center items-center h-96 bg-gray-800 rounded-xl text-center"><Settings size={48} className="text-cyan-500 mb-4" /><h3 className="text-xl text-gray-300">آماده برای بهینه‌سازی</h3><p className="text-gray-400 mt-2">مقادیر ورودی را تنظیم کرده و روی دکمه "محاسبه" کلیک کنید.</p></div>}
-                         {isLoading && <div className="flex justify-center items-center h-96 bg-gray-800 rounded-xl"><div className="text-cyan-400 text-lg">در حال انجام محاسبات پیچیده...</div></div>}
-                         {error && <div className="flex justify-center items-center h-96 bg-red-900/50 text-red-300 p-4 rounded-xl">{error}</div>}
+                         {!initialRun && <div className="flex flex-col justify-center items-center h-96 bg-gray-800 rounded-xl text-center"><Settings size={48} className="text-cyan-500 mb-4" /><h3 className="text-xl text-gray-300">{t('آماده برای بهینه‌سازی')}</h3><p className="text-gray-400 mt-2">{t('مقادیر ورودی را تنظیم کرده و روی دکمه "محاسبه" کلیک کنید.')}</p></div>}
+                         {isLoading && <SolverProgress progress={progress} onCancel={cancelSolver} />}
+                         {error && (
+                            <div className="space-y-8">
+                                <div className="flex justify-center items-center h-96 bg-red-900/50 text-red-300 p-4 rounded-xl">{error}</div>
+                                <DiagnosticsPanel diagnostics={errorDiagnostics} defaultOpen />
+                            </div>
+                         )}
                          {results && !isLoading && !error && (
                             <div className="space-y-8">
-                                <ResultsSummary results={results} />
+                                <ResultsSummary results={results} units={units} />
+                                <PlantBalanceSummary plant={results.plant} units={units} />
+                                {results.tankhouse && <TankhouseSummary tankhouse={results.tankhouse} units={units} />}
+                                {results.iron && <IronBalanceSummary iron={results.iron} units={units} />}
+                                {results.entrainment && <EntrainmentSummary entrainment={results.entrainment} units={units} />}
                                 <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
-                                    <ChartCard title="نمودار McCabe-Thiele: استخراج" data={results.extraction.mccabeThiele} />
-                                    <ChartCard title="نمودار McCabe-Thiele: استریپینگ" data={results.stripping.mccabeThiele} />
+                                    <McCabeChart title={t('نمودار McCabe-Thiele: استخراج ({circuit})', { circuit: results.circuit })} subtitle={results.reagent.name} results={results} inputs={solvedCase?.inputs} section="extraction" units={units} />
+                                    <McCabeChart title={t('نمودار McCabe-Thiele: استریپینگ')} subtitle={results.reagent.name} results={results} inputs={solvedCase?.inputs} section="stripping" units={units} />
                                 </div>
+                                <EconomicsPanel results={results} scenarios={scenarios} economics={economics} onChange={updateEconomics} />
+                                {solvedCase && (
+                                    <SensitivityPanel
+                                        inputs={solvedCase.inputs}
+                                        reagent={solvedCase.reagent}
+                                        analysis={sensitivity}
+                                        onAnalysis={setSensitivity}
+                                    />
+                                )}
+                                {solvedCase && (
+                                    <MonteCarloPanel
+                                        inputs={solvedCase.inputs}
+                                        reagent={solvedCase.reagent}
+                                        analysis={monteCarlo}
+                                        onAnalysis={setMonteCarlo}
+                                    />
+                                )}
+                                {solvedCase && (
+                                    <DynamicPanel
+                                        inputs={solvedCase.inputs}
+                                        reagent={solvedCase.reagent}
+                                        analysis={dynamic}
+                                        onAnalysis={setDynamic}
+                                    />
+                                )}
+                                <DiagnosticsPanel diagnostics={results.diagnostics} />
                             </div>
                          )}
                     </div>
@@ -251,32 +814,52 @@ const HelpModal = ({ onClose }) => {
         <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
             <div className="bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
                 <div className="flex justify-between items-center mb-4">
-                    <h2 className="text-2xl font-bold text-cyan-400">راهنمای برنامه</h2>
+                    <h2 className="text-2xl font-bold text-cyan-400">{t('راهنمای برنامه')}</h2>
                     <button onClick={onClose} className="text-gray-400 hover:text-white">
                         <X size={24} />
                     </button>
                 </div>
-                <div className="space-y-4 text-gray-300 text-right">
-                    <p>با سلام، من، **میلاد جهانی**، این برنامه را به عنوان یک ابزار مهندسی برای شبیه‌سازی و بهینه‌سازی مدارهای استخراج حلالی مس (SX) طراحی کرده‌ام. هسته محاسباتی آن بر اساس یک مدل معتبر نیمه‌تجربی برای استخراج‌کننده Lix984N پیاده‌سازی شده است.</p>
+                <div className="space-y-4 text-gray-300 text-start">
+                    <p>{t('با سلام، من، **میلاد جهانی**، این برنامه را به عنوان یک ابزار مهندسی برای شبیه‌سازی و بهینه‌سازی مدارهای استخراج حلالی مس (SX) طراحی کرده‌ام. هسته محاسباتی آن بر اساس یک مدل معتبر نیمه‌تجربی برای استخراج‌کننده Lix984N پیاده‌سازی شده است.')}</p>
                     
-                    <h3 className="text-lg font-semibold text-cyan-500 pt-2 border-t border-gray-700">نحوه کار</h3>
-                    <p>هدف اصلی من از طراحی این برنامه، ایجاد ابزاری بود که با دریافت پارامترهای ورودی مدار، مقدار بهینه **درصد استخراج‌کننده (V%)** را به گونه‌ای محاسبه کند که مدار به پایدارترین حالت خود برسد. این پایداری بر اساس شرط برابری غلظت مس در فاز آلی ورودی و خروجی مدار (`SO_extraction = SO_stripping`) تعریف شده است. سپس تمام پارامترهای عملکردی مدار بر اساس این مقدار بهینه محاسبه و نمایش داده می‌شود.</p>
-
-                    <h3 className="text-lg font-semibold text-cyan-500 pt-2 border-t border-gray-700">پارامترهای ورودی</h3>
-                    <ul className="list-disc list-inside space-y-2 pr-4">
-                        <li><strong className="text-gray-100">جریان PLS:</strong> دبی محلول باردار حامل مس ورودی به مدار.</li>
-                        <li><strong className="text-gray-100">مس و اسید در PLS:</strong> غلظت مس و اسید سولفوریک در محلول ورودی.</li>
-                        <li><strong className="text-gray-100">درصد بارگذاری ماکزیمم (%ML):</strong> درصدی از حداکثر ظرفیت بارگذاری فاز آلی که در عمل به آن می‌رسیم. این پارامتر برای کنترل میزان استخراج آهن اهمیت دارد.</li>
-                        <li><strong className="text-gray-100">نسبت O/A:</strong> نسبت فاز آلی به آبی در مرحله استخراج.</li>
-                        <li><strong className="text-gray-100">بازدهی مراحل (Eff):</strong> بازدهی هر مرحله میکسر-ستر در رسیدن به تعادل.</li>
-                        <li><strong className="text-gray-100">مس و اسید در الکترولیت:</strong> غلظت‌های ورودی و خروجی مدار تانک‌هاوس الکترووینینگ.</li>
+                    <h3 className="text-lg font-semibold text-cyan-500 pt-2 border-t border-gray-700">{t('نحوه کار')}</h3>
+                    <p>{t('هدف اصلی من از طراحی این برنامه، ایجاد ابزاری بود که با دریافت پارامترهای ورودی مدار، مقدار بهینه **درصد استخراج‌کننده (V%)** را به گونه‌ای محاسبه کند که مدار به پایدارترین حالت خود برسد. این پایداری بر اساس شرط برابری غلظت مس در فاز آلی ورودی و خروجی مدار (`SO_extraction = SO_stripping`) تعریف شده است. سپس تمام پارامترهای عملکردی مدار بر اساس این مقدار بهینه محاسبه و نمایش داده می‌شود.')}</p>
+
+                    <h3 className="text-lg font-semibold text-cyan-500 pt-2 border-t border-gray-700">{t('پارامترهای ورودی')}</h3>
+                    <ul className="list-disc list-inside space-y-2 ps-4">
+                        <li><strong className="text-gray-100">{t('جریان PLS:')}</strong> {t('دبی محلول باردار حامل مس ورودی به مدار.')}</li>
+                        <li><strong className="text-gray-100">{t('مس و اسید در PLS:')}</strong> {t('غلظت مس و اسید سولفوریک در محلول ورودی.')}</li>
+                        <li><strong className="text-gray-100">{t('درصد بارگذاری ماکزیمم (%ML):')}</strong> {t('درصدی از حداکثر ظرفیت بارگذاری فاز آلی که در عمل به آن می‌رسیم. این پارامتر برای کنترل میزان استخراج آهن اهمیت دارد: هرچه فاز آلی به بارگذاری ماکزیمم نزدیک‌تر باشد، ظرفیت آزاد کمتری برای آهن می‌ماند و گزینش‌پذیری Cu:Fe بهتر می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('نسبت O/A:')}</strong> {t('نسبت فاز آلی به آبی در مرحله استخراج.')}</li>
+                        <li><strong className="text-gray-100">{t('بازدهی مراحل (Eff):')}</strong> {t('بازدهی هر مرحله میکسر-ستر در رسیدن به تعادل.')}</li>
+                        <li><strong className="text-gray-100">{t('استخراج‌کننده:')}</strong> {t('ضرایب ایزوترم مدل. Lix984N به عنوان پیش‌فرض موجود است و می‌توان بر اساس آن استخراج‌کننده‌های دیگر (مانند مخلوط‌های آلدوکسیم/کتوکسیم) را با ضرایب استخراج و استریپینگ خودشان تعریف کرد. این تعاریف در مرورگر ذخیره می‌شوند و نام استخراج‌کننده در نتایج، نمودارها و خروجی اکسل ثبت می‌شود. با «کالیبراسیون با داده آزمایشگاهی» می‌توان ضرایب e و f استخراج یا استریپینگ را از نقاط تعادلی آزمایش‌های shake-out (چسباندن جدول، CSV یا XLSX) برازش کرد و نتیجه را مستقیماً در بهینه‌سازی به کار برد.')}</li>
+                        <li><strong className="text-gray-100">{t('آرایش مدار:')}</strong> {t('تعداد مراحل سری استخراج و استریپینگ (1 تا 4) و در صورت نیاز یک مرحله موازی E1P. در آرایش سری-موازی، PLS بین E1 و E1P تقسیم می‌شود و فاز آلی استریپ‌شده ابتدا وارد E1P و سپس به ترتیب وارد مراحل سری می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('مس و اسید در الکترولیت:')}</strong> {t('غلظت‌های ورودی و خروجی مدار تانک‌هاوس الکترووینینگ.')}</li>
                     </ul>
 
-                    <h3 className="text-lg font-semibold text-cyan-500 pt-2 border-t border-gray-700">تفسیر نتایج</h3>
-                    <ul className="list-disc list-inside space-y-2 pr-4">
-                        <li><strong className="text-gray-100">انتقال خالص مس:</strong> یکی از مهم‌ترین پارامترهای اقتصادی که نشان می‌دهد به ازای هر درصد از استخراج‌کننده، چه مقدار مس به مدار الکترووینینگ منتقل می‌شود.</li>
-                        <li><strong className="text-gray-100">بازیابی (Recovery):</strong> درصد مس استخراج شده از PLS و درصد مس استریپ شده از فاز آلی را نشان می‌دهد.</li>
-                        <li><strong className="text-gray-100">نمودارهای McCabe-Thiele:</strong> این نمودارها به صورت بصری عملکرد مدار را نمایش می‌دهند. "منحنی تعادل" حداکثر انتقال ممکن را نشان می‌دهد و "خط عملیاتی" عملکرد واقعی مدار را. تعداد پله‌ها بین این دو خط، تعداد مراحل تئوری مورد نیاز برای رسیدن به جداسازی مطلوب را نشان می‌دهد.</li>
+                    <h3 className="text-lg font-semibold text-cyan-500 pt-2 border-t border-gray-700">{t('تفسیر نتایج')}</h3>
+                    <ul className="list-disc list-inside space-y-2 ps-4">
+                        <li><strong className="text-gray-100">{t('انتقال خالص مس:')}</strong> {t('یکی از مهم‌ترین پارامترهای اقتصادی که نشان می‌دهد به ازای هر درصد از استخراج‌کننده، چه مقدار مس به مدار الکترووینینگ منتقل می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('موازنه جرم کارخانه:')}</strong> {t('با استفاده از جریان PLS، جریان فاز آلی (O/A × جریان PLS)، جریان الکترولیت پیشرفته (از O/A استریپینگ)، تولید روزانه مس و اسید تولیدی در استخراج و مصرفی در استریپینگ (۱٫۵۴ کیلوگرم اسید به ازای هر کیلوگرم مس) محاسبه می‌شود. از ماند محلول (entrainment) و تبخیر صرف‌نظر شده است.')}</li>
+                        <li><strong className="text-gray-100">{t('تانک‌هاوس الکترووینینگ:')}</strong> {t('با وارد کردن تعداد سلول‌ها، مس رسوب‌داده‌شده از تعداد و سطح کاتدها، دانسیته جریان و راندمان جریان (قانون فارادی) محاسبه می‌شود. الکترولیت با جریان تعیین‌شده بین استریپینگ و سلول‌ها می‌چرخد، پس مس الکترولیت مصرفی نتیجه رسوب است؛ بارگذاری LO با مرحله استریپینگ تکرار می‌شود تا همان مس رسوب‌داده‌شده به الکترولیت برسد و V% طوری تعیین می‌شود که استخراج نیز همین مقدار مس را تأمین کند. برای پاسخ به اینکه این PLS چه دانسیته جریانی را پشتیبانی می‌کند، دانسیته جریان را در نقشه دوپارامتری جاروب کنید.')}</li>
+                        <li><strong className="text-gray-100">{t('ماند محلول و شستشو:')}</strong> {t('با وارد کردن ماند آبی در فاز آلی باردار (ppm حجمی)، آهن، منگنز و کلرید همراه قطرات PLS به الکترولیت منتقل می‌شوند. مرحله شستشوی اختیاری (W) با نسبت O/A و بازدهی خودش بخشی از این قطرات را با آب تازه جایگزین می‌کند؛ انتقال ناخالصی‌ها با و بدون شستشو کنار هم نمایش داده می‌شود، آهن همراه ماند به انتقال آهن و جریان بلید افزوده می‌شود و جزئیات در برگه «ماند و شستشو» خروجی اکسل ثبت می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('آهن و بلید:')}</strong> {t('با وارد کردن آهن PLS، بارگذاری آهن روی فاز آلی متناسب با آهن PLS و ظرفیت آزاد استخراج‌کننده (ML − LO) محاسبه می‌شود؛ آهن در استریپینگ کامل به الکترولیت منتقل می‌شود. نسبت انتقال Cu:Fe و جریان بلید لازم برای ثابت ماندن آهن الکترولیت در حد تعیین‌شده (و مس همراه آن) نمایش داده و در برگه موازنه جرم خروجی اکسل ثبت می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('بازیابی (Recovery):')}</strong> {t('درصد مس استخراج شده از PLS و درصد مس استریپ شده از فاز آلی را نشان می‌دهد.')}</li>
+                        <li><strong className="text-gray-100">{t('نمودارهای McCabe-Thiele:')}</strong> {t('"منحنی تعادل" حداکثر انتقال ممکن و "خط عملیاتی" موازنه جرم مدار را نشان می‌دهد. پله‌های زرد، مراحل واقعی مدار با بازدهی هر مرحله هستند (A و C روی خط عملیاتی، B خروجی واقعی مرحله و D نقطه تعادل)؛ با نگه داشتن ماوس روی نشانگر هر مرحله، نقاط A/B/C/D آن نمایش داده می‌شود. پله‌های صورتی خط‌چین، پله‌های ایده‌آل (بازدهی ۱۰۰٪) بین خط عملیاتی و منحنی تعادل هستند و تعداد مراحل تئوری لازم برای رافینت یا SO فعلی، یا برای مقدار هدفی که وارد می‌کنید (با همان LO و خوراک)، زیر نمودار نوشته می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('بهینه‌سازی چندهدفه:')}</strong> {t('به جای ثابت نگه داشتن همه ورودی‌ها، نسبت O/A، درصد ML و غلظت مس الکترولیت پیشرفته/مصرفی در بازه‌های تعیین‌شده تغییر داده می‌شوند تا بازیابی استخراج یا انتقال خالص مس بیشینه یا مصرف استخراج‌کننده (V% × جریان فاز آلی) کمینه شود. برای هر نقطه، V% همچنان از شرط سازگاری SO حل می‌شود و قیدهای حداقل بازیابی و حداکثر مس رافینت رعایت می‌شوند. با انتخاب دو هدف، جبهه پارتو (روش قید-اپسیلون) رسم می‌شود تا نقطه کار با آگاهی از مصالحه بین دو هدف انتخاب شود.')}</li>
+                        <li><strong className="text-gray-100">{t('تحلیل حساسیت:')}</strong> {t('پس از محاسبه، هر ورودی به تنهایی به اندازه ± درصد انتخابی تغییر داده می‌شود و V% بهینه دوباره حل می‌شود. نمودار گردبادی (tornado) ورودی‌ها را به ترتیب اثر بر V%، بازیابی استخراج یا انتقال خالص مس مرتب می‌کند و نتایج در برگه «حساسیت» خروجی اکسل نیز ثبت می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('تحلیل عدم قطعیت (مونت کارلو):')}</strong> {t('برای ورودی‌های نامطمئن (مانند آنالیزها و بازدهی مراحل) توزیع نرمال (با حدود اختیاری)، مثلثی یا یکنواخت تعریف می‌شود. در هر نمونه مقادیر به طور تصادفی انتخاب و V% بهینه دوباره حل می‌شود؛ هیستوگرام و مقادیر P10/P50/P90 برای V%، بازیابی استخراج، انتقال خالص مس و مس رافینت به همراه سهم نمونه‌هایی که حل نشدند نمایش داده می‌شود. با بذر (seed) یکسان نتایج تکرارپذیرند و همه نمونه‌ها در برگه «مونت کارلو» خروجی اکسل ثبت می‌شوند.')}</li>
+                        <li><strong className="text-gray-100">{t('شبیه‌سازی دینامیک:')}</strong> {t('پس از محاسبه، مدار از حالت پایدار با V% ثابت شروع می‌شود و پاسخ آن به تغییرات پله‌ای یا شیب‌دار مس، اسید یا دبی PLS در طول زمان محاسبه می‌شود. حجم ماند هر مرحله (میکسر و ستلر) و مخازن LO و الکترولیت از زمان‌های ماند واردشده به دست می‌آید؛ روند LO، SO، مس رافینت و مس الکترولیت پیشرفته رسم می‌شود و همه نقاط در برگه «شبیه‌سازی دینامیک» خروجی اکسل ثبت می‌شوند.')}</li>
+                        <li><strong className="text-gray-100">{t('نقشه عملکرد:')}</strong> {t('دو ورودی دلخواه (یا خود V%) در بازه و تعداد نقاط انتخابی جاروب می‌شوند و خروجی‌هایی مانند بازیابی، انتقال خالص مس یا مس رافینت به صورت نقشه رنگی با خطوط تراز نمایش داده می‌شوند. خط صورتی نقاط سازگار با شرط SO را نشان می‌دهد و خانه‌هایی که مدل در آن‌ها جواب ندارد هاشور خورده‌اند.')}</li>
+                        <li><strong className="text-gray-100">{t('سناریوها:')}</strong> {t('حالت فعلی (ورودی‌ها، استخراج‌کننده و آخرین نتیجه) را می‌توان با یک نام در مرورگر ذخیره کرد و بعداً بارگذاری نمود. با انتخاب چند سناریو و «مقایسه»، خلاصه نتایج، نمودارهای McCabe-Thiele روی هم و تفاوت ورودی‌ها (با رنگ متمایز) نمایش داده می‌شود و کل مقایسه در یک فایل اکسل قابل خروجی است.')}</li>
+                        <li><strong className="text-gray-100">{t('فایل پروژه و لینک:')}</strong> {t('«ذخیره پروژه» کل حالت (ورودی‌ها، استخراج‌کننده و نتیجه با جزئیات مراحل) را در یک فایل JSON نسخه‌دار ذخیره می‌کند و «باز کردن» آن را پس از بررسی ساختار بازیابی می‌کند؛ فایل‌های خراب، قدیمی یا ساخته‌شده با نسخه جدیدتر با پیام خطای مشخص رد می‌شوند. «کپی لینک» ورودی‌ها را در آدرس صفحه قرار می‌دهد تا با باز کردن لینک، همان حالت بازیابی و دوباره محاسبه شود.')}</li>
+                        <li><strong className="text-gray-100">{t('تطبیق با داده‌های واحد:')}</strong> {t('محاسبه معکوس مدل؛ از آنالیز جریان‌های اندازه‌گیری‌شده واحد (PLS، رافینت، LO، SO و الکترولیت)، بازدهی مراحل و V% مؤثر طوری برازش می‌شوند که مدل بهترین تطابق را با داده‌ها داشته باشد. SO اندازه‌گیری‌شده با هر دو سمت استخراج و استریپینگ مقایسه می‌شود و باقیمانده هر جریان نسبت به خطای آنالیز گزارش می‌شود. درصد ML ثابت می‌ماند، مگر آنکه بارگذاری ماکزیمم فاز آلی (ستون ml) هم اندازه‌گیری شده باشد؛ پارامترهایی که داده‌ها از هم جدا نمی‌کنند با هشدار مشخص می‌شوند. به طور پیش‌فرض یک بازدهی برای هر بخش برازش می‌شود؛ بازدهی تک‌تک مراحل به غلظت‌های بین‌مرحله‌ای نیاز دارد. با بارگذاری فایل اکسل بررسی‌های روزانه، روند بازدهی‌ها و V% در طول زمان رسم می‌شود.')}</li>
+                        <li><strong className="text-gray-100">{t('بررسی ورودی‌ها:')}</strong> {t('هر ورودی واحد و محدوده مجاز خود را دارد (مثلاً بازدهی‌ها و درصد ML بین 0 و 100، جریان‌ها مثبت، تعداد مراحل صحیح) و قواعد بین ورودی‌ها مانند بیشتر بودن مس الکترولیت پیشرفته از مصرفی نیز بررسی می‌شوند. خطاها با کادر قرمز زیر همان ورودی نمایش داده می‌شوند و تا رفع آن‌ها دکمه «محاسبه» غیرفعال است؛ مقادیر ممکن ولی غیرمعمول (مانند O/A یا ولتاژ سلول خارج از محدوده رایج) فقط با هشدار زرد مشخص می‌شوند.')}</li>
+                        <li><strong className="text-gray-100">{t('زبان و واحدها:')}</strong> {t('زبان برنامه (فارسی یا انگلیسی) و جهت صفحه از سربرگ انتخاب می‌شوند؛ پیام‌های خطای حل‌کننده، راهنما و برگه‌ها و سرستون‌های خروجی اکسل نیز به همان زبان هستند. جریان‌ها را می‌توان به m³/h یا گالن آمریکایی در دقیقه (US gpm) و غلظت‌ها را به g/L، ppm یا lb/ft³ وارد کرد و دید؛ مدل همیشه با واحدهای SI محاسبه می‌کند و تبدیل فقط در ورود و نمایش انجام می‌شود، بنابراین فایل‌های پروژه، سناریوها و خروجی اکسل همواره به واحدهای SI هستند.')}</li>
+                        <li><strong className="text-gray-100">{t('ارزیابی اقتصادی:')}</strong> {t('با قیمت استخراج‌کننده و رقیق‌کننده، سطح و عمق ستلرها، تلفات فاز آلی و تخریب استخراج‌کننده به ازای هر m³ PLS و توان همزن‌ها، هزینه سالانه و هزینه به ازای هر تن مس حالت حل‌شده محاسبه می‌شود. موجودی فاز آلی با V% بهینه به استخراج‌کننده و رقیق‌کننده تقسیم می‌شود و هزینه سرمایه آن نیز در هزینه سالانه می‌آید. حالت فعلی و سناریوهای ذخیره‌شده با نتیجه بر اساس $/t مس رتبه‌بندی می‌شوند تا بهینه اقتصادی کنار بهینه سازگاری SO دیده شود. این ورودی‌ها در مرورگر ذخیره می‌شوند.')}</li>
+                        <li><strong className="text-gray-100">{t('گزارش و تصاویر نمودار:')}</strong> {t('دکمه «گزارش چاپی» یک صفحه آماده چاپ از حالت حل‌شده باز می‌کند: ورودی‌ها، خلاصه نتایج، موازنه جرم، جدول نقاط مراحل استخراج و استریپینگ و هر دو نمودار McCabe-Thiele، با همان زبان و واحدهای نمایش. از پنجره چاپ مرورگر می‌توان آن را به PDF ذخیره کرد. هر نمودار نیز دکمه‌های SVG و PNG برای دانلود تصویر خود، همراه عنوان و راهنمای نمودار، دارد.')}</li>
+                        <li><strong className="text-gray-100">{t('اعتبارسنجی مدل:')}</strong> {t('مجموعه‌ای از موارد رگرسیون (مدار پایه با ورودی‌های جدول 17، سری-موازی، سه مرحله، بازدهی پایین، آهن و شستشو، تانک‌هاوس) که خروجی‌های مورد انتظار آن‌ها نتایج همین مدل هنگام افزودن مجموعه است، با تلرانس هر کدام. این موارد تغییر نتایج مدل را نشان می‌دهند، نه تطابق با مقادیر منتشرشده مقاله. تنها مورد مقاله، V% منتشرشده جدول 17 (17.1 با تلرانس 0.1) است؛ مدل حدود 17.34 می‌دهد، بنابراین این مورد رد می‌شود و اختلاف مدل با مقاله را نشان می‌دهد. این نمای برنامه و دستور npm test موتور هر دو همین موارد را اجرا می‌کنند و انحراف هر کمیت را نشان می‌دهند؛ موردی که خارج از تلرانس بیفتد پس از تغییر مدل پسرفت به حساب می‌آید. موارد ممیزی‌شده واحد را می‌توان به صورت فایل JSON افزود.')}</li>
+                        <li><strong className="text-gray-100">{t('جزئیات همگرایی:')}</strong> {t('حل‌کننده ابتدا بازه‌ای از V% را پیدا می‌کند که باقیمانده SO در آن تغییر علامت می‌دهد و سپس ریشه را با روش Brent دقیق می‌کند. جدول همگرایی هر ارزیابی مدل، مقدار V%، باقیمانده و نحوه حل هر مرحله را نشان می‌دهد تا علت شکست یک حالت مشخص باشد.')}</li>
                     </ul>
                 </div>
             </div>
@@ -285,293 +868,36 @@ const HelpModal = ({ onClose }) => {
 };
 
 
-// Helper component for input rows
-const InputRow = ({ label, name, value, onChange }) => (
-    <div className="grid grid-cols-2 items-center gap-x-2">
-        <label htmlFor={name} className="text-sm text-gray-400">{label}:</label>
-        <input
-            type="number"
-            id={name}
-            name={name}
-            value={value}
-            onChange={onChange}
-            className="w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-right"
-            step="0.01"
-        />
-    </div>
-);
-
-// Helper component for displaying summary results
-const ResultsSummary = ({ results }) => (
-    <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
-        <h2 className="text-xl font-semibold mb-4 text-cyan-400">خلاصه نتایج بهینه‌سازی</h2>
-        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4 text-center">
-            <ResultCard label="درصد استخراج‌کننده (V%)" value={results.v_percent.toFixed(2)} unit="%" />
-            <ResultCard label="انتقال خالص مس" value={results.stripping.netCu.toFixed(3)} unit="(g/L)/V%" />
-            <ResultCard label="بازیابی استخراج" value={results.extraction.recovery.toFixed(2)} unit="%" />
-            <ResultCard label="بازیابی استریپینگ" value={results.stripping.recovery.toFixed(2)} unit="%" />
-            <ResultCard label="بارگذاری ماکزیمم (ML)" value={results.extraction.ml.toFixed(3)} unit="g/L" />
-        </div>
-    </div>
-);
-
-const ResultCard = ({ label, value, unit }) => (
-    <div className="bg-gray-700/50 p-4 rounded-lg">
-        <div className="text-2xl font-bold text-cyan-300">{value}</div>
-        <div className="text-xs text-gray-400 mt-1">{label}</div>
-        <div className="text-xs text-gray-500">{unit}</div>
-    </div>
-);
-
-// Chart component
-const ChartCard = ({ title, data }) => (
-    <div className="bg-gray-800 p-4 rounded-xl shadow-lg h-96">
-        <h3 className="text-lg font-semibold mb-4 text-center text-cyan-400">{title}</h3>
-        <ResponsiveContainer width="100%" height="85%">
-            <LineChart margin={{ top: 5, right: 20, left: 20, bottom: 25 }}>
-                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
-                <XAxis dataKey="x" type="number" domain={['dataMin', 'dataMax']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
-                     <Label value="غلظت مس در فاز آبی (g/L)" offset={-20} position="insideBottom" fill="#A0AEC0"/>
-                </XAxis>
-                <YAxis dataKey="y" type="number" domain={['dataMin', 'dataMax + 1']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
-                    <Label value="غلظت مس در فاز آلی (g/L)" angle={-90} position="insideLeft" style={{ textAnchor: 'middle' }} fill="#A0AEC0"/>
-                </YAxis>
-                <Tooltip
-                    contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }}
-                    labelStyle={{ color: '#E2E8F0' }}
-                    formatter={(value, name) => [parseFloat(value).toFixed(3), name]}
-                />
-                <Legend wrapperStyle={{bottom: -5}}/>
-                <Line type="monotone" data={data.equilibriumCurve} dataKey="y" name="منحنی تعادل" stroke="#2dd4bf" strokeWidth={2} dot={false} />
-                <Line type="linear" data={data.operatingLine} dataKey="y" name="خط عملیاتی" stroke="#60a5fa" strokeWidth={2} dot={false} />
-                <Scatter data={data.stages} fill="#facc15" name="مراحل"/>
-            </LineChart>
-        </ResponsiveContainer>
+// Rows of the A/B/C/D points of each stage for the Excel detail sheets
+const stageDetailRows = (stages) => stages.flatMap((stage, k) => [
+    ...(k > 0 ? [[]] : []),
+    [t('A ({stage} ورودی)', { stage: stage.name }), stage.A.x.toFixed(3), stage.A.y.toFixed(3)],
+    [t('B ({stage} خروجی واقعی)', { stage: stage.name }), stage.B.x.toFixed(3), stage.B.y.toFixed(3)],
+    [t('C ({stage} ورودی آلی)', { stage: stage.name }), stage.C.x.toFixed(3), stage.C.y.toFixed(3)],
+    [t('D ({stage} تعادل)', { stage: stage.name }), stage.D.x.toFixed(3), stage.D.y.toFixed(3)],
+    [t('بازدهی مرحله {stage} (%)', { stage: stage.name }), stage.efficiency.toFixed(2), ""],
+]);
+
+// Live solver status while the worker runs
+const SolverProgress = ({ progress, onCancel }) => (
+    <div className="flex flex-col justify-center items-center h-96 bg-gray-800 rounded-xl space-y-4">
+        <RefreshCw size={36} className="text-cyan-400 animate-spin" />
+        <div className="text-cyan-400 text-lg">{t('در حال انجام محاسبات پیچیده...')}</div>
+        {progress && (
+            <div className="text-sm text-gray-400 text-center space-y-1">
+                <div>{t('ارزیابی {iteration} از حداکثر {maxIterations}', progress)}</div>
+                <div>{t('تخمین فعلی V%:')} <span className="text-cyan-300">{progress.vPercent.toFixed(3)}</span></div>
+                <div>{t('باقیمانده SO:')} <span dir="ltr">{isFinite(progress.residual) ? progress.residual.toExponential(2) : '—'}</span></div>
+                <div className="w-64 bg-gray-700 rounded-full h-2 mt-2">
+                    <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                </div>
+            </div>
+        )}
+        <button onClick={onCancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+            <XCircle size={16} className="me-2" />
+            {t('لغو')}
+        </button>
     </div>
 );
 
-// =================================================================
-// CORE CALCULATION ENGINE
-// This part contains all the mathematical formulas from the PDF
-// =================================================================
-
-const calculateAll = (i, V_percent, solve) => {
-    try {
-        // --- Helper function to solve cubic equations (Cardan's method from PDF) ---
-        const solveCubic = (a, b, c, d) => {
-            if (Math.abs(a) < 1e-9) return; // Not a cubic equation
-            const p = c / a - (b * b) / (3 * a * a);
-            const q = (2 * b * b * b) / (27 * a * a * a) - (b * c) / (3 * a * a) + d / a;
-            
-            const term1 = q / 2;
-            const term2 = (q * q) / 4 + (p * p * p) / 27;
-
-            if (term2 >= 0) {
-                const sqrt_term2 = Math.sqrt(term2);
-                const u = Math.cbrt(-term1 + sqrt_term2);
-                const v = Math.cbrt(-term1 - sqrt_term2);
-                return u + v - b / (3 * a);
-            } else {
-                const r = Math.sqrt(-(p*p*p)/27);
-                const phi = Math.acos(-q / (2 * r));
-                const root1 = 2 * Math.cbrt(r) * Math.cos(phi/3) - b/(3*a);
-                return root1;
-            }
-        };
-        
-        // --- Extraction Calculation ---
-        const extraction = (() => {
-            const constants = {
-                a_ex: i.plsAcid + 1.54 * i.plsCu,
-                b_ex: -1.54,
-                c_ex: 3.303 * V_percent,
-                d_ex: -3.0842,
-                e_ex: -25.698 * Math.pow(V_percent, -1.704),
-                f_ex: 10.663 * Math.pow(V_percent, -0.608),
-            };
-
-            const getCu_or_from_Cu_aq = (Cu_aq) => {
-                if (Cu_aq <= 0) return 0;
-                const g_ex = Math.pow(constants.a_ex + constants.b_ex * Cu_aq, 2) / Cu_aq;
-                const alpha_ex = (2 * constants.c_ex * constants.d_ex * constants.e_ex + Math.pow(constants.d_ex, 2) * constants.f_ex) / (Math.pow(constants.d_ex, 2) * constants.e_ex);
-                const lambda_ex = (2 * constants.c_ex * constants.d_ex * constants.f_ex + Math.pow(constants.c_ex, 2) * constants.e_ex - g_ex) / (Math.pow(constants.d_ex, 2) * constants.e_ex);
-                const epsilon_ex = (constants.f_ex * Math.pow(constants.c_ex, 2)) / (Math.pow(constants.d_ex, 2) * constants.e_ex);
-                
-                const Y = solveCubic(1, alpha_ex, lambda_ex, epsilon_ex);
-                return Y;
-            };
-            
-            const getCu_aq_from_Cu_or = (Cu_or) => {
-                if (Cu_or <= 0) return 0;
-                const h_ex = ((constants.e_ex * Cu_or + constants.f_ex) * Math.pow(constants.c_ex + constants.d_ex * Cu_or, 2)) / Cu_or;
-                const a = Math.pow(constants.b_ex, 2);
-                const b = 2 * constants.a_ex * constants.b_ex - h_ex;
-                const c = Math.pow(constants.a_ex, 2);
-                const discriminant = b*b - 4*a*c;
-                if (discriminant < 0) return null;
-                return (h_ex - 2*constants.a_ex*constants.b_ex - Math.sqrt(discriminant)) / (2*a);
-            };
-
-            const ml = getCu_or_from_Cu_aq(i.plsCu);
-            const lo = ml * (i.percentageML / 100);
-
-            // Stage 1
-            const Y_out_E1 = lo;
-            const X_in_E1 = i.plsCu;
-            const stage1_solver_func = (X_out_guess) => {
-                const Y_eq = getCu_or_from_Cu_aq(X_out_guess);
-                const Y_in = Y_out_E1 - (X_in_E1 - X_out_guess) / i.o_a_ex;
-                return (Y_out_E1 - Y_in) - (i.effE1 / 100) * (Y_eq - Y_in);
-            };
-            const X_out_E1 = solve(stage1_solver_func, X_in_E1 * 0.3, 1e-7, 100);
-            const Y_in_E1 = Y_out_E1 - (X_in_E1 - X_out_E1) / i.o_a_ex;
-
-            // Stage 2
-            const Y_out_E2 = Y_in_E1;
-            const X_in_E2 = X_out_E1;
-             const stage2_solver_func = (X_out_guess) => {
-                const Y_eq = getCu_or_from_Cu_aq(X_out_guess);
-                const Y_in = Y_out_E2 - (X_in_E2 - X_out_guess) / i.o_a_ex;
-                return (Y_out_E2 - Y_in) - (i.effE2 / 100) * (Y_eq - Y_in);
-            };
-            const X_out_E2 = solve(stage2_solver_func, X_in_E2 * 0.15, 1e-7, 100);
-            const Y_in_E2 = Y_out_E2 - (X_in_E2 - X_out_E2) / i.o_a_ex;
-            
-            const so = Y_in_E2;
-            const raff = X_out_E2;
-            
-            const recovery = (i.plsCu - raff) / i.plsCu * 100;
-            const raffAcid = i.plsAcid + (i.plsCu - raff) * 1.54;
-            
-            const equilibriumCurve = Array.from({ length: 101 }, (_, k) => {
-                const x = (i.plsCu / 100) * k;
-                const y = getCu_or_from_Cu_aq(x);
-                return { x, y };
-            }).filter(p => p.y >= 0);
-
-            const operatingLine = [
-                { name: 'SO', x: raff, y: so },
-                { name: 'LO', x: i.plsCu, y: lo }
-            ];
-
-            const stages = [
-                { name: 'E1', x: X_out_E1, y: Y_out_E1 },
-                { name: 'E2', x: X_out_E2, y: Y_out_E2 }
-            ];
-
-            const details = {
-                raffAcid,
-                stage1: {
-                    A: { x: X_in_E1, y: Y_out_E1 },
-                    B: { x: X_out_E1, y: Y_out_E1 },
-                    C: { x: X_out_E1, y: Y_in_E1 },
-                    D: { x: getCu_aq_from_Cu_or(getCu_or_from_Cu_aq(X_out_E1)), y: getCu_or_from_Cu_aq(X_out_E1) },
-                    efficiency: i.effE1
-                },
-                stage2: {
-                    A: { x: X_in_E2, y: Y_out_E2 },
-                    B: { x: X_out_E2, y: Y_out_E2 },
-                    C: { x: X_out_E2, y: Y_in_E2 },
-                    D: { x: getCu_aq_from_Cu_or(getCu_or_from_Cu_aq(X_out_E2)), y: getCu_or_from_Cu_aq(X_out_E2) },
-                    efficiency: i.effE2
-                }
-            };
-
-            return { ml, lo, so, raff, recovery, mccabeThiele: { equilibriumCurve, operatingLine, stages }, details };
-        })();
-        
-        // --- Stripping Calculation ---
-        const stripping = (() => {
-            const lo = extraction.lo;
-            const so_ex = extraction.so;
-            if (lo <= so_ex) throw new Error("خطای محاسباتی: غلظت LO باید بیشتر از SO باشد.");
-            const o_a_st = (i.adCu - i.spCu) / (lo - so_ex);
-            
-            const constants = {
-                a_st: i.spAcid + 1.54 * i.spCu,
-                b_st: -1.54,
-                c_st: 3.303 * V_percent,
-                d_st: -3.0842,
-                e_st: (5.11e-3 * V_percent) - 0.194,
-                f_st: 12.81 * Math.pow(V_percent, -0.901),
-            };
-
-            const getCu_or_from_Cu_aq_stripping = (Cu_aq) => {
-                if (Cu_aq <= 0) return 0;
-                const g_st = Math.pow(constants.a_st + constants.b_st * Cu_aq, 2) / Cu_aq;
-                const alpha_st = (2 * constants.c_st * constants.d_st * constants.e_st + Math.pow(constants.d_st, 2) * constants.f_st) / (Math.pow(constants.d_st, 2) * constants.e_st);
-                const lambda_st = (2 * constants.c_st * constants.d_st * constants.f_st + Math.pow(constants.c_st, 2) * constants.e_st - g_st) / (Math.pow(constants.d_st, 2) * constants.e_st);
-                const epsilon_st = (constants.f_st * Math.pow(constants.c_st, 2)) / (Math.pow(constants.d_st, 2) * constants.e_st);
-                
-                const Y = solveCubic(1, alpha_st, lambda_st, epsilon_st);
-                return Y;
-            };
-            
-            // Stage 1
-            const Y_in_S1 = lo;
-            const X_out_S1 = i.adCu;
-            const Y_eq_S1 = getCu_or_from_Cu_aq_stripping(X_out_S1);
-            const Y_out_S1 = Y_in_S1 - (i.effS1/100)*(Y_in_S1 - Y_eq_S1);
-            const X_in_S1 = X_out_S1 - o_a_st * (Y_in_S1 - Y_out_S1);
-
-            // Stage 2
-            const Y_in_S2 = Y_out_S1;
-            const X_out_S2 = X_in_S1;
-            const Y_eq_S2 = getCu_or_from_Cu_aq_stripping(X_out_S2);
-            const so = Y_in_S2 - (i.effS2/100)*(Y_in_S2 - Y_eq_S2);
-            
-            const recovery = (lo - so) / lo * 100;
-            const netCu = (lo - so) / V_percent;
-            
-            const equilibriumCurve = Array.from({ length: 101 }, (_, k) => {
-                const x = i.spCu + ((i.adCu - i.spCu + 5) / 100) * k;
-                const y = getCu_or_from_Cu_aq_stripping(x);
-                return { x, y };
-            }).filter(p => p.y >= 0);
-
-            const operatingLine = [
-                { name: 'SO', x: i.spCu, y: so },
-                { name: 'LO', x: i.adCu, y: lo }
-            ];
-
-            const stages = [
-                { name: 'S1', x: X_out_S1, y: Y_in_S1 },
-                { name: 'S2', x: X_out_S2, y: Y_in_S2 }
-            ];
-
-            const details = {
-                o_a_st,
-                stage1: {
-                    A: { x: X_out_S1, y: Y_in_S1 },
-                    B: { x: X_out_S1, y: Y_out_S1 },
-                    C: { x: X_in_S1, y: Y_out_S1 },
-                    D: { x: X_out_S1, y: Y_eq_S1 },
-                    efficiency: i.effS1
-                },
-                stage2: {
-                    A: { x: X_out_S2, y: Y_in_S2 },
-                    B: { x: X_out_S2, y: Y_in_S2 - (i.effS2/100)*(Y_in_S2 - Y_eq_S2) },
-                    C: { x: i.spCu, y: so },
-                    D: { x: X_out_S2, y: Y_eq_S2 },
-                    efficiency: i.effS2
-                }
-            };
-
-            return { so, recovery, netCu, mccabeThiele: { equilibriumCurve, operatingLine, stages }, details };
-        })();
-
-        return {
-            v_percent: V_percent,
-            extraction,
-            stripping,
-            constraints: {
-                so_consistency: extraction.so - stripping.so
-            }
-        };
-    } catch (e) {
-        console.error("Calculation failed:", e);
-        return null; // Indicate failure
-    }
-};
-
 export default App;
\ No newline at end of file
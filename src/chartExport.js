@@ -0,0 +1,148 @@
+// =================================================================
+// CHART IMAGES
+// Charts are exported from the SVG the browser already shows, so an
+// image matches the screen. Recharts draws its legend as HTML next to
+// the SVG; it is redrawn inside the image, together with the card's
+// title and background, so the file stands on its own in a slide.
+// =================================================================
+import { t } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TITLE_HEIGHT = 28;
+const SUBTITLE_HEIGHT = 18;
+const LEGEND_ROW = 22;
+const PNG_SCALE = 2;
+
+// Save a blob under `fileName` through a temporary link
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoked on the next tick: some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url));
+};
+
+// First opaque background behind an element, so dark charts stay readable on their own
+const backgroundOf = (element) => {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        const color = getComputedStyle(node).backgroundColor;
+        if (color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color)) return color;
+    }
+    return '#ffffff';
+};
+
+const svgElement = (name, attributes = {}, text) => {
+    const node = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+    if (text !== undefined) node.textContent = text;
+    return node;
+};
+
+// Legend entries of a recharts chart: { icon (svg), text, color }
+const legendItems = (container) => [...container.querySelectorAll('.recharts-legend-item')].map(item => ({
+    icon: item.querySelector('svg'),
+    text: item.textContent.trim(),
+    color: getComputedStyle(item.querySelector('.recharts-legend-item-text') ?? item).color,
+}));
+
+// Legend entries laid out in centred rows that fit `width`; text width is estimated from its length
+const layoutLegend = (items, width, fontSize) => {
+    const rows = [[]];
+    let used = 0;
+    items.forEach(item => {
+        const itemWidth = 14 + 6 + item.text.length * fontSize * 0.6 + 16;
+        if (used + itemWidth > width && rows[rows.length - 1].length > 0) {
+            rows.push([]);
+            used = 0;
+        }
+        rows[rows.length - 1].push({ ...item, width: itemWidth });
+        used += itemWidth;
+    });
+    return rows.filter(row => row.length > 0);
+};
+
+// Standalone SVG markup of the chart inside `container`, with an optional title and subtitle above it
+export const chartSvgMarkup = (container, { title, subtitle } = {}) => {
+    const chart = container.querySelector('.recharts-wrapper > svg') ?? container.querySelector('svg');
+    if (!chart) throw new Error(t('نموداری برای خروجی وجود ندارد.'));
+    const { width, height } = chart.getBoundingClientRect();
+    const style = getComputedStyle(chart);
+    const fontSize = parseFloat(style.fontSize) || 12;
+    const items = legendItems(container);
+    const legendRows = layoutLegend(items, width, fontSize);
+    const top = (title ? TITLE_HEIGHT : 0) + (subtitle ? SUBTITLE_HEIGHT : 0);
+    const total = top + height + legendRows.length * LEGEND_ROW;
+
+    const root = svgElement('svg', {
+        xmlns: SVG_NS,
+        width,
+        height: total,
+        viewBox: `0 0 ${width} ${total}`,
+        'font-family': style.fontFamily,
+        'font-size': fontSize,
+    });
+    root.appendChild(svgElement('rect', { width, height: total, fill: backgroundOf(chart) }));
+    if (title) {
+        root.appendChild(svgElement('text', { x: width / 2, y: 20, 'text-anchor': 'middle', 'font-size': 16, 'font-weight': 600, fill: '#22d3ee' }, title));
+    }
+    if (subtitle) {
+        root.appendChild(svgElement('text', { x: width / 2, y: (title ? TITLE_HEIGHT : 0) + 13, 'text-anchor': 'middle', 'font-size': 11, fill: '#9ca3af' }, subtitle));
+    }
+
+    const body = chart.cloneNode(true);
+    body.setAttribute('x', 0);
+    body.setAttribute('y', top);
+    body.setAttribute('width', width);
+    body.setAttribute('height', height);
+    root.appendChild(body);
+
+    legendRows.forEach((row, r) => {
+        const rowWidth = row.reduce((sum, item) => sum + item.width, 0);
+        let x = (width - rowWidth) / 2;
+        const y = top + height + r * LEGEND_ROW + 4;
+        row.forEach(item => {
+            if (item.icon) {
+                const icon = item.icon.cloneNode(true);
+                icon.setAttribute('x', x);
+                icon.setAttribute('y', y);
+                icon.setAttribute('width', 14);
+                icon.setAttribute('height', 14);
+                root.appendChild(icon);
+            }
+            root.appendChild(svgElement('text', { x: x + 20, y: y + 11, fill: item.color }, item.text));
+            x += item.width;
+        });
+    });
+
+    return new XMLSerializer().serializeToString(root);
+};
+
+export const downloadChartSvg = (container, fileName, labels) => {
+    downloadBlob(new Blob([chartSvgMarkup(container, labels)], { type: 'image/svg+xml' }), `${fileName}.svg`);
+};
+
+// PNG at twice the screen resolution, drawn from the SVG markup
+export const downloadChartPng = (container, fileName, labels) => new Promise((resolve, reject) => {
+    const markup = chartSvgMarkup(container, labels);
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width * PNG_SCALE;
+        canvas.height = image.height * PNG_SCALE;
+        const context = canvas.getContext('2d');
+        context.scale(PNG_SCALE, PNG_SCALE);
+        context.drawImage(image, 0, 0);
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error(t('ساخت تصویر PNG نمودار ممکن نشد.')));
+                return;
+            }
+            downloadBlob(blob, `${fileName}.png`);
+            resolve();
+        }, 'image/png');
+    };
+    image.onerror = () => reject(new Error(t('ساخت تصویر PNG نمودار ممکن نشد.')));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+});
@@ -0,0 +1,48 @@
+import React, { useRef, useState } from 'react';
+import { Image as ImageIcon, FileCode } from 'lucide-react';
+import { t } from '../i18n.js';
+import { downloadChartSvg, downloadChartPng } from '../chartExport.js';
+
+const buttonClass = "flex items-center bg-gray-700 hover:bg-gray-600 text-gray-300 text-xs py-1 px-2 rounded-md transition-colors";
+
+// Card around a chart with its title and SVG/PNG download; `fileName` names the image files and
+// `chartId` marks the card for the printable report
+const ChartCard = ({ title, subtitle, fileName, chartId, className = "bg-gray-800 p-4 rounded-xl shadow-lg", chartClassName = "h-80", titleClassName = "text-lg font-semibold text-cyan-400", children, footer }) => {
+    const chartRef = useRef(null);
+    const [error, setError] = useState(null);
+    const labels = { title, subtitle };
+
+    const download = (format) => {
+        setError(null);
+        try {
+            if (format === 'svg') downloadChartSvg(chartRef.current, fileName, labels);
+            else downloadChartPng(chartRef.current, fileName, labels).catch(e => setError(e.message));
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    return (
+        <div className={className} data-chart={chartId}>
+            <div className="relative mb-2 px-20">
+                {title && <h3 className={`${titleClassName} text-center`}>{title}</h3>}
+                {subtitle && <p className="text-xs text-center text-gray-400">{subtitle}</p>}
+                <div className="absolute top-0 end-0 flex gap-1 print:hidden">
+                    <button onClick={() => download('svg')} title={t('دانلود SVG')} className={buttonClass}>
+                        <FileCode size={14} className="me-1" />SVG
+                    </button>
+                    <button onClick={() => download('png')} title={t('دانلود PNG')} className={buttonClass}>
+                        <ImageIcon size={14} className="me-1" />PNG
+                    </button>
+                </div>
+            </div>
+            {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm mb-2">{error}</div>}
+            <div ref={chartRef} className={chartClassName}>
+                {children}
+            </div>
+            {footer}
+        </div>
+    );
+};
+
+export default ChartCard;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Activity, ChevronDown, ChevronUp } from 'lucide-react';
+import { t } from '../i18n.js';
+
+const PHASE_LABELS = { scan: 'جستجوی بازه', edge: 'لبه ناحیه قابل محاسبه', brent: 'Brent', secant: 'سکانت (بدون بازه)', final: 'نهایی' };
+
+const formatNumber = (value, digits) => (isFinite(value) ? value.toFixed(digits) : '—');
+
+// Iteration-by-iteration view of the V% search and the stage solves behind each step
+const DiagnosticsPanel = ({ diagnostics, defaultOpen = false }) => {
+    const [open, setOpen] = useState(defaultOpen);
+    if (!diagnostics || !diagnostics.trace) return null;
+    const failed = diagnostics.trace.filter(entry => entry.error).length;
+
+    return (
+        <div className="bg-gray-800 p-4 rounded-xl shadow-lg">
+            <button onClick={() => setOpen(!open)} className="w-full flex justify-between items-center text-cyan-400 font-semibold">
+                <span className="flex items-center"><Activity size={18} className="me-2" /> {t('جزئیات همگرایی حل‌کننده')}</span>
+                {open ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+            </button>
+            <p className="text-xs text-gray-400 mt-1">
+                {t('{count} ارزیابی مدل، {failed} ارزیابی ناموفق', { count: diagnostics.trace.length, failed })}
+                {diagnostics.method && <> | {t('روش نهایی: {method} ({iterations} تکرار)', { method: PHASE_LABELS[diagnostics.method] ? t(PHASE_LABELS[diagnostics.method]) : diagnostics.method, iterations: diagnostics.iterations })}</>}
+            </p>
+            {open && (
+                <div className="mt-3 max-h-96 overflow-y-auto">
+                    <table className="w-full text-xs">
+                        <thead className="text-gray-400 border-b border-gray-600 sticky top-0 bg-gray-800">
+                            <tr>
+                                <th className="py-1">#</th>
+                                <th>{t('مرحله حل')}</th>
+                                <th>V%</th>
+                                <th>{t('باقیمانده SO')}</th>
+                                <th>{t('حل مراحل')}</th>
+                                <th>{t('خطا')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="text-center">
+                            {diagnostics.trace.map(entry => (
+                                <tr key={entry.evaluation} className={`border-b border-gray-700 ${entry.error ? 'text-red-300' : 'text-gray-300'}`}>
+                                    <td className="py-1">{entry.evaluation}</td>
+                                    <td>{PHASE_LABELS[entry.phase] ? t(PHASE_LABELS[entry.phase]) : entry.phase}</td>
+                                    <td dir="ltr">{formatNumber(entry.vPercent, 4)}</td>
+                                    <td dir="ltr">{isFinite(entry.residual) ? entry.residual.toExponential(3) : '—'}</td>
+                                    <td dir="ltr">{entry.stages.map(s => `${s.stage}: ${s.method} ×${s.iterations}`).join(', ')}</td>
+                                    <td className="text-start">{entry.error}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DiagnosticsPanel;
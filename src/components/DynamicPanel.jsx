@@ -0,0 +1,217 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Label } from 'recharts';
+import { Activity, Plus, RefreshCw, Trash2, XCircle } from 'lucide-react';
+import { DYNAMIC_FIELDS, DEFAULT_HOLDUPS, MAX_DYNAMIC_HOURS } from '../engine/index.js';
+import { runEngineTask } from '../workers/engineClient.js';
+import { fieldLabel, DYNAMIC_OUTPUT_LABELS, CHANGE_TYPE_LABELS, HOLDUP_LABELS } from './fieldLabels.js';
+import { t } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+const OUTPUT_COLORS = { lo: '#60a5fa', so: '#2dd4bf', raff: '#f472b6', adCu: '#facc15' };
+
+const inputClass = "w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-left";
+
+const tooltipStyle = { backgroundColor: '#1A202C', border: '1px solid #4A5568' };
+
+// A 10 % step in the PLS Cu two hours in
+const defaultChange = (inputs, field = 'plsCu') => ({ field, type: 'step', time: '2', value: String(+(inputs[field] * 1.1).toPrecision(4)), duration: '2' });
+
+const toChange = (row) => ({
+    field: row.field,
+    type: row.type,
+    time: parseFloat(row.time),
+    value: parseFloat(row.value),
+    duration: row.type === 'ramp' ? parseFloat(row.duration) : null,
+});
+
+// Time-domain response to step or ramp changes in the PLS, with hold-ups and trends
+const DynamicPanel = ({ inputs, reagent, analysis, onAnalysis }) => {
+    const [rows, setRows] = useState(() => [defaultChange(inputs)]);
+    const [hours, setHours] = useState(24);
+    const [holdups, setHoldups] = useState(DEFAULT_HOLDUPS);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const taskRef = useRef(null);
+
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
+
+    const updateRow = (k, patch) => setRows(prev => prev.map((r, j) => (j === k ? { ...r, ...patch } : r)));
+
+    const run = () => {
+        setError(null);
+        setProgress({ iteration: 0, maxIterations: 1 });
+        const payload = { inputs, settings: { reagent }, changes: rows.map(toChange), hours, holdups };
+        const task = runEngineTask('dynamic', payload, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((result) => {
+                if (taskRef.current === task) onAnalysis(result);
+            })
+            .catch((e) => {
+                if (taskRef.current === task) setError(e.message);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setProgress(null);
+            });
+    };
+
+    const cancel = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+            <h2 className="text-xl font-semibold text-cyan-400 flex items-center"><Activity size={20} className="me-2" /> {t('شبیه‌سازی دینامیک (گذرا)')}</h2>
+            <p className="text-xs text-gray-400 mb-4">{t('مدار از حالت پایدار با V% ثابت شروع می‌شود و پاسخ آن به تغییرات پله‌ای یا شیب‌دار PLS با در نظر گرفتن حجم ماند میکسرها، ستلرها و مخزن فاز آلی در طول زمان محاسبه می‌شود.')}</p>
+            <div className="space-y-2">
+                {rows.map((row, k) => (
+                    <div key={k} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end bg-gray-700/40 p-2 rounded-md">
+                        <select value={row.field} onChange={(e) => updateRow(k, defaultChange(inputs, e.target.value))} className={inputClass.replace('text-left', 'text-start')}>
+                            {DYNAMIC_FIELDS.map(field => <option key={field} value={field}>{fieldLabel(field)}</option>)}
+                        </select>
+                        <select value={row.type} onChange={(e) => updateRow(k, { type: e.target.value })} className={inputClass.replace('text-left', 'text-start')}>
+                            {Object.entries(CHANGE_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+                        </select>
+                        <label className="text-xs text-gray-400">
+                            {t('زمان شروع (h)')}
+                            <input value={row.time} onChange={(e) => updateRow(k, { time: e.target.value })} className={inputClass} dir="ltr" />
+                        </label>
+                        <label className="text-xs text-gray-400">
+                            {t('مقدار جدید')}
+                            <input value={row.value} onChange={(e) => updateRow(k, { value: e.target.value })} className={inputClass} dir="ltr" />
+                        </label>
+                        {row.type === 'ramp' ? (
+                            <label className="text-xs text-gray-400">
+                                {t('مدت شیب (h)')}
+                                <input value={row.duration} onChange={(e) => updateRow(k, { duration: e.target.value })} className={inputClass} dir="ltr" />
+                            </label>
+                        ) : <div />}
+                        <button onClick={() => setRows(prev => prev.filter((_, j) => j !== k))} title={t('حذف')} className="text-gray-300 hover:text-red-400 p-1 justify-self-end self-center"><Trash2 size={16} /></button>
+                    </div>
+                ))}
+                <button onClick={() => setRows(prev => [...prev, defaultChange(inputs)])} className="flex items-center text-xs bg-gray-600 hover:bg-gray-500 text-white py-1.5 px-2 rounded-md transition-colors">
+                    <Plus size={14} className="me-1" />
+                    {t('افزودن تغییر')}
+                </button>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center mt-4">
+                {Object.entries(HOLDUP_LABELS).map(([key, label]) => (
+                    <div key={key} className="grid grid-cols-2 items-center gap-x-2">
+                        <label htmlFor={`holdup-${key}`} className="text-sm text-gray-400">{t(label)}:</label>
+                        <input type="number" id={`holdup-${key}`} value={holdups[key]} onChange={(e) => setHoldups(prev => ({ ...prev, [key]: parseFloat(e.target.value) || 0 }))} min="0" step="1" className={inputClass} dir="ltr" />
+                    </div>
+                ))}
+                <div className="grid grid-cols-2 items-center gap-x-2">
+                    <label htmlFor="dynamicHours" className="text-sm text-gray-400">{t('مدت شبیه‌سازی (h):')}</label>
+                    <input type="number" id="dynamicHours" value={hours} onChange={(e) => setHours(parseFloat(e.target.value) || 0)} min="1" max={MAX_DYNAMIC_HOURS} step="1" className={inputClass} dir="ltr" />
+                </div>
+                <div className="flex justify-end">
+                    {progress ? (
+                        <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                            <RefreshCw size={18} className="text-cyan-400 animate-spin" />
+                            <div className="w-32 bg-gray-700 rounded-full h-2">
+                                <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                            </div>
+                            <button onClick={cancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+                                <XCircle size={16} className="me-2" />
+                                {t('لغو')}
+                            </button>
+                        </div>
+                    ) : (
+                        <button onClick={run} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            {analysis ? t('اجرای مجدد') : t('اجرای شبیه‌سازی')}
+                        </button>
+                    )}
+                </div>
+            </div>
+            {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm mt-4">{error}</div>}
+            {analysis && <DynamicResults analysis={analysis} />}
+        </div>
+    );
+};
+
+const DynamicResults = ({ analysis }) => {
+    const first = analysis.trend[0];
+    const last = analysis.trend[analysis.trend.length - 1];
+    const changed = DYNAMIC_FIELDS.filter(field => analysis.changes.some(c => c.field === field));
+    return (
+        <div className="mt-4 space-y-4">
+            <p className="text-sm text-gray-400">
+                V% = {analysis.v_percent.toFixed(2)} | {t('موجودی فاز آلی: {inventory} m³ | مخزن LO: {loTank} m³', {
+                    inventory: analysis.volumes.organicInventory.toFixed(0),
+                    loTank: analysis.volumes.loTank.toFixed(0),
+                })}
+            </p>
+            <ChartCard
+                title={t('روند خروجی‌ها')}
+                fileName="Dynamic_trend"
+                className=""
+                titleClassName="text-sm text-gray-300"
+                chartClassName="h-72"
+            >
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={analysis.trend} margin={{ top: 5, right: 20, left: 20, bottom: 25 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                        <XAxis dataKey="t" type="number" domain={[0, analysis.hours]} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(0)}>
+                            <Label value={t('زمان (h)')} offset={-20} position="insideBottom" fill="#A0AEC0" />
+                        </XAxis>
+                        <YAxis yAxisId="left" stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)} />
+                        <YAxis yAxisId="right" orientation="right" stroke="#facc15" tickFormatter={(tick) => tick.toFixed(1)} domain={['auto', 'auto']} />
+                        <Tooltip contentStyle={tooltipStyle} labelStyle={{ color: '#E2E8F0' }} labelFormatter={(time) => `t = ${time.toFixed(2)} h`} formatter={(value) => value.toFixed(4)} />
+                        <Legend wrapperStyle={{ bottom: -5 }} />
+                        {Object.entries(DYNAMIC_OUTPUT_LABELS).map(([key, label]) => (
+                            <Line key={key} yAxisId={key === 'adCu' ? 'right' : 'left'} type="monotone" dataKey={key} name={t(label)} stroke={OUTPUT_COLORS[key]} strokeWidth={2} dot={false} />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            </ChartCard>
+            {changed.length > 0 && (
+                <ChartCard
+                    title={t('تغییرات PLS')}
+                    fileName="Dynamic_PLS_changes"
+                    className=""
+                    titleClassName="text-sm text-gray-300"
+                    chartClassName="h-40"
+                >
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={analysis.trend} margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                            <XAxis dataKey="t" type="number" domain={[0, analysis.hours]} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(0)} />
+                            {changed.map((field, k) => (
+                                <YAxis key={field} yAxisId={field} orientation={k === 0 ? 'left' : 'right'} hide={k > 1} stroke="#A0AEC0" domain={['auto', 'auto']} />
+                            ))}
+                            <Tooltip contentStyle={tooltipStyle} labelStyle={{ color: '#E2E8F0' }} labelFormatter={(time) => `t = ${time.toFixed(2)} h`} />
+                            <Legend />
+                            {changed.map(field => (
+                                <Line key={field} yAxisId={field} type="linear" dataKey={field} name={fieldLabel(field)} stroke="#94a3b8" strokeDasharray="4 3" dot={false} />
+                            ))}
+                        </LineChart>
+                    </ResponsiveContainer>
+                </ChartCard>
+            )}
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-gray-400 border-b border-gray-600">
+                        <th className="text-start py-1">{t('خروجی')}</th><th>{t('شروع (حالت پایدار)')}</th><th>{t('پایان ({hours} h)', { hours: analysis.hours })}</th><th>{t('تغییر')}</th>
+                    </tr>
+                </thead>
+                <tbody className="text-center">
+                    {Object.entries(DYNAMIC_OUTPUT_LABELS).map(([key, label]) => (
+                        <tr key={key} className="border-b border-gray-700">
+                            <td className="text-start py-1">{t(label)}</td>
+                            <td>{first[key].toFixed(4)}</td>
+                            <td>{last[key].toFixed(4)}</td>
+                            <td>{(last[key] - first[key]).toFixed(4)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default DynamicPanel;
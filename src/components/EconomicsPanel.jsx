@@ -0,0 +1,119 @@
+import React from 'react';
+import { DollarSign } from 'lucide-react';
+import { ECONOMICS_FIELDS, evaluateEconomics, rankByCost } from '../engine/index.js';
+import { InputRow } from './FormRows.jsx';
+import { ResultCard } from './ResultCards.jsx';
+import { ECONOMICS_LABELS, COST_LABELS } from './fieldLabels.js';
+import { t } from '../i18n.js';
+
+// Annual reagent and mixing cost of the solved case and of the saved cases, ranked by $/t Cu.
+// `economics` holds the prices and cost assumptions, which App keeps and stores.
+const EconomicsPanel = ({ results, scenarios, economics, onChange }) => {
+    let evaluation = null;
+    let error = null;
+    try {
+        evaluation = evaluateEconomics(results, economics);
+    } catch (e) {
+        error = e.message;
+    }
+
+    const cases = [
+        { id: 'current', name: t('حالت فعلی'), results },
+        ...scenarios.filter(s => s.results).map(s => ({ id: s.id, name: s.name, results: s.results })),
+    ];
+    const ranking = evaluation ? rankByCost(cases, economics) : [];
+    const cheapest = ranking.find(c => c.evaluation)?.id;
+
+    const handleChange = (e) => {
+        onChange({ ...economics, [e.target.name]: parseFloat(e.target.value) });
+    };
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+            <h2 className="text-xl font-semibold text-cyan-400 flex items-center"><DollarSign size={20} className="me-2" /> {t('ارزیابی اقتصادی')}</h2>
+            <p className="text-xs text-gray-400 mb-4">{t('هزینه سالانه استخراج‌کننده، رقیق‌کننده و برق همزن‌ها با V% بهینه، جریان فاز آلی و مس انتقال‌یافته هر حالت. موجودی فاز آلی از سطح و عمق ستلرها به دست می‌آید.')}</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+                {ECONOMICS_FIELDS.map(key => (
+                    <InputRow key={key} label={t(ECONOMICS_LABELS[key])} name={key} value={economics[key]} onChange={handleChange} />
+                ))}
+            </div>
+            {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm mt-4">{error}</div>}
+            {evaluation && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 text-center mt-6">
+                        <ResultCard label={t('هزینه به ازای هر تن مس')} value={evaluation.costPerTonne.toFixed(1)} unit="$/t Cu" />
+                        <ResultCard label={t('هزینه سالانه')} value={(evaluation.annualCost / 1000).toFixed(1)} unit={t('k$/سال')} />
+                        <ResultCard label={t('موجودی فاز آلی ({settlers} ستلر)', { settlers: evaluation.inventory.settlers })} value={evaluation.inventory.organicVolume.toFixed(0)} unit="m³" />
+                        <ResultCard label={t('استخراج‌کننده در موجودی')} value={evaluation.inventory.extractantVolume.toFixed(1)} unit="m³" />
+                        <ResultCard label={t('ارزش موجودی فاز آلی')} value={(evaluation.inventory.value / 1000).toFixed(0)} unit="k$" />
+                        <ResultCard label={t('تلفات فاز آلی')} value={evaluation.losses.organic.toFixed(1)} unit={t('m³/سال')} />
+                        <ResultCard label={t('توان همزن‌ها')} value={evaluation.power.toFixed(0)} unit="kW" />
+                        <ResultCard label={t('مس تولیدی')} value={evaluation.copper.toFixed(0)} unit={t('t/سال')} />
+                    </div>
+                    <div className="overflow-x-auto mt-4">
+                        <table className="w-full text-sm text-start">
+                            <thead className="text-gray-400 border-b border-gray-600">
+                                <tr>
+                                    <th className="p-2">{t('اقلام هزینه')}</th>
+                                    <th className="p-2">{t('k$/سال')}</th>
+                                    <th className="p-2">$/t Cu</th>
+                                    <th className="p-2">{t('سهم (%)')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="text-gray-200">
+                                {Object.entries(evaluation.costs).map(([key, cost]) => (
+                                    <tr key={key} className="border-b border-gray-700">
+                                        <td className="p-2">{t(COST_LABELS[key])}</td>
+                                        <td className="p-2 font-mono">{(cost / 1000).toFixed(1)}</td>
+                                        <td className="p-2 font-mono">{(cost / evaluation.copper).toFixed(2)}</td>
+                                        <td className="p-2 font-mono">{(100 * cost / evaluation.annualCost).toFixed(1)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <h3 className="text-lg font-semibold text-cyan-400 mt-6 mb-1">{t('رتبه‌بندی حالت‌ها بر اساس هزینه')}</h3>
+                    <p className="text-xs text-gray-400 mb-2">{t('حالت فعلی و سناریوهای ذخیره‌شده‌ای که نتیجه دارند، با همین قیمت‌ها. V% هر حالت همان بهینه سازگاری SO آن است؛ ارزان‌ترین حالت بهینه اقتصادی است.')}</p>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-start">
+                            <thead className="text-gray-400 border-b border-gray-600">
+                                <tr>
+                                    <th className="p-2">#</th>
+                                    <th className="p-2">{t('حالت')}</th>
+                                    <th className="p-2">V%</th>
+                                    <th className="p-2">{t('تولید مس (t/d)')}</th>
+                                    <th className="p-2">{t('k$/سال')}</th>
+                                    <th className="p-2">$/t Cu</th>
+                                </tr>
+                            </thead>
+                            <tbody className="text-gray-200">
+                                {ranking.map((c, k) => (
+                                    <tr key={c.id} className={`border-b border-gray-700 ${c.id === 'current' ? 'bg-cyan-900/30' : ''}`}>
+                                        <td className="p-2">{c.evaluation ? k + 1 : '—'}</td>
+                                        <td className="p-2">
+                                            {c.name}
+                                            {c.id === cheapest && <span className="ms-2 text-xs bg-green-700 text-green-100 px-1.5 py-0.5 rounded">{t('بهینه اقتصادی')}</span>}
+                                            {c.id === 'current' && <span className="ms-2 text-xs bg-cyan-700 text-cyan-100 px-1.5 py-0.5 rounded">{t('بهینه سازگاری SO')}</span>}
+                                        </td>
+                                        <td className="p-2 font-mono">{c.results.v_percent.toFixed(2)}</td>
+                                        <td className="p-2 font-mono">{c.results.plant.cuPerDay.toFixed(2)}</td>
+                                        {c.evaluation ? (
+                                            <>
+                                                <td className="p-2 font-mono">{(c.evaluation.annualCost / 1000).toFixed(1)}</td>
+                                                <td className="p-2 font-mono">{c.evaluation.costPerTonne.toFixed(1)}</td>
+                                            </>
+                                        ) : (
+                                            <td colSpan={2} className="p-2 text-red-300 text-xs">{c.error}</td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default EconomicsPanel;
@@ -0,0 +1,46 @@
+import React from 'react';
+
+// Border of an input with validation errors or warnings
+const issueBorder = (issue) => {
+    if (issue?.errors.length) return 'border-red-500';
+    if (issue?.warnings.length) return 'border-amber-500';
+    return 'border-gray-600';
+};
+
+// Helper component for input rows; `issue` ({ errors, warnings } from validateInputs) is shown under the field.
+// An empty or unparsable entry is held as NaN and shown blank.
+export const InputRow = ({ label, name, value, onChange, step = "0.01", min, max, issue }) => (
+    <div className="grid grid-cols-2 items-center gap-x-2">
+        <label htmlFor={name} className="text-sm text-gray-400">{label}:</label>
+        <input
+            type="number"
+            id={name}
+            name={name}
+            value={Number.isNaN(value) ? '' : value}
+            onChange={onChange}
+            className={`w-full bg-gray-700 text-white p-1.5 rounded-md border ${issueBorder(issue)} focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-start`}
+            step={step}
+            min={min}
+            max={max}
+            aria-invalid={issue?.errors.length > 0}
+        />
+        {issue?.errors.map(message => <p key={message} className="col-span-2 text-xs text-red-300 mt-1">{message}</p>)}
+        {issue?.warnings.map(message => <p key={message} className="col-span-2 text-xs text-amber-300 mt-1">{message}</p>)}
+    </div>
+);
+
+// Helper component for dropdown rows
+export const SelectRow = ({ label, name, value, onChange, options }) => (
+    <div className="grid grid-cols-2 items-center gap-x-2">
+        <label htmlFor={name} className="text-sm text-gray-400">{label}:</label>
+        <select
+            id={name}
+            name={name}
+            value={value}
+            onChange={onChange}
+            className="w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-start"
+        >
+            {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+    </div>
+);
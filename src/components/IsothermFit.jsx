@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Label } from 'recharts';
+import { read, utils } from 'xlsx';
+import { Upload, X } from 'lucide-react';
+import { REAGENT_FIELDS, ISOTHERM_COLUMNS, fitIsotherm, parseIsothermRows, calibratedReagent } from '../engine/index.js';
+import { SelectRow } from './FormRows.jsx';
+import { t } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+const SECTION_LABELS = { extraction: 'استخراج', stripping: 'استریپینگ' };
+const CURVE_COLORS = ['#2dd4bf', '#60a5fa', '#f472b6', '#a78bfa', '#fb923c'];
+
+// Split pasted text (tab, comma or semicolon separated) into table rows
+const textToRows = (text) => text.split(/\r?\n/).map(line => line.split(/[\t,;]/));
+
+// Calibration of the reagent's e/f terms against lab shake-out equilibrium points
+const IsothermFit = ({ baseReagent, onApply, onClose }) => {
+    const [section, setSection] = useState('extraction');
+    const [text, setText] = useState('');
+    const [fit, setFit] = useState(null);
+    const [error, setError] = useState(null);
+
+    // CSV and XLSX files both go through the xlsx reader and end up in the text box
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const wb = read(new Uint8Array(reader.result), { type: 'array' });
+                const rows = utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, raw: true, defval: '' });
+                setText(rows.map(r => r.join('\t')).join('\n'));
+                setFit(null);
+                setError(null);
+            } catch (err) {
+                setError(t('خواندن فایل ممکن نشد: {message}', { message: err.message }));
+            }
+        };
+        reader.readAsArrayBuffer(file);
+        e.target.value = '';
+    };
+
+    const runFit = () => {
+        try {
+            setError(null);
+            setFit(fitIsotherm(parseIsothermRows(textToRows(text)), section, baseReagent));
+        } catch (err) {
+            setFit(null);
+            setError(err.message);
+        }
+    };
+
+    const applyFit = () => {
+        onApply(calibratedReagent(baseReagent, fit, `user-${Date.now()}`, t('{name} - کالیبره {section}', { name: baseReagent.name, section: t(SECTION_LABELS[fit.section]) })));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+            <div className="bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-cyan-400">{t('کالیبراسیون ایزوترم از داده‌های آزمایشگاهی')}</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="space-y-4 text-gray-300">
+                    <p className="text-sm text-gray-400">
+                        {t('مدل پایه:')} <strong className="text-gray-200">{baseReagent.name}</strong>. {t('هر سطر یک نقطه تعادلی است با ستون‌های')}
+                        <code className="mx-1 text-cyan-300" dir="ltr">{ISOTHERM_COLUMNS.join(', ')}</code>
+                        {t('(V%، مس آبی و آلی g/L، اسید g/L و در صورت وجود مس خوراک). اگر feedCu داده شود، اسید به عنوان اسید خوراک در نظر گرفته می‌شود؛ در غیر این صورت اسید تعادلی است.')}
+                    </p>
+                    <SelectRow
+                        label={t('بخش')}
+                        name="fitSection"
+                        value={section}
+                        onChange={(e) => { setSection(e.target.value); setFit(null); }}
+                        options={Object.entries(SECTION_LABELS).map(([value, label]) => ({ value, label: t(label) }))}
+                    />
+                    <textarea
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        rows={8}
+                        dir="ltr"
+                        placeholder={ISOTHERM_COLUMNS.join('\t')}
+                        className="w-full bg-gray-700 text-white p-2 rounded-md border border-gray-600 font-mono text-sm focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+                    />
+                    <div className="flex justify-between items-center">
+                        <label className="flex items-center cursor-pointer bg-gray-600 hover:bg-gray-500 text-white text-sm py-2 px-3 rounded-lg transition-colors">
+                            <Upload size={16} className="me-2" />
+                            {t('بارگذاری CSV / XLSX')}
+                            <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} className="hidden" />
+                        </label>
+                        <button onClick={runFit} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">{t('برازش')}</button>
+                    </div>
+                    {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm">{error}</div>}
+                    {fit && <FitResults fit={fit} baseReagent={baseReagent} onApply={applyFit} />}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const FitResults = ({ fit, baseReagent, onApply }) => {
+    const measured = fit.points.map(p => ({ x: p.aqCu, y: p.orgCu }));
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-gray-400 border-b border-gray-600"><th className="text-start py-1">{t('آماره')}</th><th>{t('مدل پایه')}</th><th>{t('برازش')}</th></tr>
+                    </thead>
+                    <tbody className="text-center">
+                        <tr><td className="text-start">{t('تعداد نقاط')}</td><td>{fit.baseStats.n}</td><td>{fit.stats.n}</td></tr>
+                        <tr><td className="text-start">R²</td><td>{fit.baseStats.r2.toFixed(4)}</td><td>{fit.stats.r2.toFixed(4)}</td></tr>
+                        <tr><td className="text-start">RMSE (g/L)</td><td>{fit.baseStats.rmse.toFixed(4)}</td><td>{fit.stats.rmse.toFixed(4)}</td></tr>
+                        <tr><td className="text-start">{t('حداکثر خطا (g/L)')}</td><td>{fit.baseStats.maxAbsError.toFixed(4)}</td><td>{fit.stats.maxAbsError.toFixed(4)}</td></tr>
+                    </tbody>
+                </table>
+                <table className="w-full text-sm" dir="ltr">
+                    <thead>
+                        <tr className="text-gray-400 border-b border-gray-600"><th className="text-left py-1">{fit.section}</th><th>base</th><th>fitted</th></tr>
+                    </thead>
+                    <tbody className="text-center font-mono">
+                        {REAGENT_FIELDS[fit.section].map(field => (
+                            <tr key={field}>
+                                <td className="text-left">{field}</td>
+                                <td>{baseReagent[fit.section][field].toPrecision(5)}</td>
+                                <td className={fit.coefficients[field] !== baseReagent[fit.section][field] ? 'text-cyan-300' : ''}>{fit.coefficients[field].toPrecision(5)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {!fit.refinedExponents && <p className="text-xs text-gray-500">{t('داده‌ها فقط در یک سطح V% هستند؛ توان‌های V% (و شیب e در استریپینگ) از مدل پایه حفظ شده‌اند.')}</p>}
+            <ChartCard
+                title={t('کالیبراسیون ایزوترم از داده‌های آزمایشگاهی')}
+                subtitle={`${baseReagent.name} | ${t(SECTION_LABELS[fit.section])}`}
+                fileName={`Isotherm_fit_${fit.section}`}
+                className=""
+                titleClassName="text-sm text-gray-300"
+                chartClassName="h-80"
+            >
+                <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart margin={{ top: 5, right: 20, left: 20, bottom: 25 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                        <XAxis dataKey="x" type="number" domain={[0, 'dataMax']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
+                            <Label value={t('غلظت مس در فاز آبی (g/L)')} offset={-20} position="insideBottom" fill="#A0AEC0"/>
+                        </XAxis>
+                        <YAxis dataKey="y" type="number" stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
+                            <Label value={t('غلظت مس در فاز آلی (g/L)')} angle={-90} position="insideLeft" style={{ textAnchor: 'middle' }} fill="#A0AEC0"/>
+                        </YAxis>
+                        <Tooltip
+                            contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }}
+                            labelStyle={{ color: '#E2E8F0' }}
+                            formatter={(value, name) => [parseFloat(value).toFixed(3), name]}
+                        />
+                        <Legend wrapperStyle={{bottom: -5}}/>
+                        {fit.curves.map((curve, k) => (
+                            <Line key={`fit-${curve.vPercent}`} type="monotone" data={curve.fitted} dataKey="y" name={t('برازش V={v}%', { v: curve.vPercent })} stroke={CURVE_COLORS[k % CURVE_COLORS.length]} strokeWidth={2} dot={false} />
+                        ))}
+                        {fit.curves.map((curve, k) => (
+                            <Line key={`base-${curve.vPercent}`} type="monotone" data={curve.base} dataKey="y" name={t('پایه V={v}%', { v: curve.vPercent })} stroke={CURVE_COLORS[k % CURVE_COLORS.length]} strokeDasharray="4 4" strokeWidth={1} dot={false} />
+                        ))}
+                        <Scatter data={measured} dataKey="y" fill="#facc15" name={t('نقاط آزمایشگاهی')} />
+                    </ComposedChart>
+                </ResponsiveContainer>
+            </ChartCard>
+            <div className="flex justify-end">
+                <button onClick={onApply} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                    {t('ذخیره و استفاده در بهینه‌سازی')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default IsothermFit;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Scatter, Label } from 'recharts';
+import { realSteps, theoreticalStages } from '../engine/index.js';
+import { DEFAULT_UNITS, formatQuantity, fromDisplay, unitLabel } from '../units.js';
+import { t } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+const TARGET_LABELS = { extraction: 'هدف مس رافینت ({unit})', stripping: 'هدف SO ({unit})' };
+
+const POINT_LABELS = {
+    A: 'A ورود به مرحله (خط عملیاتی)',
+    B: 'B خروجی واقعی مرحله',
+    C: 'C پایان پله (خط عملیاتی)',
+    D: 'D تعادل در خروجی آبی',
+};
+
+const tooltipStyle = { backgroundColor: '#1A202C', border: '1px solid #4A5568' };
+
+// Stage markers carry their details entry and show its A/B/C/D points; other points show their coordinates
+const StepTooltip = ({ active, payload }) => {
+    if (!active || !payload || payload.length === 0) return null;
+    const point = payload[0].payload;
+    return (
+        <div style={tooltipStyle} className="p-2 rounded text-xs text-gray-200">
+            {point.stage ? (
+                <>
+                    <div className="font-bold text-cyan-300 mb-1">{t('مرحله {stage} (بازدهی {efficiency}%)', { stage: point.stage.name, efficiency: point.stage.efficiency })}</div>
+                    <table dir="ltr">
+                        <tbody>
+                            {Object.entries(POINT_LABELS).map(([key, label]) => (
+                                <tr key={key}>
+                                    <td className="pr-2 text-gray-400">{t(label)}</td>
+                                    <td className="font-mono">({point.stage[key].x.toFixed(3)}, {point.stage[key].y.toFixed(3)})</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            ) : (
+                <span dir="ltr" className="font-mono">({point.x.toFixed(3)}, {point.y.toFixed(3)})</span>
+            )}
+        </div>
+    );
+};
+
+// McCabe-Thiele diagram of one section with the real (efficiency-limited) and ideal staircases,
+// and the theoretical stage count for a target raffinate or stripped organic, entered in the display unit
+const McCabeChart = ({ title, subtitle, results, inputs, section, units = DEFAULT_UNITS }) => {
+    const [target, setTarget] = useState('');
+    const [showReal, setShowReal] = useState(true);
+    const [showIdeal, setShowIdeal] = useState(true);
+    const data = results[section].mccabeThiele;
+    const steps = realSteps(results, section);
+
+    let ideal = null;
+    let idealError = null;
+    if (inputs) {
+        try {
+            ideal = theoreticalStages(inputs, results, section, target.trim() === '' ? undefined : fromDisplay(parseFloat(target), 'concentration', units));
+        } catch (e) {
+            idealError = e.message;
+        }
+    }
+    const customTarget = ideal && target.trim() !== '';
+
+    const footer = (
+        <>
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-sm">
+                <div className="flex items-center space-x-3 rtl:space-x-reverse text-gray-400">
+                    <label className="flex items-center">
+                        <input type="checkbox" checked={showReal} onChange={(e) => setShowReal(e.target.checked)} className="me-1" />
+                        {t('واقعی')}
+                    </label>
+                    <label className="flex items-center">
+                        <input type="checkbox" checked={showIdeal} onChange={(e) => setShowIdeal(e.target.checked)} className="me-1" />
+                        {t('ایده‌آل')}
+                    </label>
+                </div>
+                {inputs && (
+                    <label className="flex items-center text-gray-400">
+                        {t(TARGET_LABELS[section], { unit: unitLabel('concentration', units) })}:
+                        <input
+                            value={target}
+                            onChange={(e) => setTarget(e.target.value)}
+                            placeholder={formatQuantity(section === 'extraction' ? results.extraction.raff : results.stripping.so, 'concentration', units, 3)}
+                            className="w-24 ms-2 bg-gray-700 text-white p-1 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-left"
+                            dir="ltr"
+                        />
+                    </label>
+                )}
+            </div>
+            {ideal && (
+                <p className={`text-xs mt-2 ${ideal.reachable ? 'text-gray-300' : 'text-amber-300'}`}>
+                    {ideal.reachable
+                        ? <>{t('مراحل تئوری لازم برای {stream} = {target} {unit}:', { stream: section === 'extraction' ? t('رافینت') : 'SO', target: formatQuantity(ideal.target, 'concentration', units, 3), unit: unitLabel('concentration', units) })} <strong className="text-cyan-300">{ideal.stages.toFixed(2)}</strong> {t('(یعنی {count} مرحله ایده‌آل) | مراحل واقعی مدار: {real}', { count: ideal.count, real: steps.length })}</>
+                        : ideal.message}
+                </p>
+            )}
+            {idealError && <p className="text-xs mt-2 text-red-300">{idealError}</p>}
+        </>
+    );
+
+    return (
+        <ChartCard title={title} subtitle={subtitle} fileName={`McCabe_Thiele_${section}`} chartId={`mccabe-${section}`} footer={footer}>
+            <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart margin={{ top: 5, right: 20, left: 20, bottom: 25 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                    <XAxis dataKey="x" type="number" domain={['dataMin', 'dataMax']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
+                        <Label value={t('غلظت مس در فاز آبی (g/L)')} offset={-20} position="insideBottom" fill="#A0AEC0"/>
+                    </XAxis>
+                    <YAxis dataKey="y" type="number" domain={['dataMin', 'dataMax + 1']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
+                        <Label value={t('غلظت مس در فاز آلی (g/L)')} angle={-90} position="insideLeft" style={{ textAnchor: 'middle' }} fill="#A0AEC0"/>
+                    </YAxis>
+                    <Tooltip shared={false} content={<StepTooltip />} />
+                    <Legend wrapperStyle={{bottom: -5}}/>
+                    <Line type="monotone" data={data.equilibriumCurve} dataKey="y" name={t('منحنی تعادل')} stroke="#2dd4bf" strokeWidth={2} dot={false} activeDot={false} />
+                    <Line type="linear" data={data.operatingLine} dataKey="y" name={t('خط عملیاتی')} stroke="#60a5fa" strokeWidth={2} dot={false} activeDot={false} />
+                    {customTarget && (
+                        <Line type="linear" data={ideal.operatingLine} dataKey="y" name={t('خط عملیاتی هدف')} stroke="#94a3b8" strokeDasharray="3 3" strokeWidth={1.5} dot={false} activeDot={false} />
+                    )}
+                    {showReal && steps.map((step, k) => (
+                        <Line
+                            key={step.name}
+                            type="linear"
+                            data={step.points}
+                            dataKey="y"
+                            name={t('پله‌های واقعی')}
+                            legendType={k === 0 ? 'line' : 'none'}
+                            stroke="#facc15"
+                            strokeWidth={2}
+                            dot={false}
+                            activeDot={false}
+                        />
+                    ))}
+                    {showIdeal && ideal && (
+                        <Line type="linear" data={ideal.steps} dataKey="y" name={t('پله‌های ایده‌آل')} stroke="#f472b6" strokeDasharray="5 4" strokeWidth={1.5} dot={false} activeDot={false} />
+                    )}
+                    {showReal && <Scatter data={steps.map(s => ({ ...s.stage.B, stage: s.stage }))} fill="#facc15" name={t('مراحل (B)')} />}
+                    {showReal && <Scatter data={steps.map(s => ({ ...s.stage.D, stage: s.stage }))} fill="#fb923c" shape="diamond" name={t('تعادل (D)')} />}
+                </ComposedChart>
+            </ResponsiveContainer>
+        </ChartCard>
+    );
+};
+
+export default McCabeChart;
@@ -0,0 +1,188 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CheckCircle2, AlertTriangle, RefreshCw, ShieldCheck, Upload, X, XCircle } from 'lucide-react';
+import { REFERENCE_CASES, parseReferenceCases } from '../engine/index.js';
+import { runEngineTask } from '../workers/engineClient.js';
+import { SUMMARY_LABELS } from './fieldLabels.js';
+import { t } from '../i18n.js';
+
+const SOURCE_LABELS = {
+    paper: 'مقاله مرجع',
+    plant: 'داده ممیزی‌شده واحد',
+    regression: 'مورد رگرسیون',
+};
+
+const STATUS_STYLES = {
+    pass: 'bg-green-800 text-green-100',
+    fail: 'bg-red-800 text-red-100',
+    error: 'bg-amber-700 text-amber-100',
+};
+
+const STATUS_LABELS = {
+    pass: 'قبول',
+    fail: 'خارج از تلرانس',
+    error: 'حل نشد',
+};
+
+const quantityLabel = (key) => (SUMMARY_LABELS[key] ? t(SUMMARY_LABELS[key]) : key);
+
+const format = (value) => (value === null ? '—' : Number(value.toPrecision(6)).toString());
+
+// Benchmark suite: the built-in paper and regression cases plus published or audited plant cases
+// loaded from a file, each compared with the model within its tolerance
+const ModelValidation = ({ onClose }) => {
+    const [extraCases, setExtraCases] = useState([]);
+    const [report, setReport] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const taskRef = useRef(null);
+
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                setExtraCases(parseReferenceCases(reader.result));
+                setReport(null);
+                setError(null);
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    const run = () => {
+        setError(null);
+        setProgress({ iteration: 0, maxIterations: REFERENCE_CASES.length + extraCases.length });
+        const task = runEngineTask('benchmarks', { cases: extraCases }, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((result) => {
+                if (taskRef.current === task) setReport(result);
+            })
+            .catch((e) => {
+                if (taskRef.current === task) setError(e.message);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setProgress(null);
+            });
+    };
+
+    const cancel = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+            <div className="bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-cyan-400 flex items-center"><ShieldCheck size={24} className="me-2" /> {t('اعتبارسنجی مدل')}</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="space-y-4 text-gray-300">
+                    <p className="text-sm text-gray-400">
+                        {t('مدل روی موارد مرجع اجرا می‌شود و هر خروجی (V%، LO، SO، رافینت، بازیابی و ...) با مقدار مورد انتظار و تلرانس آن مقایسه می‌شود. هر انحراف خارج از تلرانس پس از تغییر مدل یک پسرفت است. موارد داخلی به جز یکی نتایج پین‌شده همین مدل هستند، نه مقادیر منتشرشده مقاله؛ مورد مقاله جدول 17 فقط V% منتشرشده (17.1) را بررسی می‌کند و تا رفع اختلاف مدل با مقاله رد می‌شود. موارد با مقادیر منتشرشده (source: paper) یا ممیزی‌شده واحد (source: plant) را می‌توان به صورت فایل JSON با همان ساختار (id، inputs، expected) افزود.')}
+                    </p>
+                    <div className="flex flex-wrap justify-between items-center gap-3">
+                        <div className="flex flex-wrap items-center gap-3">
+                            <label className="flex items-center cursor-pointer bg-gray-600 hover:bg-gray-500 text-white text-sm py-2 px-3 rounded-lg transition-colors">
+                                <Upload size={16} className="me-2" />
+                                {t('افزودن موارد مرجع (JSON)')}
+                                <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                            </label>
+                            <span className="text-sm text-gray-400">
+                                {t('{builtin} مورد داخلی + {extra} مورد از فایل', { builtin: REFERENCE_CASES.length, extra: extraCases.length })}
+                            </span>
+                        </div>
+                        {progress ? (
+                            <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                                <RefreshCw size={18} className="text-cyan-400 animate-spin" />
+                                <div className="w-32 bg-gray-700 rounded-full h-2">
+                                    <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                                </div>
+                                <button onClick={cancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+                                    <XCircle size={16} className="me-2" />
+                                    {t('لغو')}
+                                </button>
+                            </div>
+                        ) : (
+                            <button onClick={run} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                                {report ? t('اجرای مجدد') : t('اجرای اعتبارسنجی')}
+                            </button>
+                        )}
+                    </div>
+                    {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm">{error}</div>}
+                    {report && (
+                        <>
+                            {report.failed > 0 ? (
+                                <div className="flex items-center bg-red-900/50 text-red-300 p-3 rounded-md text-sm">
+                                    <AlertTriangle size={18} className="me-2 shrink-0" />
+                                    {t('پسرفت: {failed} از {total} مورد مرجع با مدل فعلی بازتولید نمی‌شود.', { failed: report.failed, total: report.cases.length })}
+                                </div>
+                            ) : (
+                                <div className="flex items-center bg-green-900/50 text-green-300 p-3 rounded-md text-sm">
+                                    <CheckCircle2 size={18} className="me-2 shrink-0" />
+                                    {t('همه {total} مورد مرجع در محدوده تلرانس بازتولید شدند.', { total: report.cases.length })}
+                                </div>
+                            )}
+                            {report.cases.map(c => (
+                                <div key={c.id} className="bg-gray-900/40 rounded-lg p-3">
+                                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                                        <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[c.status]}`}>{t(STATUS_LABELS[c.status])}</span>
+                                        <span className="font-semibold text-gray-100">{c.name}</span>
+                                        <span className="text-xs text-gray-400">
+                                            {t(SOURCE_LABELS[c.source])}{c.reference && ` — ${c.reference}`}
+                                        </span>
+                                    </div>
+                                    {c.error && <div className="text-xs text-amber-300">{c.error}</div>}
+                                    {c.checks.length > 0 && (
+                                        <div className="overflow-x-auto">
+                                            <table className="w-full text-sm text-start">
+                                                <thead className="text-gray-400 border-b border-gray-600">
+                                                    <tr>
+                                                        <th className="p-1.5">{t('کمیت')}</th>
+                                                        <th className="p-1.5">{t('مورد انتظار')}</th>
+                                                        <th className="p-1.5">{t('مدل')}</th>
+                                                        <th className="p-1.5">{t('انحراف')}</th>
+                                                        <th className="p-1.5">{t('انحراف (%)')}</th>
+                                                        <th className="p-1.5">{t('تلرانس')}</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody className="text-gray-200">
+                                                    {c.checks.map(check => (
+                                                        <tr key={check.quantity} className={`border-b border-gray-700 ${check.pass ? '' : 'bg-red-900/30'}`}>
+                                                            <td className="p-1.5">{quantityLabel(check.quantity)}</td>
+                                                            <td className="p-1.5 font-mono">{format(check.expected)}</td>
+                                                            <td className="p-1.5 font-mono">{check.actual === null ? t('ناموجود') : format(check.actual)}</td>
+                                                            <td className={`p-1.5 font-mono ${check.pass ? 'text-green-300' : 'text-red-300'}`} dir="ltr">
+                                                                {check.deviation === null ? '—' : check.deviation.toExponential(2)}
+                                                            </td>
+                                                            <td className="p-1.5 font-mono" dir="ltr">{check.relativeDeviation === null ? '—' : check.relativeDeviation.toFixed(3)}</td>
+                                                            <td className="p-1.5 font-mono" dir="ltr">±{format(check.tolerance)}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ModelValidation;
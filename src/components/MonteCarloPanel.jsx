@@ -0,0 +1,221 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Dices, Plus, RefreshCw, Trash2, XCircle } from 'lucide-react';
+import { DEFAULT_EFFICIENCY, MAX_MONTE_CARLO_SAMPLES, histogram, isPercentField, sensitivityFields } from '../engine/index.js';
+import { runEngineTask } from '../workers/engineClient.js';
+import { fieldLabel, MONTE_CARLO_OUTPUT_LABELS, DISTRIBUTION_LABELS } from './fieldLabels.js';
+import { t } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+// Parameters of each distribution; optional ones may be left empty
+const DISTRIBUTION_PARAMS = {
+    normal: [['mean', 'میانگین'], ['sd', 'انحراف معیار'], ['lower', 'حد پایین (اختیاری)', true], ['upper', 'حد بالا (اختیاری)', true]],
+    triangular: [['lower', 'حد پایین'], ['mode', 'محتمل‌ترین'], ['upper', 'حد بالا']],
+    uniform: [['lower', 'حد پایین'], ['upper', 'حد بالا']],
+};
+
+const inputClass = "w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-left";
+
+const round = (value) => String(+value.toPrecision(4));
+
+// Starting parameters around the case value: ±10 % (5 % standard deviation), percentages capped at 100
+const defaultRow = (field, base, type) => {
+    const upper = isPercentField(field) ? Math.min(base * 1.1, 100) : base * 1.1;
+    if (type === 'normal') return { field, type, mean: round(base), sd: round(base * 0.05), lower: '', upper: '' };
+    if (type === 'triangular') return { field, type, lower: round(base * 0.9), mode: round(base), upper: round(upper) };
+    return { field, type, lower: round(base * 0.9), upper: round(upper) };
+};
+
+const toDistribution = (row) => Object.fromEntries([
+    ['field', row.field],
+    ['type', row.type],
+    ...DISTRIBUTION_PARAMS[row.type].map(([key, , optional]) => [key, optional && row[key].trim() === '' ? null : parseFloat(row[key])]),
+]);
+
+// Uncertainty propagation: distributions on chosen inputs, re-optimized samples, histograms and P10/P50/P90
+const MonteCarloPanel = ({ inputs, reagent, analysis, onAnalysis }) => {
+    const fields = sensitivityFields(inputs);
+    const baseOf = (field) => inputs[field] ?? DEFAULT_EFFICIENCY[field[3]];
+    const [rows, setRows] = useState(() => [defaultRow('plsCu', inputs.plsCu, 'normal')]);
+    const [newField, setNewField] = useState('');
+    const [samples, setSamples] = useState(500);
+    const [seed, setSeed] = useState(1);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const taskRef = useRef(null);
+
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
+
+    const unused = fields.filter(field => !rows.some(r => r.field === field));
+    const fieldToAdd = unused.includes(newField) ? newField : unused[0];
+
+    const updateRow = (k, patch) => setRows(prev => prev.map((r, j) => (j === k ? { ...r, ...patch } : r)));
+    const setType = (k, type) => setRows(prev => prev.map((r, j) => (j === k ? defaultRow(r.field, baseOf(r.field), type) : r)));
+
+    const run = () => {
+        setError(null);
+        setProgress({ iteration: 0, maxIterations: samples });
+        const payload = { inputs, settings: { reagent }, distributions: rows.map(toDistribution), samples, seed };
+        const task = runEngineTask('monteCarlo', payload, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((result) => {
+                if (taskRef.current === task) onAnalysis(result);
+            })
+            .catch((e) => {
+                if (taskRef.current === task) setError(e.message);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setProgress(null);
+            });
+    };
+
+    const cancel = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+            <h2 className="text-xl font-semibold text-cyan-400 flex items-center"><Dices size={20} className="me-2" /> {t('تحلیل عدم قطعیت (مونت کارلو)')}</h2>
+            <p className="text-xs text-gray-400 mb-4">{t('برای هر ورودی نامطمئن یک توزیع تعریف کنید؛ در هر نمونه مقادیر به طور تصادفی انتخاب و V% بهینه دوباره حل می‌شود. با بذر یکسان نتایج عیناً تکرار می‌شوند.')}</p>
+            <div className="space-y-2">
+                {rows.map((row, k) => (
+                    <div key={row.field} className="grid grid-cols-2 md:grid-cols-7 gap-2 items-end bg-gray-700/40 p-2 rounded-md">
+                        <div className="text-sm text-gray-300 md:col-span-2 self-center">{fieldLabel(row.field)}</div>
+                        <select value={row.type} onChange={(e) => setType(k, e.target.value)} className={inputClass.replace('text-left', 'text-start')}>
+                            {Object.entries(DISTRIBUTION_LABELS).map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+                        </select>
+                        {DISTRIBUTION_PARAMS[row.type].map(([key, label]) => (
+                            <label key={key} className="text-xs text-gray-400">
+                                {t(label)}
+                                <input value={row[key]} onChange={(e) => updateRow(k, { [key]: e.target.value })} className={inputClass} dir="ltr" />
+                            </label>
+                        ))}
+                        <button onClick={() => setRows(prev => prev.filter((_, j) => j !== k))} title={t('حذف')} className="text-gray-300 hover:text-red-400 p-1 justify-self-end self-center"><Trash2 size={16} /></button>
+                    </div>
+                ))}
+                {unused.length > 0 && (
+                    <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                        <select value={fieldToAdd} onChange={(e) => setNewField(e.target.value)} className={`${inputClass.replace('text-left', 'text-start')} max-w-xs`}>
+                            {unused.map(field => <option key={field} value={field}>{fieldLabel(field)}</option>)}
+                        </select>
+                        <button onClick={() => setRows(prev => [...prev, defaultRow(fieldToAdd, baseOf(fieldToAdd), 'normal')])} className="flex items-center text-xs bg-gray-600 hover:bg-gray-500 text-white py-1.5 px-2 rounded-md transition-colors">
+                            <Plus size={14} className="me-1" />
+                            {t('افزودن توزیع')}
+                        </button>
+                    </div>
+                )}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center mt-4">
+                <div className="grid grid-cols-2 items-center gap-x-2">
+                    <label htmlFor="mcSamples" className="text-sm text-gray-400">{t('تعداد نمونه‌ها:')}</label>
+                    <input type="number" id="mcSamples" value={samples} onChange={(e) => setSamples(parseInt(e.target.value, 10) || 0)} min="10" max={MAX_MONTE_CARLO_SAMPLES} step="100" className={inputClass} dir="ltr" />
+                </div>
+                <div className="grid grid-cols-2 items-center gap-x-2">
+                    <label htmlFor="mcSeed" className="text-sm text-gray-400">{t('بذر (seed):')}</label>
+                    <input type="number" id="mcSeed" value={seed} onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)} step="1" className={inputClass} dir="ltr" />
+                </div>
+                <div className="flex justify-end">
+                    {progress ? (
+                        <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                            <RefreshCw size={18} className="text-cyan-400 animate-spin" />
+                            <div className="w-32 bg-gray-700 rounded-full h-2">
+                                <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                            </div>
+                            <button onClick={cancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+                                <XCircle size={16} className="me-2" />
+                                {t('لغو')}
+                            </button>
+                        </div>
+                    ) : (
+                        <button onClick={run} disabled={rows.length === 0} className="bg-cyan-600 hover:bg-cyan-700 disabled:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            {analysis ? t('اجرای مجدد') : t('اجرای شبیه‌سازی')}
+                        </button>
+                    )}
+                </div>
+            </div>
+            {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm mt-4">{error}</div>}
+            {analysis && <MonteCarloResults analysis={analysis} />}
+        </div>
+    );
+};
+
+const MonteCarloResults = ({ analysis }) => {
+    const solved = analysis.draws.filter(d => d.outputs);
+    return (
+        <div className="mt-4 space-y-4">
+            <p className={`text-sm ${analysis.failures > 0 ? 'text-amber-300' : 'text-gray-400'}`}>
+                {t('{samples} نمونه با بذر {seed} | حل‌نشده: {failures} ({share}%)', {
+                    samples: analysis.samples,
+                    seed: analysis.seed,
+                    failures: analysis.failures,
+                    share: (analysis.failureShare * 100).toFixed(1),
+                })}
+            </p>
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-gray-400 border-b border-gray-600">
+                        <th className="text-start py-1">{t('خروجی')}</th><th>P10</th><th>P50</th><th>P90</th><th>{t('میانگین')}</th><th>{t('انحراف معیار')}</th>
+                    </tr>
+                </thead>
+                <tbody className="text-center">
+                    {Object.entries(MONTE_CARLO_OUTPUT_LABELS).map(([key, label]) => {
+                        const s = analysis.stats[key];
+                        return (
+                            <tr key={key} className="border-b border-gray-700">
+                                <td className="text-start py-1">{t(label)}</td>
+                                {s ? [s.p10, s.p50, s.p90, s.mean, s.sd].map((v, k) => <td key={k}>{v.toPrecision(4)}</td>) : <td colSpan={5}>—</td>}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            {solved.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {Object.entries(MONTE_CARLO_OUTPUT_LABELS).map(([key, label]) => (
+                        <Histogram key={key} title={t(label)} fileName={`Monte_Carlo_${key}`} values={solved.map(d => d.outputs[key])} stats={analysis.stats[key]} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Histogram of one output with its P10/P50/P90 marked
+const Histogram = ({ title, fileName, values, stats }) => {
+    const bins = histogram(values, 20).map(b => ({ mid: (b.from + b.to) / 2, count: b.count, range: `${b.from.toPrecision(4)} – ${b.to.toPrecision(4)}` }));
+    const width = bins.length > 1 ? bins[1].mid - bins[0].mid : 1;
+    return (
+        <ChartCard
+            title={title}
+            fileName={fileName}
+            className=""
+            titleClassName="text-sm text-gray-300"
+            chartClassName="h-48"
+        >
+            <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={bins} barCategoryGap={1} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                    <XAxis dataKey="mid" type="number" domain={[bins[0].mid - width / 2, bins[bins.length - 1].mid + width / 2]} stroke="#A0AEC0" tick={{ fontSize: 11 }} tickFormatter={(tick) => tick.toPrecision(3)} />
+                    <YAxis allowDecimals={false} stroke="#A0AEC0" tick={{ fontSize: 11 }} />
+                    <Tooltip
+                        contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }}
+                        labelStyle={{ color: '#E2E8F0' }}
+                        labelFormatter={(_, payload) => payload?.[0]?.payload.range ?? ''}
+                        formatter={(value) => [value, t('تعداد')]}
+                    />
+                    <Bar dataKey="count" fill="#2dd4bf" />
+                    {[['P10', stats.p10], ['P50', stats.p50], ['P90', stats.p90]].map(([name, x]) => (
+                        <ReferenceLine key={name} x={x} stroke={name === 'P50' ? '#facc15' : '#f472b6'} strokeDasharray="4 3" label={{ value: name, fill: '#E2E8F0', fontSize: 10, position: 'top' }} />
+                    ))}
+                </BarChart>
+            </ResponsiveContainer>
+        </ChartCard>
+    );
+};
+
+export default MonteCarloPanel;
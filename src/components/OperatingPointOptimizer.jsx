@@ -0,0 +1,245 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Label } from 'recharts';
+import { RefreshCw, Target, X, XCircle } from 'lucide-react';
+import { DECISION_KEYS, DEFAULT_OPERATING_SPEC, OBJECTIVES } from '../engine/index.js';
+import { runEngineTask } from '../workers/engineClient.js';
+import { SelectRow } from './FormRows.jsx';
+import { t } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+const OBJECTIVE_LABELS = {
+    recovery: 'حداکثر بازیابی استخراج',
+    netCu: 'حداکثر انتقال خالص مس',
+    extractant: 'حداقل مصرف استخراج‌کننده',
+};
+const OBJECTIVE_AXES = {
+    recovery: 'بازیابی استخراج (%)',
+    netCu: 'انتقال خالص مس ((g/L)/V%)',
+    extractant: 'استخراج‌کننده در گردش (m³/h)',
+};
+const OBJECTIVE_DIGITS = { recovery: 2, netCu: 3, extractant: 2 };
+const DECISION_LABELS = {
+    o_a_ex: 'نسبت O/A',
+    percentageML: 'درصد بارگذاری ماکزیمم (%)',
+    adCu: 'مس در الکترولیت پیشرفته (g/L)',
+    spCu: 'مس در الکترولیت مصرفی (g/L)',
+};
+
+const inputClass = "w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-left";
+
+// Bounds are edited as text; empty constraint fields mean "no constraint"
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+const toNumber = (text) => (text.trim() === '' ? null : parseFloat(text));
+
+// Decision-variable optimizer: bounds, objectives and constraints in, optimum or Pareto front out
+const OperatingPointOptimizer = ({ inputs, reagent, onApply, onClose }) => {
+    const [objectives, setObjectives] = useState(DEFAULT_OPERATING_SPEC.objectives);
+    const [bounds, setBounds] = useState(() => Object.fromEntries(DECISION_KEYS.map(key => {
+        const b = DEFAULT_OPERATING_SPEC.bounds[key];
+        return [key, { free: b.free, lower: toText(b.lower), upper: toText(b.upper) }];
+    })));
+    const [vBounds, setVBounds] = useState({ lower: toText(DEFAULT_OPERATING_SPEC.vPercent.lower), upper: toText(DEFAULT_OPERATING_SPEC.vPercent.upper) });
+    const [constraints, setConstraints] = useState({ minRecovery: '', maxRaff: '' });
+    const [outcome, setOutcome] = useState(null);
+    const [error, setError] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const taskRef = useRef(null);
+
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
+
+    const setBound = (key, field, value) => setBounds(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+
+    const run = () => {
+        const spec = {
+            objectives,
+            vPercent: { lower: toNumber(vBounds.lower), upper: toNumber(vBounds.upper) },
+            bounds: Object.fromEntries(DECISION_KEYS.map(key => [key, { free: bounds[key].free, lower: toNumber(bounds[key].lower), upper: toNumber(bounds[key].upper) }])),
+            constraints: { minRecovery: toNumber(constraints.minRecovery), maxRaff: toNumber(constraints.maxRaff) },
+        };
+        setError(null);
+        setOutcome(null);
+        setProgress({ iteration: 0, maxIterations: 1 });
+        const task = runEngineTask('optimizeOperatingPoint', { inputs, settings: { reagent }, spec }, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((result) => {
+                if (taskRef.current === task) setOutcome(result);
+            })
+            .catch((e) => {
+                if (taskRef.current === task) setError(e.message);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setProgress(null);
+            });
+    };
+
+    const cancel = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    const objectiveOptions = Object.keys(OBJECTIVES).map(value => ({ value, label: t(OBJECTIVE_LABELS[value]) }));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+            <div className="bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-cyan-400">{t('بهینه‌سازی نقطه کار (چندهدفه)')}</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="space-y-4 text-gray-300">
+                    <p className="text-sm text-gray-400">
+                        {t('متغیرهای آزاد در بازه‌های داده‌شده تغییر می‌کنند و برای هر نقطه، V% از شرط سازگاری SO (در بازه V%) حل می‌شود. سایر ورودی‌ها از پنل اصلی گرفته می‌شوند. با انتخاب دو هدف، جبهه پارتو محاسبه می‌شود.')}
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <SelectRow
+                            label={t('هدف اول')}
+                            name="objective1"
+                            value={objectives[0]}
+                            onChange={(e) => setObjectives(prev => [e.target.value, ...prev.slice(1).filter(o => o !== e.target.value)])}
+                            options={objectiveOptions}
+                        />
+                        <SelectRow
+                            label={t('هدف دوم (پارتو)')}
+                            name="objective2"
+                            value={objectives[1] ?? ''}
+                            onChange={(e) => setObjectives(prev => (e.target.value ? [prev[0], e.target.value] : [prev[0]]))}
+                            options={[{ value: '', label: t('بدون هدف دوم') }, ...objectiveOptions.filter(o => o.value !== objectives[0])]}
+                        />
+                    </div>
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-gray-400 border-b border-gray-600">
+                                <th className="text-start py-1">{t('متغیر تصمیم')}</th><th>{t('آزاد')}</th><th>{t('حد پایین')}</th><th>{t('حد بالا')}</th><th>{t('مقدار فعلی')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="text-center">
+                            {DECISION_KEYS.map(key => (
+                                <tr key={key}>
+                                    <td className="text-start">{t(DECISION_LABELS[key])}</td>
+                                    <td><input type="checkbox" checked={bounds[key].free} onChange={(e) => setBound(key, 'free', e.target.checked)} /></td>
+                                    <td className="px-1"><input value={bounds[key].lower} onChange={(e) => setBound(key, 'lower', e.target.value)} disabled={!bounds[key].free} className={inputClass} dir="ltr" /></td>
+                                    <td className="px-1"><input value={bounds[key].upper} onChange={(e) => setBound(key, 'upper', e.target.value)} disabled={!bounds[key].free} className={inputClass} dir="ltr" /></td>
+                                    <td dir="ltr">{inputs[key]}</td>
+                                </tr>
+                            ))}
+                            <tr>
+                                <td className="text-start">{t('درصد استخراج‌کننده V% (از شرط SO)')}</td>
+                                <td>—</td>
+                                <td className="px-1"><input value={vBounds.lower} onChange={(e) => setVBounds(prev => ({ ...prev, lower: e.target.value }))} className={inputClass} dir="ltr" /></td>
+                                <td className="px-1"><input value={vBounds.upper} onChange={(e) => setVBounds(prev => ({ ...prev, upper: e.target.value }))} className={inputClass} dir="ltr" /></td>
+                                <td>—</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="grid grid-cols-2 items-center gap-x-2">
+                            <label htmlFor="minRecovery" className="text-sm text-gray-400">{t('حداقل بازیابی استخراج (%):')}</label>
+                            <input id="minRecovery" value={constraints.minRecovery} onChange={(e) => setConstraints(prev => ({ ...prev, minRecovery: e.target.value }))} placeholder={t('بدون قید')} className={inputClass} dir="ltr" />
+                        </div>
+                        <div className="grid grid-cols-2 items-center gap-x-2">
+                            <label htmlFor="maxRaff" className="text-sm text-gray-400">{t('حداکثر مس رافینت (g/L):')}</label>
+                            <input id="maxRaff" value={constraints.maxRaff} onChange={(e) => setConstraints(prev => ({ ...prev, maxRaff: e.target.value }))} placeholder={t('بدون قید')} className={inputClass} dir="ltr" />
+                        </div>
+                    </div>
+                    <div className="flex justify-end">
+                        {progress ? (
+                            <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                                <RefreshCw size={18} className="text-cyan-400 animate-spin" />
+                                <div className="w-48 bg-gray-700 rounded-full h-2">
+                                    <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                                </div>
+                                <button onClick={cancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+                                    <XCircle size={16} className="me-2" />
+                                    {t('لغو')}
+                                </button>
+                            </div>
+                        ) : (
+                            <button onClick={run} className="flex items-center bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                                <Target size={18} className="me-2" />
+                                {t('بهینه‌سازی')}
+                            </button>
+                        )}
+                    </div>
+                    {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm">{error}</div>}
+                    {outcome && <OptimizationOutcome outcome={outcome} onApply={onApply} />}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const OptimizationOutcome = ({ outcome, onApply }) => {
+    const [first, second] = outcome.objectives;
+    const points = second ? outcome.pareto : [outcome.optima[first]];
+    const toXY = (p) => ({ x: p.objectives[first], y: p.objectives[second], point: p });
+
+    return (
+        <div className="space-y-4">
+            {second && (
+                <ChartCard
+                    title={t('جبهه پارتو')}
+                    fileName="Pareto_front"
+                    className=""
+                    titleClassName="text-sm text-gray-300"
+                    chartClassName="h-80"
+                >
+                    <ResponsiveContainer width="100%" height="100%">
+                        <ScatterChart margin={{ top: 5, right: 20, left: 20, bottom: 25 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                            <XAxis dataKey="x" type="number" domain={['auto', 'auto']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(OBJECTIVE_DIGITS[first])}>
+                                <Label value={t(OBJECTIVE_AXES[first])} offset={-20} position="insideBottom" fill="#A0AEC0"/>
+                            </XAxis>
+                            <YAxis dataKey="y" type="number" domain={['auto', 'auto']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(OBJECTIVE_DIGITS[second])}>
+                                <Label value={t(OBJECTIVE_AXES[second])} angle={-90} position="insideLeft" style={{ textAnchor: 'middle' }} fill="#A0AEC0"/>
+                            </YAxis>
+                            <ZAxis range={[40, 40]} />
+                            <Tooltip
+                                contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }}
+                                labelStyle={{ color: '#E2E8F0' }}
+                                formatter={(value) => parseFloat(value).toFixed(3)}
+                            />
+                            <Legend wrapperStyle={{bottom: -5}}/>
+                            <Scatter data={outcome.samples.map(toXY)} fill="#718096" name={t('نقاط نمونه')} />
+                            <Scatter data={outcome.pareto.map(toXY)} fill="#facc15" line={{ stroke: '#2dd4bf', strokeWidth: 2 }} name={t('جبهه پارتو')} onClick={(d) => onApply(d.point)} />
+                        </ScatterChart>
+                    </ResponsiveContainer>
+                </ChartCard>
+            )}
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-gray-400 border-b border-gray-600">
+                            {outcome.free.map(key => <th key={key} className="py-1">{t(DECISION_LABELS[key])}</th>)}
+                            <th>V%</th>
+                            {Object.keys(OBJECTIVES).map(key => <th key={key}>{t(OBJECTIVE_AXES[key])}</th>)}
+                            <th>{t('رافینت (g/L)')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody className="text-center">
+                        {points.map((p, k) => (
+                            <tr key={k} className="border-b border-gray-700">
+                                {outcome.free.map(key => <td key={key} className="py-1">{p.inputs[key].toFixed(3)}</td>)}
+                                <td>{p.inputs.vPercent.toFixed(2)}</td>
+                                {Object.keys(OBJECTIVES).map(key => <td key={key}>{p.objectives[key].toFixed(OBJECTIVE_DIGITS[key])}</td>)}
+                                <td>{p.raff.toFixed(3)}</td>
+                                <td>
+                                    <button onClick={() => onApply(p)} className="bg-green-600 hover:bg-green-700 text-white text-xs py-1 px-2 rounded-md transition-colors">{t('اعمال')}</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500">{t('با «اعمال» (یا کلیک روی نقطه جبهه)، مقادیر متغیرهای تصمیم در ورودی‌ها قرار می‌گیرد و محاسبه اصلی دوباره اجرا می‌شود.')}</p>
+        </div>
+    );
+};
+
+export default OperatingPointOptimizer;
@@ -0,0 +1,320 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Label } from 'recharts';
+import { read, utils, writeFile } from 'xlsx';
+import { Factory, FileDown, RefreshCw, Upload, X, XCircle } from 'lucide-react';
+import { SURVEY_INPUT_KEYS, SURVEY_REQUIRED_STREAMS, parseSurveyRows } from '../engine/index.js';
+import { runEngineTask } from '../workers/engineClient.js';
+import { fieldLabel } from './fieldLabels.js';
+import { t } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+const TREND_COLORS = ['#2dd4bf', '#60a5fa', '#f472b6', '#a78bfa', '#fb923c', '#4ade80', '#f87171', '#e879f9'];
+
+const STREAM_LABELS = {
+    raff: 'مس رافینت',
+    raffAcid: 'اسید رافینت',
+    lo: 'فاز آلی باردار LO',
+    so: 'SO (سمت استخراج)',
+    soSt: 'SO (سمت استریپینگ)',
+    ml: 'بارگذاری ماکزیمم (ML)',
+};
+const streamLabel = (key) => {
+    if (STREAM_LABELS[key]) return t(STREAM_LABELS[key]);
+    return key.startsWith('aq') ? t('آبی خروجی {stage}', { stage: key.slice(2) }) : t('آلی خروجی {stage}', { stage: key.slice(3) });
+};
+
+const PARAMETER_LABELS = {
+    vPercent: 'V% مؤثر',
+    percentageML: 'درصد بارگذاری ماکزیمم (%)',
+    effE: 'بازدهی مراحل استخراج (%)',
+    effS: 'بازدهی مراحل استریپینگ (%)',
+};
+const parameterLabel = (key) => (PARAMETER_LABELS[key] ? t(PARAMETER_LABELS[key]) : fieldLabel(key));
+
+const textToRows = (text) => text.split(/\r?\n/).map(line => line.split(/[\t,;]/));
+
+// Inverse mode: back-calculate efficiencies, V% and %ML from plant survey assays, one survey or a daily series
+const PlantReconciliation = ({ inputs, reagent, onApply, onClose }) => {
+    const [text, setText] = useState('');
+    const [perStage, setPerStage] = useState(false);
+    const [series, setSeries] = useState(null);
+    const [selected, setSelected] = useState(0);
+    const [error, setError] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const taskRef = useRef(null);
+
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const wb = read(new Uint8Array(reader.result), { type: 'array' });
+                const rows = utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, raw: true, defval: '' });
+                setText(rows.map(r => r.join('\t')).join('\n'));
+                setSeries(null);
+                setError(null);
+            } catch (err) {
+                setError(t('خواندن فایل ممکن نشد: {message}', { message: err.message }));
+            }
+        };
+        reader.readAsArrayBuffer(file);
+        e.target.value = '';
+    };
+
+    const run = () => {
+        let surveys;
+        try {
+            surveys = parseSurveyRows(textToRows(text));
+            if (surveys.length === 0) throw new Error(t('هیچ سطر داده‌ای وارد نشده است.'));
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        setError(null);
+        setProgress({ iteration: 0, maxIterations: surveys.length });
+        const task = runEngineTask('reconcile', { inputs, settings: { reagent }, surveys, perStage }, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((result) => {
+                if (taskRef.current !== task) return;
+                setSeries(result);
+                const solved = result.fits.map((f, k) => (f.fit ? k : -1)).filter(k => k >= 0);
+                setSelected(solved.length > 0 ? solved[solved.length - 1] : 0);
+            })
+            .catch((e) => {
+                if (taskRef.current === task) setError(e.message);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setProgress(null);
+            });
+    };
+
+    const cancel = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    const exportSeries = () => {
+        const keys = Object.keys(series.fits.find(f => f.fit).fit.parameters);
+        const streams = [...new Set(series.fits.flatMap(f => (f.fit ? f.fit.residuals.map(r => r.stream) : [])))];
+        const data = [
+            [t('تاریخ'), ...keys.map(parameterLabel), t('RMS نرمال‌شده'), ...streams.map(s => t('باقیمانده {stream} (g/L)', { stream: streamLabel(s) })), t('خطا')],
+            ...series.fits.map(f => (f.fit
+                ? [f.date, ...keys.map(key => f.fit.parameters[key]), f.fit.rms, ...streams.map(s => f.fit.residuals.find(r => r.stream === s)?.residual ?? ''), '']
+                : [f.date, ...keys.map(() => ''), '', ...streams.map(() => ''), f.error])),
+        ];
+        const wb = utils.book_new();
+        utils.book_append_sheet(wb, utils.aoa_to_sheet(data), t('تطبیق با داده‌های واحد'));
+        writeFile(wb, "SX_Plant_Reconciliation.xlsx");
+    };
+
+    const current = series?.fits[selected];
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+            <div className="bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-cyan-400">{t('تطبیق مدل با داده‌های واحد (محاسبه معکوس)')}</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="space-y-4 text-gray-300">
+                    <p className="text-sm text-gray-400">
+                        {t('هر سطر یک بررسی (مثلاً روزانه) از واحد است. ستون‌های')}
+                        <code className="mx-1 text-cyan-300" dir="ltr">{SURVEY_REQUIRED_STREAMS.join(', ')}</code>
+                        {t('(g/L) الزامی‌اند؛ ستون‌های')}
+                        <code className="mx-1 text-cyan-300" dir="ltr">date, {SURVEY_INPUT_KEYS.join(', ')}, raffAcid, ml</code>
+                        {t('اختیاری‌اند و ستون‌های ورودی جای مقادیر فعلی فرم را برای همان روز می‌گیرند. غلظت‌های بین‌مرحله‌ای با نام‌هایی مانند')}
+                        <code className="mx-1 text-cyan-300" dir="ltr">aqE1, orgS1</code>
+                        {t('(مس آبی خروجی از مرحله استخراج، مس آلی خروجی از مرحله استریپینگ) وارد می‌شوند.')}
+                        {' '}{t('LO تنها حاصل‌ضرب درصد ML در بارگذاری ماکزیمم را مشخص می‌کند؛ بنابراین درصد ML در مقدار فرم (یا ستون percentageML) ثابت می‌ماند و V% از LO به دست می‌آید، مگر آنکه ستون ml (بارگذاری ماکزیمم فاز آلی در تماس با PLS، g/L) داده شود.')}
+                    </p>
+                    <textarea
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        rows={8}
+                        dir="ltr"
+                        placeholder={['date', 'plsCu', 'plsAcid', 'raff', 'lo', 'so', 'adCu', 'spCu'].join('\t')}
+                        className="w-full bg-gray-700 text-white p-2 rounded-md border border-gray-600 font-mono text-sm focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+                    />
+                    <div className="flex justify-between items-center">
+                        <div className="flex items-center space-x-4 rtl:space-x-reverse">
+                            <label className="flex items-center cursor-pointer bg-gray-600 hover:bg-gray-500 text-white text-sm py-2 px-3 rounded-lg transition-colors">
+                                <Upload size={16} className="me-2" />
+                                {t('بارگذاری CSV / XLSX')}
+                                <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} className="hidden" />
+                            </label>
+                            <label className="flex items-center text-sm text-gray-400">
+                                <input type="checkbox" checked={perStage} onChange={(e) => setPerStage(e.target.checked)} className="me-2" />
+                                {t('بازدهی جداگانه برای هر مرحله (نیازمند غلظت‌های بین‌مرحله‌ای)')}
+                            </label>
+                        </div>
+                        {progress ? (
+                            <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                                <RefreshCw size={18} className="text-cyan-400 animate-spin" />
+                                <div className="w-32 bg-gray-700 rounded-full h-2">
+                                    <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                                </div>
+                                <button onClick={cancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+                                    <XCircle size={16} className="me-2" />
+                                    {t('لغو')}
+                                </button>
+                            </div>
+                        ) : (
+                            <button onClick={run} className="flex items-center bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                                <Factory size={18} className="me-2" />
+                                {t('تطبیق')}
+                            </button>
+                        )}
+                    </div>
+                    {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm">{error}</div>}
+                    {series && (
+                        <>
+                            {series.fits.length > 1 && <TrendChart fits={series.fits} />}
+                            <SeriesTable fits={series.fits} selected={selected} onSelect={setSelected} />
+                            {current?.fit && <FitDetails entry={current} onApply={() => onApply(current.fit.efficiencies)} />}
+                            <div className="flex justify-end">
+                                <button onClick={exportSeries} disabled={!series.fits.some(f => f.fit)} className="flex items-center bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                                    <FileDown size={18} className="me-2" />
+                                    {t('خروجی اکسل')}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Fitted efficiencies and %ML (left axis) and V% (right axis) over the surveys
+const TrendChart = ({ fits }) => {
+    const keys = Object.keys(fits.find(f => f.fit)?.fit.parameters ?? {}).filter(key => key !== 'vPercent');
+    const data = fits.map(f => ({ date: f.date, ...(f.fit ? f.fit.parameters : {}) }));
+    return (
+        <ChartCard
+            title={t('روند بازدهی‌ها و V%')}
+            fileName="Reconciliation_trend"
+            className=""
+            titleClassName="text-sm text-gray-300"
+            chartClassName="h-80"
+        >
+            <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={data} margin={{ top: 5, right: 20, left: 20, bottom: 25 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                    <XAxis dataKey="date" stroke="#A0AEC0" />
+                    <YAxis yAxisId="percent" stroke="#A0AEC0" domain={['auto', 'auto']} tickFormatter={(tick) => tick.toFixed(0)}>
+                        <Label value={t('بازدهی / %ML (%)')} angle={-90} position="insideLeft" style={{ textAnchor: 'middle' }} fill="#A0AEC0"/>
+                    </YAxis>
+                    <YAxis yAxisId="v" orientation="right" stroke="#facc15" domain={['auto', 'auto']} tickFormatter={(tick) => tick.toFixed(1)}>
+                        <Label value="V%" angle={90} position="insideRight" style={{ textAnchor: 'middle' }} fill="#facc15"/>
+                    </YAxis>
+                    <Tooltip
+                        contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }}
+                        labelStyle={{ color: '#E2E8F0' }}
+                        formatter={(value, name) => [parseFloat(value).toFixed(2), name]}
+                    />
+                    <Legend wrapperStyle={{bottom: -5}}/>
+                    {keys.map((key, k) => (
+                        <Line key={key} yAxisId="percent" type="monotone" dataKey={key} name={parameterLabel(key)} stroke={TREND_COLORS[k % TREND_COLORS.length]} strokeWidth={2} connectNulls />
+                    ))}
+                    <Line yAxisId="v" type="monotone" dataKey="vPercent" name={parameterLabel('vPercent')} stroke="#facc15" strokeWidth={2} strokeDasharray="5 4" connectNulls />
+                </LineChart>
+            </ResponsiveContainer>
+        </ChartCard>
+    );
+};
+
+// One row per survey; the selected row is shown in detail below
+const SeriesTable = ({ fits, selected, onSelect }) => {
+    const keys = Object.keys(fits.find(f => f.fit)?.fit.parameters ?? {});
+    return (
+        <div className="max-h-64 overflow-y-auto">
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-gray-400 border-b border-gray-600">
+                        <th className="text-start py-1">{t('تاریخ')}</th>
+                        {keys.map(key => <th key={key}>{parameterLabel(key)}</th>)}
+                        <th>{t('RMS نرمال‌شده')}</th>
+                    </tr>
+                </thead>
+                <tbody className="text-center">
+                    {fits.map((f, k) => (
+                        <tr
+                            key={k}
+                            onClick={() => f.fit && onSelect(k)}
+                            className={`border-b border-gray-700 ${f.fit ? 'cursor-pointer hover:bg-gray-700/50' : 'text-red-300'} ${k === selected ? 'bg-cyan-900/40' : ''}`}
+                        >
+                            <td className="text-start py-1" dir="ltr">{f.date}</td>
+                            {f.fit
+                                ? keys.map(key => <td key={key} className={f.fit.fixed.includes(key) ? 'text-gray-500' : ''}>{f.fit.parameters[key].toFixed(2)}</td>)
+                                : <td colSpan={keys.length} className="text-xs">{f.error}</td>}
+                            <td>{f.fit ? f.fit.rms.toFixed(3) : '—'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// Parameters and per-stream residuals of one fitted survey
+const FitDetails = ({ entry, onApply }) => {
+    const { fit } = entry;
+    return (
+        <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-cyan-400">{t('بررسی')} <span dir="ltr">{entry.date}</span></h3>
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-gray-400 border-b border-gray-600">
+                        <th className="text-start py-1">{t('جریان')}</th>
+                        <th>{t('اندازه‌گیری (g/L)')}</th>
+                        <th>{t('مدل (g/L)')}</th>
+                        <th>{t('باقیمانده (g/L)')}</th>
+                        <th>{t('باقیمانده / خطای آنالیز')}</th>
+                    </tr>
+                </thead>
+                <tbody className="text-center">
+                    {fit.residuals.map(r => (
+                        <tr key={r.stream} className={`border-b border-gray-700 ${Math.abs(r.normalized) > 2 ? 'text-amber-300' : ''}`}>
+                            <td className="text-start py-1">{streamLabel(r.stream)}</td>
+                            <td>{r.measured.toFixed(3)}</td>
+                            <td>{r.model.toFixed(3)}</td>
+                            <td>{r.residual.toFixed(4)}</td>
+                            <td>{r.normalized.toFixed(2)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <p className="text-xs text-gray-500">
+                {t('خطای آنالیز هر جریان ۲٪ مقدار آن (حداقل 0.01 g/L) فرض شده است؛ باقیمانده‌های بزرگ‌تر از دو برابر آن رنگی شده‌اند. درجه آزادی برازش: {dof}', { dof: fit.dof })}
+                {fit.dof === 0 && ` ${t('(تعداد مجهول‌ها با داده‌ها برابر است و برازش دقیق انتظار می‌رود)')}`}.
+                {fit.fixed.includes('percentageML') && ` ${t('درصد ML برازش نشده و در {value}% ثابت مانده است.', { value: fit.parameters.percentageML.toFixed(1) })}`}
+            </p>
+            {fit.unidentified.length > 0 && (
+                <div className="bg-amber-900/40 text-amber-200 p-2 rounded-md text-sm">
+                    {t('داده‌های این بررسی {parameters} را از سایر پارامترها جدا نمی‌کنند و مقدار برازش‌شده یکتا نیست؛ غلظت‌های بیشتری (بین‌مرحله‌ای یا ml) اضافه کنید.', { parameters: fit.unidentified.map(parameterLabel).join(t('، ')) })}
+                </div>
+            )}
+            {fit.atBounds.length > 0 && (
+                <div className="bg-amber-900/40 text-amber-200 p-2 rounded-md text-sm">
+                    {t('{parameters} روی مرز بازه جستجو قرار گرفته است؛ داده‌های این بررسی احتمالاً با مدل سازگار نیستند.', { parameters: fit.atBounds.map(parameterLabel).join(t('، ')) })}
+                </div>
+            )}
+            <div className="flex justify-end">
+                <button onClick={onApply} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                    {t('اعمال بازدهی‌های این بررسی به ورودی‌ها')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PlantReconciliation;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { FileJson, FolderOpen, Link, X } from 'lucide-react';
+import { t } from '../i18n.js';
+
+// Project file save/open and share link, with a dismissible status line for errors and confirmations
+const ProjectMenu = ({ onExport, onImport, shareUrl }) => {
+    const [message, setMessage] = useState(null);
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                onImport(reader.result);
+                setMessage({ type: 'info', text: t('پروژه «{name}» بارگذاری شد.', { name: file.name }) });
+            } catch (err) {
+                setMessage({ type: 'error', text: err.message });
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    const copyLink = async () => {
+        const url = shareUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            setMessage({ type: 'info', text: t('لینک در حافظه کپی شد؛ با باز کردن آن، ورودی‌ها بازیابی و محاسبه دوباره اجرا می‌شود.') });
+        } catch {
+            // Clipboard access can be blocked (e.g. plain http); let the user copy by hand
+            window.prompt(t('لینک این حالت:'), url);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                <button onClick={onExport} title={t('ذخیره فایل پروژه (JSON)')} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white text-sm py-2 px-3 rounded-lg transition-colors">
+                    <FileJson size={16} className="me-1" />
+                    {t('ذخیره پروژه')}
+                </button>
+                <label title={t('باز کردن فایل پروژه')} className="flex items-center cursor-pointer bg-gray-600 hover:bg-gray-700 text-white text-sm py-2 px-3 rounded-lg transition-colors">
+                    <FolderOpen size={16} className="me-1" />
+                    {t('باز کردن')}
+                    <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                </label>
+                <button onClick={copyLink} title={t('کپی لینک این حالت')} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white text-sm py-2 px-3 rounded-lg transition-colors">
+                    <Link size={16} className="me-1" />
+                    {t('کپی لینک')}
+                </button>
+            </div>
+            {message && (
+                <div className={`mt-2 p-2 rounded-md text-sm flex justify-between items-start ${message.type === 'error' ? 'bg-red-900/50 text-red-300' : 'bg-cyan-900/40 text-cyan-200'}`}>
+                    <span className="whitespace-pre-line">{message.text}</span>
+                    <button onClick={() => setMessage(null)} className="ms-2 hover:text-white"><X size={14} /></button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProjectMenu;
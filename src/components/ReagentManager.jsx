@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { FlaskConical, Microscope, Pencil, Trash2, X } from 'lucide-react';
+import { REAGENT_FIELDS, validateReagent } from '../engine/index.js';
+import { SelectRow } from './FormRows.jsx';
+import { t } from '../i18n.js';
+
+const FIELD_LABELS = {
+    extraction: {
+        c: 'c (× V%)', d: 'd', eCoef: 'ضریب e', eExp: 'توان e (V%)', fCoef: 'ضریب f', fExp: 'توان f (V%)',
+    },
+    stripping: {
+        c: 'c (× V%)', d: 'd', eSlope: 'شیب e (× V%)', eIntercept: 'عرض از مبدأ e', fCoef: 'ضریب f', fExp: 'توان f (V%)',
+    },
+};
+
+const SECTION_TITLES = { extraction: 'ضرایب استخراج', stripping: 'ضرایب استریپینگ' };
+
+// Reagent selector with create/edit/delete of user-defined coefficient sets
+const ReagentManager = ({ reagents, selectedId, onSelect, onSave, onDelete, onCalibrate }) => {
+    const [draft, setDraft] = useState(null);
+    const selected = reagents.find(r => r.id === selectedId) ?? reagents[0];
+
+    // Built-in reagents are never edited in place, they are copied
+    const openEditor = () => {
+        const base = selected.builtIn
+            ? { ...selected, id: `user-${Date.now()}`, name: t('{name} (کپی)', { name: selected.name }), builtIn: false }
+            : selected;
+        setDraft(base);
+    };
+
+    return (
+        <div>
+            <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2 flex items-center"><FlaskConical size={16} className="me-2" /> {t('استخراج‌کننده')}</h3>
+            <SelectRow
+                label={t('مدل استخراج‌کننده')}
+                name="reagent"
+                value={selected.id}
+                onChange={(e) => onSelect(e.target.value)}
+                options={reagents.map(r => ({ value: r.id, label: r.builtIn ? t('{name} (پیش‌فرض)', { name: r.name }) : r.name }))}
+            />
+            <div className="flex justify-end space-x-2 rtl:space-x-reverse mt-2">
+                <button onClick={onCalibrate} className="flex items-center text-xs bg-gray-600 hover:bg-gray-500 text-white py-1 px-2 rounded-md transition-colors">
+                    <Microscope size={14} className="me-1" />
+                    {t('کالیبراسیون با داده آزمایشگاهی')}
+                </button>
+                <button onClick={openEditor} className="flex items-center text-xs bg-gray-600 hover:bg-gray-500 text-white py-1 px-2 rounded-md transition-colors">
+                    <Pencil size={14} className="me-1" />
+                    {selected.builtIn ? t('تعریف بر اساس این مدل') : t('ویرایش')}
+                </button>
+                {!selected.builtIn && (
+                    <button onClick={() => onDelete(selected.id)} className="flex items-center text-xs bg-red-700 hover:bg-red-600 text-white py-1 px-2 rounded-md transition-colors">
+                        <Trash2 size={14} className="me-1" />
+                        {t('حذف')}
+                    </button>
+                )}
+            </div>
+            {draft && (
+                <ReagentEditor
+                    reagent={draft}
+                    onCancel={() => setDraft(null)}
+                    onSave={(reagent) => {
+                        onSave(reagent);
+                        setDraft(null);
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+const ReagentEditor = ({ reagent, onCancel, onSave }) => {
+    // Coefficients are edited as text so partial entries such as "-" or "1e" are allowed
+    const [name, setName] = useState(reagent.name);
+    const [values, setValues] = useState(() => Object.fromEntries(Object.entries(REAGENT_FIELDS).map(([section, fields]) => (
+        [section, Object.fromEntries(fields.map(field => [field, String(reagent[section][field])]))]
+    ))));
+    const [error, setError] = useState(null);
+
+    const handleChange = (section, field, value) => {
+        setValues(prev => ({ ...prev, [section]: { ...prev[section], [field]: value } }));
+    };
+
+    const handleSave = () => {
+        const candidate = {
+            id: reagent.id,
+            name: name.trim(),
+            builtIn: false,
+            extraction: Object.fromEntries(Object.entries(values.extraction).map(([k, v]) => [k, parseFloat(v)])),
+            stripping: Object.fromEntries(Object.entries(values.stripping).map(([k, v]) => [k, parseFloat(v)])),
+        };
+        try {
+            onSave(validateReagent(candidate));
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+            <div className="bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-cyan-400">{t('تعریف استخراج‌کننده')}</h2>
+                    <button onClick={onCancel} className="text-gray-400 hover:text-white">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="space-y-4">
+                    <div className="grid grid-cols-2 items-center gap-x-2">
+                        <label htmlFor="reagentName" className="text-sm text-gray-400">{t('نام:')}</label>
+                        <input
+                            id="reagentName"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className="w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-start"
+                        />
+                    </div>
+                    {Object.entries(REAGENT_FIELDS).map(([section, fields]) => (
+                        <div key={section}>
+                            <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2">{t(SECTION_TITLES[section])}</h3>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                {fields.map(field => (
+                                    <div key={field} className="grid grid-cols-2 items-center gap-x-2">
+                                        <label htmlFor={`${section}-${field}`} className="text-sm text-gray-400">{t(FIELD_LABELS[section][field])}:</label>
+                                        <input
+                                            id={`${section}-${field}`}
+                                            value={values[section][field]}
+                                            onChange={(e) => handleChange(section, field, e.target.value)}
+                                            className="w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-left"
+                                            dir="ltr"
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                    {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm">{error}</div>}
+                    <div className="flex justify-end space-x-2 rtl:space-x-reverse">
+                        <button onClick={onCancel} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">{t('انصراف')}</button>
+                        <button onClick={handleSave} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">{t('ذخیره')}</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReagentManager;
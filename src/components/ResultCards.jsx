@@ -0,0 +1,113 @@
+import React from 'react';
+import { t } from '../i18n.js';
+import { DEFAULT_UNITS, formatQuantity, unitLabel } from '../units.js';
+import { resultsSummaryItems, plantBalanceItems, ironBalanceItems, tankhouseItems } from './resultItems.js';
+
+const ResultCards = ({ items }) => items.map(item => <ResultCard key={item.label} {...item} />);
+
+// Helper component for displaying summary results
+export const ResultsSummary = ({ results, title = t('خلاصه نتایج بهینه‌سازی'), units = DEFAULT_UNITS }) => (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold text-cyan-400">{title}</h2>
+        <p className="text-xs text-gray-400 mb-4">{t('مدار: {circuit} | استخراج‌کننده: {reagent}', { circuit: results.circuit, reagent: results.reagent.name })}</p>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4 text-center">
+            <ResultCards items={resultsSummaryItems(results, units)} />
+        </div>
+    </div>
+);
+
+// Plant-scale flows and tonnages from the PLS flow
+export const PlantBalanceSummary = ({ plant, units = DEFAULT_UNITS }) => (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold mb-4 text-cyan-400">{t('موازنه جرم کارخانه')}</h2>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 text-center">
+            <ResultCards items={plantBalanceItems(plant, units)} />
+        </div>
+    </div>
+);
+
+// Iron pick-up, its transfer to the electrolyte and the bleed that holds the electrolyte Fe target
+export const IronBalanceSummary = ({ iron, units = DEFAULT_UNITS }) => (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold mb-4 text-cyan-400">{t('آهن و بلید الکترولیت')}</h2>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 text-center">
+            <ResultCards items={ironBalanceItems(iron, units)} />
+        </div>
+    </div>
+);
+
+// Electrowinning tankhouse coupled to the strip circuit: plating, power and the electrolyte it returns
+export const TankhouseSummary = ({ tankhouse, units = DEFAULT_UNITS }) => (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold mb-4 text-cyan-400">{t('تانک‌هاوس الکترووینینگ')}</h2>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 text-center">
+            <ResultCards items={tankhouseItems(tankhouse, units)} />
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+            {t('مدار الکترولیت با {flow} {unit} بسته شده است؛ اختلاف مس استخراج‌شده و رسوب‌داده‌شده: {imbalance} kg/h.', {
+                flow: formatQuantity(tankhouse.electrolyteFlow, 'flow', units, 0),
+                unit: unitLabel('flow', units),
+                imbalance: tankhouse.imbalance.toFixed(2),
+            })}
+        </p>
+    </div>
+);
+
+const IMPURITY_LABELS = { fe: 'آهن (Fe)', mn: 'منگنز (Mn)', cl: 'کلرید (Cl)' };
+
+// Impurities carried to the electrolyte by entrained aqueous, with and without the wash stage
+export const EntrainmentSummary = ({ entrainment, units = DEFAULT_UNITS }) => (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold mb-4 text-cyan-400">{t('ماند محلول و مرحله شستشو')}</h2>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 text-center mb-4">
+            <ResultCard label={t('ماند آبی در LO')} value={entrainment.entrainment.toFixed(0)} unit="ppm" />
+            <ResultCard label={t('PLS همراه فاز آلی')} value={(entrainment.entrainedFlow * 1000).toFixed(1)} unit="L/h" />
+            {entrainment.washStage && (
+                <>
+                    <ResultCard label={t('آب شستشو (O/A = {o_a})', { o_a: entrainment.wash.o_a })} value={formatQuantity(entrainment.wash.waterFlow, 'flow', units, 2)} unit={unitLabel('flow', units)} />
+                    <ResultCard label={t('ماند آبی پس از شستشو')} value={entrainment.wash.entrainment.toFixed(0)} unit="ppm" />
+                </>
+            )}
+        </div>
+        <div className="overflow-x-auto">
+            <table className="w-full text-sm text-start">
+                <thead className="text-gray-400 border-b border-gray-600">
+                    <tr>
+                        <th className="p-2">{t('ناخالصی')}</th>
+                        <th className="p-2">{t('در PLS ({unit})', { unit: unitLabel('concentration', units) })}</th>
+                        <th className="p-2">{t('بدون شستشو (kg/d)')}</th>
+                        <th className="p-2">{t('با شستشو (kg/d)')}</th>
+                        <th className="p-2">{t('کاهش (%)')}</th>
+                        <th className="p-2">{t('محلول شستشو (mg/L)')}</th>
+                        <th className="p-2">{t('در الکترولیت (mg/L)')}</th>
+                    </tr>
+                </thead>
+                <tbody className="text-gray-200">
+                    {entrainment.impurities.map(x => (
+                        <tr key={x.key} className="border-b border-gray-700">
+                            <td className="p-2">{t(IMPURITY_LABELS[x.key])}</td>
+                            <td className="p-2 font-mono">{formatQuantity(x.pls, 'concentration', units, 2)}</td>
+                            <td className={`p-2 font-mono ${entrainment.washStage ? 'text-gray-400' : 'text-cyan-300'}`}>{x.withoutWashPerDay.toFixed(3)}</td>
+                            <td className={`p-2 font-mono ${entrainment.washStage ? 'text-cyan-300' : 'text-gray-400'}`}>{x.withWashPerDay.toFixed(3)}</td>
+                            <td className="p-2 font-mono">{x.withoutWash > 0 ? (100 * (1 - x.withWash / x.withoutWash)).toFixed(1) : '-'}</td>
+                            <td className="p-2 font-mono">{(x.liquor * 1000).toFixed(1)}</td>
+                            <td className="p-2 font-mono">{x.electrolyte === null ? '-' : (x.electrolyte * 1000).toFixed(1)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+            {entrainment.washStage ? t('مدار با مرحله شستشو محاسبه شده است؛') : t('مدار بدون مرحله شستشو محاسبه شده است؛')}
+            {t('ستون برجسته انتقال مدار فعلی است. غلظت در الکترولیت با جریان بلید آهن محاسبه می‌شود و برای آهن همان حد تعیین‌شده است.')}
+        </p>
+    </div>
+);
+
+export const ResultCard = ({ label, value, unit }) => (
+    <div className="bg-gray-700/50 p-4 rounded-lg">
+        <div className="text-2xl font-bold text-cyan-300">{value}</div>
+        <div className="text-xs text-gray-400 mt-1">{label}</div>
+        <div className="text-xs text-gray-500">{unit}</div>
+    </div>
+);
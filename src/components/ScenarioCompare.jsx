@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Label } from 'recharts';
+import { utils, writeFile } from 'xlsx';
+import { FileDown, X } from 'lucide-react';
+import { summarize } from '../engine/index.js';
+import { ResultsSummary } from './ResultCards.jsx';
+import { SUMMARY_LABELS, fieldLabel } from './fieldLabels.js';
+import { t, getLocale, INTL_LOCALES } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+const SCENARIO_COLORS = ['#2dd4bf', '#facc15', '#f472b6', '#60a5fa', '#fb923c', '#a78bfa'];
+const colorOf = (k) => SCENARIO_COLORS[k % SCENARIO_COLORS.length];
+
+const formatValue = (value) => (typeof value === 'number' ? +value.toPrecision(6) : value ?? '—');
+
+// Input rows of all scenarios (reagent first), flagged where the scenarios disagree
+const inputRows = (scenarios) => {
+    const keys = [...new Set(scenarios.flatMap(s => Object.keys(s.inputs)))];
+    const rows = [
+        { key: 'reagent', label: t('استخراج‌کننده'), values: scenarios.map(s => s.settings.reagent.name) },
+        ...keys.map(key => ({ key, label: fieldLabel(key), values: scenarios.map(s => s.inputs[key]) })),
+    ];
+    return rows.map(row => ({ ...row, differs: row.values.some(v => JSON.stringify(v) !== JSON.stringify(row.values[0])) }));
+};
+
+// Side-by-side view of saved scenarios: summaries, overlaid McCabe-Thiele curves and input differences
+const ScenarioCompare = ({ scenarios, onClose }) => {
+    const [onlyDifferences, setOnlyDifferences] = useState(false);
+    const rows = inputRows(scenarios);
+    const solved = scenarios.filter(s => s.results);
+
+    const exportComparison = () => {
+        const wb = utils.book_new();
+        const names = scenarios.map(s => s.name);
+
+        const summaries = scenarios.map(s => (s.results ? summarize(s.results) : null));
+        const summaryData = [
+            [t('پارامتر'), ...names],
+            [t('تاریخ ذخیره'), ...scenarios.map(s => new Date(s.savedAt).toLocaleString(INTL_LOCALES[getLocale()]))],
+            ...Object.entries(SUMMARY_LABELS).map(([key, label]) => [t(label), ...summaries.map(sum => (sum ? formatValue(sum[key]) : t('بدون نتیجه')))]),
+        ];
+        utils.book_append_sheet(wb, utils.aoa_to_sheet(summaryData), t('مقایسه نتایج'));
+
+        const inputData = [
+            [t('پارامتر'), ...names, t('متفاوت')],
+            ...rows.map(row => [row.label, ...row.values.map(formatValue), row.differs ? t('بله') : '']),
+        ];
+        utils.book_append_sheet(wb, utils.aoa_to_sheet(inputData), t('مقایسه ورودی‌ها'));
+
+        writeFile(wb, "SX_Scenario_Comparison.xlsx");
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+            <div className="bg-gray-900 rounded-xl shadow-2xl max-w-7xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-cyan-400">{t('مقایسه سناریوها')}</h2>
+                    <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                        <button onClick={exportComparison} className="flex items-center bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            <FileDown size={18} className="me-2" />
+                            {t('خروجی اکسل مقایسه')}
+                        </button>
+                        <button onClick={onClose} className="text-gray-400 hover:text-white">
+                            <X size={24} />
+                        </button>
+                    </div>
+                </div>
+                <div className="space-y-6">
+                    <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+                        {scenarios.map((s, k) => (
+                            <div key={s.id} className="border-t-4 rounded-xl" style={{ borderColor: colorOf(k) }}>
+                                {s.results
+                                    ? <ResultsSummary results={s.results} title={s.name} />
+                                    : <div className="bg-gray-800 p-6 rounded-xl text-gray-400"><h2 className="text-xl font-semibold text-cyan-400">{s.name}</h2>{t('این سناریو بدون نتیجه ذخیره شده است؛ آن را بارگذاری، محاسبه و دوباره ذخیره کنید.')}</div>}
+                            </div>
+                        ))}
+                    </div>
+                    {solved.length > 0 && (
+                        <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+                            <OverlayChart title={t('نمودار McCabe-Thiele: استخراج')} scenarios={scenarios} section="extraction" />
+                            <OverlayChart title={t('نمودار McCabe-Thiele: استریپینگ')} scenarios={scenarios} section="stripping" />
+                        </div>
+                    )}
+                    <div className="bg-gray-800 p-4 rounded-xl shadow-lg">
+                        <div className="flex justify-between items-center mb-2">
+                            <h3 className="text-lg font-semibold text-cyan-400">{t('ورودی‌ها')}</h3>
+                            <label className="flex items-center text-sm text-gray-400">
+                                <input type="checkbox" checked={onlyDifferences} onChange={(e) => setOnlyDifferences(e.target.checked)} className="me-2" />
+                                {t('فقط موارد متفاوت')}
+                            </label>
+                        </div>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 border-b border-gray-600">
+                                    <th className="text-start py-1">{t('پارامتر')}</th>
+                                    {scenarios.map((s, k) => <th key={s.id} style={{ color: colorOf(k) }}>{s.name}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody className="text-center">
+                                {rows.filter(row => !onlyDifferences || row.differs).map(row => (
+                                    <tr key={row.key} className={`border-b border-gray-700 ${row.differs ? 'bg-amber-900/40 text-amber-200' : 'text-gray-300'}`}>
+                                        <td className="text-start py-1">{row.label}</td>
+                                        {row.values.map((v, k) => <td key={k} dir="ltr">{formatValue(v)}</td>)}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Equilibrium curves (solid) and operating lines (dashed) of every solved scenario on one chart
+const OverlayChart = ({ title, scenarios, section }) => (
+    <ChartCard title={title} fileName={`Scenario_McCabe_Thiele_${section}`} chartClassName="h-80">
+        <ResponsiveContainer width="100%" height="100%">
+            <LineChart margin={{ top: 5, right: 20, left: 20, bottom: 25 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                <XAxis dataKey="x" type="number" domain={['dataMin', 'dataMax']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
+                    <Label value={t('غلظت مس در فاز آبی (g/L)')} offset={-20} position="insideBottom" fill="#A0AEC0"/>
+                </XAxis>
+                <YAxis dataKey="y" type="number" domain={['dataMin', 'dataMax + 1']} stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(2)}>
+                    <Label value={t('غلظت مس در فاز آلی (g/L)')} angle={-90} position="insideLeft" style={{ textAnchor: 'middle' }} fill="#A0AEC0"/>
+                </YAxis>
+                <Tooltip
+                    contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }}
+                    labelStyle={{ color: '#E2E8F0' }}
+                    formatter={(value, name) => [parseFloat(value).toFixed(3), name]}
+                />
+                <Legend wrapperStyle={{bottom: -5}}/>
+                {scenarios.flatMap((s, k) => (s.results ? [
+                    <Line key={`eq-${s.id}`} type="monotone" data={s.results[section].mccabeThiele.equilibriumCurve} dataKey="y" name={t('{name} - تعادل', { name: s.name })} stroke={colorOf(k)} strokeWidth={2} dot={false} />,
+                    <Line key={`op-${s.id}`} type="linear" data={s.results[section].mccabeThiele.operatingLine} dataKey="y" name={t('{name} - عملیاتی', { name: s.name })} stroke={colorOf(k)} strokeDasharray="5 4" strokeWidth={1.5} dot={false} />,
+                ] : []))}
+            </LineChart>
+        </ResponsiveContainer>
+    </ChartCard>
+);
+
+export default ScenarioCompare;
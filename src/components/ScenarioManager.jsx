@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Columns, FolderOpen, Layers, Save, Trash2 } from 'lucide-react';
+import { t } from '../i18n.js';
+
+// Named scenarios in browser storage: save the current case, load one back, pick several to compare
+const ScenarioManager = ({ scenarios, onSave, onLoad, onDelete, onCompare }) => {
+    const [name, setName] = useState('');
+    const [selected, setSelected] = useState([]);
+
+    const toggle = (id) => setSelected(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]));
+    const selectedIds = selected.filter(id => scenarios.some(s => s.id === id));
+
+    const save = () => {
+        if (!name.trim()) return;
+        onSave(name.trim());
+        setName('');
+    };
+
+    return (
+        <div>
+            <h3 className="font-bold text-gray-300 border-b border-gray-600 pb-1 mb-2 flex items-center"><Layers size={16} className="me-2" /> {t('سناریوها')}</h3>
+            <div className="flex space-x-2 rtl:space-x-reverse">
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') save(); }}
+                    placeholder={t('نام سناریو، مثلاً «حالت پایه»')}
+                    className="flex-1 bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-start text-sm"
+                />
+                <button onClick={save} disabled={!name.trim()} className="flex items-center text-xs bg-gray-600 hover:bg-gray-500 disabled:opacity-50 text-white py-1 px-2 rounded-md transition-colors">
+                    <Save size={14} className="me-1" />
+                    {t('ذخیره')}
+                </button>
+            </div>
+            {scenarios.length > 0 && (
+                <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+                    {scenarios.map(s => (
+                        <li key={s.id} className="flex items-center justify-between bg-gray-700/50 rounded-md px-2 py-1 text-sm">
+                            <label className="flex items-center flex-1 min-w-0 cursor-pointer">
+                                <input type="checkbox" checked={selected.includes(s.id)} onChange={() => toggle(s.id)} className="me-2" />
+                                <span className="truncate">{s.name}</span>
+                                {!s.results && <span className="text-xs text-gray-500 ms-1">{t('(بدون نتیجه)')}</span>}
+                            </label>
+                            <span className="flex space-x-1 rtl:space-x-reverse">
+                                <button onClick={() => onLoad(s)} title={t('بارگذاری')} className="text-gray-300 hover:text-cyan-300 p-1"><FolderOpen size={14} /></button>
+                                <button onClick={() => onDelete(s.id)} title={t('حذف')} className="text-gray-300 hover:text-red-400 p-1"><Trash2 size={14} /></button>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex justify-end mt-2">
+                <button
+                    onClick={() => onCompare(scenarios.filter(s => selectedIds.includes(s.id)))}
+                    disabled={selectedIds.length < 2}
+                    className="flex items-center text-xs bg-gray-600 hover:bg-gray-500 disabled:opacity-50 disabled:cursor-not-allowed text-white py-1 px-2 rounded-md transition-colors"
+                >
+                    <Columns size={14} className="me-1" />
+                    {t('مقایسه سناریوهای انتخاب‌شده ({count})', { count: selectedIds.length })}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ScenarioManager;
@@ -0,0 +1,137 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { BarChartHorizontal, RefreshCw, XCircle } from 'lucide-react';
+import { rankSensitivity } from '../engine/index.js';
+import { runEngineTask } from '../workers/engineClient.js';
+import { SelectRow } from './FormRows.jsx';
+import { fieldLabel, SENSITIVITY_OUTPUT_LABELS } from './fieldLabels.js';
+import { t, textDirection } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+// One-at-a-time sensitivity of the optimum, shown as a tornado chart per output
+const SensitivityPanel = ({ inputs, reagent, analysis, onAnalysis }) => {
+    const [percent, setPercent] = useState(10);
+    const [output, setOutput] = useState('v_percent');
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const taskRef = useRef(null);
+
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
+
+    const run = () => {
+        setError(null);
+        setProgress({ iteration: 0, maxIterations: 1 });
+        const task = runEngineTask('sensitivity', { inputs, settings: { reagent }, percent }, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((result) => {
+                if (taskRef.current === task) onAnalysis(result);
+            })
+            .catch((e) => {
+                if (taskRef.current === task) setError(e.message);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setProgress(null);
+            });
+    };
+
+    const cancel = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    const rows = analysis ? rankSensitivity(analysis, output).map(r => ({ ...r, label: fieldLabel(r.field) })) : [];
+    const failed = analysis ? analysis.fields.filter(f => f.low.error || f.high.error) : [];
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
+            <h2 className="text-xl font-semibold text-cyan-400 flex items-center"><BarChartHorizontal size={20} className="me-2" /> {t('تحلیل حساسیت')}</h2>
+            <p className="text-xs text-gray-400 mb-4">{t('هر ورودی به تنهایی به اندازه ± درصد داده‌شده تغییر می‌کند و V% بهینه دوباره محاسبه می‌شود.')}</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+                <div className="grid grid-cols-2 items-center gap-x-2">
+                    <label htmlFor="sensitivityPercent" className="text-sm text-gray-400">{t('تغییر (± %):')}</label>
+                    <input
+                        type="number"
+                        id="sensitivityPercent"
+                        value={percent}
+                        onChange={(e) => setPercent(parseFloat(e.target.value) || 0)}
+                        step="1"
+                        min="1"
+                        max="50"
+                        className="w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-left"
+                        dir="ltr"
+                    />
+                </div>
+                <SelectRow
+                    label={t('خروجی')}
+                    name="sensitivityOutput"
+                    value={output}
+                    onChange={(e) => setOutput(e.target.value)}
+                    options={Object.entries(SENSITIVITY_OUTPUT_LABELS).map(([value, label]) => ({ value, label: t(label) }))}
+                />
+                <div className="flex justify-end">
+                    {progress ? (
+                        <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                            <RefreshCw size={18} className="text-cyan-400 animate-spin" />
+                            <div className="w-32 bg-gray-700 rounded-full h-2">
+                                <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                            </div>
+                            <button onClick={cancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+                                <XCircle size={16} className="me-2" />
+                                {t('لغو')}
+                            </button>
+                        </div>
+                    ) : (
+                        <button onClick={run} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                            {analysis ? t('اجرای مجدد') : t('اجرای تحلیل')}
+                        </button>
+                    )}
+                </div>
+            </div>
+            {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm mt-4">{error}</div>}
+            {analysis && (
+                <>
+                    <p className="text-xs text-gray-400 mt-4">
+                        {t('مقدار پایه {output}:', { output: t(SENSITIVITY_OUTPUT_LABELS[output]) })} <span className="text-cyan-300">{analysis.base[output].toFixed(3)}</span> | {t('تغییر ورودی‌ها: ±{percent}%', { percent: analysis.percent })}
+                    </p>
+                    <ChartCard
+                        title={t(SENSITIVITY_OUTPUT_LABELS[output])}
+                        fileName={`Sensitivity_${output}`}
+                        className="mt-2"
+                        chartClassName=""
+                        titleClassName="text-sm text-gray-300"
+                    >
+                        <div style={{ height: Math.max(240, rows.length * 32) }}>
+                            <ResponsiveContainer width="100%" height="100%">
+                                <BarChart data={rows} layout="vertical" stackOffset="sign" margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                    <XAxis type="number" stroke="#A0AEC0" tickFormatter={(tick) => tick.toFixed(3)} />
+                                    <YAxis type="category" dataKey="label" width={190} stroke="#A0AEC0" tick={{ fontSize: 11 }} orientation={textDirection() === 'rtl' ? 'right' : 'left'} />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }}
+                                        labelStyle={{ color: '#E2E8F0' }}
+                                        formatter={(value, name) => [value === null ? t('ناموفق') : parseFloat(value).toFixed(4), name]}
+                                    />
+                                    <Legend />
+                                    <ReferenceLine x={0} stroke="#E2E8F0" />
+                                    <Bar dataKey="low" name={t('ورودی −{percent}%', { percent: analysis.percent })} fill="#f87171" stackId="tornado" />
+                                    <Bar dataKey="high" name={t('ورودی +{percent}%', { percent: analysis.percent })} fill="#2dd4bf" stackId="tornado" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </ChartCard>
+                    {failed.length > 0 && (
+                        <div className="text-xs text-red-300 mt-2">
+                            {t('حالت‌های ناموفق: {fields}', { fields: failed.map(f => fieldLabel(f.field)).join(t('، ')) })}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SensitivityPanel;
@@ -0,0 +1,267 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Map as MapIcon, RefreshCw, X, XCircle } from 'lucide-react';
+import { SWEEP_V_PERCENT, MAX_SWEEP_STEPS, contourSegments, sensitivityFields, sweepGrid } from '../engine/index.js';
+import { runEngineTask } from '../workers/engineClient.js';
+import { SelectRow } from './FormRows.jsx';
+import { fieldLabel } from './fieldLabels.js';
+import { t, textDirection } from '../i18n.js';
+import ChartCard from './ChartCard.jsx';
+
+const OUTPUT_LABELS = {
+    recovery: 'بازیابی استخراج (%)',
+    netCu: 'انتقال خالص مس ((g/L)/V%)',
+    raff: 'مس رافینت (g/L)',
+    lo: 'مس فاز آلی باردار LO (g/L)',
+    recoverySt: 'بازیابی استریپینگ (%)',
+    cuPerDay: 'تولید مس (t/d)',
+    soResidual: 'باقیمانده سازگاری SO (g/L)',
+};
+
+const V_LABEL = 'درصد استخراج‌کننده (V%)';
+const axisLabel = (field) => (field === SWEEP_V_PERCENT ? t(V_LABEL) : fieldLabel(field));
+
+// Viridis-like colour stops for the heatmap
+const COLOR_STOPS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+const colorAt = (fraction) => {
+    const s = Math.min(Math.max(fraction, 0), 1) * (COLOR_STOPS.length - 1);
+    const k = Math.min(Math.floor(s), COLOR_STOPS.length - 2);
+    const f = s - k;
+    const [r, g, b] = COLOR_STOPS[k].map((c, n) => Math.round(c + f * (COLOR_STOPS[k + 1][n] - c)));
+    return `rgb(${r},${g},${b})`;
+};
+
+// Default sweep range of a field around its current value
+const defaultRange = (field, inputs, vPercent) => {
+    const value = field === SWEEP_V_PERCENT ? vPercent : inputs[field];
+    const upper = /^eff|percentageML|parallelSplit/.test(field) ? Math.min(value * 1.2, 100) : value * 1.5;
+    return { lower: String(+(value * 0.5).toPrecision(3)), upper: String(+upper.toPrecision(3)) };
+};
+
+const inputClass = "w-full bg-gray-700 text-white p-1.5 rounded-md border border-gray-600 focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 text-left";
+
+// Operating maps: any two inputs (or V%) on a grid, as a heatmap with contours and the SO-consistency line
+const SweepMap = ({ inputs, reagent, vPercent, onClose }) => {
+    const fields = [SWEEP_V_PERCENT, ...sensitivityFields(inputs)];
+    const [axes, setAxes] = useState(() => ({
+        x: { field: SWEEP_V_PERCENT, ...defaultRange(SWEEP_V_PERCENT, inputs, vPercent) },
+        y: { field: 'o_a_ex', ...defaultRange('o_a_ex', inputs, vPercent) },
+    }));
+    const [steps, setSteps] = useState(30);
+    const [fixedV, setFixedV] = useState(String(+vPercent.toFixed(3)));
+    const [output, setOutput] = useState('recovery');
+    const [showContours, setShowContours] = useState(true);
+    const [sweep, setSweep] = useState(null);
+    const [error, setError] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const taskRef = useRef(null);
+
+    useEffect(() => () => {
+        if (taskRef.current) taskRef.current.cancel();
+    }, []);
+
+    const setAxis = (name, patch) => setAxes(prev => ({ ...prev, [name]: { ...prev[name], ...patch } }));
+    const setAxisField = (name, field) => setAxis(name, { field, ...defaultRange(field, inputs, vPercent) });
+    const usesV = axes.x.field === SWEEP_V_PERCENT || axes.y.field === SWEEP_V_PERCENT;
+
+    const run = () => {
+        const axis = (a) => ({ field: a.field, lower: parseFloat(a.lower), upper: parseFloat(a.upper), steps });
+        setError(null);
+        setProgress({ iteration: 0, maxIterations: 1 });
+        const payload = { inputs, settings: { reagent }, x: axis(axes.x), y: axis(axes.y), vPercent: parseFloat(fixedV) };
+        const task = runEngineTask('sweep', payload, { onProgress: setProgress });
+        taskRef.current = task;
+        task.promise
+            .then((result) => {
+                if (taskRef.current === task) setSweep(result);
+            })
+            .catch((e) => {
+                if (taskRef.current === task) setError(e.message);
+            })
+            .finally(() => {
+                if (taskRef.current !== task) return;
+                taskRef.current = null;
+                setProgress(null);
+            });
+    };
+
+    const cancel = () => {
+        if (taskRef.current) taskRef.current.cancel();
+    };
+
+    const fieldOptions = fields.map(field => ({ value: field, label: axisLabel(field) }));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+            <div className="bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-700">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-cyan-400">{t('نقشه عملکرد مدار (جاروب دوپارامتری)')}</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="space-y-4 text-gray-300">
+                    <p className="text-sm text-gray-400">
+                        {t('مدار در تمام نقاط شبکه با V% ثابت (یا V% روی یکی از محورها) محاسبه می‌شود. خط صورتی، مکان نقاطی است که شرط سازگاری SO برقرار است و خانه‌های هاشورخورده نقاطی هستند که مدل در آن‌ها جواب فیزیکی ندارد.')}
+                    </p>
+                    {['x', 'y'].map(name => (
+                        <div key={name} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+                            <SelectRow
+                                label={name === 'x' ? t('محور افقی') : t('محور عمودی')}
+                                name={`${name}Field`}
+                                value={axes[name].field}
+                                onChange={(e) => setAxisField(name, e.target.value)}
+                                options={fieldOptions}
+                            />
+                            <div className="grid grid-cols-2 items-center gap-x-2">
+                                <label className="text-sm text-gray-400">{t('از:')}</label>
+                                <input value={axes[name].lower} onChange={(e) => setAxis(name, { lower: e.target.value })} className={inputClass} dir="ltr" />
+                            </div>
+                            <div className="grid grid-cols-2 items-center gap-x-2">
+                                <label className="text-sm text-gray-400">{t('تا:')}</label>
+                                <input value={axes[name].upper} onChange={(e) => setAxis(name, { upper: e.target.value })} className={inputClass} dir="ltr" />
+                            </div>
+                        </div>
+                    ))}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+                        <div className="grid grid-cols-2 items-center gap-x-2">
+                            <label htmlFor="sweepSteps" className="text-sm text-gray-400">{t('تعداد نقاط هر محور:')}</label>
+                            <input type="number" id="sweepSteps" value={steps} onChange={(e) => setSteps(parseInt(e.target.value, 10) || 0)} min="2" max={MAX_SWEEP_STEPS} step="1" className={inputClass} dir="ltr" />
+                        </div>
+                        <div className="grid grid-cols-2 items-center gap-x-2">
+                            <label htmlFor="sweepV" className="text-sm text-gray-400">{t('V% ثابت:')}</label>
+                            <input id="sweepV" value={fixedV} onChange={(e) => setFixedV(e.target.value)} disabled={usesV} className={inputClass} dir="ltr" />
+                        </div>
+                        <div className="flex justify-end">
+                            {progress ? (
+                                <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                                    <RefreshCw size={18} className="text-cyan-400 animate-spin" />
+                                    <div className="w-32 bg-gray-700 rounded-full h-2">
+                                        <div className="bg-cyan-500 h-2 rounded-full transition-all" style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }} />
+                                    </div>
+                                    <button onClick={cancel} className="flex items-center bg-red-600 hover:bg-red-700 text-white text-sm py-1.5 px-3 rounded-lg transition-colors">
+                                        <XCircle size={16} className="me-2" />
+                                        {t('لغو')}
+                                    </button>
+                                </div>
+                            ) : (
+                                <button onClick={run} className="flex items-center bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                                    <MapIcon size={18} className="me-2" />
+                                    {t('محاسبه نقشه')}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    {error && <div className="bg-red-900/50 text-red-300 p-2 rounded-md text-sm">{error}</div>}
+                    {sweep && (
+                        <>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+                                <SelectRow
+                                    label={t('خروجی نقشه')}
+                                    name="sweepOutput"
+                                    value={output}
+                                    onChange={(e) => setOutput(e.target.value)}
+                                    options={Object.entries(OUTPUT_LABELS).map(([value, label]) => ({ value, label: t(label) }))}
+                                />
+                                <label className="flex items-center text-sm text-gray-400">
+                                    <input type="checkbox" checked={showContours} onChange={(e) => setShowContours(e.target.checked)} className="me-2" />
+                                    {t('نمایش خطوط تراز')}
+                                </label>
+                            </div>
+                            <Heatmap sweep={sweep} output={output} showContours={showContours} />
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// SVG heatmap of one sweep output; cells are centred on the grid values
+const Heatmap = ({ sweep, output, showContours }) => {
+    const width = 640;
+    const height = 420;
+    const margin = { top: 10, right: 90, bottom: 50, left: 70 };
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+    const xs = sweep.x.values;
+    const ys = sweep.y.values;
+    const cellW = plotW / xs.length;
+    const cellH = plotH / ys.length;
+
+    const grid = sweepGrid(sweep, output);
+    const finite = grid.flat().filter(v => isFinite(v));
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    const span = max - min || 1;
+
+    // Data → pixel, with the first and last grid values at the centres of the edge cells
+    const px = (x) => margin.left + cellW / 2 + ((x - xs[0]) / (xs[xs.length - 1] - xs[0])) * (plotW - cellW);
+    const py = (y) => margin.top + plotH - cellH / 2 - ((y - ys[0]) / (ys[ys.length - 1] - ys[0])) * (plotH - cellH);
+
+    const soLine = contourSegments(xs, ys, sweepGrid(sweep, 'soResidual'), 0);
+    const levels = showContours && finite.length > 0 ? Array.from({ length: 6 }, (_, k) => min + (span * (k + 1)) / 7) : [];
+    const contours = levels.flatMap(level => contourSegments(xs, ys, grid, level));
+    const infeasible = sweep.cells.flat().filter(c => !c.outputs).length;
+    const ticks = (values) => [0, 0.25, 0.5, 0.75, 1].map(f => values[0] + f * (values[values.length - 1] - values[0]));
+
+    return (
+        <div dir="ltr">
+            <ChartCard
+                title={t(OUTPUT_LABELS[output])}
+                fileName={`Operating_map_${output}`}
+                className=""
+                titleClassName="text-sm text-gray-300"
+                chartClassName=""
+            >
+                <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-gray-900 rounded-lg">
+                    <defs>
+                        <pattern id="infeasibleHatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                            <rect width="6" height="6" fill="#2D3748" />
+                            <line x1="0" y1="0" x2="0" y2="6" stroke="#718096" strokeWidth="2" />
+                        </pattern>
+                        <linearGradient id="heatmapScale" x1="0" y1="1" x2="0" y2="0">
+                            {COLOR_STOPS.map((_, k) => <stop key={k} offset={k / (COLOR_STOPS.length - 1)} stopColor={colorAt(k / (COLOR_STOPS.length - 1))} />)}
+                        </linearGradient>
+                    </defs>
+                    {sweep.cells.map((row, j) => row.map((cell, k) => (
+                        <rect
+                            key={`${j}-${k}`}
+                            x={margin.left + k * cellW}
+                            y={margin.top + plotH - (j + 1) * cellH}
+                            width={cellW + 0.5}
+                            height={cellH + 0.5}
+                            fill={cell.outputs ? colorAt((cell.outputs[output] - min) / span) : 'url(#infeasibleHatch)'}
+                        >
+                            <title>{`${xs[k].toPrecision(4)}, ${ys[j].toPrecision(4)}: ${cell.outputs ? cell.outputs[output].toPrecision(5) : cell.error}`}</title>
+                        </rect>
+                    )))}
+                    {contours.map((s, k) => (
+                        <line key={`c${k}`} x1={px(s.x1)} y1={py(s.y1)} x2={px(s.x2)} y2={py(s.y2)} stroke="#FFFFFF" strokeOpacity="0.45" strokeWidth="1" />
+                    ))}
+                    {soLine.map((s, k) => (
+                        <line key={`so${k}`} x1={px(s.x1)} y1={py(s.y1)} x2={px(s.x2)} y2={py(s.y2)} stroke="#f472b6" strokeWidth="2.5" strokeLinecap="round" />
+                    ))}
+                    <rect x={margin.left} y={margin.top} width={plotW} height={plotH} fill="none" stroke="#A0AEC0" />
+                    {ticks(xs).map((tick, k) => (
+                        <text key={`xt${k}`} x={px(tick)} y={margin.top + plotH + 16} fill="#A0AEC0" fontSize="11" textAnchor="middle">{+tick.toPrecision(3)}</text>
+                    ))}
+                    {ticks(ys).map((tick, k) => (
+                        <text key={`yt${k}`} x={margin.left - 6} y={py(tick) + 4} fill="#A0AEC0" fontSize="11" textAnchor="end">{+tick.toPrecision(3)}</text>
+                    ))}
+                    <text x={margin.left + plotW / 2} y={height - 8} fill="#A0AEC0" fontSize="12" textAnchor="middle">{axisLabel(sweep.x.field)}</text>
+                    <text x={14} y={margin.top + plotH / 2} fill="#A0AEC0" fontSize="12" textAnchor="middle" transform={`rotate(-90 14 ${margin.top + plotH / 2})`}>{axisLabel(sweep.y.field)}</text>
+                    <rect x={width - margin.right + 20} y={margin.top} width="16" height={plotH} fill="url(#heatmapScale)" />
+                    <text x={width - margin.right + 42} y={margin.top + 10} fill="#A0AEC0" fontSize="11">{finite.length ? +max.toPrecision(4) : ''}</text>
+                    <text x={width - margin.right + 42} y={margin.top + plotH} fill="#A0AEC0" fontSize="11">{finite.length ? +min.toPrecision(4) : ''}</text>
+                </svg>
+            </ChartCard>
+            <div className="flex flex-wrap justify-between text-xs text-gray-400 mt-2" dir={textDirection()}>
+                <span>{t(OUTPUT_LABELS[output])}{sweep.vPercent !== null && ` | V% = ${sweep.vPercent}`}</span>
+                <span><span className="inline-block w-4 h-0.5 bg-pink-400 align-middle me-1" /> {t('خط سازگاری SO')}{soLine.length === 0 && ` ${t('(در این محدوده وجود ندارد)')}`}</span>
+                <span>{t('خانه‌های ناموفق: {failed} از {total}', { failed: infeasible, total: xs.length * ys.length })}</span>
+            </div>
+        </div>
+    );
+};
+
+export default SweepMap;
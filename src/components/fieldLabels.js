@@ -0,0 +1,129 @@
+import { t } from '../i18n.js';
+import { DEFAULT_UNITS, FIELD_QUANTITIES, unitLabel } from '../units.js';
+
+// Persian labels of the plant input fields, shared by the analysis views and exports. Flows and
+// concentrations have no unit here: fieldLabel() adds the display unit they are shown in.
+export const FIELD_LABELS = {
+    plsFlow: 'جریان PLS',
+    plsCu: 'مس در PLS',
+    plsAcid: 'اسید در PLS',
+    percentageML: 'درصد بارگذاری ماکزیمم (%)',
+    o_a_ex: 'نسبت O/A',
+    parallelSplit: 'سهم PLS به E1P (%)',
+    spCu: 'مس در الکترولیت مصرفی',
+    spAcid: 'اسید در الکترولیت مصرفی',
+    adCu: 'مس در الکترولیت پیشرفته',
+    stagesE: 'تعداد مراحل استخراج',
+    stagesS: 'تعداد مراحل استریپینگ',
+    layoutE: 'آرایش مدار',
+    plsFe: 'آهن در PLS',
+    electrolyteFe: 'حد آهن الکترولیت',
+    plsMn: 'منگنز در PLS',
+    plsCl: 'کلرید در PLS',
+    entrainmentE: 'ماند آبی در LO (ppm)',
+    washStage: 'مرحله شستشو',
+    o_a_w: 'نسبت O/A شستشو',
+    effW: 'بازدهی شستشو (%)',
+    entrainmentW: 'ماند آبی پس از شستشو (ppm)',
+    ewCells: 'تعداد سلول‌های الکترووینینگ',
+    ewCathodesPerCell: 'کاتد در هر سلول',
+    ewCathodeArea: 'سطح رسوب هر کاتد (m²)',
+    ewCurrentDensity: 'دانسیته جریان (A/m²)',
+    ewCurrentEfficiency: 'راندمان جریان (%)',
+    ewCellVoltage: 'ولتاژ سلول (V)',
+    ewFlow: 'جریان الکترولیت تانک‌هاوس',
+};
+
+// Label of an input in the active locale, with the display unit of flows and concentrations.
+// Stage efficiencies (effE1, effS2, effE1P, ...) are labelled from their key.
+export const fieldLabel = (key, units = DEFAULT_UNITS) => {
+    if (FIELD_QUANTITIES[key]) return `${t(FIELD_LABELS[key])} (${unitLabel(FIELD_QUANTITIES[key], units)})`;
+    if (FIELD_LABELS[key]) return t(FIELD_LABELS[key]);
+    return /^eff/.test(key) ? t('بازدهی مرحله {stage} (%)', { stage: key.slice(3) }) : key;
+};
+
+// Labels of the key figures returned by the engine's summarize()
+export const SUMMARY_LABELS = {
+    circuit: 'آرایش مدار',
+    reagent: 'استخراج‌کننده',
+    v_percent: 'درصد استخراج‌کننده (V%)',
+    netCu: 'انتقال خالص مس ((g/L)/V%)',
+    recoveryEx: 'بازیابی استخراج (%)',
+    recoverySt: 'بازیابی استریپینگ (%)',
+    ml: 'بارگذاری ماکزیمم ML (g/L)',
+    lo: 'فاز آلی باردار LO (g/L)',
+    so: 'فاز آلی استریپ‌شده SO (g/L)',
+    raff: 'مس رافینت (g/L)',
+    raffAcid: 'اسید رافینت (g/L)',
+    o_a_st: 'O/A استریپینگ',
+    organicFlow: 'جریان فاز آلی (m³/h)',
+    electrolyteFlow: 'جریان الکترولیت (m³/h)',
+    cuPerDay: 'تولید مس (t/d)',
+    acidGeneratedPerDay: 'اسید تولیدی در استخراج (t/d)',
+    acidConsumedPerDay: 'اسید مصرفی در استریپینگ (t/d)',
+    feLo: 'آهن روی LO (g/L)',
+    feTransferPerDay: 'انتقال آهن به الکترولیت (kg/d)',
+    cuFeRatio: 'نسبت انتقال Cu:Fe',
+    bleedFlow: 'جریان بلید الکترولیت (m³/h)',
+    mnTransferPerDay: 'انتقال منگنز به الکترولیت (kg/d)',
+    clTransferPerDay: 'انتقال کلرید به الکترولیت (kg/d)',
+    ewSpCu: 'مس الکترولیت مصرفی از تانک‌هاوس (g/L)',
+    ewPower: 'توان یکسوساز (kW)',
+    ewSpecificEnergy: 'انرژی ویژه (kWh/t)',
+};
+
+// Outputs of the sensitivity analysis, shared by its panel and the Excel export
+export const SENSITIVITY_OUTPUT_LABELS = {
+    v_percent: 'درصد استخراج‌کننده (V%)',
+    recovery: 'بازیابی استخراج (%)',
+    netCu: 'انتقال خالص مس ((g/L)/V%)',
+};
+
+// Outputs and input distributions of the Monte Carlo analysis, shared by its panel and the Excel export
+export const MONTE_CARLO_OUTPUT_LABELS = {
+    v_percent: 'درصد استخراج‌کننده (V%)',
+    recovery: 'بازیابی استخراج (%)',
+    netCu: 'انتقال خالص مس ((g/L)/V%)',
+    raff: 'مس رافینت (g/L)',
+};
+
+export const DISTRIBUTION_LABELS = { normal: 'نرمال', triangular: 'مثلثی', uniform: 'یکنواخت' };
+
+// Outputs, feed changes and hold-ups of the dynamic simulation, shared by its panel and the Excel export
+export const DYNAMIC_OUTPUT_LABELS = {
+    lo: 'فاز آلی باردار LO (g/L)',
+    so: 'فاز آلی استریپ‌شده SO (g/L)',
+    raff: 'مس رافینت (g/L)',
+    adCu: 'مس الکترولیت پیشرفته (g/L)',
+};
+
+export const CHANGE_TYPE_LABELS = { step: 'پله‌ای', ramp: 'شیب‌دار' };
+
+export const HOLDUP_LABELS = {
+    mixer: 'زمان ماند میکسر (min)',
+    settler: 'زمان ماند هر فاز در ستلر (min)',
+    loTank: 'زمان ماند مخزن LO (min)',
+    electrolyteTank: 'زمان ماند مخزن الکترولیت (min)',
+};
+
+// Settings and annual cost items of the economic evaluation, shared by its panel and the Excel export
+export const ECONOMICS_LABELS = {
+    extractantPrice: 'قیمت استخراج‌کننده ($/L)',
+    diluentPrice: 'قیمت رقیق‌کننده ($/L)',
+    settlerArea: 'سطح هر ستلر (m²)',
+    organicDepth: 'عمق فاز آلی در ستلر (m)',
+    inventoryAllowance: 'موجودی میکسرها، کانال‌ها و مخازن (% ستلرها)',
+    organicLoss: 'تلفات فاز آلی (mL به ازای m³ PLS)',
+    degradationLoss: 'تخریب استخراج‌کننده (mL به ازای m³ PLS)',
+    mixerPower: 'توان همزن هر میکسر-ستلر (kW)',
+    powerPrice: 'قیمت برق ($/kWh)',
+    operatingHours: 'ساعات کار سالانه (h)',
+    inventoryCharge: 'هزینه سرمایه موجودی (%/سال)',
+};
+
+export const COST_LABELS = {
+    extractantLoss: 'تلفات استخراج‌کننده',
+    diluentLoss: 'تلفات رقیق‌کننده',
+    power: 'برق همزن‌ها',
+    inventoryCharge: 'هزینه سرمایه موجودی',
+};
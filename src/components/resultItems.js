@@ -0,0 +1,50 @@
+import { t } from '../i18n.js';
+import { DEFAULT_UNITS, formatQuantity, unitLabel } from '../units.js';
+
+// Items ({ label, value, unit }) of each summary, shared by the cards and the printable report
+export const resultsSummaryItems = (results, units = DEFAULT_UNITS) => [
+    { label: t('درصد استخراج‌کننده (V%)'), value: results.v_percent.toFixed(2), unit: '%' },
+    { label: t('انتقال خالص مس'), value: results.stripping.netCu.toFixed(3), unit: '(g/L)/V%' },
+    { label: t('بازیابی استخراج'), value: results.extraction.recovery.toFixed(2), unit: '%' },
+    { label: t('بازیابی استریپینگ'), value: results.stripping.recovery.toFixed(2), unit: '%' },
+    { label: t('بارگذاری ماکزیمم (ML)'), value: formatQuantity(results.extraction.ml, 'concentration', units, 3), unit: unitLabel('concentration', units) },
+];
+
+export const plantBalanceItems = (plant, units = DEFAULT_UNITS) => [
+    { label: t('تولید مس (انتقال به الکترووینینگ)'), value: plant.cuPerDay.toFixed(2), unit: 't/d' },
+    { label: t('جریان فاز آلی'), value: formatQuantity(plant.organicFlow, 'flow', units, 1), unit: unitLabel('flow', units) },
+    { label: t('جریان الکترولیت پیشرفته/مصرفی'), value: formatQuantity(plant.electrolyteFlow, 'flow', units, 1), unit: unitLabel('flow', units) },
+    { label: t('اسید در الکترولیت پیشرفته'), value: formatQuantity(plant.adAcid, 'concentration', units, 1), unit: unitLabel('concentration', units) },
+    { label: t('اسید تولیدی در استخراج'), value: plant.acidGeneratedPerDay.toFixed(2), unit: 't/d' },
+    { label: t('اسید مصرفی در استریپینگ'), value: plant.acidConsumedPerDay.toFixed(2), unit: 't/d' },
+    { label: t('مس استخراج‌شده'), value: plant.cuExtracted.toFixed(1), unit: 'kg/h' },
+    { label: t('خطای موازنه مس'), value: plant.balanceError.toFixed(4), unit: '%' },
+];
+
+export const ironBalanceItems = (iron, units = DEFAULT_UNITS) => [
+    { label: t('آهن روی فاز آلی باردار'), value: formatQuantity(iron.feLo, 'concentration', units, 4), unit: unitLabel('concentration', units) },
+    { label: t('انتقال آهن به الکترولیت'), value: iron.feTransferPerDay.toFixed(1), unit: 'kg/d' },
+    { label: t('نسبت انتقال Cu:Fe'), value: isFinite(iron.cuFeRatio) ? iron.cuFeRatio.toFixed(0) : '∞', unit: ':1' },
+    { label: t('آهن رافینت'), value: formatQuantity(iron.raffFe, 'concentration', units, 3), unit: unitLabel('concentration', units) },
+    {
+        label: t('جریان بلید برای {fe} {unit} آهن', { fe: formatQuantity(iron.electrolyteFe, 'concentration', units, 2), unit: unitLabel('concentration', units) }),
+        value: formatQuantity(iron.bleedFlow, 'flow', units, 2),
+        unit: unitLabel('flow', units),
+    },
+    { label: t('سهم بلید از الکترولیت پیشرفته'), value: iron.bleedShare.toFixed(2), unit: '%' },
+    { label: t('مس همراه بلید'), value: iron.cuInBleedPerDay.toFixed(3), unit: 't/d' },
+    ...(iron.feTransferEntrained > 0
+        ? [{ label: t('سهم ماند آبی از انتقال آهن'), value: (100 * iron.feTransferEntrained / iron.feTransfer).toFixed(1), unit: '%' }]
+        : []),
+];
+
+export const tankhouseItems = (tankhouse, units = DEFAULT_UNITS) => [
+    { label: t('مس رسوب‌داده‌شده'), value: tankhouse.cuPlatedPerDay.toFixed(2), unit: 't/d' },
+    { label: t('جریان هر سلول ({cells} سلول)', { cells: tankhouse.cells }), value: (tankhouse.cellCurrent / 1000).toFixed(1), unit: 'kA' },
+    { label: t('سطح کل کاتد'), value: tankhouse.cathodeArea.toFixed(0), unit: 'm²' },
+    { label: t('توان یکسوساز'), value: (tankhouse.power / 1000).toFixed(2), unit: 'MW' },
+    { label: t('انرژی ویژه'), value: tankhouse.specificEnergy.toFixed(0), unit: 'kWh/t' },
+    { label: t('مس الکترولیت مصرفی (محاسبه‌شده)'), value: formatQuantity(tankhouse.spCu, 'concentration', units, 2), unit: unitLabel('concentration', units) },
+    { label: t('اسید الکترولیت مصرفی'), value: formatQuantity(tankhouse.spAcid, 'concentration', units, 1), unit: unitLabel('concentration', units) },
+    { label: t('بارگذاری LO (محاسبه‌شده)'), value: tankhouse.percentageML.toFixed(1), unit: '% ML' },
+];
@@ -0,0 +1,199 @@
+import { optimize } from './optimize.js';
+import { calculateAll } from './model.js';
+import { isStageEfficiencyKey } from './circuit.js';
+import { assertValidInputs } from './validation.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// BENCHMARK VALIDATION
+// Reference cases with the outputs the model must reproduce, each
+// within a tolerance. A case is solved like any other (SO-consistent
+// V%, or at a fixed V% when it gives one) and every expected quantity
+// is compared with the engine's summarize() figure of the same name.
+// `source` tells where the expected values come from: 'paper'
+// (published outputs of the source paper), 'plant' (an audited plant
+// survey) or 'regression' (the model's own results, pinned so that
+// later model changes show up).
+//
+// One built-in case is a paper case: the V% of 17.1 published in
+// Table 17, the only published output recorded here (LO, SO, raffinate
+// and recovery still have to be transcribed from the paper). The model
+// solves to about 17.34, outside its tolerance, so the case fails and
+// stands for an open discrepancy between the model and the paper.
+// The other built-in cases are regression cases: the Table 17 circuit
+// uses the paper's inputs, but their expected outputs are what this
+// model returned when the suite was added, not the published values.
+// Further published and audited plant cases are added as a JSON file
+// (same shape) to the CLI or the app's validation view.
+// =================================================================
+
+// Absolute tolerance of a quantity when a case gives none; other quantities get 1% of the value
+export const DEFAULT_TOLERANCES = {
+    v_percent: 0.05,
+    lo: 0.01,
+    so: 0.01,
+    raff: 0.005,
+    recoveryEx: 0.1,
+    recoverySt: 0.1,
+    netCu: 0.001,
+};
+const RELATIVE_TOLERANCE = 0.01;
+
+export const REFERENCE_CASES = [
+    {
+        id: 'table17-paper',
+        name: 'جدول 17 مقاله (V% منتشرشده)',
+        source: 'paper',
+        reference: 'Table 17',
+        inputs: {},
+        // Published to one decimal
+        expected: { v_percent: { value: 17.1, tolerance: 0.1 } },
+    },
+    {
+        id: 'table17',
+        name: 'ورودی‌های جدول 17 (مدار پایه 2E / 2S)',
+        source: 'regression',
+        reference: 'Table 17',
+        inputs: {},
+        expected: { v_percent: 17.3363, lo: 7.5416, so: 2.1172, raff: 0.2196, recoveryEx: 96.864, recoverySt: 71.926 },
+    },
+    {
+        id: 'table17-fixed-v20',
+        name: 'جدول 17 در V% = 20',
+        source: 'regression',
+        reference: 'Table 17',
+        vPercent: 20,
+        inputs: {},
+        expected: { lo: 8.8209, so: 3.4477, raff: 0.2834, recoveryEx: 95.951, recoverySt: 74.718 },
+    },
+    {
+        id: 'series-parallel',
+        name: 'آرایش سری-موازی (E1 + E1P)',
+        source: 'regression',
+        inputs: { layoutE: 'series-parallel', parallelSplit: 50 },
+        expected: { v_percent: 16.6815, lo: 7.2299, so: 2.0505, raff: 0.5257, recoveryEx: 92.490 },
+    },
+    {
+        id: 'three-stage',
+        name: 'سه مرحله استخراج، PLS رقیق',
+        source: 'regression',
+        inputs: { stagesE: 3, effE3: 95, plsCu: 5, o_a_ex: 1.1 },
+        expected: { v_percent: 14.8410, lo: 6.3513, so: 1.8610, raff: 0.0606, recoveryEx: 98.787 },
+    },
+    {
+        id: 'low-efficiency',
+        name: 'بازدهی پایین مراحل، 75% ML',
+        source: 'regression',
+        inputs: { effE1: 88, effE2: 90, effS1: 92, effS2: 92, percentageML: 75 },
+        expected: { v_percent: 19.0841, lo: 7.8554, so: 2.4130, raff: 0.1970, recoveryEx: 97.186, recoverySt: 69.283 },
+    },
+    {
+        id: 'iron-wash',
+        name: 'آهن، ماند آبی و مرحله شستشو',
+        source: 'regression',
+        inputs: { plsFe: 3, plsMn: 1, plsCl: 0.5, entrainmentE: 200, washStage: 'wash' },
+        expected: {
+            v_percent: 17.3363,
+            feLo: { value: 0.0022625, tolerance: 0.00001 },
+            cuFeRatio: { value: 2387.7, tolerance: 10 },
+            bleedFlow: { value: 0.75726, tolerance: 0.005 },
+            mnTransferPerDay: { value: 0.037276, tolerance: 0.0005 },
+        },
+    },
+    {
+        id: 'tankhouse',
+        name: 'تانک‌هاوس 64 سلولی کوپل‌شده',
+        source: 'regression',
+        inputs: { ewCells: 64, ewFlow: 300 },
+        expected: {
+            v_percent: 14.0302,
+            lo: 6.9078,
+            so: 1.8821,
+            raff: 0.7178,
+            recoveryEx: 89.746,
+            ewSpCu: { value: 41.6237, tolerance: 0.01 },
+            ewSpecificEnergy: { value: 1833.75, tolerance: 1 },
+        },
+    },
+];
+
+const SOURCES = ['paper', 'plant', 'regression'];
+
+// Expected value of a quantity as { value, tolerance }
+const expectation = (quantity, entry) => {
+    const value = typeof entry === 'number' ? entry : entry.value;
+    const tolerance = entry.tolerance ?? DEFAULT_TOLERANCES[quantity] ?? Math.abs(value) * RELATIVE_TOLERANCE;
+    return { value, tolerance };
+};
+
+// Throws with a user-facing message when a reference case is malformed; `index` is 0-based
+export const validateReferenceCase = (c, index) => {
+    const label = c?.id ?? String(index + 1);
+    if (!c || typeof c !== 'object' || typeof c.id !== 'string' || !c.id) {
+        throw new Error(t('مورد مرجع {index}: شناسه (id) الزامی است.', { index: index + 1 }));
+    }
+    if (c.source !== undefined && !SOURCES.includes(c.source)) {
+        throw new Error(t('مورد مرجع {id}: منبع باید یکی از {sources} باشد.', { id: label, sources: SOURCES.join(', ') }));
+    }
+    Object.keys(c.inputs ?? {}).forEach(key => {
+        if (!(key in DEFAULT_INPUTS) && !isStageEfficiencyKey(key)) {
+            throw new Error(t('مورد مرجع {id}: ورودی ناشناخته "{key}".', { id: label, key }));
+        }
+    });
+    if (c.vPercent !== undefined && c.vPercent !== null && !(c.vPercent > 0)) {
+        throw new Error(t('مورد مرجع {id}: V% ثابت باید مثبت باشد.', { id: label }));
+    }
+    const entries = Object.entries(c.expected ?? {});
+    if (entries.length === 0) throw new Error(t('مورد مرجع {id}: هیچ مقدار مورد انتظاری ندارد.', { id: label }));
+    entries.forEach(([quantity, entry]) => {
+        const { value, tolerance } = typeof entry === 'number' || (entry && typeof entry === 'object') ? expectation(quantity, entry) : {};
+        if (!(Number.isFinite(value) && Number.isFinite(tolerance) && tolerance >= 0)) {
+            throw new Error(t('مورد مرجع {id}: مقدار یا تلرانس {quantity} نامعتبر است.', { id: label, quantity }));
+        }
+    });
+};
+
+// Reference cases from a JSON text: an array, `{ cases: [...] }` or a single case
+export const parseReferenceCases = (text) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('فایل موارد مرجع JSON معتبر نیست: {message}', { message: e.message }));
+    }
+    const list = Array.isArray(raw) ? raw : (Array.isArray(raw?.cases) ? raw.cases : [raw]);
+    list.forEach(validateReferenceCase);
+    return list;
+};
+
+// Circuit of a reference case: SO-consistent, or at its fixed V%
+export const solveReferenceCase = (c, settings = DEFAULT_SETTINGS) => {
+    const inputs = { ...DEFAULT_INPUTS, ...c.inputs };
+    if (c.vPercent === undefined || c.vPercent === null) return optimize(inputs, settings);
+    assertValidInputs(inputs);
+    const results = calculateAll(inputs, c.vPercent, { ...DEFAULT_SETTINGS, ...settings }.reagent);
+    if (!results) throw new Error(t('مدل در V% = {vPercent} حل نشد.', { vPercent: c.vPercent }));
+    return results;
+};
+
+// Expected quantities of a case against the summarize() figures of its solution:
+// [{ quantity, expected, actual, deviation, relativeDeviation, tolerance, pass }]. A quantity the
+// result does not have (e.g. iron figures without iron in the PLS) fails with `actual` null.
+export const compareWithReference = (c, figures) => Object.entries(c.expected).map(([quantity, entry]) => {
+    const { value, tolerance } = expectation(quantity, entry);
+    const actual = figures[quantity];
+    if (!Number.isFinite(actual)) {
+        return { quantity, expected: value, actual: null, deviation: null, relativeDeviation: null, tolerance, pass: false };
+    }
+    const deviation = actual - value;
+    return {
+        quantity,
+        expected: value,
+        actual,
+        deviation,
+        relativeDeviation: value !== 0 ? deviation / Math.abs(value) * 100 : null,
+        tolerance,
+        pass: Math.abs(deviation) <= tolerance,
+    };
+});
@@ -0,0 +1,66 @@
+import { validateTankhouse } from './tankhouse.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// CIRCUIT TOPOLOGY
+// Turns the flat stage fields in `inputs` into ordered stage lists.
+//
+// Extraction stages are listed in organic-path order starting from the
+// loaded organic (LO) end, which is the order the model marches in:
+//   series           SO -> En -> ... -> E2 -> E1 -> LO, PLS enters E1
+//   series-parallel  SO -> E1P -> En -> ... -> E1 -> LO, PLS is split
+//                    between E1 and the parallel stage E1P, which
+//                    contacts its share of fresh PLS with stripped organic
+// Stripping stages run S1 -> Sm on the organic side, with the advance
+// electrolyte leaving S1.
+// =================================================================
+
+export const EXTRACTION_LAYOUTS = ['series', 'series-parallel'];
+// Optional wash stage between extraction and stripping
+export const WASH_LAYOUTS = ['none', 'wash'];
+export const MAX_STAGES = 4;
+export const DEFAULT_EFFICIENCY = { E: 95, S: 98 };
+
+// Efficiency field name of a stage, e.g. effE2, effS1, effE1P
+const effKey = (name) => `eff${name}`;
+
+export const extractionStages = (i) => {
+    const parallel = i.layoutE === 'series-parallel';
+    const split = parallel ? i.parallelSplit / 100 : 0;
+    const stages = [];
+    for (let k = 1; k <= i.stagesE; k++) {
+        stages.push({ name: `E${k}`, effKey: effKey(`E${k}`), parallel: false, flowFraction: 1 - split });
+    }
+    if (parallel) {
+        stages.push({ name: 'E1P', effKey: effKey('E1P'), parallel: true, flowFraction: split });
+    }
+    return stages;
+};
+
+export const strippingStages = (i) => Array.from({ length: i.stagesS }, (_, k) => (
+    { name: `S${k + 1}`, effKey: effKey(`S${k + 1}`) }
+));
+
+// Stage efficiency in %, falling back to the section default for stages added after the defaults
+export const stageEfficiency = (i, stage) => i[stage.effKey] ?? DEFAULT_EFFICIENCY[stage.name[0]];
+
+// Every efficiency field the given layout uses
+export const efficiencyKeys = (i) => [...extractionStages(i), ...strippingStages(i)].map(s => s.effKey);
+
+// Short layout label, e.g. "2E + 1P / 2S" or "2E / W / 2S" with a wash stage
+export const circuitLabel = (i) => `${i.stagesE}E${i.layoutE === 'series-parallel' ? ' + 1P' : ''} / ${i.washStage === 'wash' ? 'W / ' : ''}${i.stagesS}S`;
+
+export const isStageEfficiencyKey = (key) => /^eff[ES][1-9]\d*P?$/.test(key);
+
+// Throws with a user-facing message when the layout cannot be built
+export const validateCircuit = (i) => {
+    const isStageCount = (n) => Number.isInteger(n) && n >= 1 && n <= MAX_STAGES;
+    if (!isStageCount(i.stagesE)) throw new Error(t('تعداد مراحل استخراج باید عددی صحیح بین 1 و {MAX_STAGES} باشد.', { MAX_STAGES }));
+    if (!isStageCount(i.stagesS)) throw new Error(t('تعداد مراحل استریپینگ باید عددی صحیح بین 1 و {MAX_STAGES} باشد.', { MAX_STAGES }));
+    if (!EXTRACTION_LAYOUTS.includes(i.layoutE)) throw new Error(t('آرایش مدار استخراج نامعتبر است: {layoutE}', { layoutE: i.layoutE }));
+    if (!WASH_LAYOUTS.includes(i.washStage ?? 'none')) throw new Error(t('گزینه مرحله شستشو نامعتبر است: {washStage}', { washStage: i.washStage }));
+    if (i.layoutE === 'series-parallel' && !(i.parallelSplit > 0 && i.parallelSplit < 100)) {
+        throw new Error(t("سهم PLS ورودی به مرحله موازی باید بین 0 و 100 درصد باشد."));
+    }
+    validateTankhouse(i);
+};
@@ -0,0 +1,65 @@
+// =================================================================
+// CSV HELPERS
+// Minimal RFC 4180 reader/writer for batch case files
+// =================================================================
+
+// Parse CSV text into an array of row objects keyed by the header line
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let k = 0; k < text.length; k++) {
+        const ch = text[k];
+        if (inQuotes) {
+            if (ch === '"' && text[k + 1] === '"') {
+                field += '"';
+                k++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[k + 1] === '\n') k++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+    const keys = header.map(h => h.trim());
+    return body.map(r => Object.fromEntries(keys.map((key, idx) => [key, (r[idx] ?? '').trim()])));
+};
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize an array of flat objects to CSV, using the union of their keys as columns
+export const toCsv = (records) => {
+    const columns = [];
+    records.forEach(r => Object.keys(r).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+    const lines = [columns.map(escapeCell).join(',')];
+    records.forEach(r => lines.push(columns.map(key => escapeCell(r[key])).join(',')));
+    return lines.join('\n') + '\n';
+};
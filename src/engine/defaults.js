@@ -0,0 +1,46 @@
+import { LIX984N } from './reagents.js';
+
+// Initial state based on Table 17 from the PDF
+export const DEFAULT_INPUTS = {
+    plsFlow: 400,
+    plsCu: 7.0,
+    plsAcid: 1.96,
+    percentageML: 80,
+    o_a_ex: 1.25,
+    effE1: 95,
+    effE2: 95,
+    effE1P: 95,
+    stagesE: 2,
+    layoutE: 'series',
+    parallelSplit: 50,
+    spCu: 35,
+    spAcid: 190,
+    adCu: 50,
+    effS1: 98,
+    effS2: 98,
+    stagesS: 2,
+    // Iron: 0 g/L in the PLS leaves the iron balance out
+    plsFe: 0,
+    electrolyteFe: 1.5,
+    // Entrainment of aqueous in the LO (ppm by volume): 0 leaves the impurity carry-over out
+    plsMn: 0,
+    plsCl: 0,
+    entrainmentE: 0,
+    washStage: 'none',
+    o_a_w: 20,
+    effW: 90,
+    entrainmentW: 30,
+    // Electrowinning tankhouse: 0 cells keeps the spent electrolyte Cu and %ML as inputs
+    ewCells: 0,
+    ewCathodesPerCell: 60,
+    ewCathodeArea: 2,
+    ewCurrentDensity: 300,
+    ewCurrentEfficiency: 92,
+    ewCellVoltage: 2,
+    ewFlow: 180,
+};
+
+// Engine settings that are not plant inputs
+export const DEFAULT_SETTINGS = {
+    reagent: LIX984N,
+};
@@ -0,0 +1,223 @@
+import { optimize } from './optimize.js';
+import { streamConstants, organicAtEquilibrium } from './isotherm.js';
+import { isothermConstants } from './reagents.js';
+import { extractionStages, strippingStages, stageEfficiency } from './circuit.js';
+import { tankhousePlating } from './tankhouse.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// DYNAMIC SIMULATION
+// Time-domain response of the circuit to step or ramp changes in the
+// PLS. The case is first solved at steady state and its V% is then
+// held, as in a running plant. Every stage keeps an aqueous and an
+// organic hold-up (mixer and settler lumped into one well-mixed
+// volume per phase) and transfers copper with the same efficiency
+// relation and isotherm as the steady-state model:
+//   Va dX/dt = Qa (X_in - X) - T      Vo dY/dt = Qo (Y_in - Y) + T
+//   T = Qo · eff · (Y_eq(X) - Y_in)
+// A loaded organic tank sits between extraction and stripping. The
+// organic and electrolyte flows stay at their steady values when the
+// PLS flow changes. Without a tankhouse the spent electrolyte returns
+// at `spCu`; with one, a spent electrolyte tank is depleted by the
+// plated copper. Hold-ups are given as residence times (min) at the
+// steady flows and turned into fixed volumes. Integration is RK4.
+// =================================================================
+
+// PLS inputs that can be changed over time
+export const DYNAMIC_FIELDS = ['plsCu', 'plsAcid', 'plsFlow'];
+export const CHANGE_TYPES = ['step', 'ramp'];
+export const MAX_DYNAMIC_HOURS = 168;
+
+// Residence times (min) at the steady flows: per stage, for each phase, and of the tanks
+export const DEFAULT_HOLDUPS = { mixer: 3, settler: 20, loTank: 30, electrolyteTank: 60 };
+
+// Trend outputs (g/L)
+export const DYNAMIC_OUTPUTS = ['lo', 'so', 'raff', 'adCu'];
+
+// Value of a PLS input at `time` (h): changes on the field apply in time order,
+// a step at its time and a ramp linearly over `duration` hours from the value reached
+export const inputAt = (base, changes, field, time) => {
+    let value = base;
+    for (const change of changes) {
+        if (change.field !== field || time < change.time) continue;
+        if (change.type === 'ramp' && time < change.time + change.duration) {
+            value += (change.value - value) * (time - change.time) / change.duration;
+        } else {
+            value = change.value;
+        }
+    }
+    return value;
+};
+
+export const validateDynamicOptions = ({ changes, hours, holdups, timeStep, outputInterval }) => {
+    if (!(hours > 0 && hours <= MAX_DYNAMIC_HOURS)) throw new Error(t('مدت شبیه‌سازی باید بین 0 و {MAX_DYNAMIC_HOURS} ساعت باشد.', { MAX_DYNAMIC_HOURS }));
+    if (!(timeStep > 0 && timeStep <= 5)) throw new Error(t("گام زمانی باید بین 0 و 5 دقیقه باشد."));
+    if (!(outputInterval >= timeStep && outputInterval <= hours * 60)) throw new Error(t("فاصله ثبت نتایج باید بین گام زمانی و مدت شبیه‌سازی باشد."));
+    if (!(holdups.mixer + holdups.settler > 0 && holdups.mixer >= 0 && holdups.settler >= 0)) {
+        throw new Error(t("زمان ماند میکسر و ستلر باید نامنفی و مجموع آن‌ها مثبت باشد."));
+    }
+    if (!(holdups.loTank >= 0 && holdups.electrolyteTank >= 0)) throw new Error(t("زمان ماند مخازن باید نامنفی باشد."));
+    if (!Array.isArray(changes)) throw new Error(t("فهرست تغییرات ورودی نامعتبر است."));
+    for (const c of changes) {
+        if (!DYNAMIC_FIELDS.includes(c.field)) throw new Error(t('تغییر زمانی برای {field} پشتیبانی نمی‌شود.', { field: c.field }));
+        if (!CHANGE_TYPES.includes(c.type)) throw new Error(t('نوع تغییر نامعتبر است: {type}', { type: c.type }));
+        if (!(c.time >= 0 && c.time <= hours)) throw new Error(t("زمان هر تغییر باید در بازه شبیه‌سازی باشد."));
+        if (!(c.value > 0)) throw new Error(t("مقدار جدید هر تغییر باید مثبت باشد."));
+        if (c.type === 'ramp' && !(c.duration > 0)) throw new Error(t("مدت هر تغییر شیب‌دار باید مثبت باشد."));
+    }
+};
+
+// Simulate `hours` of operation after the given PLS `changes`
+// ([{ field, type: 'step' | 'ramp', time (h), value, duration (h, ramps) }]).
+// Returns { v_percent, hours, changes, holdups, volumes, steady, trend: [{ t, plsCu, plsAcid, plsFlow,
+// lo, so, raff, adCu, spCu, recovery }] } with a trend point every `outputInterval` minutes.
+// `onProgress({ iteration, maxIterations })` reports each recorded point.
+export const dynamicSimulation = (inputs, settings = DEFAULT_SETTINGS, {
+    changes = [],
+    hours = 24,
+    holdups: holdupOverrides = {},
+    timeStep = 0.25,
+    outputInterval = 5,
+    onProgress,
+} = {}) => {
+    const caseInputs = { ...DEFAULT_INPUTS, ...inputs };
+    const { reagent } = { ...DEFAULT_SETTINGS, ...settings };
+    const holdups = { ...DEFAULT_HOLDUPS, ...holdupOverrides };
+    validateDynamicOptions({ changes, hours, holdups, timeStep, outputInterval });
+    const ordered = [...changes].sort((a, b) => a.time - b.time);
+
+    const steady = optimize(caseInputs, settings);
+    const isotherm = isothermConstants(reagent, steady.v_percent);
+    const exStages = extractionStages(caseInputs);
+    const stStages = strippingStages(caseInputs);
+    const nE = exStages.length;
+    const nS = stStages.length;
+    const plating = tankhousePlating(caseInputs);
+    const Qo = steady.plant.organicFlow;
+    const Qe = steady.plant.electrolyteFlow;
+    const spCu = steady.tankhouse ? steady.tankhouse.spCu : caseInputs.spCu;
+
+    // Fixed volumes (m³) from the residence times at the steady flows
+    const stageMinutes = (holdups.mixer + holdups.settler) / 60;
+    const exAqueous = exStages.map(s => caseInputs.plsFlow * s.flowFraction * stageMinutes);
+    const exOrganic = exStages.map(() => Qo * stageMinutes);
+    const stAqueous = stStages.map(() => Qe * stageMinutes);
+    const stOrganic = stStages.map(() => Qo * stageMinutes);
+    const loTank = Qo * holdups.loTank / 60;
+    const electrolyteTank = Qe * holdups.electrolyteTank / 60;
+    const volumes = {
+        organicInventory: exOrganic.reduce((s, v) => s + v, 0) + stOrganic.reduce((s, v) => s + v, 0) + loTank,
+        loTank,
+        electrolyteTank: plating ? electrolyteTank : 0,
+    };
+
+    // State: [X_E..., Y_E..., X_S..., Y_S..., LO tank, spent tank], starting from the steady stage outlets
+    const iLo = 2 * nE + 2 * nS;
+    const iSpent = iLo + 1;
+    let state = [
+        ...steady.extraction.details.stages.map(s => s.B.x),
+        ...steady.extraction.details.stages.map(s => s.B.y),
+        ...steady.stripping.details.stages.map(s => s.B.x),
+        ...steady.stripping.details.stages.map(s => s.B.y),
+        steady.extraction.lo,
+        spCu,
+    ];
+
+    // Spent electrolyte returning to the last strip stage; without a tank it leaves the cells directly
+    const spentOf = (s) => {
+        if (!plating) return spCu;
+        return electrolyteTank > 0 ? s[iSpent] : s[2 * nE] - plating.cuPlated / Qe;
+    };
+
+    const pls = (time) => Object.fromEntries(DYNAMIC_FIELDS.map(field => [field, inputAt(caseInputs[field], ordered, field, time)]));
+
+    const derivative = (time, s) => {
+        const feed = pls(time);
+        const kEx = streamConstants(feed.plsAcid, feed.plsCu, isotherm.extraction);
+        const spent = spentOf(s);
+        const kSt = streamConstants(caseInputs.spAcid, spent, isotherm.stripping);
+        const d = new Array(s.length).fill(0);
+
+        // Extraction: aqueous E1 -> En (E1P fed fresh PLS), organic from SO through the array backwards
+        exStages.forEach((stage, k) => {
+            const X = s[k];
+            const Y = s[nE + k];
+            const Xin = stage.parallel || k === 0 ? feed.plsCu : s[k - 1];
+            const Yin = k + 1 < nE ? s[nE + k + 1] : s[2 * nE + nS + nS - 1];
+            const T = Qo * (stageEfficiency(caseInputs, stage) / 100) * (organicAtEquilibrium(kEx, X) - Yin);
+            d[k] = (feed.plsFlow * stage.flowFraction * (Xin - X) - T) / exAqueous[k];
+            d[nE + k] = (Qo * (Yin - Y) + T) / exOrganic[k];
+        });
+
+        // Loaded organic tank, bypassed when it has no volume
+        const loOut = loTank > 0 ? s[iLo] : s[nE];
+        if (loTank > 0) d[iLo] = Qo * (s[nE] - s[iLo]) / loTank;
+
+        // Stripping: organic S1 -> Sm, electrolyte Sm -> S1
+        stStages.forEach((stage, k) => {
+            const X = s[2 * nE + k];
+            const Y = s[2 * nE + nS + k];
+            const Xin = k + 1 < nS ? s[2 * nE + k + 1] : spent;
+            const Yin = k === 0 ? loOut : s[2 * nE + nS + k - 1];
+            const T = Qo * (stageEfficiency(caseInputs, stage) / 100) * (organicAtEquilibrium(kSt, X) - Yin);
+            d[2 * nE + k] = (Qe * (Xin - X) - T) / stAqueous[k];
+            d[2 * nE + nS + k] = (Qo * (Yin - Y) + T) / stOrganic[k];
+        });
+
+        // Spent electrolyte tank: advance electrolyte in, plated copper out
+        if (plating && electrolyteTank > 0) d[iSpent] = (Qe * (s[2 * nE] - s[iSpent]) - plating.cuPlated) / electrolyteTank;
+        return d;
+    };
+
+    const record = (time, s) => {
+        const feed = pls(time);
+        const series = exStages.filter(st => !st.parallel).length;
+        // Raffinate is the flow-weighted blend of the last series stage and any parallel stage
+        const raff = exStages.reduce((sum, stage, k) => (stage.parallel || k === series - 1 ? sum + stage.flowFraction * s[k] : sum), 0);
+        return {
+            t: time,
+            ...feed,
+            lo: s[nE],
+            so: s[2 * nE + 2 * nS - 1],
+            raff,
+            adCu: s[2 * nE],
+            spCu: spentOf(s),
+            recovery: (feed.plsCu - raff) / feed.plsCu * 100,
+        };
+    };
+
+    const dt = timeStep / 60;
+    const steps = Math.round(hours / dt);
+    const every = Math.max(Math.round(outputInterval / timeStep), 1);
+    const maxIterations = Math.floor(steps / every);
+    const trend = [record(0, state)];
+    const add = (s, k, h) => s.map((v, j) => v + h * k[j]);
+    for (let n = 1; n <= steps; n++) {
+        const time = (n - 1) * dt;
+        const k1 = derivative(time, state);
+        const k2 = derivative(time + dt / 2, add(state, k1, dt / 2));
+        const k3 = derivative(time + dt / 2, add(state, k2, dt / 2));
+        const k4 = derivative(time + dt, add(state, k3, dt));
+        state = state.map((v, j) => v + (dt / 6) * (k1[j] + 2 * k2[j] + 2 * k3[j] + k4[j]));
+        if (!state.every(v => Number.isFinite(v) && v >= -1e-6)) {
+            throw new Error(t('شبیه‌سازی در t = {time} h ناپایدار شد یا از محدوده فیزیکی خارج شد؛ گام زمانی را کوچک‌تر یا زمان ماند را بیشتر کنید.', { time: (n * dt).toFixed(2) }));
+        }
+        if (n % every === 0) {
+            trend.push(record(n * dt, state));
+            if (onProgress) onProgress({ iteration: trend.length - 1, maxIterations });
+        }
+    }
+
+    return {
+        v_percent: steady.v_percent,
+        hours,
+        changes: ordered,
+        holdups,
+        timeStep,
+        outputInterval,
+        volumes,
+        steady: trend[0],
+        trend,
+    };
+};
@@ -0,0 +1,102 @@
+import { t } from './i18n.js';
+
+// =================================================================
+// ECONOMIC EVALUATION
+// Operating cost of the organic circuit for a solved case. The organic
+// inventory fills the settlers (area × organic depth) plus an allowance
+// for mixers, launders and tanks; its extractant share is the solved
+// V%, so a higher V% ties up more reagent. Organic is lost with the
+// aqueous streams (entrainment, crud) in proportion to the PLS flow,
+// and extractant also degrades. Mixing power is per mixer-settler.
+// Costs are in US$ and copper is the copper handed to electrowinning.
+// =================================================================
+
+export const DEFAULT_ECONOMICS = {
+    extractantPrice: 13,       // $/L of extractant
+    diluentPrice: 1.2,         // $/L of diluent
+    settlerArea: 250,          // m² per settler
+    organicDepth: 0.3,         // m of organic in the settlers
+    inventoryAllowance: 25,    // % of the settler inventory in mixers, launders and tanks
+    organicLoss: 40,           // mL of organic per m³ of PLS (entrainment and crud)
+    degradationLoss: 2,        // mL of extractant per m³ of PLS
+    mixerPower: 30,            // kW per mixer-settler
+    powerPrice: 0.08,          // $/kWh
+    operatingHours: 8000,      // h/year
+    inventoryCharge: 10,       // % of the inventory value per year
+};
+
+// Fields of the economics settings, in the order they are shown
+export const ECONOMICS_FIELDS = Object.keys(DEFAULT_ECONOMICS);
+
+// Throws with a user-facing message when the economics settings are unusable
+export const validateEconomics = (e) => {
+    if (!ECONOMICS_FIELDS.every(key => Number.isFinite(e[key]) && e[key] >= 0)) {
+        throw new Error(t("قیمت‌ها، تلفات، توان و سایر ورودی‌های اقتصادی باید عدد نامنفی باشند."));
+    }
+    if (!(e.settlerArea > 0 && e.organicDepth > 0)) throw new Error(t("سطح ستلر و عمق فاز آلی باید مثبت باشند."));
+    if (!(e.operatingHours > 0 && e.operatingHours <= 8760)) throw new Error(t("ساعات کار سالانه باید بین 0 و 8760 باشد."));
+};
+
+// Number of mixer-settlers of a solved case: extraction, stripping and the wash stage
+export const settlerCount = (results) => (
+    results.extraction.details.stages.length
+    + results.stripping.details.stages.length
+    + (results.entrainment?.washStage ? 1 : 0)
+);
+
+// Annual operating cost of the organic circuit of a runModel/optimize result. Volumes in m³,
+// costs in $ and $/year, copper in t/year. Returns
+// { economics, inventory, losses, power, costs: { extractantLoss, diluentLoss, power, inventoryCharge }, annualCost, copper, costPerTonne }.
+export const evaluateEconomics = (results, economics = DEFAULT_ECONOMICS) => {
+    const e = { ...DEFAULT_ECONOMICS, ...economics };
+    validateEconomics(e);
+    const extractantShare = results.v_percent / 100;
+    const settlers = settlerCount(results);
+
+    // Organic held in the circuit and what it is worth ($/L × 1000 L/m³)
+    const organicVolume = settlers * e.settlerArea * e.organicDepth * (1 + e.inventoryAllowance / 100);
+    const extractantVolume = organicVolume * extractantShare;
+    const diluentVolume = organicVolume - extractantVolume;
+    const inventoryValue = 1000 * (extractantVolume * e.extractantPrice + diluentVolume * e.diluentPrice);
+
+    // Losses per year (m³): organic at the circuit's V%, plus extractant degradation
+    const plsPerYear = results.plant.plsFlow * e.operatingHours;
+    const organicLost = plsPerYear * e.organicLoss / 1e6;
+    const extractantLost = organicLost * extractantShare + plsPerYear * e.degradationLoss / 1e6;
+    const diluentLost = organicLost * (1 - extractantShare);
+
+    const mixingPower = settlers * e.mixerPower;
+    const costs = {
+        extractantLoss: 1000 * extractantLost * e.extractantPrice,
+        diluentLoss: 1000 * diluentLost * e.diluentPrice,
+        power: mixingPower * e.operatingHours * e.powerPrice,
+        inventoryCharge: inventoryValue * e.inventoryCharge / 100,
+    };
+    const annualCost = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+    const copper = results.plant.cuPerDay / 24 * e.operatingHours;
+
+    return {
+        economics: e,
+        inventory: { settlers, organicVolume, extractantVolume, diluentVolume, value: inventoryValue },
+        losses: { organic: organicLost, extractant: extractantLost, diluent: diluentLost },
+        power: mixingPower,
+        costs,
+        annualCost,
+        copper,
+        costPerTonne: copper > 0 ? annualCost / copper : NaN,
+    };
+};
+
+const costOf = (c) => (Number.isFinite(c.evaluation?.costPerTonne) ? c.evaluation.costPerTonne : Infinity);
+
+// Cases ({ id, name, results }) ranked by cost per tonne of copper, cheapest first. A case whose
+// economics cannot be evaluated keeps its `error` and goes last.
+export const rankByCost = (cases, economics = DEFAULT_ECONOMICS) => cases
+    .map(c => {
+        try {
+            return { ...c, evaluation: evaluateEconomics(c.results, economics) };
+        } catch (e) {
+            return { ...c, evaluation: null, error: e.message };
+        }
+    })
+    .sort((a, b) => costOf(a) - costOf(b));
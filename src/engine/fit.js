@@ -0,0 +1,181 @@
+import { linearLeastSquares, nelderMead } from './solver.js';
+import { ACID_PER_CU, streamConstants, organicAtEquilibrium } from './isotherm.js';
+import { isothermConstants } from './reagents.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// ISOTHERM CALIBRATION
+// Regresses the e/f terms of a reagent against shake-out equilibrium
+// points. Rearranging the isotherm for a measured point gives
+//   z = (a + b*X)^2 / X * Y / (c + d*Y)^2 = e(V) * Y + f(V)
+// which is linear in the coefficients once the V% exponents are fixed.
+// The c/d (loading capacity) terms are kept from the base reagent.
+// With a single V% level the exponents (and the stripping e slope)
+// cannot be identified and are kept as well; with two or more levels
+// they are refined by a simplex search around the base values.
+// =================================================================
+
+export const ISOTHERM_COLUMNS = ['vPercent', 'aqCu', 'orgCu', 'acid', 'feedCu'];
+
+const HEADER_ALIASES = {
+    vPercent: ['vpercent', 'v', 'vpct', 'extractant'],
+    aqCu: ['aqcu', 'cuaq', 'aqueouscu', 'aqueous'],
+    orgCu: ['orgcu', 'cuorg', 'cuor', 'organiccu', 'organic'],
+    acid: ['acid', 'h2so4'],
+    feedCu: ['feedcu', 'cufeed'],
+};
+
+const columnFor = (header) => {
+    const key = String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.keys(HEADER_ALIASES).find(col => HEADER_ALIASES[col].includes(key)) ?? null;
+};
+
+// Turn table rows (arrays of cells from a paste, CSV or XLSX sheet) into isotherm points.
+// A header row is optional; without one the columns are read in ISOTHERM_COLUMNS order.
+export const parseIsothermRows = (rows) => {
+    const nonEmpty = rows.filter(r => r.some(cell => String(cell ?? '').trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const hasHeader = nonEmpty[0].some(cell => String(cell).trim() !== '' && !isFinite(Number(cell)));
+    const columns = hasHeader ? nonEmpty[0].map(columnFor) : ISOTHERM_COLUMNS;
+    if (hasHeader) {
+        ['vPercent', 'aqCu', 'orgCu', 'acid'].forEach(col => {
+            if (!columns.includes(col)) throw new Error(t('ستون «{col}» در سطر عنوان پیدا نشد.', { col }));
+        });
+    }
+
+    return nonEmpty.slice(hasHeader ? 1 : 0).map((row, k) => {
+        const point = { feedCu: null };
+        columns.forEach((col, idx) => {
+            if (!col) return;
+            const cell = String(row[idx] ?? '').trim();
+            if (cell === '' && col === 'feedCu') return;
+            const value = Number(cell);
+            if (cell === '' || !isFinite(value)) {
+                throw new Error(t('سطر {row}: مقدار «{col}» عدد معتبری نیست.', { row: k + 1, col }));
+            }
+            point[col] = value;
+        });
+        return point;
+    });
+};
+
+// Free acid at equilibrium; when the feed Cu is given, `acid` is the feed acid
+const equilibriumAcid = (p) => (p.feedCu === null ? p.acid : p.acid + ACID_PER_CU * (p.feedCu - p.aqCu));
+
+const predictOrganic = (reagent, section, p) => (
+    organicAtEquilibrium(streamConstants(p.acidEq, p.aqCu, isothermConstants(reagent, p.vPercent)[section]), p.aqCu)
+);
+
+const fitStatistics = (points, predicted) => {
+    const n = points.length;
+    const mean = points.reduce((sum, p) => sum + p.orgCu, 0) / n;
+    const residuals = points.map((p, k) => p.orgCu - predicted[k]);
+    const sse = residuals.reduce((sum, r) => sum + r * r, 0);
+    const sst = points.reduce((sum, p) => sum + Math.pow(p.orgCu - mean, 2), 0);
+    return {
+        n,
+        r2: sst > 0 ? 1 - sse / sst : NaN,
+        rmse: Math.sqrt(sse / n),
+        maxAbsError: Math.max(...residuals.map(Math.abs)),
+    };
+};
+
+// Linear fit of the section coefficients for fixed exponents; returns the coefficients and z-space SSE
+const fitLinear = (section, base, pts, exps, multiLevel) => {
+    let rows;
+    let targets = pts.map(p => p.z);
+    if (section === 'extraction') {
+        rows = pts.map(p => [Math.pow(p.vPercent, exps.eExp) * p.orgCu, Math.pow(p.vPercent, exps.fExp)]);
+    } else if (multiLevel) {
+        rows = pts.map(p => [p.vPercent * p.orgCu, p.orgCu, Math.pow(p.vPercent, exps.fExp)]);
+    } else {
+        rows = pts.map(p => [p.orgCu, Math.pow(p.vPercent, exps.fExp)]);
+        targets = pts.map(p => p.z - base.eSlope * p.vPercent * p.orgCu);
+    }
+
+    const coef = linearLeastSquares(rows, targets);
+    if (!coef || coef.some(v => !isFinite(v))) return null;
+    const sse = rows.reduce((sum, row, k) => sum + Math.pow(targets[k] - row.reduce((s, v, j) => s + v * coef[j], 0), 2), 0);
+
+    const coefficients = section === 'extraction'
+        ? { ...base, eCoef: coef[0], eExp: exps.eExp, fCoef: coef[1], fExp: exps.fExp }
+        : multiLevel
+            ? { ...base, eSlope: coef[0], eIntercept: coef[1], fCoef: coef[2], fExp: exps.fExp }
+            : { ...base, eIntercept: coef[0], fCoef: coef[1], fExp: exps.fExp };
+    return { coefficients, sse };
+};
+
+// Fit the `section` ('extraction' | 'stripping') coefficients of `baseReagent` to measured points
+export const fitIsotherm = (points, section, baseReagent) => {
+    if (points.length < 3) throw new Error(t("برای برازش حداقل ۳ نقطه تعادلی لازم است."));
+    const base = baseReagent[section];
+
+    const pts = points.map((p, k) => {
+        const acidEq = equilibriumAcid(p);
+        if (!(p.vPercent > 0 && p.aqCu > 0 && p.orgCu > 0)) {
+            throw new Error(t('نقطه {point}: مقادیر V%، مس آبی و مس آلی باید مثبت باشند.', { point: k + 1 }));
+        }
+        if (!(acidEq > 0)) throw new Error(t('نقطه {point}: اسید تعادلی محاسبه‌شده مثبت نیست.', { point: k + 1 }));
+        const free = base.c * p.vPercent + base.d * p.orgCu;
+        if (!(free > 0)) throw new Error(t('نقطه {point}: مس آلی از ظرفیت استخراج‌کننده در این V% بیشتر است.', { point: k + 1 }));
+        return { ...p, acidEq, z: (acidEq * acidEq / p.aqCu) * p.orgCu / (free * free) };
+    });
+
+    const levels = [...new Set(pts.map(p => p.vPercent))].sort((x, y) => x - y);
+    const multiLevel = levels.length >= 2;
+    const baseExps = { eExp: base.eExp, fExp: base.fExp };
+
+    let best = fitLinear(section, base, pts, baseExps, multiLevel);
+    if (multiLevel) {
+        // Exponents are searched around the base values; the linear part is re-solved at each trial
+        const keys = section === 'extraction' ? ['eExp', 'fExp'] : ['fExp'];
+        const objective = (x) => {
+            const trial = fitLinear(section, base, pts, { ...baseExps, ...Object.fromEntries(keys.map((key, k) => [key, x[k]])) }, true);
+            return trial ? trial.sse : Infinity;
+        };
+        const { x } = nelderMead(objective, keys.map(key => baseExps[key]));
+        const refined = fitLinear(section, base, pts, { ...baseExps, ...Object.fromEntries(keys.map((key, k) => [key, x[k]])) }, true);
+        if (refined && (!best || refined.sse <= best.sse)) best = refined;
+    }
+    if (!best) throw new Error(t("داده‌ها برای تعیین ضرایب کافی نیستند (نقاط تکراری یا هم‌خط)."));
+
+    const fitted = { ...baseReagent, [section]: best.coefficients };
+    const predicted = pts.map(p => predictOrganic(fitted, section, p));
+    if (predicted.some(y => typeof y !== 'number' || !isFinite(y))) {
+        throw new Error(t("ضرایب برازش‌شده برای برخی نقاط جواب فیزیکی ندارند. داده‌ها را بررسی کنید."));
+    }
+    const basePredicted = pts.map(p => predictOrganic(baseReagent, section, p));
+
+    // One curve per V% level at the mean total acid of its points
+    const curves = levels.map(v => {
+        const group = pts.filter(p => p.vPercent === v);
+        const a = group.reduce((sum, p) => sum + p.acidEq + ACID_PER_CU * p.aqCu, 0) / group.length;
+        const xMax = Math.max(...group.map(p => p.aqCu)) * 1.1;
+        const curveOf = (reagent) => Array.from({ length: 61 }, (_, k) => {
+            const x = (xMax / 60) * k;
+            const y = organicAtEquilibrium(streamConstants(a, 0, isothermConstants(reagent, v)[section]), x);
+            return { x, y };
+        }).filter(p => p.y >= 0);
+        return { vPercent: v, fitted: curveOf(fitted), base: curveOf(baseReagent) };
+    });
+
+    return {
+        section,
+        coefficients: best.coefficients,
+        refinedExponents: multiLevel,
+        stats: fitStatistics(pts, predicted),
+        baseStats: fitStatistics(pts, basePredicted.map(y => (isFinite(y) ? y : 0))),
+        points: pts.map((p, k) => ({ ...p, predicted: predicted[k], residual: p.orgCu - predicted[k] })),
+        curves,
+    };
+};
+
+// New reagent with the fitted section replacing the base coefficients
+export const calibratedReagent = (baseReagent, fit, id, name) => ({
+    ...baseReagent,
+    id,
+    name,
+    builtIn: false,
+    [fit.section]: fit.coefficients,
+});
@@ -0,0 +1,40 @@
+import { EN_MESSAGES } from './messages.en.js';
+
+// =================================================================
+// LOCALIZATION
+// Messages are written in Persian, the source language, and looked up
+// by that text in the catalog of the active locale (gettext style), so
+// a missing translation falls back to the Persian text. Placeholders
+// such as {v} are filled from `params` after the lookup. The locale is
+// module state: the app sets it on the main thread and passes it to
+// each worker task, the batch CLI sets it from --locale.
+// =================================================================
+
+export const LOCALES = ['fa', 'en'];
+export const DEFAULT_LOCALE = 'fa';
+
+const catalogs = { fa: {}, en: { ...EN_MESSAGES } };
+let current = DEFAULT_LOCALE;
+
+export const setLocale = (locale) => {
+    if (!LOCALES.includes(locale)) throw new Error(`Unknown locale: ${locale}`);
+    current = locale;
+};
+
+export const getLocale = () => current;
+
+// Writing direction of a locale
+export const textDirection = (locale = current) => (locale === 'fa' ? 'rtl' : 'ltr');
+
+// Register translations (Persian text -> translated text), e.g. the UI catalog
+export const addTranslations = (locale, entries) => {
+    if (!LOCALES.includes(locale)) throw new Error(`Unknown locale: ${locale}`);
+    Object.assign(catalogs[locale], entries);
+};
+
+// Persian `text` in the active locale, with {name} placeholders filled from `params`
+export const t = (text, params) => {
+    const translated = catalogs[current][text] ?? text;
+    if (!params) return translated;
+    return translated.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+};
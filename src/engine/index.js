@@ -0,0 +1,116 @@
+// =================================================================
+// HEADLESS ENGINE
+// Public entry point shared by the React app and the batch CLI.
+// Nothing in here may depend on React or the DOM.
+// =================================================================
+import { calculateAll } from './model.js';
+import { validateCircuit } from './circuit.js';
+import { validateReagent } from './reagents.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { DEFAULT_OPERATING_SPEC, searchOperatingPoint } from './operatingPoint.js';
+import { TANKHOUSE_SOLVED_FIELDS, hasTankhouse } from './tankhouse.js';
+import { REFERENCE_CASES, solveReferenceCase, compareWithReference } from './benchmarks.js';
+import { t } from './i18n.js';
+
+export * from './solver.js';
+export { calculateAll, runModel } from './model.js';
+export { parseCsv, toCsv } from './csv.js';
+export * from './circuit.js';
+export * from './reagents.js';
+export * from './isotherm.js';
+export * from './fit.js';
+export * from './massBalance.js';
+export * from './iron.js';
+export * from './entrainment.js';
+export * from './tankhouse.js';
+export * from './operatingPoint.js';
+export * from './defaults.js';
+export * from './optimize.js';
+export * from './sensitivity.js';
+export * from './sweep.js';
+export * from './project.js';
+export * from './reconcile.js';
+export * from './monteCarlo.js';
+export * from './staircase.js';
+export * from './dynamic.js';
+export * from './validation.js';
+export * from './economics.js';
+export * from './benchmarks.js';
+export * from './i18n.js';
+
+// Evaluate the circuit at a fixed extractant concentration (returns null if the model fails)
+export const evaluate = (inputs, vPercent, settings = DEFAULT_SETTINGS) => (
+    calculateAll({ ...DEFAULT_INPUTS, ...inputs }, vPercent, { ...DEFAULT_SETTINGS, ...settings }.reagent)
+);
+
+// Choose O/A, %ML and electrolyte targets within bounds for one or two objectives
+// (see operatingPoint.js). `spec` overrides DEFAULT_OPERATING_SPEC field by field.
+export const optimizeOperatingPoint = (inputs, settings = DEFAULT_SETTINGS, spec = {}, { onProgress } = {}) => {
+    const caseInputs = { ...DEFAULT_INPUTS, ...inputs };
+    const { reagent } = { ...DEFAULT_SETTINGS, ...settings };
+    validateCircuit(caseInputs);
+    validateReagent(reagent);
+    const fullSpec = {
+        ...DEFAULT_OPERATING_SPEC,
+        ...spec,
+        vPercent: { ...DEFAULT_OPERATING_SPEC.vPercent, ...spec.vPercent },
+        bounds: { ...DEFAULT_OPERATING_SPEC.bounds, ...spec.bounds },
+        constraints: { ...DEFAULT_OPERATING_SPEC.constraints, ...spec.constraints },
+    };
+    const solved = TANKHOUSE_SOLVED_FIELDS.filter(key => hasTankhouse(caseInputs) && fullSpec.bounds[key]?.free);
+    if (solved.length > 0) {
+        throw new Error(t('با تانک‌هاوس، {solved} از موازنه الکترولیت محاسبه می‌شود و نمی‌تواند متغیر بهینه‌سازی باشد.', { solved: solved.join(t(' و ')) }));
+    }
+    return searchOperatingPoint(caseInputs, reagent, fullSpec, { onProgress });
+};
+
+// Flat key figures of a result, used for tables and batch exports
+export const summarize = (results) => ({
+    circuit: results.circuit,
+    reagent: results.reagent.name,
+    v_percent: results.v_percent,
+    netCu: results.stripping.netCu,
+    recoveryEx: results.extraction.recovery,
+    recoverySt: results.stripping.recovery,
+    ml: results.extraction.ml,
+    lo: results.extraction.lo,
+    so: results.extraction.so,
+    raff: results.extraction.raff,
+    raffAcid: results.extraction.details.raffAcid,
+    o_a_st: results.stripping.details.o_a_st,
+    organicFlow: results.plant.organicFlow,
+    electrolyteFlow: results.plant.electrolyteFlow,
+    cuPerDay: results.plant.cuPerDay,
+    acidGeneratedPerDay: results.plant.acidGeneratedPerDay,
+    acidConsumedPerDay: results.plant.acidConsumedPerDay,
+    feLo: results.iron?.feLo ?? null,
+    feTransferPerDay: results.iron?.feTransferPerDay ?? null,
+    cuFeRatio: results.iron?.cuFeRatio ?? null,
+    bleedFlow: results.iron?.bleedFlow ?? null,
+    mnTransferPerDay: results.entrainment ? results.entrainment.impurities.find(x => x.key === 'mn').transfer * 24 : null,
+    clTransferPerDay: results.entrainment ? results.entrainment.impurities.find(x => x.key === 'cl').transfer * 24 : null,
+    ewSpCu: results.tankhouse?.spCu ?? null,
+    ewPower: results.tankhouse?.power ?? null,
+    ewSpecificEnergy: results.tankhouse?.specificEnergy ?? null,
+});
+
+// Solve every reference case (see benchmarks.js) and compare it with its expected outputs. Returns
+// { cases, passed, failed } with cases = [{ id, name, source, reference, status, error, checks }], where
+// status is 'pass', 'fail' (a quantity outside its tolerance) or 'error' (the case did not solve).
+// `onProgress({ iteration, maxIterations, id })` reports each solved case.
+export const runBenchmarks = (cases = REFERENCE_CASES, settings = DEFAULT_SETTINGS, { onProgress } = {}) => {
+    const reports = cases.map((c, k) => {
+        const info = { id: c.id, name: c.name ? t(c.name) : c.id, source: c.source ?? 'regression', reference: c.reference ?? '' };
+        let report;
+        try {
+            const checks = compareWithReference(c, summarize(solveReferenceCase(c, settings)));
+            report = { ...info, status: checks.every(check => check.pass) ? 'pass' : 'fail', error: '', checks };
+        } catch (e) {
+            report = { ...info, status: 'error', error: e.message, checks: [] };
+        }
+        if (onProgress) onProgress({ iteration: k + 1, maxIterations: cases.length, id: c.id });
+        return report;
+    });
+    const passed = reports.filter(r => r.status === 'pass').length;
+    return { cases: reports, passed, failed: reports.length - passed };
+};
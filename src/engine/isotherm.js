@@ -0,0 +1,43 @@
+import { solveCubic } from './solver.js';
+
+// =================================================================
+// ISOTHERM EQUATIONS
+// Equilibrium of the semi-empirical model, shared by extraction and
+// stripping:  (a + b*X)^2 / X = (e*Y + f) * (c + d*Y)^2 / Y
+// with X = Cu in aqueous, Y = Cu in organic and a + b*X the free acid.
+// =================================================================
+
+// Sulfuric acid released per unit of copper extracted (98.08 / 63.55)
+export const ACID_PER_CU = 1.54;
+
+// Isotherm constants for a stream whose free acid and Cu are known
+export const streamConstants = (acid, Cu_aq, sectionConstants) => ({
+    a: acid + ACID_PER_CU * Cu_aq,
+    b: -ACID_PER_CU,
+    ...sectionConstants,
+});
+
+// Organic Cu in equilibrium with a given aqueous Cu (NaN when no physical root exists)
+export const organicAtEquilibrium = (k, Cu_aq) => {
+    if (Cu_aq <= 0) return 0;
+    const g = Math.pow(k.a + k.b * Cu_aq, 2) / Cu_aq;
+    const alpha = (2 * k.c * k.d * k.e + Math.pow(k.d, 2) * k.f) / (Math.pow(k.d, 2) * k.e);
+    const lambda = (2 * k.c * k.d * k.f + Math.pow(k.c, 2) * k.e - g) / (Math.pow(k.d, 2) * k.e);
+    const epsilon = (k.f * Math.pow(k.c, 2)) / (Math.pow(k.d, 2) * k.e);
+
+    // Only a positive loading that leaves free extractant (c + d*Y > 0) is physical
+    const Y = solveCubic(1, alpha, lambda, epsilon, (root) => root > 0 && k.c + k.d * root > 0);
+    return Y ?? NaN;
+};
+
+// Aqueous Cu in equilibrium with a given organic Cu (null when no real root exists)
+export const aqueousAtEquilibrium = (k, Cu_or) => {
+    if (Cu_or <= 0) return 0;
+    const h = ((k.e * Cu_or + k.f) * Math.pow(k.c + k.d * Cu_or, 2)) / Cu_or;
+    const a = Math.pow(k.b, 2);
+    const b = 2 * k.a * k.b - h;
+    const c = Math.pow(k.a, 2);
+    const discriminant = b*b - 4*a*c;
+    if (discriminant < 0) return null;
+    return (h - 2*k.a*k.b - Math.sqrt(discriminant)) / (2*a);
+};
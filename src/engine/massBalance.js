@@ -0,0 +1,40 @@
+import { ACID_PER_CU } from './isotherm.js';
+
+// =================================================================
+// PLANT MASS BALANCE
+// Scales the concentration results to plant flows. Flows are in m³/h
+// and concentrations in g/L (= kg/m³), so flow × concentration is kg/h.
+// Entrainment and evaporation are neglected: the raffinate leaves at the
+// PLS flow and the advance and spent electrolyte flows are equal.
+// =================================================================
+
+export const plantMassBalance = (i, extraction, stripping) => {
+    const organicFlow = i.plsFlow * i.o_a_ex;
+    const electrolyteFlow = organicFlow / stripping.details.o_a_st;
+
+    // Copper picked up from the PLS, and copper removed from the organic in stripping
+    const cuExtracted = i.plsFlow * (i.plsCu - extraction.raff);
+    const cuStripped = organicFlow * (extraction.lo - stripping.so);
+
+    // Every kg of Cu extracted releases 1.54 kg of H2SO4 into the raffinate and
+    // consumes the same amount from the strip liquor
+    const acidGenerated = i.plsFlow * (extraction.details.raffAcid - i.plsAcid);
+    const acidConsumed = cuStripped * ACID_PER_CU;
+    const adAcid = i.spAcid - ACID_PER_CU * (i.adCu - i.spCu);
+
+    return {
+        plsFlow: i.plsFlow,
+        organicFlow,
+        electrolyteFlow,
+        cuExtracted,
+        cuStripped,
+        cuPerDay: cuStripped * 24 / 1000,
+        acidGenerated,
+        acidGeneratedPerDay: acidGenerated * 24 / 1000,
+        acidConsumed,
+        acidConsumedPerDay: acidConsumed * 24 / 1000,
+        adAcid,
+        // Relative mismatch between copper extracted and stripped (zero at the SO-consistent V%)
+        balanceError: cuExtracted > 0 ? (cuExtracted - cuStripped) / cuExtracted * 100 : NaN,
+    };
+};
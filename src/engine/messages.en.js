@@ -0,0 +1,181 @@
+// English translations of the engine's messages, keyed by the Persian source text (see i18n.js)
+export const EN_MESSAGES = {
+    // circuit.js
+    'تعداد مراحل استخراج باید عددی صحیح بین 1 و {MAX_STAGES} باشد.': 'The number of extraction stages must be a whole number between 1 and {MAX_STAGES}.',
+    'تعداد مراحل استریپینگ باید عددی صحیح بین 1 و {MAX_STAGES} باشد.': 'The number of stripping stages must be a whole number between 1 and {MAX_STAGES}.',
+    'آرایش مدار استخراج نامعتبر است: {layoutE}': 'Invalid extraction layout: {layoutE}',
+    'گزینه مرحله شستشو نامعتبر است: {washStage}': 'Invalid wash stage option: {washStage}',
+    'سهم PLS ورودی به مرحله موازی باید بین 0 و 100 درصد باشد.': 'The PLS share fed to the parallel stage must be between 0 and 100 %.',
+
+    // dynamic.js
+    'مدت شبیه‌سازی باید بین 0 و {MAX_DYNAMIC_HOURS} ساعت باشد.': 'The simulated time must be between 0 and {MAX_DYNAMIC_HOURS} hours.',
+    'گام زمانی باید بین 0 و 5 دقیقه باشد.': 'The time step must be between 0 and 5 minutes.',
+    'فاصله ثبت نتایج باید بین گام زمانی و مدت شبیه‌سازی باشد.': 'The output interval must lie between the time step and the simulated time.',
+    'زمان ماند میکسر و ستلر باید نامنفی و مجموع آن‌ها مثبت باشد.': 'Mixer and settler residence times must be non-negative with a positive sum.',
+    'زمان ماند مخازن باید نامنفی باشد.': 'Tank residence times must be non-negative.',
+    'فهرست تغییرات ورودی نامعتبر است.': 'The list of input changes is invalid.',
+    'تغییر زمانی برای {field} پشتیبانی نمی‌شود.': 'Changes over time are not supported for {field}.',
+    'نوع تغییر نامعتبر است: {type}': 'Invalid change type: {type}',
+    'زمان هر تغییر باید در بازه شبیه‌سازی باشد.': 'Every change must start within the simulated time.',
+    'مقدار جدید هر تغییر باید مثبت باشد.': 'The new value of every change must be positive.',
+    'مدت هر تغییر شیب‌دار باید مثبت باشد.': 'The duration of every ramp must be positive.',
+    'شبیه‌سازی در t = {time} h ناپایدار شد یا از محدوده فیزیکی خارج شد؛ گام زمانی را کوچک‌تر یا زمان ماند را بیشتر کنید.': 'The simulation became unstable or left the physical range at t = {time} h; use a smaller time step or longer residence times.',
+
+    // entrainment.js
+    'ورودی‌های مرحله شستشو نامعتبرند: ماند باید نامنفی، O/A مثبت و بازدهی بین 0 و 100 باشد.': 'Invalid wash stage inputs: entrainment must be non-negative, O/A positive and efficiency between 0 and 100.',
+
+    // fit.js, reconcile.js
+    'ستون «{col}» در سطر عنوان پیدا نشد.': 'Column "{col}" was not found in the header row.',
+    'سطر {row}: مقدار «{col}» عدد معتبری نیست.': 'Row {row}: "{col}" is not a valid number.',
+    'برای برازش حداقل ۳ نقطه تعادلی لازم است.': 'At least 3 equilibrium points are needed for the fit.',
+    'نقطه {point}: مقادیر V%، مس آبی و مس آلی باید مثبت باشند.': 'Point {point}: V%, aqueous Cu and organic Cu must be positive.',
+    'نقطه {point}: اسید تعادلی محاسبه‌شده مثبت نیست.': 'Point {point}: the calculated equilibrium acid is not positive.',
+    'نقطه {point}: مس آلی از ظرفیت استخراج‌کننده در این V% بیشتر است.': 'Point {point}: organic Cu exceeds the extractant capacity at this V%.',
+    'داده‌ها برای تعیین ضرایب کافی نیستند (نقاط تکراری یا هم‌خط).': 'The data cannot determine the coefficients (repeated or collinear points).',
+    'ضرایب برازش‌شده برای برخی نقاط جواب فیزیکی ندارند. داده‌ها را بررسی کنید.': 'The fitted coefficients have no physical solution for some points. Check the data.',
+    'غلظت اندازه‌گیری‌شده «{key}» وجود ندارد یا منفی است.': 'Measured concentration "{key}" is missing or negative.',
+    'مس رافینت اندازه‌گیری‌شده باید کمتر از مس PLS باشد.': 'Measured raffinate Cu must be below the PLS Cu.',
+    'غلظت LO اندازه‌گیری‌شده باید بیشتر از SO باشد.': 'Measured LO must be above SO.',
+    'بارگذاری ماکزیمم اندازه‌گیری‌شده باید بیشتر از LO باشد.': 'Measured maximum loading must be above LO.',
+    'مس الکترولیت پیشرفته باید بیشتر از الکترولیت مصرفی باشد.': 'Advance electrolyte Cu must be above spent electrolyte Cu.',
+    'این جریان‌ها در آرایش مدار فعلی وجود ندارند: {unknown}': 'These streams do not exist in the current circuit layout: {unknown}',
+    '، ': ', ',
+    'برای برازش {count} پارامتر دست‌کم {count} مقدار اندازه‌گیری‌شده لازم است (اکنون {measured}). غلظت‌های بین‌مرحله‌ای را اضافه کنید: {missing}': 'Fitting {count} parameters needs at least {count} measured values (now {measured}). Add the inter-stage concentrations: {missing}',
+    'هیچ ترکیبی از بازدهی‌ها و V% داده‌های این بررسی را بازتولید نکرد. داده‌ها را بازبینی کنید.': 'No combination of efficiencies and V% reproduced this survey. Review the data.',
+    'هیچ داده بررسی واحدی وارد نشده است.': 'No plant survey data was entered.',
+
+    // index.js, optimize.js, model.js
+    'با تانک‌هاوس، {solved} از موازنه الکترولیت محاسبه می‌شود و نمی‌تواند متغیر بهینه‌سازی باشد.': 'With a tankhouse, {solved} follows from the electrolyte balance and cannot be a decision variable.',
+    ' و ': ' and ',
+    ' با تانک‌هاوس، مدار باید همان {cuPlated} kg/h مس رسوب‌داده‌شده را از PLS (با {available} kg/h مس) استخراج کند؛ دانسیته جریان یا تعداد سلول‌ها را تغییر دهید.': ' With a tankhouse the circuit must extract the {cuPlated} kg/h of plated copper from the PLS (which carries {available} kg/h of copper); change the current density or the number of cells.',
+    'بارگذاری ماکزیمم (ML) در V% = {v} جواب فیزیکی ندارد.': 'Maximum loading (ML) has no physical solution at V% = {v}.',
+    'در V% = {v} حتی با بارگذاری ماکزیمم فاز آلی، مس رسوب‌داده‌شده در تانک‌هاوس استریپ نمی‌شود.': 'At V% = {v} the plated copper cannot be stripped even from a fully loaded organic.',
+    'Cu آبی خروجی {name}': 'Aqueous Cu leaving {name}',
+    'خطای محاسباتی: غلظت LO باید بیشتر از SO باشد.': 'Calculation error: LO must be above SO.',
+
+    // monteCarlo.js
+    'حداقل برای یک ورودی باید توزیع تعریف شود.': 'Define a distribution for at least one input.',
+    'برای «{name}» نمی‌توان توزیع تعریف کرد.': 'A distribution cannot be defined for "{name}".',
+    'برای «{name}» بیش از یک توزیع تعریف شده است.': 'More than one distribution is defined for "{name}".',
+    '{name}: میانگین و انحراف معیار باید عدد باشند و انحراف معیار مثبت باشد.': '{name}: mean and standard deviation must be numbers and the standard deviation positive.',
+    '{name}: میانگین باید بین حد پایین و بالا باشد.': '{name}: the mean must lie between the lower and upper bounds.',
+    '{name}: توزیع مثلثی باید حد پایین ≤ محتمل‌ترین ≤ حد بالا داشته باشد.': '{name}: a triangular distribution needs lower ≤ most likely ≤ upper.',
+    '{name}: حد پایین توزیع یکنواخت باید کمتر از حد بالا باشد.': '{name}: the lower bound of a uniform distribution must be below the upper bound.',
+    '{name}: نوع توزیع ناشناخته {type}': '{name}: unknown distribution type {type}',
+    '{name}: بازه توزیع باید بین {lower} و {upper} باشد.': '{name}: the distribution range must lie between {lower} and {upper}.',
+    'تعداد نمونه‌ها باید عددی صحیح بین 10 و {MAX_MONTE_CARLO_SAMPLES} باشد.': 'The number of samples must be a whole number between 10 and {MAX_MONTE_CARLO_SAMPLES}.',
+    'بذر (seed) مولد اعداد تصادفی باید عدد صحیح باشد.': 'The random number seed must be a whole number.',
+
+    // operatingPoint.js
+    'یک یا دو تابع هدف باید انتخاب شود.': 'Select one or two objectives.',
+    'تابع هدف ناشناخته: {key}': 'Unknown objective: {key}',
+    'دو تابع هدف باید متفاوت باشند.': 'The two objectives must differ.',
+    'بازه {label} نامعتبر است: حد پایین باید کمتر از حد بالا باشد.': 'Invalid range for {label}: the lower bound must be below the upper bound.',
+    'حد پایین V% باید بزرگتر از صفر باشد.': 'The lower bound of V% must be above zero.',
+    'حداقل یک متغیر تصمیم باید آزاد باشد.': 'At least one decision variable must be free.',
+    'برای بهینه‌سازی نقطه کار، جریان PLS باید بزرگتر از صفر باشد.': 'The PLS flow must be above zero to optimize the operating point.',
+    'در بازه‌های انتخاب‌شده هیچ نقطه کاری با شرط سازگاری SO پیدا نشد. بازه‌ها را گسترش دهید.': 'No operating point within the selected ranges satisfies the SO consistency condition. Widen the ranges.',
+    'نقطه کاری که همه قیدها را برآورده کند پیدا نشد. قیدها یا بازه‌ها را بازبینی کنید.': 'No operating point satisfies all constraints. Review the constraints or ranges.',
+
+    // project.js
+    '{path}: وجود ندارد': '{path}: missing',
+    '{path}: باید از نوع {type} باشد': '{path}: must be of type {type}',
+    '{path}: باید آرایه باشد': '{path}: must be an array',
+    '{path}: وجود ندارد یا شیء نیست': '{path}: missing or not an object',
+    'inputs: وجود ندارد یا شیء نیست': 'inputs: missing or not an object',
+    'inputs.{key}: پارامتر ناشناخته': 'inputs.{key}: unknown parameter',
+    'inputs.{key}: مقدار نامعتبر ({value})': 'inputs.{key}: invalid value ({value})',
+    'فایل پروژه نامعتبر است:\n{errors}': 'Invalid project file:\n{errors}',
+    'فایل پروژه JSON معتبر نیست: {message}': 'The project file is not valid JSON: {message}',
+    'این فایل، فایل پروژه مدار استخراج حلالی مس نیست.': 'This file is not a copper SX circuit project file.',
+    'version: وجود ندارد': 'version: missing',
+    'این فایل با نسخه جدیدتری از برنامه ساخته شده است (نسخه فایل {version}، نسخه پشتیبانی‌شده {PROJECT_VERSION}). برنامه را به‌روزرسانی کنید.': 'This file was made by a newer version of the application (file version {version}, supported version {PROJECT_VERSION}). Update the application.',
+    'نسخه {version} فایل پروژه قدیمی است و دیگر پشتیبانی نمی‌شود (نسخه فعلی {PROJECT_VERSION}).': 'Project file version {version} is outdated and no longer supported (current version {PROJECT_VERSION}).',
+    'پروژه': 'Project',
+    'لینک اشتراک‌گذاری خراب یا ناقص است.': 'The share link is damaged or incomplete.',
+    'لینک اشتراک‌گذاری با این نسخه از برنامه سازگار نیست.': 'The share link is not compatible with this version of the application.',
+    'reagent: استخراج‌کننده ناشناخته {r}': 'reagent: unknown extractant {r}',
+    'لینک اشتراک‌گذاری نامعتبر است:\n{errors}': 'Invalid share link:\n{errors}',
+
+    // reagents.js
+    'نام استخراج‌کننده مشخص نشده است.': 'The extractant has no name.',
+    'ضریب {section}.{field} برای استخراج‌کننده «{name}» نامعتبر است.': 'Coefficient {section}.{field} of extractant "{name}" is invalid.',
+
+    // sensitivity.js, sweep.js
+    'درصد تغییر در تحلیل حساسیت باید بین 0 و 100 باشد.': 'The sensitivity perturbation must be between 0 and 100 %.',
+    'پارامتر محور {name} انتخاب نشده است.': 'No parameter selected for the {name} axis.',
+    'بازه محور {name} نامعتبر است: حد پایین باید کمتر از حد بالا باشد.': 'Invalid range for the {name} axis: the lower bound must be below the upper bound.',
+    'تعداد نقاط محور {name} باید عددی صحیح بین 2 و {MAX_SWEEP_STEPS} باشد.': 'The number of points on the {name} axis must be a whole number between 2 and {MAX_SWEEP_STEPS}.',
+    'افقی': 'horizontal',
+    'عمودی': 'vertical',
+    'دو محور باید پارامترهای متفاوتی داشته باشند.': 'The two axes must use different parameters.',
+    'برای نقشه بدون محور V%، مقدار ثابت V% باید بزرگتر از صفر باشد.': 'Without a V% axis the fixed V% must be above zero.',
+
+    // solver.js
+    'محاسبات واگرا شد یا به یک نتیجه نامعتبر رسید. لطفاً ورودی‌ها را بررسی کنید.': 'The calculation diverged or reached an invalid result. Please check the inputs.',
+    'بهینه‌سازی پس از {maxIterations} تکرار به همگرایی نرسید.': 'The optimization did not converge after {maxIterations} iterations.',
+    'ریشه در بازه داده‌شده محصور نیست.': 'The root is not bracketed by the given interval.',
+    'مدل در نقطه {b} داخل بازه ریشه قابل محاسبه نبود.': 'The model could not be evaluated at {b} inside the root bracket.',
+    'روش Brent پس از {maxIterations} تکرار به همگرایی نرسید.': "Brent's method did not converge after {maxIterations} iterations.",
+    'مدل در هیچ نقطه‌ای از بازه {label} ({lower} تا {upper}) قابل محاسبه نبود.': 'The model could not be evaluated anywhere in the {label} range ({lower} to {upper}).',
+    'در بازه {label} ({lower} تا {upper}) تغییر علامت باقیمانده پیدا نشد؛ جواب فیزیکی در این بازه وجود ندارد.': 'The residual does not change sign in the {label} range ({lower} to {upper}); there is no physical solution in this range.',
+
+    // staircase.js
+    'هدف مس رافینت باید بین صفر و مس PLS باشد.': 'The raffinate Cu target must lie between zero and the PLS Cu.',
+    'با LO و نسبت O/A فعلی این رافینت از نظر موازنه جرم ممکن نیست (SO منفی می‌شود).': 'This raffinate is impossible by mass balance with the current LO and O/A (SO would be negative).',
+    'خط عملیاتی به منحنی تعادل رسیده است (pinch)؛ این رافینت با هیچ تعداد مرحله‌ای به دست نمی‌آید.': 'The operating line reaches the equilibrium curve (pinch); no number of stages reaches this raffinate.',
+    'برای این رافینت بیش از {MAX_THEORETICAL_STAGES} مرحله تئوری لازم است.': 'This raffinate needs more than {MAX_THEORETICAL_STAGES} theoretical stages.',
+    'هدف SO باید بین صفر و LO باشد.': 'The SO target must lie between zero and LO.',
+    'خط عملیاتی به منحنی تعادل رسیده است (pinch)؛ این SO با هیچ تعداد مرحله‌ای به دست نمی‌آید.': 'The operating line reaches the equilibrium curve (pinch); no number of stages reaches this SO.',
+    'برای این SO بیش از {MAX_THEORETICAL_STAGES} مرحله تئوری لازم است.': 'This SO needs more than {MAX_THEORETICAL_STAGES} theoretical stages.',
+
+    // tankhouse.js
+    'تعداد سلول‌ها و کاتدهای هر سلول باید عدد صحیح مثبت باشد.': 'The numbers of cells and cathodes per cell must be positive whole numbers.',
+    'مساحت کاتد، دانسیته جریان، ولتاژ سلول و جریان الکترولیت باید مثبت باشند.': 'Cathode area, current density, cell voltage and electrolyte flow must be positive.',
+    'راندمان جریان باید بین 0 و 100 باشد.': 'Current efficiency must be between 0 and 100.',
+    'جریان الکترولیت برای این جریان تانک‌هاوس کم است: مس الکترولیت مصرفی منفی می‌شود.': 'The electrolyte flow is too low for this tankhouse current: the spent electrolyte Cu would be negative.',
+
+    // validation.js
+    'مس الکترولیت پیشرفته باید بیشتر از مس الکترولیت مصرفی باشد.': 'Advance electrolyte Cu must be above spent electrolyte Cu.',
+    'مس رسوب‌داده‌شده در تانک‌هاوس بیشتر از کل مس ورودی با PLS است.': 'The tankhouse plates more copper than the PLS brings in.',
+    'اسید PLS بیش از {max} است؛ استخراج مس در این اسیدیته بسیار محدود است.': 'PLS acid is above {max}; copper extraction is very limited at this acidity.',
+    'نسبت O/A استخراج خارج از محدوده معمول 0.5 تا 3 است.': 'The extraction O/A is outside the usual 0.5 to 3.',
+    'بارگذاری بیش از 95% ماکزیمم در عمل به سختی قابل دستیابی است.': 'Loading above 95 % of maximum is hard to reach in practice.',
+    'اسید الکترولیت مصرفی خارج از محدوده معمول {min} تا {max} است.': 'Spent electrolyte acid is outside the usual {min} to {max}.',
+    'اختلاف مس الکترولیت پیشرفته و مصرفی بیش از {max} است.': 'Advance and spent electrolyte Cu differ by more than {max}.',
+    'ماند آبی پس از شستشو بیشتر از ماند آبی LO است.': 'Entrainment after the wash is higher than the LO entrainment.',
+    'دانسیته جریان بیش از 400 A/m² برای کیفیت کاتد بالاست.': 'A current density above 400 A/m² is high for cathode quality.',
+    'ولتاژ سلول خارج از محدوده معمول 1.7 تا 2.6 V است.': 'Cell voltage is outside the usual 1.7 to 2.6 V.',
+    'باید عددی صحیح بین {min} و {max} باشد.': 'Must be a whole number between {min} and {max}.',
+    'بیشتر از {min}': 'above {min}',
+    'حداقل {min}': 'at least {min}',
+    'کمتر از {limit}': 'below {limit}',
+    'حداکثر {limit}': 'at most {limit}',
+    'باید {lower} و {upper} باشد.': 'Must be {lower} and {upper}.',
+    'یک عدد معتبر وارد کنید.': 'Enter a valid number.',
+    'بازدهی مرحله کمتر از 80% برای میکسر-ستلر پایین است.': 'A stage efficiency below 80 % is low for a mixer-settler.',
+    'ورودی‌ها نامعتبرند: {errors}': 'Invalid inputs: {errors}',
+
+    // economics.js
+    'قیمت‌ها، تلفات، توان و سایر ورودی‌های اقتصادی باید عدد نامنفی باشند.': 'Prices, losses, power and the other economic inputs must be non-negative numbers.',
+    'سطح ستلر و عمق فاز آلی باید مثبت باشند.': 'Settler area and organic depth must be positive.',
+    'ساعات کار سالانه باید بین 0 و 8760 باشد.': 'Annual operating hours must be between 0 and 8760.',
+
+    // benchmarks.js
+    'جدول 17 مقاله (V% منتشرشده)': 'Table 17 of the paper (published V%)',
+    'ورودی‌های جدول 17 (مدار پایه 2E / 2S)': 'Table 17 inputs (base 2E / 2S circuit)',
+    'جدول 17 در V% = 20': 'Table 17 at V% = 20',
+    'آرایش سری-موازی (E1 + E1P)': 'Series-parallel layout (E1 + E1P)',
+    'سه مرحله استخراج، PLS رقیق': 'Three extraction stages, lean PLS',
+    'بازدهی پایین مراحل، 75% ML': 'Low stage efficiencies, 75 % ML',
+    'آهن، ماند آبی و مرحله شستشو': 'Iron, entrainment and wash stage',
+    'تانک‌هاوس 64 سلولی کوپل‌شده': 'Coupled 64-cell tankhouse',
+    'مورد مرجع {index}: شناسه (id) الزامی است.': 'Reference case {index}: an id is required.',
+    'مورد مرجع {id}: منبع باید یکی از {sources} باشد.': 'Reference case {id}: the source must be one of {sources}.',
+    'مورد مرجع {id}: ورودی ناشناخته "{key}".': 'Reference case {id}: unknown input "{key}".',
+    'مورد مرجع {id}: V% ثابت باید مثبت باشد.': 'Reference case {id}: the fixed V% must be positive.',
+    'مورد مرجع {id}: هیچ مقدار مورد انتظاری ندارد.': 'Reference case {id}: it has no expected values.',
+    'مورد مرجع {id}: مقدار یا تلرانس {quantity} نامعتبر است.': 'Reference case {id}: the value or tolerance of {quantity} is invalid.',
+    'فایل موارد مرجع JSON معتبر نیست: {message}': 'The reference case file is not valid JSON: {message}',
+    'مدل در V% = {vPercent} حل نشد.': 'The model did not solve at V% = {vPercent}.',
+};
@@ -0,0 +1,217 @@
+import { findRoot } from './solver.js';
+import { ACID_PER_CU, streamConstants, organicAtEquilibrium, aqueousAtEquilibrium } from './isotherm.js';
+import { LIX984N, isothermConstants } from './reagents.js';
+import { plantMassBalance } from './massBalance.js';
+import { ironBalance } from './iron.js';
+import { entrainmentBalance, withElectrolyteLevels } from './entrainment.js';
+import { tankhousePlating, tankhouseBalance } from './tankhouse.js';
+import { extractionStages, strippingStages, stageEfficiency, circuitLabel } from './circuit.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// CORE CALCULATION ENGINE
+// This part contains all the mathematical formulas from the PDF
+// =================================================================
+
+// Full circuit at a given V%; throws with a user-facing message when the model has no solution
+export const runModel = (i, V_percent, reagent = LIX984N) => {
+    const isotherm = isothermConstants(reagent, V_percent);
+    const exStages = extractionStages(i);
+    const stStages = strippingStages(i);
+    const stageSolves = [];
+
+    // --- Electrowinning Tankhouse ---
+    // With a tankhouse the electrolyte circulates at `ewFlow`: the spent electrolyte leaves the
+    // cells the plated copper below the advance electrolyte, and the strip O/A is fixed
+    const plating = tankhousePlating(i);
+    const spCu = plating ? i.adCu - plating.cuPlated / i.ewFlow : i.spCu;
+    // Inputs with the spent electrolyte Cu the tankhouse leaves
+    const c = plating ? { ...i, spCu } : i;
+    const organicFlow = i.plsFlow * i.o_a_ex;
+
+    // Stripping stages for a loaded organic `lo` at strip O/A `o_a_st`;
+    // the organic runs S1 -> Sm while the advance electrolyte leaves S1
+    const stripConstants = streamConstants(i.spAcid, spCu, isotherm.stripping);
+    const stripStages = (lo, o_a_st) => {
+        let Y_in = lo;
+        let X_out = i.adCu;
+        const stageResults = stStages.map((stage) => {
+            const efficiency = stageEfficiency(i, stage);
+            const Y_eq = organicAtEquilibrium(stripConstants, X_out);
+            const Y_out = Y_in - (efficiency/100)*(Y_in - Y_eq);
+            const X_in = X_out - o_a_st * (Y_in - Y_out);
+            const r = { stage, X_in, X_out, Y_in, Y_out, Y_eq, efficiency };
+            Y_in = Y_out;
+            X_out = X_in;
+            return r;
+        });
+        return { stageResults, so: Y_in };
+    };
+
+    // --- Extraction Calculation ---
+    const extraction = (() => {
+        const constants = streamConstants(i.plsAcid, i.plsCu, isotherm.extraction);
+        const getCu_or_from_Cu_aq = (Cu_aq) => organicAtEquilibrium(constants, Cu_aq);
+        const getCu_aq_from_Cu_or = (Cu_or) => aqueousAtEquilibrium(constants, Cu_or);
+
+        const ml = getCu_or_from_Cu_aq(i.plsCu);
+        if (!(ml > 0)) throw new Error(t('بارگذاری ماکزیمم (ML) در V% = {v} جواب فیزیکی ندارد.', { v: V_percent.toFixed(2) }));
+        // With a tankhouse the LO is iterated with the stripping block until the strip circuit
+        // hands the electrolyte exactly the plated copper; %ML is then a result
+        const lo = plating ? (() => {
+            const o_a_st = organicFlow / i.ewFlow;
+            const residual = (Y) => organicFlow * (Y - stripStages(Y, o_a_st).so) - plating.cuPlated;
+            if (!(residual(ml) >= 0)) {
+                throw new Error(t('در V% = {v} حتی با بارگذاری ماکزیمم فاز آلی، مس رسوب‌داده‌شده در تانک‌هاوس استریپ نمی‌شود.', { v: V_percent.toFixed(2) }));
+            }
+            const { root, method, iterations } = findRoot(residual, {
+                guess: ml * (i.percentageML / 100),
+                lower: 0,
+                upper: ml,
+                samples: 20,
+                label: 'LO',
+            });
+            stageSolves.push({ stage: 'EW', method, iterations, residual: residual(root) });
+            return root;
+        })() : ml * (i.percentageML / 100);
+
+        // Stages are marched from the LO end: the organic leaving each stage is known,
+        // so only the aqueous outlet has to be solved for.
+        let Y_out = lo;
+        let X_in_series = i.plsCu;
+        let raffBlend = 0;
+        const stageResults = exStages.map((stage, k) => {
+            const X_in = stage.parallel ? i.plsCu : X_in_series;
+            const o_a = i.o_a_ex / stage.flowFraction;
+            const efficiency = stageEfficiency(i, stage);
+            const Y_out_stage = Y_out;
+            const stage_solver_func = (X_out_guess) => {
+                const Y_eq = getCu_or_from_Cu_aq(X_out_guess);
+                const Y_in = Y_out_stage - (X_in - X_out_guess) / o_a;
+                return (Y_out_stage - Y_in) - (efficiency / 100) * (Y_eq - Y_in);
+            };
+            // The aqueous outlet lies between 0 and the stage feed; each stage further
+            // along the organic path runs leaner, so its starting guess is halved
+            const { root: X_out, method, iterations } = findRoot(stage_solver_func, {
+                guess: X_in * 0.3 * Math.pow(0.5, k),
+                lower: 0,
+                upper: X_in,
+                label: t('Cu آبی خروجی {name}', { name: stage.name }),
+            });
+            stageSolves.push({ stage: stage.name, method, iterations, residual: stage_solver_func(X_out) });
+            const Y_in = Y_out_stage - (X_in - X_out) / o_a;
+
+            Y_out = Y_in;
+            if (stage.parallel) {
+                raffBlend += stage.flowFraction * X_out;
+            } else {
+                X_in_series = X_out;
+            }
+            return { stage, X_in, X_out, Y_in, Y_out: Y_out_stage, efficiency };
+        });
+        
+        const so = Y_out;
+        // Raffinate is the flow-weighted blend of the series train and any parallel stage
+        const raff = raffBlend + exStages[0].flowFraction * X_in_series;
+        
+        const recovery = (i.plsCu - raff) / i.plsCu * 100;
+        const raffAcid = i.plsAcid + (i.plsCu - raff) * ACID_PER_CU;
+        
+        const equilibriumCurve = Array.from({ length: 101 }, (_, k) => {
+            const x = (i.plsCu / 100) * k;
+            const y = getCu_or_from_Cu_aq(x);
+            return { x, y };
+        }).filter(p => p.y >= 0);
+
+        const operatingLine = [
+            { name: 'SO', x: raff, y: so },
+            { name: 'LO', x: i.plsCu, y: lo }
+        ];
+
+        const stages = stageResults.map(r => ({ name: r.stage.name, x: r.X_out, y: r.Y_out }));
+
+        const details = {
+            raffAcid,
+            stages: stageResults.map(r => ({
+                name: r.stage.name,
+                A: { x: r.X_in, y: r.Y_out },
+                B: { x: r.X_out, y: r.Y_out },
+                C: { x: r.X_out, y: r.Y_in },
+                D: { x: getCu_aq_from_Cu_or(getCu_or_from_Cu_aq(r.X_out)), y: getCu_or_from_Cu_aq(r.X_out) },
+                efficiency: r.efficiency
+            }))
+        };
+
+        return { ml, lo, so, raff, recovery, mccabeThiele: { equilibriumCurve, operatingLine, stages }, details };
+    })();
+    
+    // --- Stripping Calculation ---
+    const stripping = (() => {
+        const lo = extraction.lo;
+        const so_ex = extraction.so;
+        if (lo <= so_ex) throw new Error(t("خطای محاسباتی: غلظت LO باید بیشتر از SO باشد."));
+        const o_a_st = plating ? organicFlow / i.ewFlow : (i.adCu - spCu) / (lo - so_ex);
+        const getCu_or_from_Cu_aq_stripping = (Cu_aq) => organicAtEquilibrium(stripConstants, Cu_aq);
+        const { stageResults, so } = stripStages(lo, o_a_st);
+        
+        const recovery = (lo - so) / lo * 100;
+        const netCu = (lo - so) / V_percent;
+        
+        const equilibriumCurve = Array.from({ length: 101 }, (_, k) => {
+            const x = spCu + ((i.adCu - spCu + 5) / 100) * k;
+            const y = getCu_or_from_Cu_aq_stripping(x);
+            return { x, y };
+        }).filter(p => p.y >= 0);
+
+        const operatingLine = [
+            { name: 'SO', x: spCu, y: so },
+            { name: 'LO', x: i.adCu, y: lo }
+        ];
+
+        const stages = stageResults.map(r => ({ name: r.stage.name, x: r.X_out, y: r.Y_in }));
+
+        const details = {
+            o_a_st,
+            stages: stageResults.map((r, k) => ({
+                name: r.stage.name,
+                A: { x: r.X_out, y: r.Y_in },
+                B: { x: r.X_out, y: r.Y_out },
+                // The last stage is fed with spent electrolyte
+                C: k === stageResults.length - 1 ? { x: spCu, y: so } : { x: r.X_in, y: r.Y_out },
+                D: { x: r.X_out, y: r.Y_eq },
+                efficiency: r.efficiency
+            }))
+        };
+
+        return { so, recovery, netCu, mccabeThiele: { equilibriumCurve, operatingLine, stages }, details };
+    })();
+
+    const plant = plantMassBalance(c, extraction, stripping);
+    const entrainment = entrainmentBalance(c, plant);
+    const iron = ironBalance(c, extraction, plant, entrainment);
+
+    return {
+        v_percent: V_percent,
+        circuit: circuitLabel(i),
+        reagent: { id: reagent.id, name: reagent.name, extraction: reagent.extraction, stripping: reagent.stripping },
+        extraction,
+        stripping,
+        plant,
+        iron,
+        entrainment: withElectrolyteLevels(entrainment, iron?.bleedFlow),
+        tankhouse: plating && tankhouseBalance(plating, c, extraction, plant),
+        constraints: {
+            so_consistency: extraction.so - stripping.so
+        },
+        diagnostics: { stageSolves }
+    };
+};
+
+export const calculateAll = (i, V_percent, reagent = LIX984N) => {
+    try {
+        return runModel(i, V_percent, reagent);
+    } catch (e) {
+        console.error("Calculation failed:", e);
+        return null; // Indicate failure
+    }
+};
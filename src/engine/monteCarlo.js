@@ -0,0 +1,193 @@
+import { optimize } from './optimize.js';
+import { extractionStages, strippingStages, stageEfficiency } from './circuit.js';
+import { sensitivityFields, isPercentField } from './sensitivity.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// MONTE CARLO UNCERTAINTY
+// Inputs are drawn from normal (optionally truncated), triangular or
+// uniform distributions and every drawn case is re-optimized, giving
+// distributions of V% and the key outputs. The generator is seeded, so
+// a run with the same seed and distributions repeats exactly.
+// =================================================================
+
+export const MONTE_CARLO_OUTPUTS = {
+    v_percent: (r) => r.v_percent,
+    recovery: (r) => r.extraction.recovery,
+    netCu: (r) => r.stripping.netCu,
+    raff: (r) => r.extraction.raff,
+};
+
+export const DISTRIBUTION_TYPES = ['normal', 'triangular', 'uniform'];
+export const MAX_MONTE_CARLO_SAMPLES = 5000;
+
+// Draws of a truncated normal are rejected this many times before falling back to the bound
+const MAX_REJECTIONS = 100;
+
+// mulberry32: small, fast and good enough for sampling; returns floats in [0, 1)
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let mixed = state;
+        mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1);
+        mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+        return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Standard normal by Box-Muller
+const standardNormal = (random) => {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Physical limits of a field: nothing below 0, percentages not above 100
+const fieldLimits = (field) => ({ lower: 0, upper: isPercentField(field) ? 100 : Infinity });
+
+// Normal bounds default to the field limits
+const normalBounds = (d) => {
+    const limits = fieldLimits(d.field);
+    return {
+        lower: Number.isFinite(d.lower) ? Math.max(d.lower, limits.lower) : limits.lower,
+        upper: Number.isFinite(d.upper) ? Math.min(d.upper, limits.upper) : limits.upper,
+    };
+};
+
+const sampler = (d, random) => {
+    if (d.type === 'uniform') return () => d.lower + random() * (d.upper - d.lower);
+    if (d.type === 'triangular') {
+        const split = (d.mode - d.lower) / (d.upper - d.lower);
+        return () => {
+            const u = random();
+            return u < split
+                ? d.lower + Math.sqrt(u * (d.upper - d.lower) * (d.mode - d.lower))
+                : d.upper - Math.sqrt((1 - u) * (d.upper - d.lower) * (d.upper - d.mode));
+        };
+    }
+    const { lower, upper } = normalBounds(d);
+    return () => {
+        for (let k = 0; k < MAX_REJECTIONS; k++) {
+            const x = d.mean + d.sd * standardNormal(random);
+            if (x >= lower && x <= upper) return x;
+        }
+        return Math.min(Math.max(d.mean, lower), upper);
+    };
+};
+
+export const validateDistributions = (caseInputs, distributions) => {
+    if (!Array.isArray(distributions) || distributions.length === 0) {
+        throw new Error(t("حداقل برای یک ورودی باید توزیع تعریف شود."));
+    }
+    const fields = sensitivityFields(caseInputs);
+    const seen = new Set();
+    distributions.forEach(d => {
+        const name = d.field;
+        if (!fields.includes(name)) throw new Error(t('برای «{name}» نمی‌توان توزیع تعریف کرد.', { name }));
+        if (seen.has(name)) throw new Error(t('برای «{name}» بیش از یک توزیع تعریف شده است.', { name }));
+        seen.add(name);
+        const limits = fieldLimits(name);
+        const finite = (...values) => values.every(v => Number.isFinite(v));
+        if (d.type === 'normal') {
+            const { lower, upper } = normalBounds(d);
+            if (!finite(d.mean, d.sd) || d.sd <= 0) throw new Error(t('{name}: میانگین و انحراف معیار باید عدد باشند و انحراف معیار مثبت باشد.', { name }));
+            if (!(lower < upper && d.mean >= lower && d.mean <= upper)) throw new Error(t('{name}: میانگین باید بین حد پایین و بالا باشد.', { name }));
+        } else if (d.type === 'triangular') {
+            if (!finite(d.lower, d.mode, d.upper) || !(d.lower <= d.mode && d.mode <= d.upper && d.lower < d.upper)) {
+                throw new Error(t('{name}: توزیع مثلثی باید حد پایین ≤ محتمل‌ترین ≤ حد بالا داشته باشد.', { name }));
+            }
+        } else if (d.type === 'uniform') {
+            if (!finite(d.lower, d.upper) || !(d.lower < d.upper)) throw new Error(t('{name}: حد پایین توزیع یکنواخت باید کمتر از حد بالا باشد.', { name }));
+        } else {
+            throw new Error(t('{name}: نوع توزیع ناشناخته {type}', { name, type: d.type }));
+        }
+        if (d.type !== 'normal' && (d.lower < limits.lower || d.upper > limits.upper)) {
+            throw new Error(t('{name}: بازه توزیع باید بین {lower} و {upper} باشد.', { name, lower: limits.lower, upper: limits.upper }));
+        }
+    });
+};
+
+// Value at fraction p of sorted values, interpolated between neighbours
+export const percentile = (sorted, p) => {
+    if (sorted.length === 0) return NaN;
+    const pos = (sorted.length - 1) * p;
+    const k = Math.floor(pos);
+    return k + 1 < sorted.length ? sorted[k] + (pos - k) * (sorted[k + 1] - sorted[k]) : sorted[k];
+};
+
+const statistics = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+    const variance = n > 1 ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+    return {
+        n,
+        mean,
+        sd: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[n - 1],
+        p10: percentile(sorted, 0.1),
+        p50: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+    };
+};
+
+// Equal-width bins [{ from, to, count }] over the range of the values
+export const histogram = (values, bins = 20) => {
+    if (values.length === 0) return [];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const width = (max - min) / bins || 1;
+    const counts = Array(bins).fill(0);
+    values.forEach(v => { counts[Math.min(Math.floor((v - min) / width), bins - 1)] += 1; });
+    return counts.map((count, k) => ({ from: min + k * width, to: min + (k + 1) * width, count }));
+};
+
+// Draw `samples` cases and optimize each. Returns { seed, samples, distributions, base, draws, failures,
+// failureShare, stats } where draws are { values, outputs, error } and stats[output] has
+// { n, mean, sd, min, max, p10, p50, p90 } over the solved draws (null when none solved).
+// `onProgress({ iteration, maxIterations })` reports each drawn case.
+export const monteCarlo = (inputs, settings = DEFAULT_SETTINGS, { distributions, samples = 500, seed = 1, onProgress } = {}) => {
+    const caseInputs = { ...DEFAULT_INPUTS, ...inputs };
+    if (!(Number.isInteger(samples) && samples >= 10 && samples <= MAX_MONTE_CARLO_SAMPLES)) {
+        throw new Error(t('تعداد نمونه‌ها باید عددی صحیح بین 10 و {MAX_MONTE_CARLO_SAMPLES} باشد.', { MAX_MONTE_CARLO_SAMPLES }));
+    }
+    if (!Number.isInteger(seed)) throw new Error(t("بذر (seed) مولد اعداد تصادفی باید عدد صحیح باشد."));
+    validateDistributions(caseInputs, distributions);
+
+    const stages = [...extractionStages(caseInputs), ...strippingStages(caseInputs)];
+    const baseValue = (key) => {
+        const stage = stages.find(s => s.effKey === key);
+        return stage ? stageEfficiency(caseInputs, stage) : caseInputs[key];
+    };
+    const random = createRandom(seed);
+    const draw = distributions.map(d => ({ field: d.field, next: sampler(d, random) }));
+
+    const draws = Array.from({ length: samples }, (_, k) => {
+        const values = Object.fromEntries(draw.map(d => [d.field, d.next()]));
+        let entry;
+        try {
+            const results = optimize({ ...caseInputs, ...values }, settings);
+            entry = { values, outputs: Object.fromEntries(Object.entries(MONTE_CARLO_OUTPUTS).map(([key, value]) => [key, value(results)])), error: null };
+        } catch (e) {
+            entry = { values, outputs: null, error: e.message };
+        }
+        if (onProgress) onProgress({ iteration: k + 1, maxIterations: samples });
+        return entry;
+    });
+
+    const solved = draws.filter(d => d.outputs);
+    return {
+        seed,
+        samples,
+        distributions,
+        base: Object.fromEntries(distributions.map(d => [d.field, baseValue(d.field)])),
+        draws,
+        failures: samples - solved.length,
+        failureShare: (samples - solved.length) / samples,
+        stats: Object.fromEntries(Object.keys(MONTE_CARLO_OUTPUTS).map(key => (
+            [key, solved.length > 0 ? statistics(solved.map(d => d.outputs[key])) : null]
+        ))),
+    };
+};
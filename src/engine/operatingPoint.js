@@ -0,0 +1,238 @@
+import { findRoot, nelderMead } from './solver.js';
+import { runModel } from './model.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// OPERATING POINT OPTIMIZATION
+// Chooses O/A, %ML and the electrolyte targets inside user bounds to
+// maximize or minimize a plant objective. V% is not searched directly:
+// for every trial point it is solved from the SO-consistency condition
+// within its own bounds, so each candidate is a consistent circuit.
+// Two objectives give a Pareto front by the epsilon-constraint method.
+// =================================================================
+
+// Objectives on a runModel result; `sense` is the direction that is better
+export const OBJECTIVES = {
+    recovery: { sense: 'max', value: (r) => r.extraction.recovery },
+    netCu: { sense: 'max', value: (r) => r.stripping.netCu },
+    // Extractant circulated with the organic (m³/h of pure reagent)
+    extractant: { sense: 'min', value: (r) => (r.v_percent / 100) * r.plant.organicFlow },
+};
+
+// Inputs the optimizer may move; the rest stay at the case values
+export const DECISION_KEYS = ['o_a_ex', 'percentageML', 'adCu', 'spCu'];
+
+export const DEFAULT_OPERATING_SPEC = {
+    objectives: ['recovery', 'extractant'],
+    vPercent: { lower: 1, upper: 50, guess: 17.1 },
+    bounds: {
+        o_a_ex: { free: true, lower: 0.8, upper: 2 },
+        percentageML: { free: true, lower: 60, upper: 95 },
+        adCu: { free: false, lower: 45, upper: 55 },
+        spCu: { free: false, lower: 30, upper: 40 },
+    },
+    constraints: { minRecovery: null, maxRaff: null },
+    paretoPoints: 9,
+};
+
+// Weight of a normalized constraint violation against a normalized objective
+const PENALTY = 100;
+// Score of a trial where the model fails or no SO-consistent V% exists
+const INFEASIBLE = 1e6;
+// Relative violation still accepted as feasible in the reported points
+const FEASIBILITY_TOLERANCE = 1e-3;
+
+const isBetter = (objective, a, b) => (OBJECTIVES[objective].sense === 'max' ? a > b : a < b);
+
+// Keep the points no other point beats in both objectives, once each
+const nonDominated = (points, [first, second]) => {
+    const seen = new Set();
+    return points.filter(p => !points.some(q => (
+        !isBetter(first, p.objectives[first], q.objectives[first])
+        && !isBetter(second, p.objectives[second], q.objectives[second])
+        && (q.objectives[first] !== p.objectives[first] || q.objectives[second] !== p.objectives[second])
+    ))).filter(p => {
+        const key = `${p.objectives[first]}|${p.objectives[second]}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+export const validateOperatingSpec = (caseInputs, spec) => {
+    if (!Array.isArray(spec.objectives) || spec.objectives.length < 1 || spec.objectives.length > 2) {
+        throw new Error(t("یک یا دو تابع هدف باید انتخاب شود."));
+    }
+    spec.objectives.forEach(key => {
+        if (!OBJECTIVES[key]) throw new Error(t('تابع هدف ناشناخته: {key}', { key }));
+    });
+    if (spec.objectives.length === 2 && spec.objectives[0] === spec.objectives[1]) {
+        throw new Error(t("دو تابع هدف باید متفاوت باشند."));
+    }
+    const ranges = [['V%', spec.vPercent], ...DECISION_KEYS.filter(key => spec.bounds[key]?.free).map(key => [key, spec.bounds[key]])];
+    ranges.forEach(([label, { lower, upper }]) => {
+        if (!(isFinite(lower) && isFinite(upper) && lower < upper)) {
+            throw new Error(t('بازه {label} نامعتبر است: حد پایین باید کمتر از حد بالا باشد.', { label }));
+        }
+    });
+    if (spec.vPercent.lower <= 0) throw new Error(t("حد پایین V% باید بزرگتر از صفر باشد."));
+    if (!DECISION_KEYS.some(key => spec.bounds[key]?.free)) {
+        throw new Error(t("حداقل یک متغیر تصمیم باید آزاد باشد."));
+    }
+    if (!(caseInputs.plsFlow > 0)) throw new Error(t("برای بهینه‌سازی نقطه کار، جریان PLS باید بزرگتر از صفر باشد."));
+    return spec;
+};
+
+// Search the free decision variables for the best SO-consistent operating point(s).
+// Returns { objectives, free, optima: { [objective]: point }, pareto, samples } where every
+// point is { inputs: { ...decisions, vPercent }, objectives: { recovery, netCu, extractant }, raff, feasible }.
+// `onProgress({ iteration, maxIterations, phase })` reports each solved trial point.
+export const searchOperatingPoint = (caseInputs, reagent, spec, { onProgress } = {}) => {
+    validateOperatingSpec(caseInputs, spec);
+    const { objectives, vPercent, bounds, constraints } = spec;
+    const free = DECISION_KEYS.filter(key => bounds[key].free);
+    const nmIterations = 60 * free.length;
+    const gridLevels = free.length > 3 ? 3 : 4;
+    const runs = objectives.length === 1 ? 2 : 2 + spec.paretoPoints;
+    const maxIterations = gridLevels ** free.length + runs * nmIterations * 2;
+
+    // Trials are solved in the unit box and cached, Nelder-Mead revisits points often
+    const toInputs = (frac) => Object.fromEntries(free.map((key, k) => [key, bounds[key].lower + frac[k] * (bounds[key].upper - bounds[key].lower)]));
+    const cache = new Map();
+    let lastV = Math.min(Math.max(vPercent.guess ?? (vPercent.lower + vPercent.upper) / 2, vPercent.lower), vPercent.upper);
+    let solved = 0;
+    let phase = 'scan';
+
+    const solveTrial = (frac) => {
+        const key = frac.map(v => v.toFixed(6)).join(',');
+        if (cache.has(key)) return cache.get(key);
+
+        const decisions = toInputs(frac);
+        const trial = { ...caseInputs, ...decisions };
+        let point = null;
+        if (trial.adCu > trial.spCu) {
+            try {
+                const root = findRoot((v) => {
+                    try {
+                        return runModel(trial, v, reagent).constraints.so_consistency;
+                    } catch {
+                        return NaN;
+                    }
+                }, { guess: lastV, lower: vPercent.lower, upper: vPercent.upper, samples: 24, maxIterations: 60, label: 'V%' });
+                const result = runModel(trial, root.root, reagent);
+                lastV = root.root;
+                point = {
+                    inputs: { ...decisions, vPercent: root.root },
+                    objectives: Object.fromEntries(Object.entries(OBJECTIVES).map(([k, o]) => [k, o.value(result)])),
+                    raff: result.extraction.raff,
+                };
+                point.violation = constraintViolation(point);
+                point.feasible = point.violation <= FEASIBILITY_TOLERANCE;
+            } catch {
+                point = null;
+            }
+        }
+        cache.set(key, point);
+        solved += 1;
+        if (onProgress) onProgress({ iteration: Math.min(solved, maxIterations), maxIterations, phase });
+        return point;
+    };
+
+    // Sum of the normalized violations of the user constraints
+    const constraintViolation = (point) => {
+        let violation = 0;
+        if (Number.isFinite(constraints.minRecovery)) {
+            violation += Math.max(0, (constraints.minRecovery - point.objectives.recovery) / 100);
+        }
+        if (Number.isFinite(constraints.maxRaff)) {
+            violation += Math.max(0, (point.raff - constraints.maxRaff) / Math.max(constraints.maxRaff, 1e-3));
+        }
+        return violation;
+    };
+
+    // Coarse grid over the box: starting points and the background cloud of the front
+    const levels = Array.from({ length: gridLevels }, (_, k) => k / (gridLevels - 1));
+    const grid = free.reduce((acc) => acc.flatMap(prefix => levels.map(l => [...prefix, l])), [[]]);
+    const samples = grid.map(solveTrial).filter(Boolean);
+    const feasibleSamples = samples.filter(p => p.feasible);
+    if (samples.length === 0) {
+        throw new Error(t("در بازه‌های انتخاب‌شده هیچ نقطه کاری با شرط سازگاری SO پیدا نشد. بازه‌ها را گسترش دهید."));
+    }
+
+    // Objective magnitudes used to normalize scores and epsilon constraints
+    const scale = Object.fromEntries(Object.keys(OBJECTIVES).map(key => (
+        [key, Math.max(...samples.map(p => Math.abs(p.objectives[key])), 1e-9)]
+    )));
+
+    const clampUnit = (frac) => frac.map(v => Math.min(Math.max(v, 0), 1));
+    const outside = (frac) => frac.reduce((sum, v) => sum + Math.max(0, -v) + Math.max(0, v - 1), 0);
+
+    // Penalized score to minimize; `epsilon` bounds a second objective { key, bound }
+    const scoreOf = (objective, epsilon) => (frac) => {
+        const point = solveTrial(clampUnit(frac));
+        const distance = outside(frac);
+        if (!point) return INFEASIBLE * (1 + distance);
+        const sign = OBJECTIVES[objective].sense === 'max' ? -1 : 1;
+        let violation = point.violation;
+        if (epsilon) {
+            const gap = OBJECTIVES[epsilon.key].sense === 'max'
+                ? epsilon.bound - point.objectives[epsilon.key]
+                : point.objectives[epsilon.key] - epsilon.bound;
+            violation += Math.max(0, gap / scale[epsilon.key]);
+        }
+        return sign * point.objectives[objective] / scale[objective] + PENALTY * (violation + distance);
+    };
+
+    // Best point by score among the cached trials, so a run never reports worse than its start
+    const optimizeFrom = (starts, objective, epsilon) => {
+        const score = scoreOf(objective, epsilon);
+        const best = starts
+            .map(start => nelderMead(score, start, { step: 0.25, tolerance: 1e-7, maxIterations: nmIterations }))
+            .sort((a, b) => a.fx - b.fx)[0];
+        const frac = clampUnit(best.x);
+        return { frac, point: solveTrial(frac) };
+    };
+
+    const startFor = (objective) => {
+        const candidates = feasibleSamples.length > 0 ? feasibleSamples : samples;
+        const best = candidates.reduce((a, b) => (isBetter(objective, b.objectives[objective], a.objectives[objective]) ? b : a));
+        const unit = free.map(key => (best.inputs[key] - bounds[key].lower) / (bounds[key].upper - bounds[key].lower));
+        const current = free.map(key => Math.min(Math.max((caseInputs[key] - bounds[key].lower) / (bounds[key].upper - bounds[key].lower), 0), 1));
+        return [unit, current];
+    };
+
+    phase = 'optimize';
+    const optima = {};
+    const anchors = {};
+    objectives.forEach(objective => {
+        const { frac, point } = optimizeFrom(startFor(objective), objective);
+        anchors[objective] = frac;
+        optima[objective] = point;
+    });
+
+    const result = { objectives, free, optima, pareto: [], samples: feasibleSamples };
+    if (Object.values(optima).some(p => !p || !p.feasible)) {
+        throw new Error(t("نقطه کاری که همه قیدها را برآورده کند پیدا نشد. قیدها یا بازه‌ها را بازبینی کنید."));
+    }
+    if (objectives.length === 1) return result;
+
+    // Epsilon-constraint sweep: best first objective with the second held at least at each level
+    phase = 'pareto';
+    const [first, second] = objectives;
+    const from = optima[first].objectives[second];
+    const to = optima[second].objectives[second];
+    const front = [optima[first], optima[second]];
+    let start = anchors[first];
+    for (let k = 1; k < spec.paretoPoints - 1; k++) {
+        const bound = from + ((to - from) * k) / (spec.paretoPoints - 1);
+        const { frac, point } = optimizeFrom([start, anchors[second]], first, { key: second, bound });
+        if (point && point.feasible) {
+            front.push(point);
+            start = frac;
+        }
+    }
+
+    result.pareto = nonDominated([...front, ...feasibleSamples], objectives)
+        .sort((a, b) => a.objectives[second] - b.objectives[second]);
+    return result;
+};
@@ -0,0 +1,70 @@
+import { findRoot } from './solver.js';
+import { runModel } from './model.js';
+import { validateCircuit } from './circuit.js';
+import { assertValidInputs } from './validation.js';
+import { validateReagent } from './reagents.js';
+import { tankhousePlating } from './tankhouse.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { t } from './i18n.js';
+
+// Search range and starting point of the V% optimization
+export const V_PERCENT_RANGE = { lower: 1, upper: 50, guess: 17.1 }; // Initial guess from PDF
+
+// Find the V% where the stripped organic from extraction and stripping agree.
+// `onProgress({ iteration, maxIterations, phase, vPercent, residual })` reports each model evaluation.
+// The result carries `diagnostics.trace`, one entry per evaluation; a failed run throws an
+// error with the same `diagnostics` so the cause can be shown.
+export const optimize = (inputs, settings = DEFAULT_SETTINGS, { onProgress } = {}) => {
+    const caseInputs = { ...DEFAULT_INPUTS, ...inputs };
+    const { reagent } = { ...DEFAULT_SETTINGS, ...settings };
+    assertValidInputs(caseInputs);
+    validateCircuit(caseInputs);
+    validateReagent(reagent);
+
+    const samples = 49;
+    const maxIterations = 100;
+    const evaluations = [];
+
+    // Objective function to be zeroed (SO_ex - SO_st = 0); failed evaluations are NaN, not a penalty
+    const objectiveFunction = (V_percent_guess) => {
+        let entry;
+        try {
+            const res = runModel(caseInputs, V_percent_guess, reagent);
+            entry = { vPercent: V_percent_guess, residual: res.constraints.so_consistency, stages: res.diagnostics.stageSolves, error: null };
+        } catch (e) {
+            entry = { vPercent: V_percent_guess, residual: NaN, stages: [], error: e.message };
+        }
+        evaluations.push(entry);
+        if (onProgress) {
+            onProgress({ iteration: evaluations.length, maxIterations: samples + maxIterations, vPercent: entry.vPercent, residual: entry.residual });
+        }
+        return entry.residual;
+    };
+
+    // Evaluations and root-finder trace are recorded in the same call order
+    const buildTrace = (rootTrace) => evaluations.map((entry, k) => ({ evaluation: k + 1, phase: rootTrace[k]?.phase ?? 'final', ...entry }));
+
+    let root;
+    try {
+        root = findRoot(objectiveFunction, { ...V_PERCENT_RANGE, samples, maxIterations, label: 'V%' });
+    } catch (e) {
+        e.diagnostics = { trace: buildTrace(e.trace ?? []) };
+        const plating = tankhousePlating(caseInputs);
+        if (plating) {
+            e.message += t(' با تانک‌هاوس، مدار باید همان {cuPlated} kg/h مس رسوب‌داده‌شده را از PLS (با {available} kg/h مس) استخراج کند؛ دانسیته جریان یا تعداد سلول‌ها را تغییر دهید.', { cuPlated: plating.cuPlated.toFixed(0), available: (caseInputs.plsFlow * caseInputs.plsCu).toFixed(0) });
+        }
+        throw e;
+    }
+
+    // Final calculation with optimal V%
+    const finalResults = runModel(caseInputs, root.root, reagent);
+    return {
+        ...finalResults,
+        diagnostics: {
+            ...finalResults.diagnostics,
+            method: root.method,
+            iterations: root.iterations,
+            trace: buildTrace(root.trace),
+        },
+    };
+};
@@ -0,0 +1,201 @@
+import { validateCircuit, isStageEfficiencyKey } from './circuit.js';
+import { BUILTIN_REAGENTS, validateReagent } from './reagents.js';
+import { DEFAULT_INPUTS } from './defaults.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// PROJECT FILES AND SHARE LINKS
+// A project file is the complete case as versioned JSON: inputs,
+// engine settings and (optionally) the result with its stage details.
+// A share token is the compact URL form of the inputs and reagent.
+// =================================================================
+
+export const PROJECT_FORMAT = 'copper-sx-project';
+export const PROJECT_VERSION = 1;
+
+// Upgrades from older file versions, keyed by the version they upgrade from
+const MIGRATIONS = {};
+
+// Minimal schema language: 'number' | 'string' | 'boolean' | 'object', [item] for arrays,
+// nested objects for records; a trailing '?' marks an optional field
+const POINT = { x: 'number', y: 'number' };
+const STAGE = { name: 'string', A: POINT, B: POINT, C: POINT, D: POINT, efficiency: 'number' };
+const CURVES = { equilibriumCurve: [POINT], operatingLine: [POINT], stages: [POINT] };
+const RESULT_SCHEMA = {
+    v_percent: 'number',
+    circuit: 'string',
+    reagent: { id: 'string', name: 'string' },
+    extraction: {
+        ml: 'number', lo: 'number', so: 'number', raff: 'number', recovery: 'number',
+        mccabeThiele: CURVES,
+        details: { raffAcid: 'number', stages: [STAGE] },
+    },
+    stripping: {
+        so: 'number', recovery: 'number', netCu: 'number',
+        mccabeThiele: CURVES,
+        details: { o_a_st: 'number', stages: [STAGE] },
+    },
+    plant: 'object?',
+    iron: 'object?',
+    entrainment: 'object?',
+    tankhouse: 'object?',
+    constraints: { so_consistency: 'number' },
+    diagnostics: 'object?',
+};
+
+// Collect "path: problem" messages for every mismatch between a value and a schema
+const checkSchema = (value, schema, path, errors) => {
+    if (typeof schema === 'string') {
+        const optional = schema.endsWith('?');
+        const type = optional ? schema.slice(0, -1) : schema;
+        if (value === undefined || value === null) {
+            if (!optional) errors.push(t('{path}: وجود ندارد', { path }));
+        } else if (type === 'number' ? !Number.isFinite(value) : typeof value !== type) {
+            errors.push(t('{path}: باید از نوع {type} باشد', { path, type }));
+        }
+        return errors;
+    }
+    if (Array.isArray(schema)) {
+        if (!Array.isArray(value)) errors.push(t('{path}: باید آرایه باشد', { path }));
+        else value.forEach((item, k) => checkSchema(item, schema[0], `${path}[${k}]`, errors));
+        return errors;
+    }
+    if (!value || typeof value !== 'object') {
+        errors.push(t('{path}: وجود ندارد یا شیء نیست', { path }));
+        return errors;
+    }
+    Object.entries(schema).forEach(([key, sub]) => checkSchema(value[key], sub, `${path}.${key}`, errors));
+    return errors;
+};
+
+// Inputs must be known fields with the type of their default; returns the inputs merged over the defaults
+const checkInputs = (inputs, errors) => {
+    if (!inputs || typeof inputs !== 'object') {
+        errors.push(t('inputs: وجود ندارد یا شیء نیست'));
+        return null;
+    }
+    Object.entries(inputs).forEach(([key, value]) => {
+        if (!(key in DEFAULT_INPUTS) && !isStageEfficiencyKey(key)) {
+            errors.push(t('inputs.{key}: پارامتر ناشناخته', { key }));
+        } else if (typeof DEFAULT_INPUTS[key] === 'string' ? typeof value !== 'string' : !Number.isFinite(value)) {
+            errors.push(t('inputs.{key}: مقدار نامعتبر ({value})', { key, value: JSON.stringify(value) }));
+        }
+    });
+    const merged = { ...DEFAULT_INPUTS, ...inputs };
+    try {
+        validateCircuit(merged);
+    } catch (e) {
+        errors.push(`inputs: ${e.message}`);
+    }
+    return merged;
+};
+
+const checkReagent = (reagent, path, errors) => {
+    try {
+        return validateReagent(reagent);
+    } catch (e) {
+        errors.push(`${path}: ${e.message}`);
+        return null;
+    }
+};
+
+const invalid = (errors) => new Error(t('فایل پروژه نامعتبر است:\n{errors}', { errors: errors.map(e => `- ${e}`).join('\n') }));
+
+// Build a project object for a case; `results` may be null when the case was not solved
+export const createProject = ({ name, inputs, settings, results }) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    name,
+    inputs,
+    settings: { reagent: settings.reagent },
+    results: results ?? null,
+});
+
+// Parse and validate a project file (text or parsed JSON); throws one error listing every problem.
+// Returns { name, savedAt, inputs, settings: { reagent }, results }.
+export const parseProject = (source) => {
+    let project = source;
+    if (typeof source === 'string') {
+        try {
+            project = JSON.parse(source);
+        } catch (e) {
+            throw new Error(t('فایل پروژه JSON معتبر نیست: {message}', { message: e.message }));
+        }
+    }
+    if (!project || typeof project !== 'object' || project.format !== PROJECT_FORMAT) {
+        throw new Error(t("این فایل، فایل پروژه مدار استخراج حلالی مس نیست."));
+    }
+    if (!Number.isInteger(project.version)) throw invalid([t('version: وجود ندارد')]);
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(t('این فایل با نسخه جدیدتری از برنامه ساخته شده است (نسخه فایل {version}، نسخه پشتیبانی‌شده {PROJECT_VERSION}). برنامه را به‌روزرسانی کنید.', { version: project.version, PROJECT_VERSION }));
+    }
+    while (project.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[project.version];
+        if (!migrate) {
+            throw new Error(t('نسخه {version} فایل پروژه قدیمی است و دیگر پشتیبانی نمی‌شود (نسخه فعلی {PROJECT_VERSION}).', { version: project.version, PROJECT_VERSION }));
+        }
+        project = migrate(project);
+    }
+
+    const errors = [];
+    const inputs = checkInputs(project.inputs, errors);
+    const reagent = checkReagent(project.settings?.reagent, 'settings.reagent', errors);
+    if (project.results !== null && project.results !== undefined) {
+        checkSchema(project.results, RESULT_SCHEMA, 'results', errors);
+    }
+    if (errors.length > 0) throw invalid(errors);
+
+    return {
+        name: typeof project.name === 'string' && project.name ? project.name : t('پروژه'),
+        savedAt: project.savedAt ?? null,
+        inputs,
+        settings: { reagent },
+        results: project.results ?? null,
+    };
+};
+
+// URL-safe base64 of UTF-8 text (reagent names may be Persian)
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (token) => {
+    const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// Compact token for a share link: inputs that differ from the defaults, and the reagent
+// (only its id when it is built in)
+export const encodeShareToken = ({ inputs, reagent }) => {
+    const changed = Object.fromEntries(Object.entries(inputs).filter(([key, value]) => DEFAULT_INPUTS[key] !== value));
+    const payload = { v: PROJECT_VERSION, i: changed, r: reagent.builtIn ? reagent.id : reagent };
+    return toBase64Url(JSON.stringify(payload));
+};
+
+// Inverse of encodeShareToken; returns { inputs, reagent } or throws with the reason
+export const decodeShareToken = (token) => {
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(token));
+    } catch {
+        throw new Error(t("لینک اشتراک‌گذاری خراب یا ناقص است."));
+    }
+    if (!payload || payload.v !== PROJECT_VERSION) {
+        throw new Error(t("لینک اشتراک‌گذاری با این نسخه از برنامه سازگار نیست."));
+    }
+    const errors = [];
+    const inputs = checkInputs(payload.i, errors);
+    let reagent;
+    if (typeof payload.r === 'string') {
+        reagent = BUILTIN_REAGENTS.find(r => r.id === payload.r) ?? null;
+        if (!reagent) errors.push(t('reagent: استخراج‌کننده ناشناخته {r}', { r: payload.r }));
+    } else {
+        reagent = checkReagent(payload.r, 'reagent', errors);
+    }
+    if (errors.length > 0) throw new Error(t('لینک اشتراک‌گذاری نامعتبر است:\n{errors}', { errors: errors.map(e => `- ${e}`).join('\n') }));
+    return { inputs, reagent };
+};
@@ -0,0 +1,62 @@
+import { t } from './i18n.js';
+
+// =================================================================
+// EXTRACTANT LIBRARY
+// Isotherm coefficient sets of the semi-empirical model. For a given V%:
+//   c = c * V,  d = d
+//   extraction  e_ex = eCoef * V^eExp,        f_ex = fCoef * V^fExp
+//   stripping   e_st = eSlope * V + eIntercept, f_st = fCoef * V^fExp
+// The acid terms (a, b = 1.54 g H2SO4 per g Cu) are stoichiometric and
+// therefore not part of a reagent.
+// =================================================================
+
+export const LIX984N = {
+    id: 'lix984n',
+    name: 'Lix984N',
+    builtIn: true,
+    extraction: { c: 3.303, d: -3.0842, eCoef: -25.698, eExp: -1.704, fCoef: 10.663, fExp: -0.608 },
+    stripping: { c: 3.303, d: -3.0842, eSlope: 5.11e-3, eIntercept: -0.194, fCoef: 12.81, fExp: -0.901 },
+};
+
+export const BUILTIN_REAGENTS = [LIX984N];
+
+export const REAGENT_FIELDS = {
+    extraction: ['c', 'd', 'eCoef', 'eExp', 'fCoef', 'fExp'],
+    stripping: ['c', 'd', 'eSlope', 'eIntercept', 'fCoef', 'fExp'],
+};
+
+// Isotherm constants of both sections at a given V%
+export const isothermConstants = (reagent, V_percent) => {
+    const ex = reagent.extraction;
+    const st = reagent.stripping;
+    return {
+        extraction: {
+            c: ex.c * V_percent,
+            d: ex.d,
+            e: ex.eCoef * Math.pow(V_percent, ex.eExp),
+            f: ex.fCoef * Math.pow(V_percent, ex.fExp),
+        },
+        stripping: {
+            c: st.c * V_percent,
+            d: st.d,
+            e: st.eSlope * V_percent + st.eIntercept,
+            f: st.fCoef * Math.pow(V_percent, st.fExp),
+        },
+    };
+};
+
+// Throws with a user-facing message when a reagent definition is incomplete
+export const validateReagent = (reagent) => {
+    if (!reagent || typeof reagent.name !== 'string' || reagent.name.trim() === '') {
+        throw new Error(t("نام استخراج‌کننده مشخص نشده است."));
+    }
+    Object.entries(REAGENT_FIELDS).forEach(([section, fields]) => {
+        fields.forEach(field => {
+            const value = reagent[section]?.[field];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(t('ضریب {section}.{field} برای استخراج‌کننده «{name}» نامعتبر است.', { section, field, name: reagent.name }));
+            }
+        });
+    });
+    return reagent;
+};
@@ -0,0 +1,310 @@
+import { nelderMead } from './solver.js';
+import { runModel } from './model.js';
+import { extractionStages, strippingStages, stageEfficiency } from './circuit.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// PLANT RECONCILIATION
+// The inverse of the forward model: given the assays of a plant survey,
+// find the stage efficiencies, V% and %ML with which runModel best
+// reproduces the measured raffinate, LO and SO. The measured SO is
+// matched on both the extraction and the stripping side, but the copper
+// balance over extraction ties raff, LO and SO together, so a basic
+// survey carries three independent assays. LO only fixes the product
+// %ML × ML(V%): %ML is held at the case (or survey) value and LO gives
+// V%, unless the survey has a maximum-load assay of the organic, which
+// lets both be fitted. One efficiency per section is fitted by default;
+// single stage efficiencies need interstage assays to be identifiable.
+// =================================================================
+
+// Survey columns that replace the case inputs for that survey
+export const SURVEY_INPUT_KEYS = ['plsFlow', 'plsCu', 'plsAcid', 'o_a_ex', 'spCu', 'spAcid', 'adCu', 'percentageML'];
+// Measured streams every survey must have
+export const SURVEY_REQUIRED_STREAMS = ['raff', 'lo', 'so'];
+
+// Interstage assays: aqueous leaving an extraction stage, organic leaving a stripping stage
+const STAGE_STREAM = /^(aq|org)([ES]\d+P?)$/;
+// Assays that add no information: the raffinate acid follows from raff through the acid balance
+const DEPENDENT_STREAMS = ['raffAcid'];
+
+// Search box of the fitted parameters
+export const RECONCILE_BOUNDS = {
+    vPercent: { lower: 1, upper: 50 },
+    percentageML: { lower: 30, upper: 100 },
+    efficiency: { lower: 20, upper: 100 },
+};
+
+// A residual is weighed against the assay error: 2% of the value, at least 0.01 g/L
+const ASSAY_ERROR = { relative: 0.02, absolute: 0.01 };
+// Score of a trial where the model has no solution
+const INFEASIBLE = 1e6;
+const PENALTY = 1e3;
+// A parameter whose effect on the residuals is this close to a combination of the others' is not identified
+const COLLINEARITY = 1e-2;
+
+const HEADER_ALIASES = {
+    date: ['date', 'day', 'survey'],
+    plsFlow: ['plsflow', 'flow', 'qpls'],
+    plsCu: ['plscu', 'cupls', 'pls'],
+    plsAcid: ['plsacid', 'acidpls'],
+    o_a_ex: ['oaex', 'oa', 'oaratio'],
+    spCu: ['spcu', 'spent', 'spentcu'],
+    spAcid: ['spacid', 'spentacid'],
+    adCu: ['adcu', 'advance', 'advancecu'],
+    percentageML: ['percentageml', 'pml', 'mlpercent'],
+    raff: ['raff', 'raffcu', 'raffinate'],
+    raffAcid: ['raffacid', 'raffinateacid'],
+    lo: ['lo', 'locu', 'loaded', 'loadedorganic'],
+    so: ['so', 'socu', 'stripped', 'strippedorganic'],
+    ml: ['ml', 'maxload', 'maximumload'],
+};
+
+const columnFor = (header) => {
+    const key = String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const stage = /^(aq|org)([es]\d+p?)$/.exec(key);
+    if (stage) return `${stage[1]}${stage[2].toUpperCase()}`;
+    return Object.keys(HEADER_ALIASES).find(col => HEADER_ALIASES[col].includes(key)) ?? null;
+};
+
+// Excel stores dates as day serials counted from 1899-12-30
+const surveyDate = (cell, k) => {
+    if (cell instanceof Date) return cell.toISOString().slice(0, 10);
+    const text = String(cell ?? '').trim();
+    if (text === '') return `#${k + 1}`;
+    const serial = Number(text);
+    if (isFinite(serial) && serial > 1000) return new Date(Math.round((serial - 25569) * 86400000)).toISOString().slice(0, 10);
+    return text;
+};
+
+// Turn table rows (paste or XLSX sheet, header row required) into surveys
+// { date, inputs: { plsCu, ... }, measured: { raff, lo, so, ... } }
+export const parseSurveyRows = (rows) => {
+    const nonEmpty = rows.filter(r => r.some(cell => String(cell ?? '').trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const columns = nonEmpty[0].map(columnFor);
+    SURVEY_REQUIRED_STREAMS.forEach(col => {
+        if (!columns.includes(col)) throw new Error(t('ستون «{col}» در سطر عنوان پیدا نشد.', { col }));
+    });
+
+    return nonEmpty.slice(1).map((row, k) => {
+        const survey = { date: surveyDate(columns.includes('date') ? row[columns.indexOf('date')] : '', k), inputs: {}, measured: {} };
+        columns.forEach((col, idx) => {
+            if (!col || col === 'date') return;
+            const cell = String(row[idx] ?? '').trim();
+            if (cell === '' && !SURVEY_REQUIRED_STREAMS.includes(col)) return;
+            const value = Number(cell);
+            if (cell === '' || !isFinite(value)) {
+                throw new Error(t('سطر {row}: مقدار «{col}» عدد معتبری نیست.', { row: k + 1, col }));
+            }
+            if (SURVEY_INPUT_KEYS.includes(col)) survey.inputs[col] = value;
+            else survey.measured[col] = value;
+        });
+        return survey;
+    });
+};
+
+// Model value of every stream a survey can measure, for a given layout
+const streamModels = (i) => {
+    const exStages = extractionStages(i);
+    const stStages = strippingStages(i);
+    const parallel = i.layoutE === 'series-parallel';
+    return {
+        raff: (r) => r.extraction.raff,
+        raffAcid: (r) => r.extraction.details.raffAcid,
+        lo: (r) => r.extraction.lo,
+        so: (r) => r.extraction.so,
+        ml: (r) => r.extraction.ml,
+        soSt: (r) => r.stripping.so,
+        // In a plain series train the aqueous of En is the raffinate, the organic of the last strip stage is SO
+        ...Object.fromEntries(exStages
+            .map((s, k) => [s, k])
+            .filter(([s]) => parallel || s.name !== `E${i.stagesE}`)
+            .map(([s, k]) => [`aq${s.name}`, (r) => r.extraction.details.stages[k].B.x])),
+        ...Object.fromEntries(stStages
+            .slice(0, -1)
+            .map((s, k) => [`org${s.name}`, (r) => r.stripping.details.stages[k].B.y])),
+    };
+};
+
+// Fitted parameters: V%, %ML when the survey has a maximum-load assay, and either one efficiency
+// per section or every stage efficiency
+const fitParameters = (i, perStage, withML) => {
+    const exStages = extractionStages(i);
+    const stStages = strippingStages(i);
+    const efficiency = (key, stages) => ({
+        key,
+        ...RECONCILE_BOUNDS.efficiency,
+        start: stages.reduce((sum, s) => sum + stageEfficiency(i, s), 0) / stages.length,
+        apply: (trial, value) => stages.forEach(s => { trial[s.effKey] = value; }),
+    });
+    return [
+        { key: 'vPercent', ...RECONCILE_BOUNDS.vPercent, apply: () => {} },
+        ...(withML ? [{ key: 'percentageML', ...RECONCILE_BOUNDS.percentageML, apply: (trial, value) => { trial.percentageML = value; } }] : []),
+        ...(perStage
+            ? [...exStages, ...stStages].map(s => efficiency(s.effKey, [s]))
+            : [efficiency('effE', exStages), efficiency('effS', stStages)]),
+    ];
+};
+
+const validateSurvey = (i, survey) => {
+    const m = survey.measured;
+    SURVEY_REQUIRED_STREAMS.forEach(key => {
+        if (!(m[key] >= 0)) throw new Error(t('غلظت اندازه‌گیری‌شده «{key}» وجود ندارد یا منفی است.', { key }));
+    });
+    if (!(m.raff < i.plsCu)) throw new Error(t("مس رافینت اندازه‌گیری‌شده باید کمتر از مس PLS باشد."));
+    if (!(m.lo > m.so)) throw new Error(t("غلظت LO اندازه‌گیری‌شده باید بیشتر از SO باشد."));
+    if ('ml' in m && !(m.ml > m.lo)) throw new Error(t("بارگذاری ماکزیمم اندازه‌گیری‌شده باید بیشتر از LO باشد."));
+    if (!(i.adCu > i.spCu)) throw new Error(t("مس الکترولیت پیشرفته باید بیشتر از الکترولیت مصرفی باشد."));
+};
+
+// Fit one survey. Returns { inputs, parameters: { vPercent, percentageML, effE/effS or effE1... },
+// fixed, atBounds, unidentified, efficiencies: { effE1, ... }, residuals: [{ stream, measured, model,
+// residual, normalized }], chiSquare, rms, dof, results }. `fixed` lists the parameters held at their
+// input value (%ML without a maximum-load assay); `dof` counts independent assays, the SO once and
+// raffAcid not at all. `start` (parameters of an earlier fit) is tried as an extra start.
+export const reconcileSurvey = (caseInputs, survey, reagent, { perStage = false, start } = {}) => {
+    // The survey assays the electrolyte, so the strip circuit is fitted without the tankhouse coupling
+    const inputs = { ...caseInputs, ...survey.inputs, ewCells: 0 };
+    validateSurvey(inputs, survey);
+
+    const models = streamModels(inputs);
+    const unknown = Object.keys(survey.measured).filter(key => key !== 'soSt' && !models[key]);
+    if (unknown.length > 0) throw new Error(t('این جریان‌ها در آرایش مدار فعلی وجود ندارند: {unknown}', { unknown: unknown.join(t('، ')) }));
+    // The measured SO is matched on both sides of the circuit
+    const streams = [...Object.keys(survey.measured), 'soSt'].map(key => ({
+        key,
+        measured: key === 'soSt' ? survey.measured.so : survey.measured[key],
+        model: models[key],
+    }));
+    streams.forEach(s => { s.error = Math.max(ASSAY_ERROR.relative * Math.abs(s.measured), ASSAY_ERROR.absolute); });
+
+    const params = fitParameters(inputs, perStage, 'ml' in survey.measured);
+    const independent = Object.keys(survey.measured).filter(key => !DEPENDENT_STREAMS.includes(key)).length;
+    if (independent < params.length) {
+        const missing = Object.keys(models).filter(key => STAGE_STREAM.test(key) && !(key in survey.measured));
+        throw new Error(t('برای برازش {count} پارامتر دست‌کم {count} مقدار اندازه‌گیری‌شده لازم است (اکنون {measured}). غلظت‌های بین‌مرحله‌ای را اضافه کنید: {missing}', { count: params.length, measured: independent, missing: missing.join(t('، ')) }));
+    }
+
+    // Parameters are searched in the unit box
+    const toValues = (frac) => params.map((p, k) => p.lower + Math.min(Math.max(frac[k], 0), 1) * (p.upper - p.lower));
+    const toUnit = (values) => values.map((v, k) => (v - params[k].lower) / (params[k].upper - params[k].lower));
+    const outside = (frac) => frac.reduce((sum, v) => sum + Math.max(0, -v) + Math.max(0, v - 1), 0);
+
+    const solve = (values) => {
+        const trial = { ...inputs };
+        params.forEach((p, k) => p.apply(trial, values[k]));
+        return { trial, results: runModel(trial, values[0], reagent) };
+    };
+    const chiSquareOf = (results) => streams.reduce((sum, s) => sum + Math.pow((s.model(results) - s.measured) / s.error, 2), 0);
+    const score = (frac) => {
+        try {
+            return chiSquareOf(solve(toValues(frac)).results) + PENALTY * outside(frac);
+        } catch {
+            return INFEASIBLE * (1 + outside(frac));
+        }
+    };
+
+    // Starts over V%, with a fitted %ML set so the model LO matches the measured LO
+    const mlStart = (v) => {
+        let ml = null;
+        try {
+            ml = runModel(inputs, v, reagent).extraction.ml;
+        } catch {
+            ml = null;
+        }
+        const { lower, upper } = RECONCILE_BOUNDS.percentageML;
+        return ml > 0 ? Math.min(Math.max(100 * survey.measured.lo / ml, lower), upper) : inputs.percentageML;
+    };
+    const starts = [5, 10, 20, 35].map(v => toUnit(params.map(p => {
+        if (p.key === 'vPercent') return v;
+        return p.key === 'percentageML' ? mlStart(v) : p.start;
+    })));
+    if (start) starts.push(toUnit(params.map(p => start[p.key] ?? p.start)));
+
+    const best = starts
+        .map(frac => ({ frac, fx: score(frac) }))
+        .sort((a, b) => a.fx - b.fx)
+        .slice(0, 2)
+        .map(({ frac }) => nelderMead(score, frac, { step: 0.2, tolerance: 1e-10, maxIterations: 150 * params.length }))
+        .sort((a, b) => a.fx - b.fx)[0];
+    if (!(best.fx < INFEASIBLE)) throw new Error(t("هیچ ترکیبی از بازدهی‌ها و V% داده‌های این بررسی را بازتولید نکرد. داده‌ها را بازبینی کنید."));
+
+    const values = toValues(best.x);
+    const { trial, results } = solve(values);
+    const residuals = streams.map(s => {
+        const model = s.model(results);
+        return { stream: s.key, measured: s.measured, model, residual: model - s.measured, normalized: (model - s.measured) / s.error };
+    });
+    const chiSquare = chiSquareOf(results);
+
+    // Parameters the assays cannot tell apart: the change of the normalized residuals a parameter
+    // causes is (nearly) a combination of those of the parameters before it, so the data fix only
+    // their combination and the fitted values are one of many
+    const x = best.x.map(v => Math.min(Math.max(v, 0), 1));
+    const normalizedAt = (frac) => {
+        const r = solve(toValues(frac)).results;
+        return streams.map(s => (s.model(r) - s.measured) / s.error);
+    };
+    const base = streams.map(s => (s.model(results) - s.measured) / s.error);
+    const basis = [];
+    const unidentified = params.filter((p, k) => {
+        const step = x[k] > 0.5 ? -1e-4 : 1e-4;
+        let column;
+        try {
+            column = normalizedAt(x.map((v, j) => (j === k ? v + step : v))).map((v, j) => (v - base[j]) / step);
+        } catch {
+            return false;
+        }
+        const norm = Math.hypot(...column);
+        const rest = basis.reduce((v, b) => {
+            const dot = v.reduce((sum, c, j) => sum + c * b[j], 0);
+            return v.map((c, j) => c - dot * b[j]);
+        }, column);
+        const restNorm = Math.hypot(...rest);
+        if (!(restNorm > COLLINEARITY * norm)) return true;
+        basis.push(rest.map(c => c / restNorm));
+        return false;
+    }).map(p => p.key);
+    const efficiencies = Object.fromEntries(
+        [...extractionStages(trial), ...strippingStages(trial)].map(s => [s.effKey, stageEfficiency(trial, s)]),
+    );
+    return {
+        inputs,
+        parameters: { vPercent: values[0], percentageML: trial.percentageML, ...Object.fromEntries(params.map((p, k) => [p.key, values[k]])) },
+        fixed: params.some(p => p.key === 'percentageML') ? [] : ['percentageML'],
+        // Parameters sitting on the search box usually mean the data are inconsistent with the model
+        atBounds: params.filter((p, k) => values[k] - p.lower < 1e-3 * (p.upper - p.lower) || p.upper - values[k] < 1e-3 * (p.upper - p.lower)).map(p => p.key),
+        unidentified,
+        efficiencies,
+        residuals,
+        chiSquare,
+        rms: Math.sqrt(chiSquare / residuals.length),
+        dof: independent - params.length,
+        results,
+    };
+};
+
+// Reconcile a series of surveys in order, each fit starting also from the previous one.
+// Returns { perStage, fits: [{ date, survey, fit, error }] }; a failed survey keeps its error
+// instead of stopping the series. `onProgress({ iteration, maxIterations })` reports each survey.
+export const reconcileSurveys = (inputs, settings = DEFAULT_SETTINGS, surveys, { perStage = false, onProgress } = {}) => {
+    if (!Array.isArray(surveys) || surveys.length === 0) throw new Error(t("هیچ داده بررسی واحدی وارد نشده است."));
+    const caseInputs = { ...DEFAULT_INPUTS, ...inputs };
+    const { reagent } = { ...DEFAULT_SETTINGS, ...settings };
+    let previous = null;
+    const fits = surveys.map((survey, k) => {
+        let entry;
+        try {
+            const fit = reconcileSurvey(caseInputs, survey, reagent, { perStage, start: previous });
+            previous = fit.parameters;
+            entry = { date: survey.date, survey, fit, error: null };
+        } catch (e) {
+            entry = { date: survey.date, survey, fit: null, error: e.message };
+        }
+        if (onProgress) onProgress({ iteration: k + 1, maxIterations: surveys.length });
+        return entry;
+    });
+    return { perStage, fits };
+};
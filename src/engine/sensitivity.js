@@ -0,0 +1,96 @@
+import { optimize } from './optimize.js';
+import { efficiencyKeys, stageEfficiency, extractionStages, strippingStages } from './circuit.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { IMPURITY_FIELDS } from './entrainment.js';
+import { TANKHOUSE_FIELDS, TANKHOUSE_COUNT_FIELDS, TANKHOUSE_SOLVED_FIELDS, hasTankhouse } from './tankhouse.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// SENSITIVITY ANALYSIS
+// One-at-a-time perturbation of the plant inputs around a case. Every
+// perturbed case is re-optimized (SO-consistent V%), so the effects
+// include the shift of the optimum itself.
+// =================================================================
+
+// Outputs compared between the base case and the perturbed cases
+export const SENSITIVITY_OUTPUTS = {
+    v_percent: (r) => r.v_percent,
+    recovery: (r) => r.extraction.recovery,
+    netCu: (r) => r.stripping.netCu,
+};
+
+// Circuit layout fields are not perturbed, nor the impurity fields, which do not change the copper circuit
+const LAYOUT_FIELDS = ['stagesE', 'stagesS', 'layoutE', 'washStage', ...IMPURITY_FIELDS, ...TANKHOUSE_COUNT_FIELDS];
+// With a tankhouse the spent electrolyte Cu and %ML are solved for; without one the tankhouse fields have no effect
+const inactiveFields = (i) => (hasTankhouse(i) ? TANKHOUSE_SOLVED_FIELDS : TANKHOUSE_FIELDS);
+// Percentages that cannot be perturbed above 100
+export const isPercentField = (key) => key === 'percentageML' || key === 'parallelSplit' || /^eff/.test(key);
+
+// Numeric inputs of a case that take part in the analysis (only efficiencies of existing stages)
+export const sensitivityFields = (i) => [
+    ...Object.keys(i).filter(key => (
+        !LAYOUT_FIELDS.includes(key)
+        && !inactiveFields(i).includes(key)
+        && !/^eff/.test(key)
+        && typeof i[key] === 'number'
+        && (key !== 'parallelSplit' || i.layoutE === 'series-parallel')
+    )),
+    ...efficiencyKeys(i),
+];
+
+const outputsOf = (results) => Object.fromEntries(Object.entries(SENSITIVITY_OUTPUTS).map(([key, value]) => [key, value(results)]));
+
+// Perturb every field by ±percent and re-optimize. Returns
+// { percent, base, fields: [{ field, base, low, high }] } with low/high = { value, outputs, error }.
+// `onProgress({ iteration, maxIterations, field })` reports each solved case.
+export const sensitivityAnalysis = (inputs, settings = DEFAULT_SETTINGS, { percent = 10, fields, onProgress } = {}) => {
+    if (!(percent > 0 && percent < 100)) throw new Error(t("درصد تغییر در تحلیل حساسیت باید بین 0 و 100 باشد."));
+    const caseInputs = { ...DEFAULT_INPUTS, ...inputs };
+    const stages = [...extractionStages(caseInputs), ...strippingStages(caseInputs)];
+    const valueOf = (key) => {
+        const stage = stages.find(s => s.effKey === key);
+        return stage ? stageEfficiency(caseInputs, stage) : caseInputs[key];
+    };
+    const keys = fields ?? sensitivityFields(caseInputs);
+
+    // The base case must solve; its failure is reported like a normal optimization failure
+    const base = outputsOf(optimize(caseInputs, settings));
+    const maxIterations = keys.length * 2;
+    let iteration = 0;
+
+    const solveCase = (field, value) => {
+        let entry;
+        try {
+            entry = { value, outputs: outputsOf(optimize({ ...caseInputs, [field]: value }, settings)), error: null };
+        } catch (e) {
+            entry = { value, outputs: null, error: e.message };
+        }
+        iteration += 1;
+        if (onProgress) onProgress({ iteration, maxIterations, field });
+        return entry;
+    };
+
+    return {
+        percent,
+        base,
+        fields: keys.map(field => {
+            const value = valueOf(field);
+            const high = value * (1 + percent / 100);
+            return {
+                field,
+                base: value,
+                low: solveCase(field, value * (1 - percent / 100)),
+                high: solveCase(field, isPercentField(field) ? Math.min(high, 100) : high),
+            };
+        }),
+    };
+};
+
+// Tornado rows for one output, largest swing first. Deltas are output changes from the base
+// case (null when the perturbed case failed).
+export const rankSensitivity = (analysis, output) => analysis.fields
+    .map(f => {
+        const delta = (side) => (side.outputs ? side.outputs[output] - analysis.base[output] : null);
+        return { field: f.field, low: delta(f.low), high: delta(f.high), lowValue: f.low.value, highValue: f.high.value };
+    })
+    .sort((a, b) => Math.max(Math.abs(b.low ?? 0), Math.abs(b.high ?? 0)) - Math.max(Math.abs(a.low ?? 0), Math.abs(a.high ?? 0)));
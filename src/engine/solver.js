@@ -0,0 +1,268 @@
+import { t } from './i18n.js';
+
+// =================================================================
+// NUMERICAL HELPERS
+// Root finders shared by the stage balances and the V% optimizer
+// =================================================================
+
+// Secant solver to find the root of an objective function;
+// `onIteration(iteration, x, fx)` is called after every evaluation when given
+export const solve = (objectiveFunc, initialGuess, tolerance = 1e-7, maxIterations = 100, onIteration) => {
+    let x0 = initialGuess - 0.1;
+    let x1 = initialGuess + 0.1;
+    if (x0 <= 0) x0 = 0.1; // Ensure guess is positive
+
+    let f0 = objectiveFunc(x0);
+    let f1 = objectiveFunc(x1);
+
+    for (let i = 0; i < maxIterations; i++) {
+        if (onIteration) onIteration(i, x1, f1);
+        if (Math.abs(f1) < tolerance) return x1;
+        let x2 = x1 - f1 * (x1 - x0) / (f1 - f0);
+        if (isNaN(x2) || !isFinite(x2) || x2 <= 0) {
+            throw new Error(t("محاسبات واگرا شد یا به یک نتیجه نامعتبر رسید. لطفاً ورودی‌ها را بررسی کنید."));
+        }
+        x0 = x1;
+        f0 = f1;
+        x1 = x2;
+        f1 = objectiveFunc(x1);
+    }
+    throw new Error(t('بهینه‌سازی پس از {maxIterations} تکرار به همگرایی نرسید.', { maxIterations }));
+};
+
+// Brent's method on a sign-changing bracket [a, b]; returns { root, iterations }
+export const brent = (f, a, b, { fa = f(a), fb = f(b), tolerance = 1e-7, xTolerance = 1e-12, maxIterations = 100 } = {}) => {
+    if (!(fa * fb <= 0)) throw new Error(t("ریشه در بازه داده‌شده محصور نیست."));
+    let c = a, fc = fa, d = b - a, e = d;
+
+    for (let i = 0; i < maxIterations; i++) {
+        if (fb * fc > 0) {
+            c = a; fc = fa; d = b - a; e = d;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            a = b; b = c; c = a;
+            fa = fb; fb = fc; fc = fa;
+        }
+        const tol1 = 2 * Number.EPSILON * Math.abs(b) + 0.5 * xTolerance;
+        const xm = 0.5 * (c - b);
+        if (Math.abs(fb) < tolerance || Math.abs(xm) <= tol1) return { root: b, iterations: i + 1 };
+
+        if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+            // Inverse quadratic interpolation, or secant when only two points are distinct
+            let p, q;
+            const s = fb / fa;
+            if (a === c) {
+                p = 2 * xm * s;
+                q = 1 - s;
+            } else {
+                const qa = fa / fc;
+                const r = fb / fc;
+                p = s * (2 * xm * qa * (qa - r) - (b - a) * (r - 1));
+                q = (qa - 1) * (r - 1) * (s - 1);
+            }
+            if (p > 0) q = -q;
+            p = Math.abs(p);
+            if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = xm; e = d; // Fall back to bisection
+            }
+        } else {
+            d = xm; e = d;
+        }
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tol1 ? d : (xm > 0 ? tol1 : -tol1);
+        fb = f(b);
+        if (!isFinite(fb)) throw new Error(t('مدل در نقطه {b} داخل بازه ریشه قابل محاسبه نبود.', { b: b.toPrecision(6) }));
+    }
+    throw new Error(t('روش Brent پس از {maxIterations} تکرار به همگرایی نرسید.', { maxIterations }));
+};
+
+// Bracket-first root finding within [lower, upper]: points are sampled outward from
+// `guess` until the sign changes between two feasible neighbours, then Brent's method
+// refines the root. Non-finite samples (failed model evaluations) are skipped, never
+// used as function values. A root can also hide between a failed and a feasible sample,
+// near the edge of the range where `f` can be evaluated, so those edges are bisected
+// next. Without a bracket the secant method is tried from `guess`.
+// Returns { root, method, iterations, trace } where `trace` lists every evaluation of
+// `f` in call order as { phase, x, fx }; on failure the thrown error carries `trace`.
+export const findRoot = (f, { guess, lower, upper, samples = 40, tolerance = 1e-7, maxIterations = 100, label = 'x' }) => {
+    const trace = [];
+    let phase = 'scan';
+    const evalF = (x) => {
+        const fx = f(x);
+        const value = isFinite(fx) ? fx : NaN;
+        trace.push({ phase, x, fx: value });
+        return value;
+    };
+
+    const grid = Array.from({ length: samples + 1 }, (_, k) => lower + ((upper - lower) * k) / samples);
+    const order = [guess, ...grid].filter(x => x >= lower && x <= upper)
+        .sort((x, y) => Math.abs(x - guess) - Math.abs(y - guess));
+
+    const bracketed = (lo, hi) => {
+        phase = 'brent';
+        try {
+            const { root, iterations } = brent(evalF, lo.x, hi.x, { fa: lo.fx, fb: hi.fx, tolerance, maxIterations });
+            return { root, method: 'brent', iterations, trace };
+        } catch (e) {
+            e.trace = trace;
+            throw e;
+        }
+    };
+
+    const sampled = [];
+    const failed = [];
+    for (const x of order) {
+        const fx = evalF(x);
+        if (isNaN(fx)) {
+            failed.push(x);
+            continue;
+        }
+        if (fx === 0) return { root: x, method: 'scan', iterations: 0, trace };
+        sampled.push({ x, fx });
+        sampled.sort((p, q) => p.x - q.x);
+        const k = sampled.findIndex(p => p.x === x);
+        const neighbour = [sampled[k - 1], sampled[k + 1]].find(p => p && p.fx * fx < 0);
+        if (neighbour) {
+            const [lo, hi] = neighbour.x < x ? [neighbour, { x, fx }] : [{ x, fx }, neighbour];
+            return bracketed(lo, hi);
+        }
+    }
+
+    // Edges between a failed sample and its feasible neighbour: bisect towards the
+    // failure and stop at the first sign change
+    phase = 'edge';
+    for (const good of sampled) {
+        const gap = (upper - lower) / samples;
+        for (const bad of [good.x - gap, good.x + gap].filter(x => failed.some(y => Math.abs(y - x) < gap * 1e-9))) {
+            let inside = good;
+            let outside = bad;
+            for (let k = 0; k < 30; k++) {
+                const x = (inside.x + outside) / 2;
+                const fx = evalF(x);
+                if (isNaN(fx)) {
+                    outside = x;
+                } else if (fx * good.fx <= 0) {
+                    if (fx === 0) return { root: x, method: 'edge', iterations: k + 1, trace };
+                    return bracketed(...(x < good.x ? [{ x, fx }, good] : [good, { x, fx }]));
+                } else {
+                    inside = { x, fx };
+                }
+            }
+        }
+    }
+
+    // No sign change anywhere in the range: last resort is the unbracketed secant method
+    phase = 'secant';
+    let iterations = 0;
+    try {
+        const root = solve(evalF, guess, tolerance, maxIterations, (i) => { iterations = i + 1; });
+        if (root < lower || root > upper) throw new Error('out of range');
+        return { root, method: 'secant', iterations, trace };
+    } catch {
+        const err = new Error(sampled.length === 0
+            ? t('مدل در هیچ نقطه‌ای از بازه {label} ({lower} تا {upper}) قابل محاسبه نبود.', { label, lower: lower.toPrecision(4), upper: upper.toPrecision(4) })
+            : t('در بازه {label} ({lower} تا {upper}) تغییر علامت باقیمانده پیدا نشد؛ جواب فیزیکی در این بازه وجود ندارد.', { label, lower: lower.toPrecision(4), upper: upper.toPrecision(4) }));
+        err.trace = trace;
+        throw err;
+    }
+};
+
+// Solve cubic equations (Cardan's method from PDF).
+// Returns the largest real root accepted by `isPhysical` (undefined if none is),
+// so callers can reject roots that make no sense for their model.
+export const solveCubic = (a, b, c, d, isPhysical = () => true) => {
+    if (Math.abs(a) < 1e-9) return; // Not a cubic equation
+    const p = c / a - (b * b) / (3 * a * a);
+    const q = (2 * b * b * b) / (27 * a * a * a) - (b * c) / (3 * a * a) + d / a;
+    
+    const term1 = q / 2;
+    const term2 = (q * q) / 4 + (p * p * p) / 27;
+
+    let roots;
+    if (term2 >= 0) {
+        const sqrt_term2 = Math.sqrt(term2);
+        const u = Math.cbrt(-term1 + sqrt_term2);
+        const v = Math.cbrt(-term1 - sqrt_term2);
+        roots = [u + v - b / (3 * a)];
+    } else {
+        // Three real roots (trigonometric form)
+        const r = Math.sqrt(-(p*p*p)/27);
+        const phi = Math.acos(-q / (2 * r));
+        roots = [0, 1, 2].map(k => 2 * Math.cbrt(r) * Math.cos((phi + 2 * Math.PI * k) / 3) - b/(3*a));
+    }
+    return roots.filter(isPhysical).sort((x, y) => y - x)[0];
+};
+
+// Least-squares solution of rows * coef ≈ targets via the normal equations
+// (returns null when the columns are linearly dependent)
+export const linearLeastSquares = (rows, targets) => {
+    const n = rows[0].length;
+    const A = Array.from({ length: n }, (_, r) => Array.from({ length: n + 1 }, (_, c) => (
+        c < n
+            ? rows.reduce((sum, row) => sum + row[r] * row[c], 0)
+            : rows.reduce((sum, row, k) => sum + row[r] * targets[k], 0)
+    )));
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) return null;
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = A[r][col] / A[col][col];
+            for (let c = col; c <= n; c++) A[r][c] -= factor * A[col][c];
+        }
+    }
+    return A.map((row, r) => row[n] / row[r]);
+};
+
+// Derivative-free minimization (Nelder-Mead simplex)
+export const nelderMead = (f, start, { step = 0.1, tolerance = 1e-8, maxIterations = 500 } = {}) => {
+    const dim = start.length;
+    let simplex = [start, ...start.map((_, k) => start.map((v, j) => (j === k ? v + (v === 0 ? step : step * Math.abs(v)) : v)))]
+        .map(x => ({ x, fx: f(x) }));
+
+    const combine = (a, b, weight) => a.map((v, k) => v + weight * (b[k] - v));
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        simplex.sort((p, q) => p.fx - q.fx);
+        const best = simplex[0];
+        const worst = simplex[dim];
+        if (Math.abs(worst.fx - best.fx) <= tolerance * (Math.abs(best.fx) + tolerance)) break;
+
+        const centroid = start.map((_, k) => simplex.slice(0, dim).reduce((sum, p) => sum + p.x[k], 0) / dim);
+        const reflected = combine(centroid, worst.x, -1);
+        const fr = f(reflected);
+
+        if (fr < best.fx) {
+            const expanded = combine(centroid, worst.x, -2);
+            const fe = f(expanded);
+            simplex[dim] = fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+        } else if (fr < simplex[dim - 1].fx) {
+            simplex[dim] = { x: reflected, fx: fr };
+        } else {
+            const contracted = combine(centroid, worst.x, 0.5);
+            const fc = f(contracted);
+            if (fc < worst.fx) {
+                simplex[dim] = { x: contracted, fx: fc };
+            } else {
+                // Shrink towards the best vertex
+                simplex = simplex.map((p, k) => {
+                    if (k === 0) return p;
+                    const x = combine(best.x, p.x, 0.5);
+                    return { x, fx: f(x) };
+                });
+            }
+        }
+    }
+    simplex.sort((p, q) => p.fx - q.fx);
+    return { x: simplex[0].x, fx: simplex[0].fx };
+};
@@ -0,0 +1,93 @@
+import { streamConstants, organicAtEquilibrium, aqueousAtEquilibrium } from './isotherm.js';
+import { isothermConstants } from './reagents.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// McCABE-THIELE STAIRCASES
+// Real steps come straight from the stage details of a result: each
+// stage is A -> B -> C, with A and C on the operating line and B the
+// actual (efficiency-limited) outlet pair. Ideal steps are stepped off
+// between the operating line and the equilibrium curve for a target
+// raffinate (extraction) or stripped organic (stripping), keeping the
+// loaded organic and the feed/electrolyte of the solved case.
+// =================================================================
+
+// Stepping stops here; a duty that needs more stages is reported as unreachable
+export const MAX_THEORETICAL_STAGES = 20;
+
+// Real steps of a section: [{ name, points: [A, B, C], stage }] where `stage` is the details entry
+export const realSteps = (results, section) => results[section].details.stages.map(stage => ({
+    name: stage.name,
+    points: [stage.A, stage.B, stage.C],
+    stage,
+}));
+
+const unreachable = (section, target, operatingLine, steps, message) => (
+    { section, target, operatingLine, steps, stages: null, count: null, reachable: false, message }
+);
+
+// Ideal stages needed to bring the raffinate (extraction) or the stripped organic (stripping) of the
+// solved case `results` (for inputs `i`) down to `target`; the current value when no target is given.
+// Returns { section, target, operatingLine: [from, to], steps: [{ x, y }], stages, count, reachable, message }
+// with `stages` fractional (the last step counted by the part of it that is needed) and `count` rounded up.
+export const theoreticalStages = (i, results, section, target) => {
+    const isotherm = isothermConstants(results.reagent, results.v_percent);
+    const lo = results.extraction.lo;
+
+    if (section === 'extraction') {
+        const goal = target ?? results.extraction.raff;
+        if (!(goal > 0 && goal < i.plsCu)) throw new Error(t("هدف مس رافینت باید بین صفر و مس PLS باشد."));
+        // Same LO and O/A as the case, so SO follows from the copper balance
+        const so = lo - (i.plsCu - goal) / i.o_a_ex;
+        const operatingLine = [{ x: goal, y: so }, { x: i.plsCu, y: lo }];
+        if (so < 0) return unreachable(section, goal, operatingLine, [], t("با LO و نسبت O/A فعلی این رافینت از نظر موازنه جرم ممکن نیست (SO منفی می‌شود)."));
+
+        const k = streamConstants(i.plsAcid, i.plsCu, isotherm.extraction);
+        const operating = (x) => so + ((x - goal) * (lo - so)) / (i.plsCu - goal);
+        let x = i.plsCu;
+        let y = lo;
+        const steps = [{ x, y }];
+        for (let n = 0; n < MAX_THEORETICAL_STAGES; n++) {
+            const xEq = aqueousAtEquilibrium(k, y);
+            if (xEq === null || !(xEq < x)) {
+                return unreachable(section, goal, operatingLine, steps, t("خط عملیاتی به منحنی تعادل رسیده است (pinch)؛ این رافینت با هیچ تعداد مرحله‌ای به دست نمی‌آید."));
+            }
+            steps.push({ x: xEq, y });
+            if (xEq <= goal) {
+                const stages = n + (x - goal) / (x - xEq);
+                return { section, target: goal, operatingLine, steps, stages, count: Math.ceil(stages - 1e-9), reachable: true, message: null };
+            }
+            y = operating(xEq);
+            x = xEq;
+            steps.push({ x, y });
+        }
+        return unreachable(section, goal, operatingLine, steps, t('برای این رافینت بیش از {MAX_THEORETICAL_STAGES} مرحله تئوری لازم است.', { MAX_THEORETICAL_STAGES }));
+    }
+
+    const goal = target ?? results.stripping.so;
+    if (!(goal >= 0 && goal < lo)) throw new Error(t("هدف SO باید بین صفر و LO باشد."));
+    // Same LO and electrolyte as the case (the spent Cu reached with a tankhouse), so the
+    // stripping O/A follows from the copper balance
+    const spCu = results.tankhouse?.spCu ?? i.spCu;
+    const operatingLine = [{ x: spCu, y: goal }, { x: i.adCu, y: lo }];
+    const k = streamConstants(i.spAcid, spCu, isotherm.stripping);
+    const operating = (y) => spCu + ((y - goal) * (i.adCu - spCu)) / (lo - goal);
+    let x = i.adCu;
+    let y = lo;
+    const steps = [{ x, y }];
+    for (let n = 0; n < MAX_THEORETICAL_STAGES; n++) {
+        const yEq = Math.max(organicAtEquilibrium(k, x), 0);
+        if (!(yEq < y)) {
+            return unreachable(section, goal, operatingLine, steps, t("خط عملیاتی به منحنی تعادل رسیده است (pinch)؛ این SO با هیچ تعداد مرحله‌ای به دست نمی‌آید."));
+        }
+        steps.push({ x, y: yEq });
+        if (yEq <= goal) {
+            const stages = n + (y - goal) / (y - yEq);
+            return { section, target: goal, operatingLine, steps, stages, count: Math.ceil(stages - 1e-9), reachable: true, message: null };
+        }
+        x = operating(yEq);
+        y = yEq;
+        steps.push({ x, y });
+    }
+    return unreachable(section, goal, operatingLine, steps, t('برای این SO بیش از {MAX_THEORETICAL_STAGES} مرحله تئوری لازم است.', { MAX_THEORETICAL_STAGES }));
+};
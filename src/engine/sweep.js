@@ -0,0 +1,130 @@
+import { runModel } from './model.js';
+import { validateCircuit } from './circuit.js';
+import { validateReagent } from './reagents.js';
+import { DEFAULT_INPUTS, DEFAULT_SETTINGS } from './defaults.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// TWO-PARAMETER SWEEP
+// Evaluates the circuit over a grid of two inputs (V% may be one of
+// them) at a fixed V%, like calculateAll. Failed cells are kept with
+// their error so maps can show infeasible regions.
+// =================================================================
+
+// Outputs that can be mapped; soResidual is the SO-consistency residual
+export const SWEEP_OUTPUTS = {
+    recovery: (r) => r.extraction.recovery,
+    netCu: (r) => r.stripping.netCu,
+    raff: (r) => r.extraction.raff,
+    lo: (r) => r.extraction.lo,
+    recoverySt: (r) => r.stripping.recovery,
+    cuPerDay: (r) => r.plant.cuPerDay,
+    soResidual: (r) => r.constraints.so_consistency,
+};
+
+// Axis key that sweeps the extractant concentration instead of an input field
+export const SWEEP_V_PERCENT = 'vPercent';
+
+export const MAX_SWEEP_STEPS = 80;
+
+const axisValues = ({ lower, upper, steps }) => (
+    Array.from({ length: steps }, (_, k) => (steps === 1 ? lower : lower + ((upper - lower) * k) / (steps - 1)))
+);
+
+const validateAxis = (axis, name) => {
+    if (!axis || !axis.field) throw new Error(t('پارامتر محور {name} انتخاب نشده است.', { name }));
+    if (!(isFinite(axis.lower) && isFinite(axis.upper) && axis.lower < axis.upper)) {
+        throw new Error(t('بازه محور {name} نامعتبر است: حد پایین باید کمتر از حد بالا باشد.', { name }));
+    }
+    if (!(Number.isInteger(axis.steps) && axis.steps >= 2 && axis.steps <= MAX_SWEEP_STEPS)) {
+        throw new Error(t('تعداد نقاط محور {name} باید عددی صحیح بین 2 و {MAX_SWEEP_STEPS} باشد.', { name, MAX_SWEEP_STEPS }));
+    }
+};
+
+// Evaluate every (x, y) pair. Returns { x: { field, values }, y: { field, values }, vPercent,
+// cells } where cells[j][k] belongs to y.values[j] and x.values[k] and is { outputs, error }.
+// `onProgress({ iteration, maxIterations })` reports each finished row.
+export const sweep2D = (inputs, settings = DEFAULT_SETTINGS, { x, y, vPercent, onProgress }) => {
+    const caseInputs = { ...DEFAULT_INPUTS, ...inputs };
+    const { reagent } = { ...DEFAULT_SETTINGS, ...settings };
+    validateCircuit(caseInputs);
+    validateReagent(reagent);
+    validateAxis(x, t('افقی'));
+    validateAxis(y, t('عمودی'));
+    if (x.field === y.field) throw new Error(t("دو محور باید پارامترهای متفاوتی داشته باشند."));
+    const sweepsV = x.field === SWEEP_V_PERCENT || y.field === SWEEP_V_PERCENT;
+    if (!sweepsV && !(vPercent > 0)) throw new Error(t("برای نقشه بدون محور V%، مقدار ثابت V% باید بزرگتر از صفر باشد."));
+
+    const xs = axisValues(x);
+    const ys = axisValues(y);
+    const cells = ys.map((yValue, j) => {
+        const row = xs.map(xValue => {
+            const trial = { ...caseInputs };
+            let v = vPercent;
+            [[x.field, xValue], [y.field, yValue]].forEach(([field, value]) => {
+                if (field === SWEEP_V_PERCENT) v = value;
+                else trial[field] = value;
+            });
+            try {
+                const results = runModel(trial, v, reagent);
+                return {
+                    outputs: Object.fromEntries(Object.entries(SWEEP_OUTPUTS).map(([key, value]) => [key, value(results)])),
+                    error: null,
+                };
+            } catch (e) {
+                return { outputs: null, error: e.message };
+            }
+        });
+        if (onProgress) onProgress({ iteration: j + 1, maxIterations: ys.length });
+        return row;
+    });
+
+    return {
+        x: { field: x.field, values: xs },
+        y: { field: y.field, values: ys },
+        vPercent: sweepsV ? null : vPercent,
+        cells,
+    };
+};
+
+// Line segments where a gridded value crosses `level` (marching squares).
+// `grid[j][k]` is the value at (xs[k], ys[j]); NaN corners leave their cell out.
+// Returns [{ x1, y1, x2, y2 }].
+export const contourSegments = (xs, ys, grid, level) => {
+    const segments = [];
+    const cross = (p, q, vp, vq) => {
+        const frac = (level - vp) / (vq - vp);
+        return { x: p.x + frac * (q.x - p.x), y: p.y + frac * (q.y - p.y) };
+    };
+    for (let j = 0; j < ys.length - 1; j++) {
+        for (let k = 0; k < xs.length - 1; k++) {
+            const corners = [
+                { x: xs[k], y: ys[j], v: grid[j][k] },
+                { x: xs[k + 1], y: ys[j], v: grid[j][k + 1] },
+                { x: xs[k + 1], y: ys[j + 1], v: grid[j + 1][k + 1] },
+                { x: xs[k], y: ys[j + 1], v: grid[j + 1][k] },
+            ];
+            if (corners.some(c => !isFinite(c.v))) continue;
+
+            const points = [];
+            corners.forEach((p, n) => {
+                const q = corners[(n + 1) % 4];
+                const above = p.v >= level;
+                if (above !== (q.v >= level)) points.push(cross(p, q, p.v, q.v));
+            });
+            if (points.length === 2) {
+                segments.push({ x1: points[0].x, y1: points[0].y, x2: points[1].x, y2: points[1].y });
+            } else if (points.length === 4) {
+                // Saddle: pair the crossings by the value at the cell centre
+                const centreAbove = corners.reduce((sum, c) => sum + c.v, 0) / 4 >= level;
+                const [a, b, c, d] = centreAbove === (corners[0].v >= level) ? [0, 1, 2, 3] : [0, 3, 1, 2];
+                segments.push({ x1: points[a].x, y1: points[a].y, x2: points[b].x, y2: points[b].y });
+                segments.push({ x1: points[c].x, y1: points[c].y, x2: points[d].x, y2: points[d].y });
+            }
+        }
+    }
+    return segments;
+};
+
+// Output values of a sweep as a grid for contourSegments (NaN where the model failed)
+export const sweepGrid = (sweep, output) => sweep.cells.map(row => row.map(cell => (cell.outputs ? cell.outputs[output] : NaN)));
@@ -0,0 +1,87 @@
+import { t } from './i18n.js';
+
+// =================================================================
+// ELECTROWINNING TANKHOUSE
+// Copper plated follows Faraday's law from the cathode area, current
+// density and current efficiency. The electrolyte circulates between
+// the strip circuit and the cells at a fixed flow, so the spent
+// electrolyte leaves the cells the plated copper below the advance
+// electrolyte. In runModel the loaded organic is then iterated with
+// the stripping block until the strip circuit hands the electrolyte
+// exactly the plated copper, and the V% search makes the extraction
+// deliver the same copper: the electrolyte loop and the copper
+// production balance, and %ML becomes a result instead of an input.
+// =================================================================
+
+// kg of Cu plated per A·h at 100% current efficiency (63.546 / (2 × 26.801))
+export const CU_PER_AMPERE_HOUR = 1.1855e-3;
+
+// Tankhouse inputs; 0 cells leaves the tankhouse out and keeps the spent electrolyte Cu and %ML as inputs
+export const TANKHOUSE_FIELDS = ['ewCells', 'ewCathodesPerCell', 'ewCathodeArea', 'ewCurrentDensity', 'ewCurrentEfficiency', 'ewCellVoltage', 'ewFlow'];
+
+// Cell and cathode counts, which are not perturbed in the analyses
+export const TANKHOUSE_COUNT_FIELDS = ['ewCells', 'ewCathodesPerCell'];
+
+// Inputs the tankhouse replaces with results
+export const TANKHOUSE_SOLVED_FIELDS = ['spCu', 'percentageML'];
+
+export const hasTankhouse = (i) => i.ewCells > 0;
+
+// Copper plated (kg/h) by the tankhouse inputs, before any checks
+export const platingRate = (i) => i.ewCells * i.ewCathodesPerCell * i.ewCathodeArea * i.ewCurrentDensity * (i.ewCurrentEfficiency / 100) * CU_PER_AMPERE_HOUR;
+
+// Throws with a user-facing message when the tankhouse inputs are unusable
+export const validateTankhouse = (i) => {
+    if (!hasTankhouse(i)) return;
+    if (!(Number.isInteger(i.ewCells) && Number.isInteger(i.ewCathodesPerCell) && i.ewCathodesPerCell >= 1)) {
+        throw new Error(t("تعداد سلول‌ها و کاتدهای هر سلول باید عدد صحیح مثبت باشد."));
+    }
+    if (!(i.ewCathodeArea > 0 && i.ewCurrentDensity > 0 && i.ewCellVoltage > 0 && i.ewFlow > 0)) {
+        throw new Error(t("مساحت کاتد، دانسیته جریان، ولتاژ سلول و جریان الکترولیت باید مثبت باشند."));
+    }
+    if (!(i.ewCurrentEfficiency > 0 && i.ewCurrentEfficiency <= 100)) {
+        throw new Error(t("راندمان جریان باید بین 0 و 100 باشد."));
+    }
+    if (!(i.adCu - platingRate(i) / i.ewFlow > 0)) {
+        throw new Error(t("جریان الکترولیت برای این جریان تانک‌هاوس کم است: مس الکترولیت مصرفی منفی می‌شود."));
+    }
+};
+
+// Copper plated by the tankhouse (kg/h) with its current and power, or null without a tankhouse.
+// Cells are fed in series, so every cell carries the same current.
+export const tankhousePlating = (i) => {
+    if (!hasTankhouse(i)) return null;
+    validateTankhouse(i);
+    const cathodeArea = i.ewCells * i.ewCathodesPerCell * i.ewCathodeArea;
+    const cellCurrent = i.ewCathodesPerCell * i.ewCathodeArea * i.ewCurrentDensity;
+    const cuPlated = platingRate(i);
+    const power = cellCurrent * i.ewCellVoltage * i.ewCells / 1000;
+    return {
+        cells: i.ewCells,
+        cathodesPerCell: i.ewCathodesPerCell,
+        cathodeArea,
+        currentDensity: i.ewCurrentDensity,
+        currentEfficiency: i.ewCurrentEfficiency,
+        cellCurrent,
+        cellVoltage: i.ewCellVoltage,
+        cuPlated,
+        cuPlatedPerDay: cuPlated * 24 / 1000,
+        // Rectifier load (kW) and specific energy (kWh per t of cathode copper)
+        power,
+        specificEnergy: power / (cuPlated / 1000),
+    };
+};
+
+// Tankhouse result of a solved circuit: the electrolyte it leaves and the loading the organic reaches.
+// `i` carries the spent electrolyte Cu from the tankhouse.
+export const tankhouseBalance = (plating, i, extraction, plant) => ({
+    ...plating,
+    electrolyteFlow: i.ewFlow,
+    adCu: i.adCu,
+    adAcid: plant.adAcid,
+    spCu: i.spCu,
+    spAcid: i.spAcid,
+    percentageML: extraction.lo / extraction.ml * 100,
+    // Copper extracted but not plated (zero once V% is solved)
+    imbalance: plant.cuExtracted - plating.cuPlated,
+});
@@ -0,0 +1,167 @@
+import { MAX_STAGES, extractionStages, strippingStages, stageEfficiency } from './circuit.js';
+import { TANKHOUSE_FIELDS, hasTankhouse, platingRate } from './tankhouse.js';
+import { t } from './i18n.js';
+
+// =================================================================
+// INPUT VALIDATION
+// Every numeric plant input has a unit and an allowed range, checked
+// only while the field takes part in the case (e.g. %ML and spent
+// electrolyte Cu are tankhouse results, the wash inputs only count
+// with entrainment). Cross-field rules catch combinations that have no
+// physical solution. Errors block a run; warnings flag values that are
+// possible but unusual for a copper SX plant and leave the run alone.
+// Limits are kept in the SI units of the schema; messages show them
+// through `convertLimit`, so the form can word them in its own units.
+// =================================================================
+
+// Range of a stage efficiency (effE1, effS2, effE1P, ...)
+const EFFICIENCY_RULE = { unit: '%', min: 0, minExclusive: true, max: 100 };
+
+// Unit and allowed range of each numeric input; `when` limits a rule to the cases that use the field
+export const INPUT_SCHEMA = {
+    plsFlow: { unit: 'm³/h', min: 0, minExclusive: true, max: 20000 },
+    plsCu: { unit: 'g/L', min: 0, minExclusive: true, max: 60 },
+    plsAcid: { unit: 'g/L', min: 0, max: 200 },
+    percentageML: { unit: '%', min: 0, minExclusive: true, max: 100, when: (i) => !hasTankhouse(i) },
+    o_a_ex: { unit: '', min: 0, minExclusive: true, max: 20 },
+    stagesE: { unit: '', min: 1, max: MAX_STAGES, integer: true },
+    parallelSplit: { unit: '%', min: 0, minExclusive: true, max: 100, maxExclusive: true, when: (i) => i.layoutE === 'series-parallel' },
+    spCu: { unit: 'g/L', min: 0, max: 80, when: (i) => !hasTankhouse(i) },
+    spAcid: { unit: 'g/L', min: 0, minExclusive: true, max: 300 },
+    adCu: { unit: 'g/L', min: 0, minExclusive: true, max: 80 },
+    stagesS: { unit: '', min: 1, max: MAX_STAGES, integer: true },
+    plsFe: { unit: 'g/L', min: 0, max: 50 },
+    electrolyteFe: { unit: 'g/L', min: 0, minExclusive: true, max: 20, when: (i) => i.plsFe > 0 },
+    plsMn: { unit: 'g/L', min: 0, max: 50, when: (i) => i.entrainmentE > 0 },
+    plsCl: { unit: 'g/L', min: 0, max: 50, when: (i) => i.entrainmentE > 0 },
+    entrainmentE: { unit: 'ppm', min: 0, max: 10000 },
+    o_a_w: { unit: '', min: 0, minExclusive: true, max: 100, when: (i) => i.entrainmentE > 0 && i.washStage === 'wash' },
+    effW: { unit: '%', min: 0, max: 100, when: (i) => i.entrainmentE > 0 && i.washStage === 'wash' },
+    entrainmentW: { unit: 'ppm', min: 0, max: 10000, when: (i) => i.entrainmentE > 0 && i.washStage === 'wash' },
+    ewCells: { unit: '', min: 0, max: 2000, integer: true },
+    ewCathodesPerCell: { unit: '', min: 1, max: 200, integer: true, when: hasTankhouse },
+    ewCathodeArea: { unit: 'm²', min: 0, minExclusive: true, max: 5, when: hasTankhouse },
+    ewCurrentDensity: { unit: 'A/m²', min: 0, minExclusive: true, max: 1000, when: hasTankhouse },
+    ewCurrentEfficiency: { unit: '%', min: 0, minExclusive: true, max: 100, when: hasTankhouse },
+    ewCellVoltage: { unit: 'V', min: 0, minExclusive: true, max: 10, when: hasTankhouse },
+    ewFlow: { unit: 'm³/h', min: 0, minExclusive: true, max: 20000, when: hasTankhouse },
+};
+
+// Rules that tie several inputs together; each lists the fields it marks and `requires` any other inputs it reads
+const CROSS_FIELD_RULES = [
+    {
+        fields: ['adCu', 'spCu'],
+        when: (i) => !hasTankhouse(i),
+        test: (i) => i.adCu > i.spCu,
+        message: "مس الکترولیت پیشرفته باید بیشتر از مس الکترولیت مصرفی باشد.",
+    },
+    {
+        fields: ['ewFlow', 'adCu', 'ewCurrentDensity'],
+        requires: TANKHOUSE_FIELDS,
+        when: hasTankhouse,
+        test: (i) => i.adCu - platingRate(i) / i.ewFlow > 0,
+        message: "جریان الکترولیت برای این جریان تانک‌هاوس کم است: مس الکترولیت مصرفی منفی می‌شود.",
+    },
+    {
+        fields: ['ewCells', 'ewCurrentDensity', 'plsFlow', 'plsCu'],
+        requires: TANKHOUSE_FIELDS,
+        when: hasTankhouse,
+        test: (i) => platingRate(i) < i.plsFlow * i.plsCu,
+        message: "مس رسوب‌داده‌شده در تانک‌هاوس بیشتر از کل مس ورودی با PLS است.",
+    },
+];
+
+// Values that solve but are unusual for a copper SX plant; `limits` are the { name: [value, unit] } of the message
+const WARNING_RULES = [
+    { fields: ['plsAcid'], test: (i) => i.plsAcid <= 30, message: "اسید PLS بیش از {max} است؛ استخراج مس در این اسیدیته بسیار محدود است.", limits: { max: [30, 'g/L'] } },
+    { fields: ['o_a_ex'], test: (i) => i.o_a_ex >= 0.5 && i.o_a_ex <= 3, message: "نسبت O/A استخراج خارج از محدوده معمول 0.5 تا 3 است." },
+    { fields: ['percentageML'], when: (i) => !hasTankhouse(i), test: (i) => i.percentageML <= 95, message: "بارگذاری بیش از 95% ماکزیمم در عمل به سختی قابل دستیابی است." },
+    { fields: ['spAcid'], test: (i) => i.spAcid >= 140 && i.spAcid <= 220, message: "اسید الکترولیت مصرفی خارج از محدوده معمول {min} تا {max} است.", limits: { min: [140, 'g/L'], max: [220, 'g/L'] } },
+    { fields: ['adCu', 'spCu'], when: (i) => !hasTankhouse(i), test: (i) => i.adCu - i.spCu <= 20, message: "اختلاف مس الکترولیت پیشرفته و مصرفی بیش از {max} است.", limits: { max: [20, 'g/L'] } },
+    { fields: ['entrainmentW', 'entrainmentE'], when: (i) => i.entrainmentE > 0 && i.washStage === 'wash', test: (i) => i.entrainmentW <= i.entrainmentE, message: "ماند آبی پس از شستشو بیشتر از ماند آبی LO است." },
+    { fields: ['ewCurrentDensity'], when: hasTankhouse, test: (i) => i.ewCurrentDensity <= 400, message: "دانسیته جریان بیش از 400 A/m² برای کیفیت کاتد بالاست." },
+    { fields: ['ewCellVoltage'], when: hasTankhouse, test: (i) => i.ewCellVoltage >= 1.7 && i.ewCellVoltage <= 2.6, message: "ولتاژ سلول خارج از محدوده معمول 1.7 تا 2.6 V است." },
+];
+
+// Limits in SI units, as written when no conversion is given
+const siLimit = (value, unit) => ({ value, unit });
+
+const formatLimit = ({ value, unit }) => (unit ? `${value} ${unit}` : String(value));
+
+// Message for a value outside its rule, e.g. "باید بیشتر از 0 و حداکثر 100 % باشد."
+const rangeMessage = (rule, convertLimit) => {
+    if (rule.integer) return t('باید عددی صحیح بین {min} و {max} باشد.', { min: rule.min, max: rule.max });
+    const min = convertLimit(rule.min, rule.unit).value;
+    const limit = formatLimit(convertLimit(rule.max, rule.unit));
+    const lower = rule.minExclusive ? t('بیشتر از {min}', { min }) : t('حداقل {min}', { min });
+    const upper = rule.maxExclusive ? t('کمتر از {limit}', { limit }) : t('حداکثر {limit}', { limit });
+    return t('باید {lower} و {upper} باشد.', { lower, upper });
+};
+
+const inRange = (value, rule) => (
+    Number.isFinite(value)
+    && (rule.minExclusive ? value > rule.min : value >= rule.min)
+    && (rule.maxExclusive ? value < rule.max : value <= rule.max)
+    && (!rule.integer || Number.isInteger(value))
+);
+
+// Check a case against the schema. Returns { valid, errors, warnings, fields }: errors and warnings
+// are [{ fields, field?, message }] (`field` is set for single-field range checks) and `fields` maps
+// each input to { errors: [message], warnings: [message] } for showing next to the input.
+// `convertLimit(value, unit)` returns { value, unit } of an SI limit in the units the messages use.
+export const validateInputs = (i, { convertLimit = siLimit } = {}) => {
+    const errors = [];
+    const warnings = [];
+
+    Object.entries(INPUT_SCHEMA).forEach(([key, rule]) => {
+        if (rule.when && !rule.when(i)) return;
+        if (!Number.isFinite(i[key])) errors.push({ field: key, fields: [key], message: t("یک عدد معتبر وارد کنید.") });
+        else if (!inRange(i[key], rule)) errors.push({ field: key, fields: [key], message: rangeMessage(rule, convertLimit) });
+    });
+
+    // Stage efficiencies only exist once the stage counts are valid
+    const rangeErrors = new Set(errors.map(e => e.field));
+    if (!rangeErrors.has('stagesE') && !rangeErrors.has('stagesS') && !rangeErrors.has('parallelSplit')) {
+        [...extractionStages(i), ...strippingStages(i)].forEach(stage => {
+            const value = stageEfficiency(i, stage);
+            if (!inRange(value, EFFICIENCY_RULE)) {
+                errors.push({ field: stage.effKey, fields: [stage.effKey], message: Number.isFinite(value) ? rangeMessage(EFFICIENCY_RULE, convertLimit) : t("یک عدد معتبر وارد کنید.") });
+            } else if (value < 80) {
+                warnings.push({ field: stage.effKey, fields: [stage.effKey], message: t("بازدهی مرحله کمتر از 80% برای میکسر-ستلر پایین است.") });
+            }
+        });
+    }
+
+    // Cross-field rules and warnings need their own fields to be valid first
+    const applies = (rule) => [...rule.fields, ...(rule.requires ?? [])].every(key => !rangeErrors.has(key)) && (!rule.when || rule.when(i));
+    CROSS_FIELD_RULES.filter(applies).forEach(rule => {
+        if (!rule.test(i)) errors.push({ fields: rule.fields, message: t(rule.message) });
+    });
+    WARNING_RULES.filter(applies).forEach(rule => {
+        if (rule.test(i)) return;
+        const limits = Object.fromEntries(Object.entries(rule.limits ?? {}).map(([name, [value, unit]]) => [name, formatLimit(convertLimit(value, unit))]));
+        warnings.push({ fields: rule.fields, message: t(rule.message, limits) });
+    });
+
+    const fields = {};
+    const mark = (level) => (issue) => issue.fields.forEach(key => {
+        fields[key] = fields[key] ?? { errors: [], warnings: [] };
+        fields[key][level].push(issue.message);
+    });
+    errors.forEach(mark('errors'));
+    warnings.forEach(mark('warnings'));
+
+    return { valid: errors.length === 0, errors, warnings, fields };
+};
+
+// One line per issue; range checks are prefixed with the field's label
+export const describeIssue = (issue, label = (key) => key) => (issue.field ? `${label(issue.field)}: ${issue.message}` : issue.message);
+
+// Throw every validation error of a case in one message, with the report as `validation`
+export const assertValidInputs = (i, label) => {
+    const report = validateInputs(i);
+    if (report.valid) return report;
+    const error = new Error(t('ورودی‌ها نامعتبرند: {errors}', { errors: report.errors.map(e => describeIssue(e, label)).join(' ') }));
+    error.validation = report;
+    throw error;
+};
@@ -0,0 +1,18 @@
+// =================================================================
+// UI LOCALIZATION
+// The engine's t() with the interface's own English catalog added.
+// Components call t() while rendering, so changing the locale and
+// re-rendering switches the whole interface; App owns that state.
+// =================================================================
+import { addTranslations } from './engine/index.js';
+import { UI_EN } from './locales/en.js';
+
+addTranslations('en', UI_EN);
+
+export { t, setLocale, getLocale, textDirection, LOCALES } from './engine/index.js';
+
+// Names of the locales in their own language, for the language switch
+export const LOCALE_NAMES = { fa: 'فارسی', en: 'English' };
+
+// Locale tags for dates and numbers formatted by the browser
+export const INTL_LOCALES = { fa: 'fa-IR', en: 'en-US' };
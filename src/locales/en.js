@@ -0,0 +1,630 @@
+// English translations of the interface, keyed by the Persian source text (see engine/i18n.js)
+export const UI_EN = {
+    // App.jsx
+    'واحد جریان': 'Flow unit',
+    'واحد غلظت': 'Concentration unit',
+    'محاسبه انجام نشد؛ ورودی‌های زیر نامعتبرند: {errors}': 'Not calculated; these inputs are invalid: {errors}',
+    'پروژه SX': 'SX project',
+    'لینک': 'Link',
+    'ابتدا باید محاسبات انجام شود.': 'Run the calculation first.',
+    'پارامتر': 'Parameter',
+    'مقدار': 'Value',
+    'آرایش مدار': 'Circuit layout',
+    'استخراج‌کننده': 'Extractant',
+    'درصد بهینه استخراج‌کننده (V%)': 'Optimum extractant concentration (V%)',
+    'انتقال خالص مس ((g/L)/V%)': 'Net copper transfer ((g/L)/V%)',
+    'بازیابی استخراج (%)': 'Extraction recovery (%)',
+    'بازیابی استریپینگ (%)': 'Stripping recovery (%)',
+    'بارگذاری ماکزیمم (ML g/L)': 'Maximum loading (ML g/L)',
+    'بارگذاری شده (LO g/L)': 'Loaded organic (LO g/L)',
+    'رافینت (Raff g/L)': 'Raffinate (Raff g/L)',
+    'اسید در رافینت (g/L)': 'Raffinate acid (g/L)',
+    'O/A استریپینگ': 'Stripping O/A',
+    'خلاصه نتایج': 'Results summary',
+    'جریان PLS (m³/h)': 'PLS flow (m³/h)',
+    'جریان فاز آلی (m³/h)': 'Organic flow (m³/h)',
+    'جریان الکترولیت پیشرفته/مصرفی (m³/h)': 'Advance/spent electrolyte flow (m³/h)',
+    'مس استخراج‌شده (kg/h)': 'Copper extracted (kg/h)',
+    'مس استریپ‌شده (kg/h)': 'Copper stripped (kg/h)',
+    'تولید مس (t/d)': 'Copper production (t/d)',
+    'اسید تولیدی در استخراج (kg/h)': 'Acid generated in extraction (kg/h)',
+    'اسید تولیدی در استخراج (t/d)': 'Acid generated in extraction (t/d)',
+    'اسید مصرفی در استریپینگ (kg/h)': 'Acid consumed in stripping (kg/h)',
+    'اسید مصرفی در استریپینگ (t/d)': 'Acid consumed in stripping (t/d)',
+    'اسید در الکترولیت پیشرفته (g/L)': 'Advance electrolyte acid (g/L)',
+    'خطای موازنه مس (%)': 'Copper balance error (%)',
+    'آهن در PLS (g/L)': 'PLS iron (g/L)',
+    'آهن رافینت (g/L)': 'Raffinate iron (g/L)',
+    'آهن روی LO (g/L)': 'Iron on LO (g/L)',
+    'انتقال آهن به الکترولیت (kg/h)': 'Iron transfer to electrolyte (kg/h)',
+    'انتقال آهن به الکترولیت (kg/d)': 'Iron transfer to electrolyte (kg/d)',
+    'نسبت انتقال Cu:Fe': 'Cu:Fe transfer ratio',
+    'حد آهن الکترولیت (g/L)': 'Electrolyte iron limit (g/L)',
+    'جریان بلید الکترولیت (m³/h)': 'Electrolyte bleed flow (m³/h)',
+    'سهم بلید از الکترولیت پیشرفته (%)': 'Bleed share of advance electrolyte (%)',
+    'مس همراه بلید (t/d)': 'Copper in bleed (t/d)',
+    'تعداد سلول‌های الکترووینینگ': 'Electrowinning cells',
+    'سطح کل کاتد (m²)': 'Total cathode area (m²)',
+    'دانسیته جریان (A/m²)': 'Current density (A/m²)',
+    'جریان هر سلول (A)': 'Current per cell (A)',
+    'مس رسوب‌داده‌شده (t/d)': 'Copper plated (t/d)',
+    'توان یکسوساز (kW)': 'Rectifier power (kW)',
+    'انرژی ویژه (kWh/t)': 'Specific energy (kWh/t)',
+    'مس الکترولیت مصرفی از تانک‌هاوس (g/L)': 'Spent electrolyte Cu from tankhouse (g/L)',
+    'درصد بارگذاری LO (%)': 'LO loading (% of ML)',
+    'موازنه جرم': 'Mass balance',
+    'ماند آبی در LO (ppm)': 'Aqueous entrainment in LO (ppm)',
+    'PLS همراه فاز آلی (m³/h)': 'PLS carried with organic (m³/h)',
+    'مرحله شستشو': 'Wash stage',
+    'دارد': 'Yes',
+    'ندارد': 'None',
+    'نسبت O/A شستشو': 'Wash O/A',
+    'بازدهی شستشو (%)': 'Wash efficiency (%)',
+    'ماند آبی پس از شستشو (ppm)': 'Entrainment after wash (ppm)',
+    'جریان آب شستشو (m³/h)': 'Wash water flow (m³/h)',
+    'ناخالصی': 'Impurity',
+    'در PLS (g/L)': 'In PLS (g/L)',
+    'بدون شستشو (kg/d)': 'Without wash (kg/d)',
+    'با شستشو (kg/d)': 'With wash (kg/d)',
+    'محلول شستشو (g/L)': 'Wash liquor (g/L)',
+    'در الکترولیت (g/L)': 'In electrolyte (g/L)',
+    'ماند و شستشو': 'Entrainment and wash',
+    'ناموفق': 'Failed',
+    'تغییر ورودی‌ها (± %)': 'Input change (± %)',
+    '{label} در حالت پایه': '{label} at base case',
+    'مقدار پایه': 'Base value',
+    'مقدار پایین': 'Low value',
+    'مقدار بالا': 'High value',
+    '{label} (پایین)': '{label} (low)',
+    '{label} (بالا)': '{label} (high)',
+    'خطا': 'Error',
+    'حساسیت': 'Sensitivity',
+    'تعداد نمونه‌ها': 'Samples',
+    'بذر (seed)': 'Seed',
+    'سهم نمونه‌های حل‌نشده (%)': 'Unsolved samples (%)',
+    'توزیع': 'Distribution',
+    'پارامترهای توزیع': 'Distribution parameters',
+    'خروجی': 'Output',
+    'میانگین': 'Mean',
+    'انحراف معیار': 'Standard deviation',
+    'کمینه': 'Minimum',
+    'بیشینه': 'Maximum',
+    'بدون نمونه حل‌شده': 'No solved samples',
+    'نمونه': 'Sample',
+    'مونت کارلو': 'Monte Carlo',
+    'V% (ثابت)': 'V% (fixed)',
+    'مدت شبیه‌سازی (h)': 'Simulated time (h)',
+    'نوع تغییر': 'Change type',
+    'زمان شروع (h)': 'Start time (h)',
+    'مقدار جدید': 'New value',
+    'مدت شیب (h)': 'Ramp duration (h)',
+    'زمان (h)': 'Time (h)',
+    'مس الکترولیت مصرفی (g/L)': 'Spent electrolyte Cu (g/L)',
+    'شبیه‌سازی دینامیک': 'Dynamic simulation',
+    'مرحله استخراج': 'Extraction stage',
+    'نقطه': 'Point',
+    'Cu آبی (g/L)': 'Aqueous Cu (g/L)',
+    'Cu آلی (g/L)': 'Organic Cu (g/L)',
+    'جزئیات استخراج': 'Extraction details',
+    'مرحله استریپینگ': 'Stripping stage',
+    'جزئیات استریپینگ': 'Stripping details',
+    'بخش': 'Section',
+    'ضریب': 'Coefficient',
+    'بهینه‌ساز فرآیند استخراج حلالی مس': 'Copper Solvent Extraction Optimizer',
+    'ابزار شبیه‌سازی و بهینه‌سازی بر اساس مدل نیمه‌تجربی': 'Simulation and optimization tool based on a semi-empirical model',
+    'طراح: میلاد جهانی': 'Designed by Milad Jahani',
+    'زبان': 'Language',
+    'راهنمای برنامه': 'Help',
+    'نقشه عملکرد': 'Operating map',
+    'تطبیق با داده‌های واحد': 'Plant data reconciliation',
+    'بهینه‌سازی چندهدفه': 'Multi-objective optimization',
+    'تعداد ستلرها': 'Number of settlers',
+    'موجودی فاز آلی (m³)': 'Organic inventory (m³)',
+    'استخراج‌کننده در موجودی (m³)': 'Extractant in inventory (m³)',
+    'ارزش موجودی فاز آلی ($)': 'Organic inventory value ($)',
+    'تلفات فاز آلی (m³/سال)': 'Organic losses (m³/year)',
+    'توان همزن‌ها (kW)': 'Mixer power (kW)',
+    'مس تولیدی (t/سال)': 'Copper produced (t/year)',
+    '$/سال': '$/year',
+    'خروجی اکسل': 'Export to Excel',
+    'گزارش چاپی': 'Printable report',
+    'لغو محاسبه': 'Cancel calculation',
+    'ابتدا خطاهای ورودی را برطرف کنید.': 'Fix the input errors first.',
+    'محاسبه': 'Calculate',
+    'پارامترهای ورودی': 'Input parameters',
+    'تا رفع این خطاها محاسبه انجام نمی‌شود:': 'No calculation until these errors are fixed:',
+    'مرحله استخراج (Extraction)': 'Extraction',
+    '{label}، اختیاری': '{label}, optional',
+    'درصد بارگذاری ماکزیمم (%)': 'Maximum loading (%)',
+    'نسبت O/A': 'O/A ratio',
+    'تعداد مراحل سری': 'Series stages',
+    'سری': 'Series',
+    'سری-موازی (+E1P)': 'Series-parallel (+E1P)',
+    'سهم PLS به E1P (%)': 'PLS share to E1P (%)',
+    'مرحله استریپینگ (Stripping)': 'Stripping',
+    'تعداد مراحل': 'Stages',
+    'تانک‌هاوس الکترووینینگ (اختیاری)': 'Electrowinning tankhouse (optional)',
+    'تعداد سلول‌ها': 'Cells',
+    'کاتد در هر سلول': 'Cathodes per cell',
+    'سطح رسوب هر کاتد (m²)': 'Plating area per cathode (m²)',
+    'راندمان جریان (%)': 'Current efficiency (%)',
+    'ولتاژ سلول (V)': 'Cell voltage (V)',
+    'مس الکترولیت مصرفی و درصد بارگذاری LO از موازنه تانک‌هاوس محاسبه می‌شوند.': 'Spent electrolyte Cu and LO loading are calculated from the tankhouse balance.',
+    'ماند محلول و شستشو (اختیاری)': 'Entrainment and wash (optional)',
+    'دارد (W)': 'Yes (W)',
+    'آماده برای بهینه‌سازی': 'Ready to optimize',
+    'مقادیر ورودی را تنظیم کرده و روی دکمه "محاسبه" کلیک کنید.': 'Set the input values and click "Calculate".',
+    'نمودار McCabe-Thiele: استخراج ({circuit})': 'McCabe-Thiele diagram: extraction ({circuit})',
+    'نمودار McCabe-Thiele: استریپینگ': 'McCabe-Thiele diagram: stripping',
+    'با سلام، من، **میلاد جهانی**، این برنامه را به عنوان یک ابزار مهندسی برای شبیه‌سازی و بهینه‌سازی مدارهای استخراج حلالی مس (SX) طراحی کرده‌ام. هسته محاسباتی آن بر اساس یک مدل معتبر نیمه‌تجربی برای استخراج‌کننده Lix984N پیاده‌سازی شده است.': 'Hello, I am **Milad Jahani** and I designed this program as an engineering tool for simulating and optimizing copper solvent extraction (SX) circuits. Its calculation core implements a validated semi-empirical model for the Lix984N extractant.',
+    'نحوه کار': 'How it works',
+    'هدف اصلی من از طراحی این برنامه، ایجاد ابزاری بود که با دریافت پارامترهای ورودی مدار، مقدار بهینه **درصد استخراج‌کننده (V%)** را به گونه‌ای محاسبه کند که مدار به پایدارترین حالت خود برسد. این پایداری بر اساس شرط برابری غلظت مس در فاز آلی ورودی و خروجی مدار (`SO_extraction = SO_stripping`) تعریف شده است. سپس تمام پارامترهای عملکردی مدار بر اساس این مقدار بهینه محاسبه و نمایش داده می‌شود.': 'My main goal was a tool that takes the circuit inputs and calculates the optimum **extractant concentration (V%)** that brings the circuit to its most stable state. Stability is defined by equal copper in the organic entering and leaving the circuit (`SO_extraction = SO_stripping`). All performance figures of the circuit are then calculated and shown at that optimum.',
+    'جریان PLS:': 'PLS flow:',
+    'دبی محلول باردار حامل مس ورودی به مدار.': 'Flow of the pregnant leach solution that carries copper into the circuit.',
+    'مس و اسید در PLS:': 'Copper and acid in PLS:',
+    'غلظت مس و اسید سولفوریک در محلول ورودی.': 'Copper and sulfuric acid concentrations of the feed solution.',
+    'درصد بارگذاری ماکزیمم (%ML):': 'Maximum loading (%ML):',
+    'درصدی از حداکثر ظرفیت بارگذاری فاز آلی که در عمل به آن می‌رسیم. این پارامتر برای کنترل میزان استخراج آهن اهمیت دارد: هرچه فاز آلی به بارگذاری ماکزیمم نزدیک‌تر باشد، ظرفیت آزاد کمتری برای آهن می‌ماند و گزینش‌پذیری Cu:Fe بهتر می‌شود.': 'The share of the organic\'s maximum loading capacity reached in practice. It matters for iron extraction: the closer the organic is to maximum loading, the less free capacity is left for iron and the better the Cu:Fe selectivity.',
+    'نسبت O/A:': 'O/A ratio:',
+    'نسبت فاز آلی به آبی در مرحله استخراج.': 'Organic to aqueous ratio in extraction.',
+    'بازدهی مراحل (Eff):': 'Stage efficiencies (Eff):',
+    'بازدهی هر مرحله میکسر-ستر در رسیدن به تعادل.': 'How close each mixer-settler stage comes to equilibrium.',
+    'استخراج‌کننده:': 'Extractant:',
+    'ضرایب ایزوترم مدل. Lix984N به عنوان پیش‌فرض موجود است و می‌توان بر اساس آن استخراج‌کننده‌های دیگر (مانند مخلوط‌های آلدوکسیم/کتوکسیم) را با ضرایب استخراج و استریپینگ خودشان تعریف کرد. این تعاریف در مرورگر ذخیره می‌شوند و نام استخراج‌کننده در نتایج، نمودارها و خروجی اکسل ثبت می‌شود. با «کالیبراسیون با داده آزمایشگاهی» می‌توان ضرایب e و f استخراج یا استریپینگ را از نقاط تعادلی آزمایش‌های shake-out (چسباندن جدول، CSV یا XLSX) برازش کرد و نتیجه را مستقیماً در بهینه‌سازی به کار برد.': 'Isotherm coefficients of the model. Lix984N is built in, and other extractants (such as aldoxime/ketoxime blends) can be defined from it with their own extraction and stripping coefficients. They are kept in the browser, and the extractant name is recorded in the results, charts and Excel export. "Calibrate from lab data" fits the extraction or stripping e and f coefficients to shake-out equilibrium points (pasted table, CSV or XLSX) and uses the result directly in the optimization.',
+    'آرایش مدار:': 'Circuit layout:',
+    'تعداد مراحل سری استخراج و استریپینگ (1 تا 4) و در صورت نیاز یک مرحله موازی E1P. در آرایش سری-موازی، PLS بین E1 و E1P تقسیم می‌شود و فاز آلی استریپ‌شده ابتدا وارد E1P و سپس به ترتیب وارد مراحل سری می‌شود.': 'Number of series extraction and stripping stages (1 to 4), with an optional parallel stage E1P. In the series-parallel layout the PLS is split between E1 and E1P, and the stripped organic enters E1P first and then the series stages in turn.',
+    'مس و اسید در الکترولیت:': 'Copper and acid in electrolyte:',
+    'غلظت‌های ورودی و خروجی مدار تانک‌هاوس الکترووینینگ.': 'Concentrations entering and leaving the electrowinning tankhouse circuit.',
+    'تفسیر نتایج': 'Reading the results',
+    'انتقال خالص مس:': 'Net copper transfer:',
+    'یکی از مهم‌ترین پارامترهای اقتصادی که نشان می‌دهد به ازای هر درصد از استخراج‌کننده، چه مقدار مس به مدار الکترووینینگ منتقل می‌شود.': 'One of the key economic figures: how much copper is carried to electrowinning per percent of extractant.',
+    'موازنه جرم کارخانه:': 'Plant mass balance:',
+    'با استفاده از جریان PLS، جریان فاز آلی (O/A × جریان PLS)، جریان الکترولیت پیشرفته (از O/A استریپینگ)، تولید روزانه مس و اسید تولیدی در استخراج و مصرفی در استریپینگ (۱٫۵۴ کیلوگرم اسید به ازای هر کیلوگرم مس) محاسبه می‌شود. از ماند محلول (entrainment) و تبخیر صرف‌نظر شده است.': 'Calculated from the PLS flow, the organic flow (O/A × PLS flow), the advance electrolyte flow (from the stripping O/A), the daily copper production, and the acid generated in extraction and consumed in stripping (1.54 kg acid per kg copper). Entrainment and evaporation are neglected.',
+    'تانک‌هاوس الکترووینینگ:': 'Electrowinning tankhouse:',
+    'با وارد کردن تعداد سلول‌ها، مس رسوب‌داده‌شده از تعداد و سطح کاتدها، دانسیته جریان و راندمان جریان (قانون فارادی) محاسبه می‌شود. الکترولیت با جریان تعیین‌شده بین استریپینگ و سلول‌ها می‌چرخد، پس مس الکترولیت مصرفی نتیجه رسوب است؛ بارگذاری LO با مرحله استریپینگ تکرار می‌شود تا همان مس رسوب‌داده‌شده به الکترولیت برسد و V% طوری تعیین می‌شود که استخراج نیز همین مقدار مس را تأمین کند. برای پاسخ به اینکه این PLS چه دانسیته جریانی را پشتیبانی می‌کند، دانسیته جریان را در نقشه دوپارامتری جاروب کنید.': 'With a number of cells entered, the plated copper follows from the number and area of the cathodes, the current density and the current efficiency (Faraday\'s law). Electrolyte circulates between stripping and the cells at the given flow, so spent electrolyte Cu is a result of plating; the LO loading is iterated with stripping until the plated copper reaches the electrolyte, and V% is set so that extraction supplies the same copper. To find the current density this PLS can support, sweep the current density in the two-parameter map.',
+    'ماند محلول و شستشو:': 'Entrainment and wash:',
+    'با وارد کردن ماند آبی در فاز آلی باردار (ppm حجمی)، آهن، منگنز و کلرید همراه قطرات PLS به الکترولیت منتقل می‌شوند. مرحله شستشوی اختیاری (W) با نسبت O/A و بازدهی خودش بخشی از این قطرات را با آب تازه جایگزین می‌کند؛ انتقال ناخالصی‌ها با و بدون شستشو کنار هم نمایش داده می‌شود، آهن همراه ماند به انتقال آهن و جریان بلید افزوده می‌شود و جزئیات در برگه «ماند و شستشو» خروجی اکسل ثبت می‌شود.': 'With the aqueous entrainment in the loaded organic entered (ppm by volume), iron, manganese and chloride travel to the electrolyte with PLS droplets. The optional wash stage (W), with its own O/A and efficiency, replaces part of these droplets with fresh water; impurity transfer with and without the wash is shown side by side, entrained iron is added to the iron transfer and bleed flow, and the details are written to the "Entrainment and wash" sheet of the Excel export.',
+    'آهن و بلید:': 'Iron and bleed:',
+    'با وارد کردن آهن PLS، بارگذاری آهن روی فاز آلی متناسب با آهن PLS و ظرفیت آزاد استخراج‌کننده (ML − LO) محاسبه می‌شود؛ آهن در استریپینگ کامل به الکترولیت منتقل می‌شود. نسبت انتقال Cu:Fe و جریان بلید لازم برای ثابت ماندن آهن الکترولیت در حد تعیین‌شده (و مس همراه آن) نمایش داده و در برگه موازنه جرم خروجی اکسل ثبت می‌شود.': 'With PLS iron entered, iron loading on the organic is calculated in proportion to PLS iron and the free extractant capacity (ML − LO); all iron is stripped into the electrolyte. The Cu:Fe transfer ratio and the bleed flow that holds electrolyte iron at its limit (with the copper it carries) are shown and written to the mass balance sheet of the Excel export.',
+    'بازیابی (Recovery):': 'Recovery:',
+    'درصد مس استخراج شده از PLS و درصد مس استریپ شده از فاز آلی را نشان می‌دهد.': 'Percentage of copper extracted from the PLS and percentage of copper stripped from the organic.',
+    'نمودارهای McCabe-Thiele:': 'McCabe-Thiele diagrams:',
+    '"منحنی تعادل" حداکثر انتقال ممکن و "خط عملیاتی" موازنه جرم مدار را نشان می‌دهد. پله‌های زرد، مراحل واقعی مدار با بازدهی هر مرحله هستند (A و C روی خط عملیاتی، B خروجی واقعی مرحله و D نقطه تعادل)؛ با نگه داشتن ماوس روی نشانگر هر مرحله، نقاط A/B/C/D آن نمایش داده می‌شود. پله‌های صورتی خط‌چین، پله‌های ایده‌آل (بازدهی ۱۰۰٪) بین خط عملیاتی و منحنی تعادل هستند و تعداد مراحل تئوری لازم برای رافینت یا SO فعلی، یا برای مقدار هدفی که وارد می‌کنید (با همان LO و خوراک)، زیر نمودار نوشته می‌شود.': 'The "equilibrium curve" shows the most transfer possible and the "operating line" the circuit\'s mass balance. The yellow steps are the real stages with their efficiencies (A and C on the operating line, B the real stage outlet and D the equilibrium point); hovering over a stage marker shows its A/B/C/D points. The dashed pink steps are ideal stages (100% efficiency) between the operating line and the equilibrium curve, and the number of theoretical stages needed for the current raffinate or SO, or for a target you enter (with the same LO and feed), is given below the chart.',
+    'بهینه‌سازی چندهدفه:': 'Multi-objective optimization:',
+    'به جای ثابت نگه داشتن همه ورودی‌ها، نسبت O/A، درصد ML و غلظت مس الکترولیت پیشرفته/مصرفی در بازه‌های تعیین‌شده تغییر داده می‌شوند تا بازیابی استخراج یا انتقال خالص مس بیشینه یا مصرف استخراج‌کننده (V% × جریان فاز آلی) کمینه شود. برای هر نقطه، V% همچنان از شرط سازگاری SO حل می‌شود و قیدهای حداقل بازیابی و حداکثر مس رافینت رعایت می‌شوند. با انتخاب دو هدف، جبهه پارتو (روش قید-اپسیلون) رسم می‌شود تا نقطه کار با آگاهی از مصالحه بین دو هدف انتخاب شود.': 'Instead of holding every input fixed, the O/A ratio, %ML and advance/spent electrolyte copper are varied within set ranges to maximize extraction recovery or net copper transfer, or to minimize extractant use (V% × organic flow). At every point V% is still solved from the SO consistency condition, and the minimum recovery and maximum raffinate copper constraints are kept. With two objectives selected, the Pareto front (epsilon-constraint method) is drawn so the operating point can be chosen knowing the trade-off.',
+    'تحلیل حساسیت:': 'Sensitivity analysis:',
+    'پس از محاسبه، هر ورودی به تنهایی به اندازه ± درصد انتخابی تغییر داده می‌شود و V% بهینه دوباره حل می‌شود. نمودار گردبادی (tornado) ورودی‌ها را به ترتیب اثر بر V%، بازیابی استخراج یا انتقال خالص مس مرتب می‌کند و نتایج در برگه «حساسیت» خروجی اکسل نیز ثبت می‌شود.': 'After a calculation each input alone is moved by the chosen ± percentage and the optimum V% is solved again. The tornado chart ranks the inputs by their effect on V%, extraction recovery or net copper transfer, and the results are also written to the "Sensitivity" sheet of the Excel export.',
+    'تحلیل عدم قطعیت (مونت کارلو):': 'Uncertainty analysis (Monte Carlo):',
+    'برای ورودی‌های نامطمئن (مانند آنالیزها و بازدهی مراحل) توزیع نرمال (با حدود اختیاری)، مثلثی یا یکنواخت تعریف می‌شود. در هر نمونه مقادیر به طور تصادفی انتخاب و V% بهینه دوباره حل می‌شود؛ هیستوگرام و مقادیر P10/P50/P90 برای V%، بازیابی استخراج، انتقال خالص مس و مس رافینت به همراه سهم نمونه‌هایی که حل نشدند نمایش داده می‌شود. با بذر (seed) یکسان نتایج تکرارپذیرند و همه نمونه‌ها در برگه «مونت کارلو» خروجی اکسل ثبت می‌شوند.': 'Uncertain inputs (such as assays and stage efficiencies) get a normal (optionally bounded), triangular or uniform distribution. Each sample draws random values and solves the optimum V% again; histograms and P10/P50/P90 of V%, extraction recovery, net copper transfer and raffinate copper are shown with the share of samples that did not solve. The same seed gives the same results, and every sample is written to the "Monte Carlo" sheet of the Excel export.',
+    'شبیه‌سازی دینامیک:': 'Dynamic simulation:',
+    'پس از محاسبه، مدار از حالت پایدار با V% ثابت شروع می‌شود و پاسخ آن به تغییرات پله‌ای یا شیب‌دار مس، اسید یا دبی PLS در طول زمان محاسبه می‌شود. حجم ماند هر مرحله (میکسر و ستلر) و مخازن LO و الکترولیت از زمان‌های ماند واردشده به دست می‌آید؛ روند LO، SO، مس رافینت و مس الکترولیت پیشرفته رسم می‌شود و همه نقاط در برگه «شبیه‌سازی دینامیک» خروجی اکسل ثبت می‌شوند.': 'After a calculation the circuit starts from steady state at fixed V%, and its response over time to step or ramp changes in PLS copper, acid or flow is calculated. Hold-up volumes of each stage (mixer and settler) and of the LO and electrolyte tanks follow from the residence times entered; LO, SO, raffinate copper and advance electrolyte copper are plotted, and every point is written to the "Dynamic simulation" sheet of the Excel export.',
+    'نقشه عملکرد:': 'Operating map:',
+    'دو ورودی دلخواه (یا خود V%) در بازه و تعداد نقاط انتخابی جاروب می‌شوند و خروجی‌هایی مانند بازیابی، انتقال خالص مس یا مس رافینت به صورت نقشه رنگی با خطوط تراز نمایش داده می‌شوند. خط صورتی نقاط سازگار با شرط SO را نشان می‌دهد و خانه‌هایی که مدل در آن‌ها جواب ندارد هاشور خورده‌اند.': 'Any two inputs (or V% itself) are swept over the chosen ranges and number of points, and outputs such as recovery, net copper transfer or raffinate copper are shown as a colour map with contour lines. The pink line marks points consistent with the SO condition, and cells where the model has no solution are hatched.',
+    'سناریوها:': 'Scenarios:',
+    'حالت فعلی (ورودی‌ها، استخراج‌کننده و آخرین نتیجه) را می‌توان با یک نام در مرورگر ذخیره کرد و بعداً بارگذاری نمود. با انتخاب چند سناریو و «مقایسه»، خلاصه نتایج، نمودارهای McCabe-Thiele روی هم و تفاوت ورودی‌ها (با رنگ متمایز) نمایش داده می‌شود و کل مقایسه در یک فایل اکسل قابل خروجی است.': 'The current state (inputs, extractant and last result) can be saved by name in the browser and loaded later. Selecting several scenarios and "Compare" shows their results summary, overlaid McCabe-Thiele diagrams and input differences (highlighted), and the whole comparison can be exported to one Excel file.',
+    'فایل پروژه و لینک:': 'Project file and link:',
+    '«ذخیره پروژه» کل حالت (ورودی‌ها، استخراج‌کننده و نتیجه با جزئیات مراحل) را در یک فایل JSON نسخه‌دار ذخیره می‌کند و «باز کردن» آن را پس از بررسی ساختار بازیابی می‌کند؛ فایل‌های خراب، قدیمی یا ساخته‌شده با نسخه جدیدتر با پیام خطای مشخص رد می‌شوند. «کپی لینک» ورودی‌ها را در آدرس صفحه قرار می‌دهد تا با باز کردن لینک، همان حالت بازیابی و دوباره محاسبه شود.': '"Save project" stores the whole state (inputs, extractant and result with stage details) in a versioned JSON file, and "Open" restores it after checking its structure; damaged, outdated or newer-version files are rejected with a clear error. "Copy link" puts the inputs into the page address, so opening the link restores the same state and calculates it again.',
+    'تطبیق با داده‌های واحد:': 'Plant data reconciliation:',
+    'محاسبه معکوس مدل؛ از آنالیز جریان‌های اندازه‌گیری‌شده واحد (PLS، رافینت، LO، SO و الکترولیت)، بازدهی مراحل و V% مؤثر طوری برازش می‌شوند که مدل بهترین تطابق را با داده‌ها داشته باشد. SO اندازه‌گیری‌شده با هر دو سمت استخراج و استریپینگ مقایسه می‌شود و باقیمانده هر جریان نسبت به خطای آنالیز گزارش می‌شود. درصد ML ثابت می‌ماند، مگر آنکه بارگذاری ماکزیمم فاز آلی (ستون ml) هم اندازه‌گیری شده باشد؛ پارامترهایی که داده‌ها از هم جدا نمی‌کنند با هشدار مشخص می‌شوند. به طور پیش‌فرض یک بازدهی برای هر بخش برازش می‌شود؛ بازدهی تک‌تک مراحل به غلظت‌های بین‌مرحله‌ای نیاز دارد. با بارگذاری فایل اکسل بررسی‌های روزانه، روند بازدهی‌ها و V% در طول زمان رسم می‌شود.': 'The model run backwards: from assays of the plant\'s measured streams (PLS, raffinate, LO, SO and electrolyte), stage efficiencies and effective V% are fitted so the model matches the data best. Measured SO is compared with both the extraction and the stripping side, and each stream\'s residual is reported against its assay error. %ML is held unless the organic\'s maximum loading (ml column) is measured too; parameters the data cannot separate are flagged with a warning. By default one efficiency is fitted per section; individual stage efficiencies need inter-stage concentrations. Loading an Excel file of daily surveys plots the efficiencies and V% over time.',
+    'بررسی ورودی‌ها:': 'Input checks:',
+    'هر ورودی واحد و محدوده مجاز خود را دارد (مثلاً بازدهی‌ها و درصد ML بین 0 و 100، جریان‌ها مثبت، تعداد مراحل صحیح) و قواعد بین ورودی‌ها مانند بیشتر بودن مس الکترولیت پیشرفته از مصرفی نیز بررسی می‌شوند. خطاها با کادر قرمز زیر همان ورودی نمایش داده می‌شوند و تا رفع آن‌ها دکمه «محاسبه» غیرفعال است؛ مقادیر ممکن ولی غیرمعمول (مانند O/A یا ولتاژ سلول خارج از محدوده رایج) فقط با هشدار زرد مشخص می‌شوند.': 'Every input has its unit and allowed range (e.g. efficiencies and %ML between 0 and 100, flows positive, stage counts whole numbers), and rules across inputs, such as advance electrolyte copper above spent, are checked too. Errors are outlined in red under the input and keep "Calculate" disabled until fixed; possible but unusual values (such as O/A or cell voltage outside the usual range) only get a yellow warning.',
+    'زبان و واحدها:': 'Language and units:',
+    'زبان برنامه (فارسی یا انگلیسی) و جهت صفحه از سربرگ انتخاب می‌شوند؛ پیام‌های خطای حل‌کننده، راهنما و برگه‌ها و سرستون‌های خروجی اکسل نیز به همان زبان هستند. جریان‌ها را می‌توان به m³/h یا گالن آمریکایی در دقیقه (US gpm) و غلظت‌ها را به g/L، ppm یا lb/ft³ وارد کرد و دید؛ مدل همیشه با واحدهای SI محاسبه می‌کند و تبدیل فقط در ورود و نمایش انجام می‌شود، بنابراین فایل‌های پروژه، سناریوها و خروجی اکسل همواره به واحدهای SI هستند.': 'The language (Persian or English) and page direction are chosen in the header; solver error messages, this help and the Excel sheets and column headers follow the same language. Flows can be entered and shown in m³/h or US gallons per minute (US gpm), and concentrations in g/L, ppm or lb/ft³; the model always calculates in SI units and converts only on entry and display, so project files, scenarios and the Excel export are always in SI units.',
+    'ارزیابی اقتصادی:': 'Economic evaluation:',
+    'با قیمت استخراج‌کننده و رقیق‌کننده، سطح و عمق ستلرها، تلفات فاز آلی و تخریب استخراج‌کننده به ازای هر m³ PLS و توان همزن‌ها، هزینه سالانه و هزینه به ازای هر تن مس حالت حل‌شده محاسبه می‌شود. موجودی فاز آلی با V% بهینه به استخراج‌کننده و رقیق‌کننده تقسیم می‌شود و هزینه سرمایه آن نیز در هزینه سالانه می‌آید. حالت فعلی و سناریوهای ذخیره‌شده با نتیجه بر اساس $/t مس رتبه‌بندی می‌شوند تا بهینه اقتصادی کنار بهینه سازگاری SO دیده شود. این ورودی‌ها در مرورگر ذخیره می‌شوند.': 'From the extractant and diluent prices, the settler area and depth, the organic losses and extractant degradation per m³ of PLS and the mixer power, the annual cost and the cost per tonne of copper of the solved case are calculated. The organic inventory is split into extractant and diluent at the optimum V%, and its capital charge is part of the annual cost. The current case and the saved scenarios with results are ranked by $/t of copper, so the economic optimum shows next to the SO-consistency optimum. These inputs are stored in the browser.',
+    'گزارش و تصاویر نمودار:': 'Report and chart images:',
+    'دکمه «گزارش چاپی» یک صفحه آماده چاپ از حالت حل‌شده باز می‌کند: ورودی‌ها، خلاصه نتایج، موازنه جرم، جدول نقاط مراحل استخراج و استریپینگ و هر دو نمودار McCabe-Thiele، با همان زبان و واحدهای نمایش. از پنجره چاپ مرورگر می‌توان آن را به PDF ذخیره کرد. هر نمودار نیز دکمه‌های SVG و PNG برای دانلود تصویر خود، همراه عنوان و راهنمای نمودار، دارد.': 'The "Printable report" button opens a print-ready page of the solved case: the inputs, the results summary, the mass balance, the point tables of the extraction and stripping stages and both McCabe-Thiele charts, in the same language and display units. The browser\'s print dialog can save it as PDF. Every chart also has SVG and PNG buttons that download its image together with its title and legend.',
+    'اعتبارسنجی مدل:': 'Model validation:',
+    'مجموعه‌ای از موارد رگرسیون (مدار پایه با ورودی‌های جدول 17، سری-موازی، سه مرحله، بازدهی پایین، آهن و شستشو، تانک‌هاوس) که خروجی‌های مورد انتظار آن‌ها نتایج همین مدل هنگام افزودن مجموعه است، با تلرانس هر کدام. این موارد تغییر نتایج مدل را نشان می‌دهند، نه تطابق با مقادیر منتشرشده مقاله. تنها مورد مقاله، V% منتشرشده جدول 17 (17.1 با تلرانس 0.1) است؛ مدل حدود 17.34 می‌دهد، بنابراین این مورد رد می‌شود و اختلاف مدل با مقاله را نشان می‌دهد. این نمای برنامه و دستور npm test موتور هر دو همین موارد را اجرا می‌کنند و انحراف هر کمیت را نشان می‌دهند؛ موردی که خارج از تلرانس بیفتد پس از تغییر مدل پسرفت به حساب می‌آید. موارد ممیزی‌شده واحد را می‌توان به صورت فایل JSON افزود.': 'A set of regression cases (the base circuit with the Table 17 inputs, series-parallel, three stages, low efficiencies, iron and wash, tankhouse) whose expected outputs are this model\'s results when the suite was added, each with a tolerance. They show changes in the model\'s results, not agreement with the paper\'s published values. The only paper case is the published Table 17 V% (17.1 with a tolerance of 0.1); the model gives about 17.34, so this case fails and shows the discrepancy between the model and the paper. This view and the engine\'s npm test command both run these cases and show the deviation of every quantity; a case that falls outside its tolerance after a model change is a regression. Audited plant cases can be added as a JSON file.',
+    'جزئیات همگرایی:': 'Convergence details:',
+    'حل‌کننده ابتدا بازه‌ای از V% را پیدا می‌کند که باقیمانده SO در آن تغییر علامت می‌دهد و سپس ریشه را با روش Brent دقیق می‌کند. جدول همگرایی هر ارزیابی مدل، مقدار V%، باقیمانده و نحوه حل هر مرحله را نشان می‌دهد تا علت شکست یک حالت مشخص باشد.': 'The solver first finds a V% interval over which the SO residual changes sign, then refines the root with Brent\'s method. The convergence table lists every model evaluation with its V%, residual and how each stage was solved, so the cause of a failed case can be seen.',
+    'A ({stage} ورودی)': 'A ({stage} inlet)',
+    'B ({stage} خروجی واقعی)': 'B ({stage} real outlet)',
+    'C ({stage} ورودی آلی)': 'C ({stage} organic inlet)',
+    'D ({stage} تعادل)': 'D ({stage} equilibrium)',
+    'بازدهی مرحله {stage} (%)': 'Stage {stage} efficiency (%)',
+    'در حال انجام محاسبات پیچیده...': 'Running the calculation...',
+    'ارزیابی {iteration} از حداکثر {maxIterations}': 'Evaluation {iteration} of at most {maxIterations}',
+    'تخمین فعلی V%:': 'Current V% estimate:',
+    'باقیمانده SO:': 'SO residual:',
+    'لغو': 'Cancel',
+
+    // ChartCard.jsx
+    'دانلود SVG': 'Download SVG',
+    'دانلود PNG': 'Download PNG',
+
+    // DiagnosticsPanel.jsx
+    'جستجوی بازه': 'Bracket search',
+    'لبه ناحیه قابل محاسبه': 'Edge of the solvable region',
+    'سکانت (بدون بازه)': 'Secant (no bracket)',
+    'نهایی': 'Final',
+    'جزئیات همگرایی حل‌کننده': 'Solver convergence details',
+    '{count} ارزیابی مدل، {failed} ارزیابی ناموفق': '{count} model evaluations, {failed} failed',
+    'روش نهایی: {method} ({iterations} تکرار)': 'Final method: {method} ({iterations} iterations)',
+    'مرحله حل': 'Step',
+    'باقیمانده SO': 'SO residual',
+    'حل مراحل': 'Stage solutions',
+
+    // DynamicPanel.jsx
+    'فاز آلی باردار LO (g/L)': 'Loaded organic LO (g/L)',
+    'فاز آلی استریپ‌شده SO (g/L)': 'Stripped organic SO (g/L)',
+    'مس رافینت (g/L)': 'Raffinate Cu (g/L)',
+    'مس الکترولیت پیشرفته (g/L)': 'Advance electrolyte Cu (g/L)',
+    'پله‌ای': 'Step',
+    'شیب‌دار': 'Ramp',
+    'زمان ماند میکسر (min)': 'Mixer residence time (min)',
+    'زمان ماند هر فاز در ستلر (min)': 'Settler residence time per phase (min)',
+    'زمان ماند مخزن LO (min)': 'LO tank residence time (min)',
+    'زمان ماند مخزن الکترولیت (min)': 'Electrolyte tank residence time (min)',
+    'شبیه‌سازی دینامیک (گذرا)': 'Dynamic simulation (transient)',
+    'مدار از حالت پایدار با V% ثابت شروع می‌شود و پاسخ آن به تغییرات پله‌ای یا شیب‌دار PLS با در نظر گرفتن حجم ماند میکسرها، ستلرها و مخزن فاز آلی در طول زمان محاسبه می‌شود.': 'The circuit starts from steady state at fixed V%, and its response over time to step or ramp changes in the PLS is calculated with the hold-up volumes of the mixers, settlers and organic tank.',
+    'حذف': 'Remove',
+    'افزودن تغییر': 'Add change',
+    'مدت شبیه‌سازی (h):': 'Simulated time (h):',
+    'اجرای مجدد': 'Run again',
+    'اجرای شبیه‌سازی': 'Run simulation',
+    'موجودی فاز آلی: {inventory} m³ | مخزن LO: {loTank} m³': 'Organic inventory: {inventory} m³ | LO tank: {loTank} m³',
+    'شروع (حالت پایدار)': 'Start (steady state)',
+    'پایان ({hours} h)': 'End ({hours} h)',
+    'تغییر': 'Change',
+    'روند خروجی‌ها': 'Output trends',
+    'تغییرات PLS': 'PLS changes',
+
+    // EconomicsPanel.jsx
+    'قیمت استخراج‌کننده ($/L)': 'Extractant price ($/L)',
+    'قیمت رقیق‌کننده ($/L)': 'Diluent price ($/L)',
+    'سطح هر ستلر (m²)': 'Area per settler (m²)',
+    'عمق فاز آلی در ستلر (m)': 'Organic depth in the settler (m)',
+    'موجودی میکسرها، کانال‌ها و مخازن (% ستلرها)': 'Mixers, launders and tanks inventory (% of settlers)',
+    'تلفات فاز آلی (mL به ازای m³ PLS)': 'Organic losses (mL per m³ PLS)',
+    'تخریب استخراج‌کننده (mL به ازای m³ PLS)': 'Extractant degradation (mL per m³ PLS)',
+    'توان همزن هر میکسر-ستلر (kW)': 'Mixer power per mixer-settler (kW)',
+    'قیمت برق ($/kWh)': 'Power price ($/kWh)',
+    'ساعات کار سالانه (h)': 'Operating hours per year (h)',
+    'هزینه سرمایه موجودی (%/سال)': 'Inventory capital charge (%/year)',
+    'تلفات استخراج‌کننده': 'Extractant losses',
+    'تلفات رقیق‌کننده': 'Diluent losses',
+    'برق همزن‌ها': 'Mixer power',
+    'هزینه سرمایه موجودی': 'Inventory capital charge',
+    'حالت فعلی': 'Current case',
+    'ارزیابی اقتصادی': 'Economic evaluation',
+    'هزینه سالانه استخراج‌کننده، رقیق‌کننده و برق همزن‌ها با V% بهینه، جریان فاز آلی و مس انتقال‌یافته هر حالت. موجودی فاز آلی از سطح و عمق ستلرها به دست می‌آید.': 'Annual extractant, diluent and mixer power cost from the optimum V%, organic flow and copper transfer of each case. The organic inventory follows from the settler area and depth.',
+    'هزینه به ازای هر تن مس': 'Cost per tonne of copper',
+    'هزینه سالانه': 'Annual cost',
+    'k$/سال': 'k$/year',
+    'موجودی فاز آلی ({settlers} ستلر)': 'Organic inventory ({settlers} settlers)',
+    'استخراج‌کننده در موجودی': 'Extractant in inventory',
+    'ارزش موجودی فاز آلی': 'Organic inventory value',
+    'تلفات فاز آلی': 'Organic losses',
+    'm³/سال': 'm³/year',
+    'توان همزن‌ها': 'Mixer power',
+    'مس تولیدی': 'Copper produced',
+    't/سال': 't/year',
+    'اقلام هزینه': 'Cost item',
+    'سهم (%)': 'Share (%)',
+    'رتبه‌بندی حالت‌ها بر اساس هزینه': 'Cases ranked by cost',
+    'حالت فعلی و سناریوهای ذخیره‌شده‌ای که نتیجه دارند، با همین قیمت‌ها. V% هر حالت همان بهینه سازگاری SO آن است؛ ارزان‌ترین حالت بهینه اقتصادی است.': 'The current case and the saved scenarios that have results, at the same prices. Each case\'s V% is its SO-consistency optimum; the cheapest case is the economic optimum.',
+    'حالت': 'Case',
+    'بهینه اقتصادی': 'Economic optimum',
+    'بهینه سازگاری SO': 'SO-consistency optimum',
+
+    // IsothermFit.jsx
+    'استخراج': 'Extraction',
+    'استریپینگ': 'Stripping',
+    'خواندن فایل ممکن نشد: {message}': 'Could not read the file: {message}',
+    '{name} - کالیبره {section}': '{name} - calibrated {section}',
+    'کالیبراسیون ایزوترم از داده‌های آزمایشگاهی': 'Isotherm calibration from lab data',
+    'مدل پایه:': 'Base model:',
+    'هر سطر یک نقطه تعادلی است با ستون‌های': 'Each row is one equilibrium point with the columns',
+    '(V%، مس آبی و آلی g/L، اسید g/L و در صورت وجود مس خوراک). اگر feedCu داده شود، اسید به عنوان اسید خوراک در نظر گرفته می‌شود؛ در غیر این صورت اسید تعادلی است.': '(V%, aqueous and organic Cu g/L, acid g/L and the feed Cu if known). When feedCu is given the acid is taken as feed acid; otherwise it is the equilibrium acid.',
+    'بارگذاری CSV / XLSX': 'Load CSV / XLSX',
+    'برازش': 'Fit',
+    'آماره': 'Statistic',
+    'مدل پایه': 'Base model',
+    'تعداد نقاط': 'Points',
+    'حداکثر خطا (g/L)': 'Maximum error (g/L)',
+    'داده‌ها فقط در یک سطح V% هستند؛ توان‌های V% (و شیب e در استریپینگ) از مدل پایه حفظ شده‌اند.': 'The data cover only one V% level; the V% exponents (and the stripping e slope) are kept from the base model.',
+    'غلظت مس در فاز آبی (g/L)': 'Aqueous copper concentration (g/L)',
+    'غلظت مس در فاز آلی (g/L)': 'Organic copper concentration (g/L)',
+    'برازش V={v}%': 'Fit V={v}%',
+    'پایه V={v}%': 'Base V={v}%',
+    'نقاط آزمایشگاهی': 'Lab points',
+    'ذخیره و استفاده در بهینه‌سازی': 'Save and use in optimization',
+
+    // McCabeChart.jsx
+    'هدف مس رافینت ({unit})': 'Target raffinate Cu ({unit})',
+    'هدف SO ({unit})': 'Target SO ({unit})',
+    'A ورود به مرحله (خط عملیاتی)': 'A stage inlet (operating line)',
+    'B خروجی واقعی مرحله': 'B real stage outlet',
+    'C پایان پله (خط عملیاتی)': 'C end of step (operating line)',
+    'D تعادل در خروجی آبی': 'D equilibrium at aqueous outlet',
+    'مرحله {stage} (بازدهی {efficiency}%)': 'Stage {stage} ({efficiency}% efficiency)',
+    'منحنی تعادل': 'Equilibrium curve',
+    'خط عملیاتی': 'Operating line',
+    'خط عملیاتی هدف': 'Target operating line',
+    'پله‌های واقعی': 'Real steps',
+    'پله‌های ایده‌آل': 'Ideal steps',
+    'مراحل (B)': 'Stages (B)',
+    'تعادل (D)': 'Equilibrium (D)',
+    'واقعی': 'Real',
+    'ایده‌آل': 'Ideal',
+    'مراحل تئوری لازم برای {stream} = {target} {unit}:': 'Theoretical stages needed for {stream} = {target} {unit}:',
+    'رافینت': 'raffinate',
+    '(یعنی {count} مرحله ایده‌آل) | مراحل واقعی مدار: {real}': '(i.e. {count} ideal stages) | real stages in the circuit: {real}',
+
+    // ModelValidation.jsx
+    'مقاله مرجع': 'Source paper',
+    'داده ممیزی‌شده واحد': 'Audited plant data',
+    'مورد رگرسیون': 'Regression case',
+    'قبول': 'Pass',
+    'خارج از تلرانس': 'Out of tolerance',
+    'حل نشد': 'Did not solve',
+    'اعتبارسنجی مدل': 'Validate model',
+    'مدل روی موارد مرجع اجرا می‌شود و هر خروجی (V%، LO، SO، رافینت، بازیابی و ...) با مقدار مورد انتظار و تلرانس آن مقایسه می‌شود. هر انحراف خارج از تلرانس پس از تغییر مدل یک پسرفت است. موارد داخلی به جز یکی نتایج پین‌شده همین مدل هستند، نه مقادیر منتشرشده مقاله؛ مورد مقاله جدول 17 فقط V% منتشرشده (17.1) را بررسی می‌کند و تا رفع اختلاف مدل با مقاله رد می‌شود. موارد با مقادیر منتشرشده (source: paper) یا ممیزی‌شده واحد (source: plant) را می‌توان به صورت فایل JSON با همان ساختار (id، inputs، expected) افزود.': 'The model is run on the reference cases and every output (V%, LO, SO, raffinate, recovery, ...) is compared with its expected value and tolerance. Any deviation outside the tolerance after a model change is a regression. All but one of the built-in cases are this model\'s pinned results, not the paper\'s published values; the Table 17 paper case checks only the published V% (17.1) and fails until the discrepancy between the model and the paper is resolved. Cases with published values (source: paper) or audited plant data (source: plant) can be added as a JSON file with the same structure (id, inputs, expected).',
+    'افزودن موارد مرجع (JSON)': 'Add reference cases (JSON)',
+    '{builtin} مورد داخلی + {extra} مورد از فایل': '{builtin} built-in + {extra} from file',
+    'اجرای اعتبارسنجی': 'Run validation',
+    'پسرفت: {failed} از {total} مورد مرجع با مدل فعلی بازتولید نمی‌شود.': 'Regression: {failed} of {total} reference cases are not reproduced by the current model.',
+    'همه {total} مورد مرجع در محدوده تلرانس بازتولید شدند.': 'All {total} reference cases are reproduced within tolerance.',
+    'کمیت': 'Quantity',
+    'مورد انتظار': 'Expected',
+    'مدل': 'Model',
+    'انحراف': 'Deviation',
+    'انحراف (%)': 'Deviation (%)',
+    'تلرانس': 'Tolerance',
+    'ناموجود': 'Not available',
+
+    // MonteCarloPanel.jsx
+    'درصد استخراج‌کننده (V%)': 'Extractant concentration (V%)',
+    'نرمال': 'Normal',
+    'مثلثی': 'Triangular',
+    'یکنواخت': 'Uniform',
+    'حد پایین (اختیاری)': 'Lower bound (optional)',
+    'حد بالا (اختیاری)': 'Upper bound (optional)',
+    'حد پایین': 'Lower bound',
+    'محتمل‌ترین': 'Most likely',
+    'حد بالا': 'Upper bound',
+    'تحلیل عدم قطعیت (مونت کارلو)': 'Uncertainty analysis (Monte Carlo)',
+    'برای هر ورودی نامطمئن یک توزیع تعریف کنید؛ در هر نمونه مقادیر به طور تصادفی انتخاب و V% بهینه دوباره حل می‌شود. با بذر یکسان نتایج عیناً تکرار می‌شوند.': 'Give each uncertain input a distribution; every sample draws random values and solves the optimum V% again. The same seed repeats the results exactly.',
+    'افزودن توزیع': 'Add distribution',
+    'تعداد نمونه‌ها:': 'Samples:',
+    'بذر (seed):': 'Seed:',
+    '{samples} نمونه با بذر {seed} | حل‌نشده: {failures} ({share}%)': '{samples} samples with seed {seed} | unsolved: {failures} ({share}%)',
+    'تعداد': 'Count',
+
+    // OperatingPointOptimizer.jsx
+    'حداکثر بازیابی استخراج': 'Maximum extraction recovery',
+    'حداکثر انتقال خالص مس': 'Maximum net copper transfer',
+    'حداقل مصرف استخراج‌کننده': 'Minimum extractant use',
+    'استخراج‌کننده در گردش (m³/h)': 'Extractant in circulation (m³/h)',
+    'مس در الکترولیت پیشرفته (g/L)': 'Advance electrolyte Cu (g/L)',
+    'مس در الکترولیت مصرفی (g/L)': 'Spent electrolyte Cu (g/L)',
+    'بهینه‌سازی نقطه کار (چندهدفه)': 'Operating point optimization (multi-objective)',
+    'متغیرهای آزاد در بازه‌های داده‌شده تغییر می‌کنند و برای هر نقطه، V% از شرط سازگاری SO (در بازه V%) حل می‌شود. سایر ورودی‌ها از پنل اصلی گرفته می‌شوند. با انتخاب دو هدف، جبهه پارتو محاسبه می‌شود.': 'The free variables move within the given ranges and V% is solved at every point from the SO consistency condition (within the V% range). All other inputs come from the main panel. Selecting two objectives calculates the Pareto front.',
+    'هدف اول': 'First objective',
+    'هدف دوم (پارتو)': 'Second objective (Pareto)',
+    'بدون هدف دوم': 'No second objective',
+    'متغیر تصمیم': 'Decision variable',
+    'آزاد': 'Free',
+    'مقدار فعلی': 'Current value',
+    'درصد استخراج‌کننده V% (از شرط SO)': 'Extractant V% (from the SO condition)',
+    'حداقل بازیابی استخراج (%):': 'Minimum extraction recovery (%):',
+    'بدون قید': 'No constraint',
+    'حداکثر مس رافینت (g/L):': 'Maximum raffinate Cu (g/L):',
+    'بهینه‌سازی': 'Optimize',
+    'نقاط نمونه': 'Sampled points',
+    'جبهه پارتو': 'Pareto front',
+    'رافینت (g/L)': 'Raffinate (g/L)',
+    'اعمال': 'Apply',
+    'با «اعمال» (یا کلیک روی نقطه جبهه)، مقادیر متغیرهای تصمیم در ورودی‌ها قرار می‌گیرد و محاسبه اصلی دوباره اجرا می‌شود.': '"Apply" (or clicking a point on the front) puts the decision variables into the inputs and runs the main calculation again.',
+
+    // PlantReconciliation.jsx
+    'مس رافینت': 'Raffinate Cu',
+    'اسید رافینت': 'Raffinate acid',
+    'فاز آلی باردار LO': 'Loaded organic LO',
+    'SO (سمت استخراج)': 'SO (extraction side)',
+    'SO (سمت استریپینگ)': 'SO (stripping side)',
+    'آبی خروجی {stage}': 'Aqueous leaving {stage}',
+    'آلی خروجی {stage}': 'Organic leaving {stage}',
+    'V% مؤثر': 'Effective V%',
+    'بازدهی مراحل استخراج (%)': 'Extraction stage efficiency (%)',
+    'بازدهی مراحل استریپینگ (%)': 'Stripping stage efficiency (%)',
+    'هیچ سطر داده‌ای وارد نشده است.': 'No data rows entered.',
+    'تاریخ': 'Date',
+    'RMS نرمال‌شده': 'Normalized RMS',
+    'باقیمانده {stream} (g/L)': '{stream} residual (g/L)',
+    'تطبیق مدل با داده‌های واحد (محاسبه معکوس)': 'Fit the model to plant data (inverse calculation)',
+    'هر سطر یک بررسی (مثلاً روزانه) از واحد است. ستون‌های': 'Each row is one survey (e.g. daily) of the plant. The columns',
+    '(g/L) الزامی‌اند؛ ستون‌های': '(g/L) are required; the columns',
+    'اختیاری‌اند و ستون‌های ورودی جای مقادیر فعلی فرم را برای همان روز می‌گیرند. غلظت‌های بین‌مرحله‌ای با نام‌هایی مانند': 'are optional, and input columns replace the form\'s current values for that survey. Inter-stage concentrations are entered with names such as',
+    '(مس آبی خروجی از مرحله استخراج، مس آلی خروجی از مرحله استریپینگ) وارد می‌شوند.': '(aqueous Cu leaving an extraction stage, organic Cu leaving a stripping stage).',
+    'LO تنها حاصل‌ضرب درصد ML در بارگذاری ماکزیمم را مشخص می‌کند؛ بنابراین درصد ML در مقدار فرم (یا ستون percentageML) ثابت می‌ماند و V% از LO به دست می‌آید، مگر آنکه ستون ml (بارگذاری ماکزیمم فاز آلی در تماس با PLS، g/L) داده شود.': 'LO only fixes the product of %ML and the maximum loading, so %ML is held at the form value (or the percentageML column) and V% follows from LO, unless an ml column (maximum loading of the organic contacted with PLS, g/L) is given.',
+    'بازدهی جداگانه برای هر مرحله (نیازمند غلظت‌های بین‌مرحله‌ای)': 'Separate efficiency for each stage (needs inter-stage concentrations)',
+    'تطبیق': 'Reconcile',
+    'بازدهی / %ML (%)': 'Efficiency / %ML (%)',
+    'بررسی': 'Survey',
+    'جریان': 'Stream',
+    'اندازه‌گیری (g/L)': 'Measured (g/L)',
+    'مدل (g/L)': 'Model (g/L)',
+    'باقیمانده (g/L)': 'Residual (g/L)',
+    'باقیمانده / خطای آنالیز': 'Residual / assay error',
+    'خطای آنالیز هر جریان ۲٪ مقدار آن (حداقل 0.01 g/L) فرض شده است؛ باقیمانده‌های بزرگ‌تر از دو برابر آن رنگی شده‌اند. درجه آزادی برازش: {dof}': 'The assay error of each stream is taken as 2% of its value (at least 0.01 g/L); residuals above twice that are highlighted. Degrees of freedom of the fit: {dof}',
+    '(تعداد مجهول‌ها با داده‌ها برابر است و برازش دقیق انتظار می‌رود)': '(as many unknowns as data, so an exact fit is expected)',
+    'درصد ML برازش نشده و در {value}% ثابت مانده است.': '%ML was not fitted and is held at {value}%.',
+    'داده‌های این بررسی {parameters} را از سایر پارامترها جدا نمی‌کنند و مقدار برازش‌شده یکتا نیست؛ غلظت‌های بیشتری (بین‌مرحله‌ای یا ml) اضافه کنید.': 'This survey\'s data do not separate {parameters} from the other parameters, so the fitted value is not unique; add more assays (inter-stage or ml).',
+    '{parameters} روی مرز بازه جستجو قرار گرفته است؛ داده‌های این بررسی احتمالاً با مدل سازگار نیستند.': '{parameters} ended on the bound of its search range; this survey\'s data probably do not fit the model.',
+    'اعمال بازدهی‌های این بررسی به ورودی‌ها': 'Apply this survey\'s efficiencies to the inputs',
+    '، ': ', ',
+    'روند بازدهی‌ها و V%': 'Efficiency and V% trends',
+
+    // ProjectMenu.jsx
+    'پروژه «{name}» بارگذاری شد.': 'Project "{name}" loaded.',
+    'لینک در حافظه کپی شد؛ با باز کردن آن، ورودی‌ها بازیابی و محاسبه دوباره اجرا می‌شود.': 'Link copied to the clipboard; opening it restores the inputs and runs the calculation again.',
+    'لینک این حالت:': 'Link to this state:',
+    'ذخیره فایل پروژه (JSON)': 'Save project file (JSON)',
+    'ذخیره پروژه': 'Save project',
+    'باز کردن فایل پروژه': 'Open project file',
+    'باز کردن': 'Open',
+    'کپی لینک این حالت': 'Copy a link to this state',
+    'کپی لینک': 'Copy link',
+
+    // ReagentManager.jsx
+    'ضریب e': 'e coefficient',
+    'توان e (V%)': 'e exponent (V%)',
+    'ضریب f': 'f coefficient',
+    'توان f (V%)': 'f exponent (V%)',
+    'شیب e (× V%)': 'e slope (× V%)',
+    'عرض از مبدأ e': 'e intercept',
+    'ضرایب استخراج': 'Extraction coefficients',
+    'ضرایب استریپینگ': 'Stripping coefficients',
+    '{name} (کپی)': '{name} (copy)',
+    'مدل استخراج‌کننده': 'Extractant model',
+    '{name} (پیش‌فرض)': '{name} (default)',
+    'کالیبراسیون با داده آزمایشگاهی': 'Calibrate from lab data',
+    'تعریف بر اساس این مدل': 'Define from this model',
+    'ویرایش': 'Edit',
+    'تعریف استخراج‌کننده': 'Define extractant',
+    'نام:': 'Name:',
+    'انصراف': 'Cancel',
+    'ذخیره': 'Save',
+
+    // ResultCards.jsx
+    'خلاصه نتایج بهینه‌سازی': 'Optimization results summary',
+    'مدار: {circuit} | استخراج‌کننده: {reagent}': 'Circuit: {circuit} | Extractant: {reagent}',
+    'انتقال خالص مس': 'Net copper transfer',
+    'بازیابی استخراج': 'Extraction recovery',
+    'بازیابی استریپینگ': 'Stripping recovery',
+    'بارگذاری ماکزیمم (ML)': 'Maximum loading (ML)',
+    'موازنه جرم کارخانه': 'Plant mass balance',
+    'تولید مس (انتقال به الکترووینینگ)': 'Copper production (to electrowinning)',
+    'جریان فاز آلی': 'Organic flow',
+    'جریان الکترولیت پیشرفته/مصرفی': 'Advance/spent electrolyte flow',
+    'اسید در الکترولیت پیشرفته': 'Advance electrolyte acid',
+    'اسید تولیدی در استخراج': 'Acid generated in extraction',
+    'اسید مصرفی در استریپینگ': 'Acid consumed in stripping',
+    'مس استخراج‌شده': 'Copper extracted',
+    'خطای موازنه مس': 'Copper balance error',
+    'آهن و بلید الکترولیت': 'Iron and electrolyte bleed',
+    'آهن روی فاز آلی باردار': 'Iron on loaded organic',
+    'انتقال آهن به الکترولیت': 'Iron transfer to electrolyte',
+    'آهن رافینت': 'Raffinate iron',
+    'جریان بلید برای {fe} {unit} آهن': 'Bleed flow for {fe} {unit} iron',
+    'سهم بلید از الکترولیت پیشرفته': 'Bleed share of advance electrolyte',
+    'مس همراه بلید': 'Copper in bleed',
+    'سهم ماند آبی از انتقال آهن': 'Entrainment share of iron transfer',
+    'تانک‌هاوس الکترووینینگ': 'Electrowinning tankhouse',
+    'مس رسوب‌داده‌شده': 'Copper plated',
+    'جریان هر سلول ({cells} سلول)': 'Current per cell ({cells} cells)',
+    'سطح کل کاتد': 'Total cathode area',
+    'توان یکسوساز': 'Rectifier power',
+    'انرژی ویژه': 'Specific energy',
+    'مس الکترولیت مصرفی (محاسبه‌شده)': 'Spent electrolyte Cu (calculated)',
+    'اسید الکترولیت مصرفی': 'Spent electrolyte acid',
+    'بارگذاری LO (محاسبه‌شده)': 'LO loading (calculated)',
+    'مدار الکترولیت با {flow} {unit} بسته شده است؛ اختلاف مس استخراج‌شده و رسوب‌داده‌شده: {imbalance} kg/h.': 'The electrolyte loop is closed at {flow} {unit}; extracted minus plated copper: {imbalance} kg/h.',
+    'آهن (Fe)': 'Iron (Fe)',
+    'منگنز (Mn)': 'Manganese (Mn)',
+    'کلرید (Cl)': 'Chloride (Cl)',
+    'ماند محلول و مرحله شستشو': 'Entrainment and wash stage',
+    'ماند آبی در LO': 'Aqueous entrainment in LO',
+    'PLS همراه فاز آلی': 'PLS carried with organic',
+    'آب شستشو (O/A = {o_a})': 'Wash water (O/A = {o_a})',
+    'ماند آبی پس از شستشو': 'Entrainment after wash',
+    'در PLS ({unit})': 'In PLS ({unit})',
+    'کاهش (%)': 'Reduction (%)',
+    'محلول شستشو (mg/L)': 'Wash liquor (mg/L)',
+    'در الکترولیت (mg/L)': 'In electrolyte (mg/L)',
+    'مدار با مرحله شستشو محاسبه شده است؛': 'The circuit was calculated with a wash stage;',
+    'مدار بدون مرحله شستشو محاسبه شده است؛': 'The circuit was calculated without a wash stage;',
+    'ستون برجسته انتقال مدار فعلی است. غلظت در الکترولیت با جریان بلید آهن محاسبه می‌شود و برای آهن همان حد تعیین‌شده است.': 'the highlighted column is the current circuit\'s transfer. Electrolyte concentrations follow from the iron bleed flow; for iron they equal the set limit.',
+
+    // ScenarioCompare.jsx
+    'تاریخ ذخیره': 'Saved',
+    'بدون نتیجه': 'No result',
+    'مقایسه نتایج': 'Results comparison',
+    'متفاوت': 'Differs',
+    'بله': 'Yes',
+    'مقایسه ورودی‌ها': 'Input comparison',
+    'مقایسه سناریوها': 'Scenario comparison',
+    'خروجی اکسل مقایسه': 'Export comparison to Excel',
+    'این سناریو بدون نتیجه ذخیره شده است؛ آن را بارگذاری، محاسبه و دوباره ذخیره کنید.': 'This scenario was saved without a result; load it, calculate and save it again.',
+    'نمودار McCabe-Thiele: استخراج': 'McCabe-Thiele diagram: extraction',
+    'ورودی‌ها': 'Inputs',
+    'فقط موارد متفاوت': 'Differences only',
+    '{name} - تعادل': '{name} - equilibrium',
+    '{name} - عملیاتی': '{name} - operating',
+
+    // ScenarioManager.jsx
+    'سناریوها': 'Scenarios',
+    'نام سناریو، مثلاً «حالت پایه»': 'Scenario name, e.g. "Base case"',
+    '(بدون نتیجه)': '(no result)',
+    'بارگذاری': 'Load',
+    'مقایسه سناریوهای انتخاب‌شده ({count})': 'Compare selected scenarios ({count})',
+
+    // SensitivityPanel.jsx
+    'تحلیل حساسیت': 'Sensitivity analysis',
+    'هر ورودی به تنهایی به اندازه ± درصد داده‌شده تغییر می‌کند و V% بهینه دوباره محاسبه می‌شود.': 'Each input alone is moved by the given ± percentage and the optimum V% is calculated again.',
+    'تغییر (± %):': 'Change (± %):',
+    'اجرای تحلیل': 'Run analysis',
+    'مقدار پایه {output}:': 'Base {output}:',
+    'تغییر ورودی‌ها: ±{percent}%': 'Input change: ±{percent}%',
+    'ورودی −{percent}%': 'Input −{percent}%',
+    'ورودی +{percent}%': 'Input +{percent}%',
+    'حالت‌های ناموفق: {fields}': 'Failed cases: {fields}',
+
+    // SweepMap.jsx
+    'مس فاز آلی باردار LO (g/L)': 'Loaded organic Cu LO (g/L)',
+    'باقیمانده سازگاری SO (g/L)': 'SO consistency residual (g/L)',
+    'نقشه عملکرد مدار (جاروب دوپارامتری)': 'Circuit operating map (two-parameter sweep)',
+    'مدار در تمام نقاط شبکه با V% ثابت (یا V% روی یکی از محورها) محاسبه می‌شود. خط صورتی، مکان نقاطی است که شرط سازگاری SO برقرار است و خانه‌های هاشورخورده نقاطی هستند که مدل در آن‌ها جواب فیزیکی ندارد.': 'The circuit is calculated at every grid point at fixed V% (or with V% on one of the axes). The pink line is where the SO consistency condition holds, and hatched cells are points where the model has no physical solution.',
+    'محور افقی': 'Horizontal axis',
+    'محور عمودی': 'Vertical axis',
+    'از:': 'From:',
+    'تا:': 'To:',
+    'تعداد نقاط هر محور:': 'Points per axis:',
+    'V% ثابت:': 'Fixed V%:',
+    'محاسبه نقشه': 'Calculate map',
+    'خروجی نقشه': 'Map output',
+    'نمایش خطوط تراز': 'Show contour lines',
+    'خط سازگاری SO': 'SO consistency line',
+    '(در این محدوده وجود ندارد)': '(not in this range)',
+    'خانه‌های ناموفق: {failed} از {total}': 'Failed cells: {failed} of {total}',
+
+    // fieldLabels.js
+    'جریان PLS': 'PLS flow',
+    'مس در PLS': 'PLS Cu',
+    'اسید در PLS': 'PLS acid',
+    'مس در الکترولیت مصرفی': 'Spent electrolyte Cu',
+    'اسید در الکترولیت مصرفی': 'Spent electrolyte acid',
+    'مس در الکترولیت پیشرفته': 'Advance electrolyte Cu',
+    'تعداد مراحل استخراج': 'Extraction stages',
+    'تعداد مراحل استریپینگ': 'Stripping stages',
+    'آهن در PLS': 'PLS iron',
+    'حد آهن الکترولیت': 'Electrolyte iron limit',
+    'منگنز در PLS': 'PLS manganese',
+    'کلرید در PLS': 'PLS chloride',
+    'جریان الکترولیت تانک‌هاوس': 'Tankhouse electrolyte flow',
+    'بارگذاری ماکزیمم ML (g/L)': 'Maximum loading ML (g/L)',
+    'اسید رافینت (g/L)': 'Raffinate acid (g/L)',
+    'جریان الکترولیت (m³/h)': 'Electrolyte flow (m³/h)',
+    'انتقال منگنز به الکترولیت (kg/d)': 'Manganese transfer to electrolyte (kg/d)',
+    'انتقال کلرید به الکترولیت (kg/d)': 'Chloride transfer to electrolyte (kg/d)',
+
+    // engineClient.js
+    'محاسبه توسط کاربر لغو شد.': 'The calculation was cancelled by the user.',
+
+    // chartExport.js
+    'نموداری برای خروجی وجود ندارد.': 'There is no chart to export.',
+    'ساخت تصویر PNG نمودار ممکن نشد.': 'The PNG image of the chart could not be created.',
+
+    // report.js
+    'واحد': 'Unit',
+    'Cu آبی ({unit})': 'Aqueous Cu ({unit})',
+    'Cu آلی ({unit})': 'Organic Cu ({unit})',
+    'مرحله {stage} — بازدهی {efficiency} %': 'Stage {stage} — efficiency {efficiency} %',
+    'گزارش مهندسی استخراج حلالی مس': 'Copper solvent extraction engineering report',
+    'چاپ / ذخیره PDF': 'Print / save PDF',
+    'تاریخ: {date}': 'Date: {date}',
+    'نمودارهای McCabe-Thiele': 'McCabe-Thiele charts',
+    'پنجره گزارش باز نشد؛ پنجره‌های بازشو را برای این صفحه مجاز کنید.': 'The report window could not be opened; allow pop-ups for this page.',
+};
@@ -0,0 +1,124 @@
+// =================================================================
+// ENGINEERING REPORT
+// One printable HTML page of a solved case: inputs, key results, the
+// mass balance, the stage tables and both McCabe-Thiele charts. It
+// opens in its own window, where the browser prints it or saves it
+// as PDF. Values use the same item builders as the result cards.
+// =================================================================
+import { t, getLocale, textDirection, INTL_LOCALES } from './i18n.js';
+import { FIELD_QUANTITIES, formatQuantity, unitLabel, toDisplay } from './units.js';
+import { fieldLabel } from './components/fieldLabels.js';
+import { resultsSummaryItems, plantBalanceItems, ironBalanceItems, tankhouseItems } from './components/resultItems.js';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const REPORT_STYLE = `
+    body { font-family: Tahoma, Vazirmatn, Arial, sans-serif; color: #111827; margin: 24px; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; color: #0e7490; }
+    h2 { font-size: 15px; margin: 20px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #0e7490; color: #0e7490; }
+    .meta { color: #4b5563; margin: 2px 0; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: start; }
+    th { background: #f3f4f6; }
+    td.number { font-family: monospace; direction: ltr; text-align: end; }
+    tr.stage td { background: #ecfeff; font-weight: bold; }
+    .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    .chart { break-inside: avoid; margin-bottom: 12px; text-align: center; }
+    .chart svg { max-width: 100%; height: auto; }
+    .toolbar { margin-bottom: 16px; }
+    .toolbar button { font: inherit; padding: 6px 16px; cursor: pointer; }
+    section { break-inside: avoid; }
+    @media print {
+        .toolbar { display: none; }
+        body { margin: 0; }
+        @page { margin: 15mm; }
+    }
+`;
+
+// Input value as shown in the form: display units for flows and concentrations
+const inputValue = (key, value, units) => {
+    if (typeof value === 'boolean') return value ? t('دارد') : t('ندارد');
+    if (FIELD_QUANTITIES[key]) return toDisplay(value, FIELD_QUANTITIES[key], units);
+    return value;
+};
+
+const table = (headers, rows) => `
+    <table>
+        <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.join('')}</tbody>
+    </table>`;
+
+const itemsTable = (items) => table(
+    [t('پارامتر'), t('مقدار'), t('واحد')],
+    items.map(item => `<tr><td>${escapeHtml(item.label)}</td><td class="number">${escapeHtml(item.value)}</td><td>${escapeHtml(item.unit)}</td></tr>`),
+);
+
+const section = (title, body) => `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+
+// A/B/C/D points of every stage, headed by its efficiency
+const stageTable = (stages, units) => {
+    const concentration = unitLabel('concentration', units);
+    const point = (label, p) => `<tr><td>${escapeHtml(label)}</td><td class="number">${formatQuantity(p.x, 'concentration', units, 3)}</td><td class="number">${formatQuantity(p.y, 'concentration', units, 3)}</td></tr>`;
+    return table(
+        [t('نقطه'), t('Cu آبی ({unit})', { unit: concentration }), t('Cu آلی ({unit})', { unit: concentration })],
+        stages.map(stage => [
+            `<tr class="stage"><td colspan="3">${escapeHtml(t('مرحله {stage} — بازدهی {efficiency} %', { stage: stage.name, efficiency: stage.efficiency.toFixed(2) }))}</td></tr>`,
+            point(t('A ({stage} ورودی)', { stage: stage.name }), stage.A),
+            point(t('B ({stage} خروجی واقعی)', { stage: stage.name }), stage.B),
+            point(t('C ({stage} ورودی آلی)', { stage: stage.name }), stage.C),
+            point(t('D ({stage} تعادل)', { stage: stage.name }), stage.D),
+        ].join('')),
+    );
+};
+
+// Full HTML document of the report. `charts` are standalone SVG markups of the charts on screen
+// (see chartSvgMarkup); the document is written in the active locale and display units.
+export const reportHtml = ({ results, inputs, units, charts = [], date = new Date() }) => {
+    const locale = getLocale();
+    const title = t('گزارش مهندسی استخراج حلالی مس');
+    const balance = [
+        ...plantBalanceItems(results.plant, units),
+        ...(results.iron ? ironBalanceItems(results.iron, units) : []),
+        ...(results.tankhouse ? tankhouseItems(results.tankhouse, units) : []),
+    ];
+    const inputRows = Object.entries(inputs).map(([key, value]) => (
+        `<tr><td>${escapeHtml(fieldLabel(key, units))}</td><td class="number">${escapeHtml(inputValue(key, value, units))}</td></tr>`
+    ));
+
+    return `<!DOCTYPE html>
+<html lang="${locale}" dir="${textDirection(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">${escapeHtml(t('چاپ / ذخیره PDF'))}</button></div>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(t('تاریخ: {date}', { date: date.toLocaleString(INTL_LOCALES[locale]) }))}</p>
+<p class="meta">${escapeHtml(t('مدار: {circuit} | استخراج‌کننده: {reagent}', { circuit: results.circuit, reagent: results.reagent.name }))}</p>
+${section(t('پارامترهای ورودی'), table([t('پارامتر'), t('مقدار')], inputRows))}
+${section(t('خلاصه نتایج بهینه‌سازی'), itemsTable(resultsSummaryItems(results, units)))}
+${section(t('موازنه جرم'), itemsTable(balance))}
+<div class="columns">
+${section(t('مرحله استخراج'), stageTable(results.extraction.details.stages, units))}
+${section(t('مرحله استریپینگ'), stageTable(results.stripping.details.stages, units))}
+</div>
+${charts.length > 0 ? section(t('نمودارهای McCabe-Thiele'), charts.map(chart => `<div class="chart">${chart}</div>`).join('')) : ''}
+</body>
+</html>`;
+};
+
+// Show the report in a new window; throws when the browser blocks the popup
+export const openReport = (html) => {
+    const win = window.open('', '_blank');
+    if (!win) throw new Error(t('پنجره گزارش باز نشد؛ پنجره‌های بازشو را برای این صفحه مجاز کنید.'));
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+};
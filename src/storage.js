@@ -0,0 +1,79 @@
+// =================================================================
+// BROWSER STORAGE
+// localStorage persistence; a full or blocked storage must never break the app
+// =================================================================
+import { validateReagent, LOCALES, DEFAULT_LOCALE, DEFAULT_ECONOMICS, ECONOMICS_FIELDS } from './engine/index.js';
+import { normalizeUnits } from './units.js';
+
+const REAGENTS_KEY = 'copper-sx.reagents';
+
+const readJson = (key, fallback) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        console.error(`Could not read "${key}" from storage:`, e);
+        return fallback;
+    }
+};
+
+const writeJson = (key, value) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.error(`Could not write "${key}" to storage:`, e);
+    }
+};
+
+// User-defined reagents; entries that no longer validate are dropped
+export const loadUserReagents = () => readJson(REAGENTS_KEY, []).filter(r => {
+    try {
+        validateReagent(r);
+        return true;
+    } catch {
+        return false;
+    }
+});
+
+export const saveUserReagents = (reagents) => writeJson(REAGENTS_KEY, reagents);
+
+const SCENARIOS_KEY = 'copper-sx.scenarios';
+
+// Named cases { id, name, savedAt, inputs, settings: { reagent }, results }; broken entries are dropped
+export const loadScenarios = () => readJson(SCENARIOS_KEY, []).filter(s => {
+    try {
+        if (!s.id || !s.name || !s.inputs || typeof s.inputs !== 'object' || !s.settings) return false;
+        validateReagent(s.settings.reagent);
+        return true;
+    } catch {
+        return false;
+    }
+});
+
+export const saveScenarios = (scenarios) => writeJson(SCENARIOS_KEY, scenarios);
+
+const PREFERENCES_KEY = 'copper-sx.preferences';
+
+// Language and display units { locale, units }; unknown values fall back to the defaults
+export const loadPreferences = () => {
+    const stored = readJson(PREFERENCES_KEY, {});
+    return {
+        locale: LOCALES.includes(stored.locale) ? stored.locale : DEFAULT_LOCALE,
+        units: normalizeUnits(stored.units),
+    };
+};
+
+export const savePreferences = (preferences) => writeJson(PREFERENCES_KEY, preferences);
+
+const ECONOMICS_KEY = 'copper-sx.economics';
+
+// Prices and cost assumptions of the economics panel; missing or non-numeric entries take the defaults
+export const loadEconomics = () => {
+    const stored = readJson(ECONOMICS_KEY, {});
+    return Object.fromEntries(ECONOMICS_FIELDS.map(key => [
+        key,
+        Number.isFinite(stored?.[key]) ? stored[key] : DEFAULT_ECONOMICS[key],
+    ]));
+};
+
+export const saveEconomics = (economics) => writeJson(ECONOMICS_KEY, economics);
@@ -0,0 +1,73 @@
+// =================================================================
+// DISPLAY UNITS
+// The engine works in SI (m³/h, g/L) throughout. Flows and
+// concentrations can be shown and entered in other units; values are
+// converted here, at the boundary between the form and the engine,
+// and nowhere else. `factor` is display units per SI unit.
+// =================================================================
+
+export const UNIT_OPTIONS = {
+    flow: [
+        { id: 'm3h', label: 'm³/h', factor: 1 },
+        { id: 'gpm', label: 'US gpm', factor: 4.402868 },
+    ],
+    concentration: [
+        { id: 'gL', label: 'g/L', factor: 1 },
+        { id: 'ppm', label: 'ppm', factor: 1000 },
+        { id: 'lbft3', label: 'lb/ft³', factor: 0.0624280 },
+    ],
+};
+
+export const DEFAULT_UNITS = { flow: 'm3h', concentration: 'gL' };
+
+// Plant inputs that are a flow or a concentration; every other input has one unit only
+export const FIELD_QUANTITIES = {
+    plsFlow: 'flow',
+    ewFlow: 'flow',
+    plsCu: 'concentration',
+    plsAcid: 'concentration',
+    spCu: 'concentration',
+    spAcid: 'concentration',
+    adCu: 'concentration',
+    plsFe: 'concentration',
+    electrolyteFe: 'concentration',
+    plsMn: 'concentration',
+    plsCl: 'concentration',
+};
+
+const unitOf = (quantity, units) => (
+    UNIT_OPTIONS[quantity].find(u => u.id === units[quantity]) ?? UNIT_OPTIONS[quantity][0]
+);
+
+// Label of the unit a quantity ('flow' | 'concentration') is shown in
+export const unitLabel = (quantity, units = DEFAULT_UNITS) => unitOf(quantity, units).label;
+
+// SI value -> display value; rounded to 6 significant figures so round trips stay readable
+export const toDisplay = (value, quantity, units = DEFAULT_UNITS) => (
+    Number.isFinite(value) ? Number((value * unitOf(quantity, units).factor).toPrecision(6)) : value
+);
+
+// Display value -> SI value
+export const fromDisplay = (value, quantity, units = DEFAULT_UNITS) => (
+    Number.isFinite(value) ? value / unitOf(quantity, units).factor : value
+);
+
+// SI value shown in the display unit; `digits` are the decimals in SI, shifted by the unit's scale
+// so e.g. 7.000 g/L reads 7000 ppm
+export const formatQuantity = (value, quantity, units = DEFAULT_UNITS, digits = 2) => {
+    const shift = Math.round(Math.log10(unitOf(quantity, units).factor));
+    return toDisplay(value, quantity, units).toFixed(Math.max(digits - shift, 0));
+};
+
+// An SI value given with its SI unit label (e.g. a validation limit in g/L) as { value, unit } in the
+// display unit; values in other units are returned as they are
+export const convertLimit = (value, unit, units = DEFAULT_UNITS) => {
+    const quantity = Object.keys(UNIT_OPTIONS).find(q => UNIT_OPTIONS[q][0].label === unit);
+    return quantity ? { value: toDisplay(value, quantity, units), unit: unitLabel(quantity, units) } : { value, unit };
+};
+
+// Keep only known unit choices, e.g. from storage
+export const normalizeUnits = (units) => Object.fromEntries(Object.entries(DEFAULT_UNITS).map(([quantity, fallback]) => [
+    quantity,
+    UNIT_OPTIONS[quantity].some(u => u.id === units?.[quantity]) ? units[quantity] : fallback,
+]));
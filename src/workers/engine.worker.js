@@ -0,0 +1,32 @@
+// =================================================================
+// ENGINE WORKER
+// Runs engine tasks off the main thread. Messages in:
+//   { task, payload, locale }
+// Messages out:
+//   { type: 'progress', progress } | { type: 'result', result } | { type: 'error', message, diagnostics }
+// Cancellation is done by the client terminating the worker.
+// =================================================================
+import { optimize, optimizeOperatingPoint, sensitivityAnalysis, sweep2D, reconcileSurveys, monteCarlo, dynamicSimulation, runBenchmarks, REFERENCE_CASES, setLocale } from '../engine/index.js';
+
+const TASKS = {
+    optimize: ({ inputs, settings }, onProgress) => optimize(inputs, settings, { onProgress }),
+    optimizeOperatingPoint: ({ inputs, settings, spec }, onProgress) => optimizeOperatingPoint(inputs, settings, spec, { onProgress }),
+    sensitivity: ({ inputs, settings, percent }, onProgress) => sensitivityAnalysis(inputs, settings, { percent, onProgress }),
+    sweep: ({ inputs, settings, x, y, vPercent }, onProgress) => sweep2D(inputs, settings, { x, y, vPercent, onProgress }),
+    reconcile: ({ inputs, settings, surveys, perStage }, onProgress) => reconcileSurveys(inputs, settings, surveys, { perStage, onProgress }),
+    monteCarlo: ({ inputs, settings, distributions, samples, seed }, onProgress) => monteCarlo(inputs, settings, { distributions, samples, seed, onProgress }),
+    dynamic: ({ inputs, settings, changes, hours, holdups }, onProgress) => dynamicSimulation(inputs, settings, { changes, hours, holdups, onProgress }),
+    benchmarks: ({ cases = [] }, onProgress) => runBenchmarks([...REFERENCE_CASES, ...cases], undefined, { onProgress }),
+};
+
+self.onmessage = (e) => {
+    const { task, payload, locale } = e.data;
+    try {
+        setLocale(locale);
+        if (!TASKS[task]) throw new Error(`Unknown engine task: ${task}`);
+        const result = TASKS[task](payload, (progress) => self.postMessage({ type: 'progress', progress }));
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message, diagnostics: err.diagnostics ?? null });
+    }
+};
@@ -0,0 +1,49 @@
+// =================================================================
+// ENGINE WORKER CLIENT
+// One dedicated worker per task, so cancelling is a plain terminate().
+// Each task runs in the locale active when it starts.
+// =================================================================
+import { t, getLocale } from '../engine/index.js';
+
+export const CANCELLED = 'cancelled';
+
+// Start an engine task; returns { promise, cancel }.
+// The promise rejects with an Error whose `code` is CANCELLED when cancelled; engine
+// failures keep the solver `diagnostics` sent by the worker.
+export const runEngineTask = (task, payload, { onProgress } = {}) => {
+    const worker = new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' });
+    let settle = null;
+
+    const promise = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'progress') {
+                if (onProgress) onProgress(msg.progress);
+                return;
+            }
+            worker.terminate();
+            if (msg.type === 'result') {
+                resolve(msg.result);
+            } else {
+                const err = new Error(msg.message);
+                err.diagnostics = msg.diagnostics;
+                reject(err);
+            }
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Engine worker failed to start.'));
+        };
+        worker.postMessage({ task, payload, locale: getLocale() });
+    });
+
+    const cancel = () => {
+        worker.terminate();
+        const err = new Error(t("محاسبه توسط کاربر لغو شد."));
+        err.code = CANCELLED;
+        settle.reject(err);
+    };
+
+    return { promise, cancel };
+};
@@ -0,0 +1,138 @@
+// =================================================================
+// ENGINE TESTS
+// Unit checks of the numerical pieces the benchmark suite only sees
+// through whole cases: root finding, isotherm fitting, project files,
+// plant reconciliation and contour lines. Run by `npm test` after
+// the reference cases (node:test, no extra dependency).
+// =================================================================
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_INPUTS, LIX984N, solveCubic, brent, findRoot, optimize, fitIsotherm, isothermConstants,
+    createProject, parseProject, reconcileSurvey, contourSegments,
+} from '../src/engine/index.js';
+import { streamConstants, organicAtEquilibrium } from '../src/engine/isotherm.js';
+
+const close = (actual, expected, tolerance, what) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+describe('root finding', () => {
+    it('returns the largest physical root of a cubic with three real roots', () => {
+        // (x - 1)(x - 2)(x - 3)
+        close(solveCubic(1, -6, 11, -6), 3, 1e-9, 'largest root');
+        close(solveCubic(1, -6, 11, -6, x => x < 2.5), 2, 1e-9, 'largest root below 2.5');
+        assert.equal(solveCubic(1, -6, 11, -6, x => x > 4), undefined);
+    });
+
+    it('refines a bracketed root with Brent\'s method', () => {
+        const { root } = brent(x => x * x * x - 2 * x - 5, 2, 3, { tolerance: 1e-12 });
+        close(root, 2.0945514815423265, 1e-9, 'root');
+        assert.throws(() => brent(x => x * x + 1, -1, 1));
+    });
+
+    it('skips failed evaluations when bracketing', () => {
+        const f = (x) => (x < 3 ? NaN : x - 5.3);
+        const result = findRoot(f, { guess: 1, lower: 0, upper: 10 });
+        assert.equal(result.method, 'brent');
+        close(result.root, 5.3, 1e-6, 'root');
+        assert.ok(result.trace.some(entry => Number.isNaN(entry.fx)));
+    });
+
+    it('converges where the unbracketed secant diverged', () => {
+        // At 55-60% ML the secant of the stage balances stepped to an invalid value and the run failed
+        [55, 60].forEach(percentageML => {
+            const results = optimize({ ...DEFAULT_INPUTS, percentageML });
+            assert.equal(results.diagnostics.method, 'brent');
+            close(results.constraints.so_consistency, 0, 1e-6, `SO residual at ${percentageML}% ML`);
+            assert.ok(results.v_percent > 1 && results.v_percent < 50);
+        });
+    });
+});
+
+describe('isotherm fit', () => {
+    it('recovers the extraction coefficients of synthetic shake-outs', () => {
+        const truth = { ...LIX984N, extraction: { ...LIX984N.extraction, eCoef: -30, fCoef: 12 } };
+        const points = [0.5, 1, 2, 3, 4, 5].map(aqCu => {
+            const acid = 10;
+            const orgCu = organicAtEquilibrium(streamConstants(acid, aqCu, isothermConstants(truth, 20).extraction), aqCu);
+            return { vPercent: 20, aqCu, orgCu, acid, feedCu: null };
+        });
+        const fit = fitIsotherm(points, 'extraction', LIX984N);
+        close(fit.coefficients.eCoef, -30, 1e-6, 'eCoef');
+        close(fit.coefficients.fCoef, 12, 1e-6, 'fCoef');
+        assert.equal(fit.coefficients.eExp, LIX984N.extraction.eExp);
+        close(fit.stats.r2, 1, 1e-9, 'r²');
+    });
+
+    it('rejects too few points', () => {
+        assert.throws(() => fitIsotherm([], 'extraction', LIX984N));
+    });
+});
+
+describe('project file', () => {
+    const project = createProject({ name: 'case', inputs: DEFAULT_INPUTS, settings: { reagent: LIX984N }, results: null });
+
+    it('reads back a saved project', () => {
+        const parsed = parseProject(JSON.stringify(project));
+        assert.deepEqual(parsed.inputs, DEFAULT_INPUTS);
+        assert.equal(parsed.settings.reagent.id, LIX984N.id);
+    });
+
+    it('rejects a corrupted file', () => {
+        const text = JSON.stringify(project);
+        assert.throws(() => parseProject(text.slice(0, text.length / 2)));
+        assert.throws(() => parseProject({ ...project, format: 'other' }));
+        assert.throws(() => parseProject({ ...project, version: 99 }));
+        assert.throws(() => parseProject({ ...project, inputs: { ...DEFAULT_INPUTS, plsCu: 'abc' } }));
+        assert.throws(() => parseProject({ ...project, settings: { reagent: { ...LIX984N, extraction: null } } }));
+    });
+});
+
+describe('plant reconciliation', () => {
+    const truth = { ...DEFAULT_INPUTS, effE1: 88, effE2: 88, effS1: 96, effS2: 96 };
+    const solved = optimize(truth);
+    const measured = { raff: solved.extraction.raff, lo: solved.extraction.lo, so: solved.extraction.so };
+
+    it('recovers V% and the section efficiencies with %ML held', () => {
+        const fit = reconcileSurvey(DEFAULT_INPUTS, { date: 'd1', inputs: {}, measured }, LIX984N);
+        close(fit.parameters.vPercent, solved.v_percent, 1e-3, 'V%');
+        close(fit.parameters.effE, 88, 1e-2, 'effE');
+        close(fit.parameters.effS, 96, 1e-2, 'effS');
+        assert.deepEqual(fit.fixed, ['percentageML']);
+        assert.equal(fit.parameters.percentageML, DEFAULT_INPUTS.percentageML);
+        assert.equal(fit.dof, 0);
+    });
+
+    it('fits %ML only with a maximum-load assay', () => {
+        const fit = reconcileSurvey(DEFAULT_INPUTS, { date: 'd1', inputs: {}, measured: { ...measured, ml: solved.extraction.ml } }, LIX984N);
+        assert.deepEqual(fit.fixed, []);
+        close(fit.parameters.percentageML, DEFAULT_INPUTS.percentageML, 1e-2, '%ML');
+    });
+
+    it('needs as many independent assays as parameters', () => {
+        // Stage efficiencies need interstage assays; the raffinate acid does not count as one
+        const survey = { date: 'd1', inputs: {}, measured: { ...measured, raffAcid: solved.extraction.details.raffAcid } };
+        assert.throws(() => reconcileSurvey(DEFAULT_INPUTS, survey, LIX984N, { perStage: true }));
+    });
+});
+
+describe('contour lines', () => {
+    const xs = [0, 1, 2];
+    const ys = [0, 1, 2];
+    const grid = ys.map(y => xs.map(x => x + y));
+
+    it('places every segment on the level', () => {
+        const segments = contourSegments(xs, ys, grid, 2.5);
+        assert.equal(segments.length, 3);
+        segments.forEach(s => {
+            close(s.x1 + s.y1, 2.5, 1e-12, 'first end');
+            close(s.x2 + s.y2, 2.5, 1e-12, 'second end');
+        });
+    });
+
+    it('leaves out cells with a failed corner', () => {
+        const holed = grid.map((row, j) => row.map((v, k) => (j === 2 && k === 2 ? NaN : v)));
+        assert.equal(contourSegments(xs, ys, holed, 2.5).length, 2);
+    });
+});